@@ -2,15 +2,17 @@
 
 /**
  * @import {ArgscloptsParseArgsOptionsConfig} from 'argsclopts'
+ * @import {YotoTokenResponse} from '../lib/api-endpoints/auth.js'
  */
 
 import { printHelpText } from 'argsclopts'
 import { parseArgs } from 'node:util'
 import { join } from 'node:path'
-import { YotoClient } from '../index.js'
+import { spawn } from 'node:child_process'
+import { YotoClient, YotoDeviceLogin, loginWithLoopback, renderTerminalQr } from '../index.js'
 import { pkg } from '../lib/pkg.cjs'
 import { DEFAULT_CLIENT_ID } from '../lib/api-endpoints/constants.js'
-import { saveTokensToEnv } from './lib/token-helpers.js'
+import { EnvFileTokenStore, saveTokensToEnv } from './lib/token-helpers.js'
 import {
   getCommonOptions,
   handleCliError,
@@ -25,6 +27,24 @@ const options = {
     short: 'o',
     default: '.env',
     help: 'Output file for tokens (default: .env)'
+  },
+  browser: {
+    type: 'boolean',
+    short: 'b',
+    help: 'Log in through the browser with a localhost redirect instead of the device flow'
+  },
+  port: {
+    type: 'string',
+    short: 'p',
+    help: 'Port for the --browser redirect server (default: any free port)'
+  },
+  'no-qr': {
+    type: 'boolean',
+    help: 'Do not print a QR code for the device flow verification URL'
+  },
+  logout: {
+    type: 'boolean',
+    help: 'Revoke the refresh token saved in the output file and remove the tokens from it'
   }
 }
 
@@ -35,7 +55,7 @@ if (args.values['help']) {
     options,
     name: 'yoto-auth',
     version: pkg.version,
-    exampleFn: ({ name }) => `    Yoto device flow authentication helper\n\n    Example: ${name} --client-id your-client-id\n`
+    exampleFn: ({ name }) => `    Yoto device flow authentication helper\n\n    Example: ${name} --client-id your-client-id\n    Browser login: ${name} --browser --port 8765\n    Log out: ${name} --logout --output .env\n`
   })
   process.exit(0)
 }
@@ -43,78 +63,133 @@ if (args.values['help']) {
 const clientId = String(args.values['client-id'] || process.env['YOTO_CLIENT_ID'] || DEFAULT_CLIENT_ID)
 
 const outputFile = String(args.values['output'] || join(process.cwd(), '.env'))
+const showQr = !args.values['no-qr']
+
+/**
+ * Open a URL in the default browser, leaving the printed URL as the fallback
+ * @param {string} url
+ */
+function openBrowser (url) {
+  /** @type {[string, string[]]} */
+  const [command, commandArgs] = process.platform === 'darwin'
+    ? ['open', [url]]
+    : process.platform === 'win32'
+      ? ['cmd', ['/c', 'start', '""', url]]
+      : ['xdg-open', [url]]
+  const child = spawn(command, commandArgs, { detached: true, stdio: 'ignore' })
+  child.on('error', () => {})
+  child.unref()
+}
+
+/**
+ * @param {YotoTokenResponse} tokens
+ */
+async function saveTokens (tokens) {
+  const { resolvedPath } = await saveTokensToEnv(outputFile, tokens, clientId)
+
+  console.log(`✨ Tokens saved to ${resolvedPath}`)
+  console.log('\nYou can now use these environment variables:')
+  console.log('  - YOTO_ACCESS_TOKEN')
+  console.log('  - YOTO_REFRESH_TOKEN')
+  console.log('  - YOTO_CLIENT_ID')
+}
+
+async function browserLogin () {
+  printHeader('Yoto Browser Authentication')
+  console.log()
+
+  const port = args.values['port'] ? Number(args.values['port']) : 0
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    console.error(`❌ Invalid port: ${args.values['port']}`)
+    process.exit(1)
+  }
+
+  const tokens = await loginWithLoopback({
+    clientId,
+    port,
+    onAuthorizeUrl: (url) => {
+      console.log('  Opening your browser. If it does not open, visit:')
+      console.log(`  ${url}\n`)
+      console.log('Waiting for you to log in...')
+      openBrowser(url)
+    }
+  })
+
+  console.log('\n✅ Authorization successful!\n')
+  await saveTokens(tokens)
+  process.exit(0)
+}
+
+async function logout () {
+  printHeader('Yoto Logout')
+  console.log()
+
+  const tokenStore = new EnvFileTokenStore(outputFile)
+  const tokens = await tokenStore.load()
+  if (!tokens) {
+    console.log(`No tokens found in ${tokenStore.path}, nothing to revoke.`)
+    process.exit(0)
+  }
+
+  console.log('Revoking refresh token...')
+  await YotoClient.revokeToken({ token: tokens.refreshToken, clientId: tokens.clientId })
+  await tokenStore.clear()
+
+  console.log('\n✅ Logged out. The refresh token is revoked.\n')
+  console.log(`🧹 Tokens removed from ${tokenStore.path}`)
+  process.exit(0)
+}
 
 async function main () {
+  if (args.values['logout']) return logout()
+  if (args.values['browser']) return browserLogin()
+
   printHeader('Yoto Device Flow Authentication')
   console.log()
 
-  // Step 1: Request device code
-  console.log('Requesting device code...\n')
+  const login = new YotoDeviceLogin({ clientId })
 
-  const deviceAuth = await YotoClient.requestDeviceCode({ clientId })
-
-  // Step 2: Display instructions to user
-  console.log('┌────────────────────────────────────────────────────┐')
-  console.log('│  Please complete authentication in your browser:  │')
-  console.log('└────────────────────────────────────────────────────┘\n')
-
-  if (deviceAuth.verification_uri_complete) {
-    console.log('  Visit this URL (code included):')
-    console.log(`  ${deviceAuth.verification_uri_complete}\n`)
-    console.log('  Or manually enter:')
-    console.log(`  URL:  ${deviceAuth.verification_uri}`)
-    console.log(`  Code: ${deviceAuth.user_code}\n`)
-  } else {
-    console.log(`  URL:  ${deviceAuth.verification_uri}`)
-    console.log(`  Code: ${deviceAuth.user_code}\n`)
-  }
+  login.on('code', (screen) => {
+    console.log('┌────────────────────────────────────────────────────┐')
+    console.log('│  Please complete authentication in your browser:  │')
+    console.log('└────────────────────────────────────────────────────┘\n')
 
-  const expiresInMinutes = Math.round(deviceAuth.expires_in / 60)
-  console.log(`  Code expires in: ${expiresInMinutes} minute(s)`)
-  console.log(`  Polling every:   ${deviceAuth.interval} second(s)\n`)
-
-  // Step 3: Wait for authorization (with automatic polling)
-  console.log('Waiting for authorization...')
-
-  try {
-    const tokens = await YotoClient.waitForDeviceAuthorization({
-      deviceCode: deviceAuth.device_code,
-      clientId,
-      initialInterval: deviceAuth.interval * 1000,
-      expiresIn: deviceAuth.expires_in,
-      onPoll: (result) => {
-        if (result.status === 'pending') {
-          process.stdout.write('.')
-        } else if (result.status === 'slow_down') {
-          console.log(`\n⚠️  Slowing down polling to ${result.interval / 1000}s...`)
-        }
-      }
-    })
-
-    // Success! Save tokens to .env file
-    console.log('\n✅ Authorization successful!\n')
-
-    const { resolvedPath } = await saveTokensToEnv(outputFile, tokens, clientId)
-
-    console.log(`✨ Tokens saved to ${resolvedPath}`)
-    console.log('\nYou can now use these environment variables:')
-    console.log('  - YOTO_ACCESS_TOKEN')
-    console.log('  - YOTO_REFRESH_TOKEN')
-    console.log('  - YOTO_CLIENT_ID')
+    if (showQr) {
+      console.log('  Scan this QR code with your phone:\n')
+      console.log(renderTerminalQr(screen.qrUrl).replace(/^/gm, '  '))
+      console.log()
+    }
 
-    process.exit(0)
-  } catch (err) {
-    const error = /** @type {any} */ (err)
-    if (error.message === 'Device code has expired') {
-      console.error('\n❌ Device code has expired. Please run the command again.')
-      process.exit(1)
-    } else if (error.jsonBody?.error === 'expired_token') {
-      console.error('\n❌ Device code has expired. Please run the command again.')
-      process.exit(1)
-    } else {
-      handleCliError(error)
+    if (screen.verificationUriComplete) {
+      console.log('  Visit this URL (code included):')
+      console.log(`  ${screen.verificationUriComplete}\n`)
+      console.log('  Or manually enter:')
     }
-  }
+    console.log(`  URL:  ${screen.verificationUri}`)
+    console.log(`  Code: ${screen.userCode}\n`)
+
+    const expiresInMinutes = Math.round((screen.expiresAt - Date.now()) / 60_000)
+    console.log(`  Code expires in: ${expiresInMinutes} minute(s)`)
+    console.log(`  Polling every:   ${screen.intervalMs / 1000} second(s)\n`)
+    console.log('Waiting for authorization...')
+  })
+  login.on('poll', () => { process.stdout.write('.') })
+  login.on('slowDown', ({ intervalMs }) => {
+    console.log(`\n⚠️  Slowing down polling to ${intervalMs / 1000}s...`)
+  })
+  login.on('expired', () => {
+    console.error('\n❌ Device code has expired. Please run the command again.')
+    process.exit(1)
+  })
+
+  console.log('Requesting device code...\n')
+  const tokens = await login.start()
+
+  // Success! Save tokens to .env file
+  console.log('\n✅ Authorization successful!\n')
+  await saveTokens(tokens)
+
+  process.exit(0)
 }
 
 // Run the main function
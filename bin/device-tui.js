@@ -16,7 +16,7 @@ import {
   loadTokensFromEnv,
   handleCliError
 } from './lib/cli-helpers.js'
-import { saveTokensToEnv } from './lib/token-helpers.js'
+import { EnvFileTokenStore } from './lib/token-helpers.js'
 import { YotoAccount } from '../lib/yoto-account.js'
 import { getNightlightColorName } from '../lib/yoto-device.js'
 
@@ -719,20 +719,15 @@ async function main () {
   screen.render()
 
   // Create YotoAccount to manage all devices
+  const tokenStore = new EnvFileTokenStore(envFile)
   const account = new YotoAccount({
     clientOptions: {
       clientId,
       refreshToken,
       accessToken,
-      onTokenRefresh: async (tokens) => {
-        const { resolvedPath } = await saveTokensToEnv(envFile, {
-          access_token: tokens.updatedAccessToken,
-          refresh_token: tokens.updatedRefreshToken,
-          token_type: 'Bearer',
-          expires_in: tokens.updatedExpiresAt - Math.floor(Date.now() / 1000)
-        }, tokens.clientId)
-
-        console.log(`Auth token refreshed: ${resolvedPath}`)
+      tokenStore,
+      onTokenRefresh: () => {
+        console.log(`Auth token refreshed: ${tokenStore.path}`)
       }
     },
     deviceOptions: {
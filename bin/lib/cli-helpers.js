@@ -4,7 +4,7 @@
 
 import { YotoClient } from '../../lib/api-client.js'
 import { DEFAULT_CLIENT_ID } from '../../lib/api-endpoints/constants.js'
-import { saveTokensToEnv } from './token-helpers.js'
+import { EnvFileTokenStore } from './token-helpers.js'
 
 /**
  * Get common CLI option definitions shared across all tools
@@ -80,20 +80,15 @@ export function loadTokensFromEnv (args) {
  * @returns {YotoClient}
  */
 export function createYotoClient ({ clientId, refreshToken, accessToken, outputFile = '.env' }) {
+  const tokenStore = new EnvFileTokenStore(outputFile)
   return new YotoClient({
     clientId,
     refreshToken,
     accessToken,
-    onTokenRefresh: async (tokens) => {
-      // Save tokens if they refresh during operation
-      const { resolvedPath } = await saveTokensToEnv(outputFile, {
-        access_token: tokens.updatedAccessToken,
-        refresh_token: tokens.updatedRefreshToken,
-        token_type: 'Bearer',
-        expires_in: tokens.updatedExpiresAt - Math.floor(Date.now() / 1000)
-      }, tokens.clientId)
-
-      console.log(`Auth token refreshed: ${resolvedPath}`)
+    // Save tokens if they refresh during operation
+    tokenStore,
+    onTokenRefresh: () => {
+      console.log(`Auth token refreshed: ${tokenStore.path}`)
     },
     onRefreshStart: () => {
       console.log('\n🔄 Token refresh triggered...')
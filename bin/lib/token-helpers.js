@@ -1,10 +1,14 @@
 /**
  * @import {YotoTokenResponse} from '../../lib/api-endpoints/auth.js'
+ * @import {YotoStoredTokens} from '../../lib/token-store.js'
  */
 
 import { promises as fs } from 'node:fs'
-import { resolve } from 'node:path'
+import { randomUUID } from 'node:crypto'
+import { dirname, join, resolve } from 'node:path'
+import { parseEnv } from 'node:util'
 import { jwtDecode } from 'jwt-decode'
+import { DEFAULT_CLIENT_ID } from '../../lib/api-endpoints/constants.js'
 
 /**
  * Format timestamp
@@ -81,9 +85,46 @@ export function decodeJwt (token) {
  * @param {string} clientId
  */
 export async function saveTokensToEnv (envFilePath, tokens, clientId) {
-  let existingContent = ''
-
   const resolvedPath = resolve(envFilePath)
+  const lines = await readEnvWithoutTokens(envFilePath)
+
+  // Get token expiration for comment
+  let expirationComment = ''
+  try {
+    const decoded = decodeJwt(tokens.access_token)
+    if (decoded.exp) {
+      expirationComment = `# Access token expires: ${formatTimestamp(decoded.exp)}\n`
+    }
+  } catch (err) {
+    // If we can't decode, just skip the expiration comment
+  }
+
+  const now = new Date().toISOString()
+
+  // Add new tokens (only add leading blank line if file has content)
+  if (lines.length > 0 && lines[lines.length - 1] !== '') {
+    lines.push('')
+  }
+  lines.push('# Yoto API tokens')
+  lines.push(`# Saved at: ${now}`)
+  if (expirationComment) lines.push(expirationComment.trim())
+  lines.push(`YOTO_ACCESS_TOKEN=${tokens.access_token}`)
+  lines.push(`YOTO_REFRESH_TOKEN=${tokens.refresh_token}`)
+  lines.push(`YOTO_CLIENT_ID=${clientId}`)
+  if (tokens.id_token) lines.push(`YOTO_ID_TOKEN=${tokens.id_token}`)
+
+  await writeEnvFile(envFilePath, lines)
+
+  return { resolvedPath }
+}
+
+/**
+ * Read a .env file without the Yoto token lines (including their comment lines) and trailing blank lines
+ * @param {string} envFilePath
+ * @returns {Promise<string[]>}
+ */
+async function readEnvWithoutTokens (envFilePath) {
+  let existingContent = ''
 
   // Read existing .env file if it exists
   try {
@@ -92,12 +133,12 @@ export async function saveTokensToEnv (envFilePath, tokens, clientId) {
     // File doesn't exist, that's okay
   }
 
-  // Parse existing content and remove old Yoto tokens (including comment lines)
   const lines = existingContent.split('\n').filter(line => {
     const trimmed = line.trim()
     return !trimmed.startsWith('YOTO_ACCESS_TOKEN=') &&
            !trimmed.startsWith('YOTO_REFRESH_TOKEN=') &&
            !trimmed.startsWith('YOTO_CLIENT_ID=') &&
+           !trimmed.startsWith('YOTO_ID_TOKEN=') &&
            !trimmed.startsWith('# Yoto API tokens') &&
            !trimmed.startsWith('# Saved at:') &&
            !trimmed.startsWith('# Access token expires:')
@@ -113,34 +154,90 @@ export async function saveTokensToEnv (envFilePath, tokens, clientId) {
     }
   }
 
-  // Get token expiration for comment
-  let expirationComment = ''
+  return lines
+}
+
+/**
+ * Write a .env file through a temporary file and a rename, so a crash mid-write keeps the old tokens
+ * @param {string} envFilePath
+ * @param {string[]} lines
+ */
+async function writeEnvFile (envFilePath, lines) {
+  const tempPath = join(dirname(resolve(envFilePath)), `.${randomUUID()}.tmp`)
   try {
-    const decoded = decodeJwt(tokens.access_token)
-    if (decoded.exp) {
-      expirationComment = `# Access token expires: ${formatTimestamp(decoded.exp)}\n`
-    }
+    await fs.writeFile(tempPath, lines.join('\n'), { encoding: 'utf8', mode: 0o600 })
+    await fs.rename(tempPath, envFilePath)
   } catch (err) {
-    // If we can't decode, just skip the expiration comment
+    await fs.rm(tempPath, { force: true })
+    throw err
   }
+}
 
-  const now = new Date().toISOString()
+/**
+ * Token store backed by the YOTO_* lines of a .env file, leaving the file's other lines alone.
+ * Pass it as a YotoTokenStore.
+ */
+export class EnvFileTokenStore {
+  /** @type {string} */
+  #envFilePath
+
+  /**
+   * @param {string} envFilePath
+   */
+  constructor (envFilePath) {
+    this.#envFilePath = envFilePath
+  }
 
-  // Add new tokens (only add leading blank line if file has content)
-  if (lines.length > 0 && lines[lines.length - 1] !== '') {
-    lines.push('')
+  /**
+   * @returns {string} Absolute path of the .env file
+   */
+  get path () {
+    return resolve(this.#envFilePath)
   }
-  lines.push('# Yoto API tokens')
-  lines.push(`# Saved at: ${now}`)
-  if (expirationComment) lines.push(expirationComment.trim())
-  lines.push(`YOTO_ACCESS_TOKEN=${tokens.access_token}`)
-  lines.push(`YOTO_REFRESH_TOKEN=${tokens.refresh_token}`)
-  lines.push(`YOTO_CLIENT_ID=${clientId}`)
 
-  // Write back to file
-  await fs.writeFile(envFilePath, lines.join('\n'), 'utf8')
+  /**
+   * @returns {Promise<YotoStoredTokens | undefined>}
+   */
+  async load () {
+    let content
+    try {
+      content = await fs.readFile(this.#envFilePath, 'utf8')
+    } catch (err) {
+      return undefined
+    }
 
-  return { resolvedPath }
+    const env = parseEnv(content)
+    const accessToken = env['YOTO_ACCESS_TOKEN']
+    const refreshToken = env['YOTO_REFRESH_TOKEN']
+    const idToken = env['YOTO_ID_TOKEN']
+    if (!accessToken || !refreshToken) return undefined
+    return { clientId: env['YOTO_CLIENT_ID'] || DEFAULT_CLIENT_ID, accessToken, refreshToken, ...(idToken && { idToken }) }
+  }
+
+  /**
+   * @param {YotoStoredTokens} tokens
+   */
+  async save ({ clientId, accessToken, refreshToken, idToken }) {
+    const { exp } = decodeJwt(accessToken)
+    await saveTokensToEnv(this.#envFilePath, {
+      access_token: accessToken,
+      refresh_token: refreshToken,
+      ...(idToken && { id_token: idToken }),
+      token_type: 'Bearer',
+      expires_in: exp ? exp - Math.floor(Date.now() / 1000) : 0
+    }, clientId)
+  }
+
+  async clear () {
+    // Nothing to clear, so don't create an empty file
+    try {
+      await fs.access(this.#envFilePath)
+    } catch (err) {
+      if (/** @type {NodeJS.ErrnoException} */ (err).code === 'ENOENT') return
+      throw err
+    }
+    await writeEnvFile(this.#envFilePath, await readEnvWithoutTokens(this.#envFilePath))
+  }
 }
 
 /**
@@ -8,7 +8,7 @@ import { printHelpText } from 'argsclopts'
 import { parseArgs } from 'node:util'
 import { YotoClient } from '../lib/api-client.js'
 import { pkg } from '../lib/pkg.cjs'
-import { saveTokensToEnv } from './lib/token-helpers.js'
+import { EnvFileTokenStore } from './lib/token-helpers.js'
 import {
   getCommonOptions,
   loadEnvFile,
@@ -84,20 +84,15 @@ async function main () {
 
   try {
     // Create client with token refresh handler
+    const tokenStore = new EnvFileTokenStore(outputFile)
     const client = new YotoClient({
       clientId,
       refreshToken,
       accessToken,
-      onTokenRefresh: async (tokens) => {
-        // This will be called after successful refresh
-        // Convert RefreshSuccessEvent to YotoTokenResponse format
-        const { resolvedPath } = await saveTokensToEnv(outputFile, {
-          access_token: tokens.updatedAccessToken,
-          refresh_token: tokens.updatedRefreshToken,
-          token_type: 'Bearer',
-          expires_in: tokens.updatedExpiresAt - Math.floor(Date.now() / 1000)
-        }, tokens.clientId)
-        console.log(`Token Refreshed: ${resolvedPath}`)
+      // The store saves the tokens after a successful refresh
+      tokenStore,
+      onTokenRefresh: () => {
+        console.log(`Token Refreshed: ${tokenStore.path}`)
       },
       onRefreshStart: () => {
         console.log('\n🔄 Refreshing tokens...')
@@ -9,7 +9,7 @@ import { parseArgs } from 'node:util'
 import { YotoClient } from '../index.js'
 import { pkg } from '../lib/pkg.cjs'
 import { DEFAULT_CLIENT_ID } from '../lib/api-endpoints/constants.js'
-import { decodeJwt, formatTimestamp, checkExpiration, saveTokensToEnv } from './lib/token-helpers.js'
+import { decodeJwt, formatTimestamp, checkExpiration, EnvFileTokenStore } from './lib/token-helpers.js'
 import {
   getCommonOptions,
   loadEnvFile,
@@ -33,6 +33,11 @@ const options = {
     type: 'boolean',
     short: 'i',
     help: 'Attempt to introspect token with authorization server'
+  },
+  profile: {
+    type: 'boolean',
+    short: 'p',
+    help: 'Show the signed-in user\'s profile from the userinfo endpoint'
   }
 }
 
@@ -43,7 +48,7 @@ if (args.values['help']) {
     options,
     name: 'yoto-token-info',
     version: pkg.version,
-    exampleFn: ({ name }) => `    Display information about Yoto OAuth tokens\n\n    Examples:\n      ${name}\n      ${name} --access-token eyJhbGc...\n      ${name} --env-file .env.local\n`
+    exampleFn: ({ name }) => `    Display information about Yoto OAuth tokens\n\n    Examples:\n      ${name}\n      ${name} --access-token eyJhbGc...\n      ${name} --env-file .env.local\n      ${name} --profile\n`
   })
   process.exit(0)
 }
@@ -51,12 +56,14 @@ if (args.values['help']) {
 // Load .env file if specified or use default
 const envFile = loadEnvFile(args.values['env-file'] ? String(args.values['env-file']) : undefined)
 const outputFile = envFile // Use same file for output
+const tokenStore = new EnvFileTokenStore(outputFile)
 
 // Get tokens from args or env
 const accessToken = String(args.values['access-token'] || process.env['YOTO_ACCESS_TOKEN'] || '')
 const refreshToken = String(args.values['refresh-token'] || process.env['YOTO_REFRESH_TOKEN'] || '')
 const clientId = String(args.values['client-id'] || process.env['YOTO_CLIENT_ID'] || DEFAULT_CLIENT_ID)
 const shouldIntrospect = Boolean(args.values['introspect'])
+const shouldShowProfile = Boolean(args.values['profile'])
 
 if (!accessToken || !refreshToken) {
   console.error('❌ Both access token and refresh token are required')
@@ -294,16 +301,11 @@ try {
     clientId,
     refreshToken,
     accessToken,
-    onTokenRefresh: async (tokens) => {
-      // Save tokens if they refresh during inspection
-      console.log('\n⚠️  Token was refreshed during inspection! Saving...')
-      const { resolvedPath } = await saveTokensToEnv(outputFile, {
-        access_token: tokens.updatedAccessToken,
-        refresh_token: tokens.updatedRefreshToken,
-        token_type: 'Bearer',
-        expires_in: tokens.updatedExpiresAt - Math.floor(Date.now() / 1000)
-      }, tokens.clientId)
-      console.log(`✅ Updated tokens saved to ${resolvedPath}`)
+    // Save tokens if they refresh during inspection
+    tokenStore,
+    onTokenRefresh: () => {
+      console.log('\n⚠️  Token was refreshed during inspection!')
+      console.log(`✅ Updated tokens saved to ${tokenStore.path}`)
     },
     onRefreshStart: () => {
       console.log('\n🔄 Token refresh triggered during inspection...')
@@ -338,6 +340,21 @@ try {
   console.log(`⚠️  Could not create YotoClient: ${error.message}`)
 }
 
+// Display the user profile
+if (client && shouldShowProfile) {
+  console.log('\n👤 User Profile (userinfo endpoint):')
+  try {
+    const profile = await client.getUserProfile({ source: 'userinfo' })
+    console.log(`  User ID:   ${profile.userId}`)
+    if (profile.name) console.log(`  Name:      ${profile.name}`)
+    if (profile.email) console.log(`  Email:     ${profile.email}${profile.emailVerified ? ' (verified)' : ''}`)
+    if (profile.familyId) console.log(`  Family ID: ${profile.familyId}`)
+  } catch (err) {
+    const error = /** @type {Error} */ (err)
+    console.log(`  ❌ Could not load the profile: ${error.message}`)
+  }
+}
+
 // Display access token info
 if (accessToken) {
   await displayTokenInfo('access', accessToken, clientId, shouldIntrospect)
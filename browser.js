@@ -0,0 +1,47 @@
+// Browser entry point: talk to players over MQTT with a token supplied by the page.
+// Bundlers pick this file through the package.json "browser" field and swap the Node-only
+// modules behind the #events, #proxy and #undici imports for the ones in lib/browser/.
+
+// Export the MQTT client, command builders and topic helpers
+export * from './lib/mqtt/index.js'
+
+// Export the refreshable token and an in-memory token store for pages that hold a refresh token
+export { RefreshableToken } from './lib/token.js'
+export { YotoMemoryTokenStore } from './lib/token-store.js'
+export { YotoClockSkew } from './lib/clock-skew.js'
+
+// Export the ID token decoder for showing who is signed in
+export { decodeIdToken } from './lib/user-profile.js'
+
+// Export OAuth constants
+export {
+  DEFAULT_CLIENT_ID,
+  DEFAULT_AUDIENCE,
+  DEFAULT_SCOPE,
+  DEVICE_CODE_GRANT_TYPE
+} from './lib/api-endpoints/constants.js'
+
+// Export environment helpers for targeting staging or mock servers
+export {
+  YOTO_ENVIRONMENT,
+  createYotoEnvironment
+} from './lib/environment.js'
+
+// Export the fetch transport used for token refreshes
+export { createFetchTransport } from './lib/transport.js'
+
+// Export error classes for instanceof checks
+export {
+  YotoError,
+  YotoAPIError,
+  YotoAuthError,
+  YotoNotFoundError,
+  YotoRateLimitError,
+  YotoValidationError,
+  YotoTokenInvalidError,
+  YotoTokenMalformedError,
+  YotoDeviceCodeExpiredError,
+  YotoAccessDeniedError,
+  YotoInvalidInputError,
+  YotoTimeoutError
+} from './lib/api-endpoints/helpers.js'
@@ -1,6 +1,7 @@
 export { YotoClient } from './lib/api-client.js'
 export { YotoDeviceModel } from './lib/yoto-device.js'
 export { YotoAccount } from './lib/yoto-account.js'
+export { YotoAccountRegistry } from './lib/account-registry.js'
 
 // Export OAuth constants
 export {
@@ -9,3 +10,60 @@ export {
   DEFAULT_SCOPE,
   DEVICE_CODE_GRANT_TYPE
 } from './lib/api-endpoints/constants.js'
+
+// Export the loopback login for apps that can open the user's browser
+export { loginWithLoopback, createPkcePair } from './lib/loopback-auth.js'
+
+// Export the user profile helpers for reading ID tokens
+export { decodeIdToken } from './lib/user-profile.js'
+
+// Export the device flow login for apps that show a login screen
+export { YotoDeviceLogin, createDeviceLoginScreen, renderTerminalQr } from './lib/device-login.js'
+
+// Export the server clock estimate token expiry is judged by
+export { YotoClockSkew } from './lib/clock-skew.js'
+
+// Export the card content builder for createOrUpdateContent
+export { YotoCardBuilder } from './lib/card-builder.js'
+
+// Export environment helpers for targeting staging or mock servers
+export {
+  YOTO_ENVIRONMENT,
+  createYotoEnvironment
+} from './lib/environment.js'
+
+// Export proxy helpers for the static auth calls and custom MQTT setups
+export { createProxyDispatcher, createProxyWsAgent } from './lib/proxy.js'
+
+// Export the HTTP transports for running on fetch instead of undici
+export { createFetchTransport, undiciTransport } from './lib/transport.js'
+
+// Export the rate limiter so several clients can share one budget
+export { YotoRateLimiter } from './lib/rate-limiter.js'
+
+// Export the token stores for persisting rotated tokens
+export { YotoMemoryTokenStore } from './lib/token-store.js'
+export { YotoFileTokenStore } from './lib/token-store-file.js'
+
+// Export the response cache and its stores
+export { YotoResponseCache, YotoMemoryCacheStore } from './lib/response-cache.js'
+export { YotoFileCacheStore } from './lib/response-cache-file-store.js'
+
+// Export the JSON Schemas and schema validation for checking payloads outside the client
+export { validateSchema, hasSchemaIssues, formatSchemaMismatch, getJsonSchema, getSchemaNames } from './lib/schema-validation.js'
+
+// Export error classes for instanceof checks
+export {
+  YotoError,
+  YotoAPIError,
+  YotoAuthError,
+  YotoNotFoundError,
+  YotoRateLimitError,
+  YotoValidationError,
+  YotoTokenInvalidError,
+  YotoTokenMalformedError,
+  YotoDeviceCodeExpiredError,
+  YotoAccessDeniedError,
+  YotoInvalidInputError,
+  YotoTimeoutError
+} from './lib/api-endpoints/helpers.js'
@@ -0,0 +1,108 @@
+/**
+ * @import { RequestOptions } from './api-endpoints/helpers.js'
+ */
+
+import { YotoTimeoutError } from './api-endpoints/helpers.js'
+
+// ============================================================================
+// Abort: Cancellation and timeouts for client calls
+// ============================================================================
+
+/**
+ * Cancellation options accepted by every client call
+ * @typedef {Object} YotoCallOptions
+ * @property {AbortSignal | undefined} [signal] - Aborts the call. It rejects with the signal's reason.
+ * @property {number | undefined} [timeoutMs] - Rejects the call with a YotoTimeoutError after this many milliseconds
+ */
+
+/**
+ * Run fn with a signal that fires when the caller aborts or the timeout passes.
+ * The call rejects with the abort reason (the caller's reason, or a YotoTimeoutError)
+ * as soon as that happens, even if fn ignores the signal.
+ * @template T
+ * @param {YotoCallOptions} options
+ * @param {(signal: AbortSignal | undefined) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export async function withSignal ({ signal, timeoutMs }, fn) {
+  if (!signal && timeoutMs === undefined) return await fn(undefined)
+
+  const controller = new AbortController()
+  const onAbort = () => controller.abort(signal?.reason)
+  if (signal?.aborted) onAbort()
+  signal?.addEventListener('abort', onAbort, { once: true })
+
+  const timeout = timeoutMs === undefined
+    ? null
+    : setTimeout(() => controller.abort(new YotoTimeoutError(timeoutMs)), timeoutMs)
+
+  try {
+    controller.signal.throwIfAborted()
+    return await abortable(fn(controller.signal), controller.signal)
+  } catch (err) {
+    // undici and timers reject with their own AbortError; surface the reason instead
+    if (controller.signal.aborted) throw controller.signal.reason
+    throw err
+  } finally {
+    if (timeout) clearTimeout(timeout)
+    signal?.removeEventListener('abort', onAbort)
+  }
+}
+
+/**
+ * Settle with promise, or reject as soon as signal aborts. The underlying work is
+ * not cancelled, so use this only for work that is shared or cannot be stopped.
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<T>}
+ */
+export function abortable (promise, signal) {
+  if (!signal) return promise
+  if (signal.aborted) return Promise.reject(signal.reason)
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason)
+    signal.addEventListener('abort', onAbort, { once: true })
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort))
+  })
+}
+
+/**
+ * Wait ms milliseconds, rejecting with the signal's reason if it aborts first.
+ * Stands in for node:timers/promises so callers run outside Node too.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export function sleep (ms, signal) {
+  if (signal?.aborted) return Promise.reject(signal.reason)
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(signal?.reason)
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Add a signal to undici request options, keeping any signal already set there
+ * @param {RequestOptions | undefined} requestOptions
+ * @param {AbortSignal | undefined} signal
+ * @returns {RequestOptions | undefined}
+ */
+export function withRequestSignal (requestOptions, signal) {
+  if (!signal) return requestOptions
+
+  const existing = requestOptions?.signal
+  return {
+    ...requestOptions,
+    signal: existing instanceof AbortSignal ? AbortSignal.any([existing, signal]) : signal
+  }
+}
@@ -0,0 +1,177 @@
+import test from 'node:test'
+import assert from 'node:assert'
+import { EventEmitter, once } from 'node:events'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { withSignal } from './abort.js'
+import { YotoTimeoutError } from './api-endpoints/helpers.js'
+import { YotoAccount } from './yoto-account.js'
+import { YotoRateLimiter } from './rate-limiter.js'
+import { YotoMqttClient } from './mqtt/client.js'
+import { createTestClient, YotoMockServer } from './testing/index.js'
+
+/**
+ * @import { MqttClient } from 'mqtt'
+ * @import { YotoInterceptor } from './api-endpoints/helpers.js'
+ */
+
+/** @type {YotoInterceptor} */
+const stall = { beforeRequest: () => sleep(200) }
+
+test('withSignal', async (t) => {
+  await t.test('should reject with a YotoTimeoutError once the timeout passes', async () => {
+    await assert.rejects(
+      withSignal({ timeoutMs: 10 }, () => sleep(200)),
+      (err) => err instanceof YotoTimeoutError && err.code === 'YOTO_TIMEOUT' && err.timeoutMs === 10
+    )
+  })
+
+  await t.test('should reject with the caller reason', async () => {
+    const controller = new AbortController()
+    const reason = new Error('cancelled')
+    setTimeout(() => controller.abort(reason), 10)
+    await assert.rejects(withSignal({ signal: controller.signal }, () => sleep(200)), reason)
+  })
+
+  await t.test('should not run fn when already aborted', async () => {
+    let ran = false
+    await assert.rejects(withSignal({ signal: AbortSignal.abort() }, async () => { ran = true }), { name: 'AbortError' })
+    assert.strictEqual(ran, false)
+  })
+})
+
+test('YotoClient timeouts and cancellation', async (t) => {
+  const server = new YotoMockServer()
+  await server.start()
+  t.after(() => server.stop())
+
+  await t.test('should time out a single call', async () => {
+    const client = createTestClient(server, { interceptors: [stall] })
+    await assert.rejects(client.getDevices({ timeoutMs: 20 }), YotoTimeoutError)
+  })
+
+  await t.test('should apply the client-wide default', async () => {
+    const client = createTestClient(server, { interceptors: [stall], timeoutMs: 20 })
+    await assert.rejects(client.getGroups(), YotoTimeoutError)
+    assert.ok(await client.getGroups({ timeoutMs: 1000 }))
+  })
+
+  await t.test('should abort a call with a signal', async () => {
+    const client = createTestClient(server, { interceptors: [stall] })
+    const controller = new AbortController()
+    setTimeout(() => controller.abort(), 10)
+    await assert.rejects(client.getDevices({ signal: controller.signal }), { name: 'AbortError' })
+  })
+
+  await t.test('should stop retrying once aborted', async () => {
+    const client = createTestClient(server, { retry: { maxAttempts: 3 } })
+    server.failNext({ path: '/device-v2/devices/mine', statusCode: 503, headers: { 'Retry-After': '1' } })
+
+    const before = server.requests.length
+    await assert.rejects(client.getDevices({ timeoutMs: 100 }), YotoTimeoutError)
+    assert.strictEqual(server.requests.length - before, 1)
+  })
+
+  await t.test('should give up a place in the rate limiter queue', async () => {
+    const rateLimit = new YotoRateLimiter({ maxConcurrent: 1 })
+    const client = createTestClient(server, { interceptors: [stall], rateLimit })
+
+    const running = client.getDevices()
+    await assert.rejects(client.getDevices({ timeoutMs: 20 }), YotoTimeoutError)
+    assert.strictEqual(rateLimit.metrics.queued, 0)
+    await running
+    assert.strictEqual(rateLimit.metrics.started, 1)
+  })
+})
+
+test('YotoAccount cancellation', async (t) => {
+  const server = new YotoMockServer()
+  await server.start()
+  t.after(() => server.stop())
+
+  /**
+   * An account whose device config requests stall, with a promise that
+   * resolves once the first one is in flight.
+   */
+  const createAccount = () => {
+    const requests = new EventEmitter()
+    const configRequested = once(requests, 'config')
+    const tokens = server.issueTokens({ clientId: 'mock-client' })
+    const account = new YotoAccount({
+      clientOptions: {
+        clientId: 'mock-client',
+        accessToken: tokens.access_token,
+        refreshToken: tokens.refresh_token ?? '',
+        onTokenRefresh: () => {},
+        onRefreshStart: () => {},
+        environment: server.environment,
+        interceptors: [{
+          beforeRequest: async ({ url }) => {
+            if (!url.pathname.endsWith('/config')) return
+            requests.emit('config')
+            await sleep(200)
+          }
+        }]
+      },
+      deviceOptions: {}
+    })
+    return { account, configRequested }
+  }
+
+  await t.test('should abort start() when stopped', async (t) => {
+    const mockDevice = server.addDevice()
+    t.after(() => server.devices.delete(mockDevice.device.deviceId))
+    const { account, configRequested } = createAccount()
+
+    const starting = account.start()
+    await configRequested
+    await account.stop()
+
+    await assert.rejects(starting, { name: 'AbortError' })
+    assert.strictEqual(account.running, false)
+  })
+
+  await t.test('should abort a refreshDevices() in flight when stopped', async (t) => {
+    const { account, configRequested } = createAccount()
+    await account.start()
+
+    const mockDevice = server.addDevice()
+    t.after(() => server.devices.delete(mockDevice.device.deviceId))
+    /** @type {unknown[]} */
+    const errors = []
+    account.on('error', (error) => errors.push(error))
+
+    const refreshing = account.refreshDevices()
+    await configRequested
+    await account.stop()
+
+    await assert.rejects(refreshing, { name: 'AbortError' })
+    assert.strictEqual(account.running, false)
+    assert.strictEqual(errors.length, 0)
+  })
+})
+
+test('YotoMqttClient timeouts and cancellation', async (t) => {
+  // Never connects and never acknowledges a publish
+  const createStalledClient = () => /** @type {MqttClient} */ (/** @type {unknown} */ (Object.assign(new EventEmitter(), {
+    connected: false,
+    reconnecting: false,
+    publish: () => {}
+  })))
+
+  await t.test('should time out connect', async () => {
+    const client = new YotoMqttClient(createStalledClient(), 'device-1')
+    const listeners = client.mqttClient.listenerCount('connect')
+    await assert.rejects(client.connect({ timeoutMs: 20 }), YotoTimeoutError)
+    assert.strictEqual(client.mqttClient.listenerCount('connect'), listeners)
+  })
+
+  await t.test('should time out commands with the client default', async () => {
+    const client = new YotoMqttClient(createStalledClient(), 'device-1', { timeoutMs: 20 })
+    await assert.rejects(client.setVolume(5), YotoTimeoutError)
+  })
+
+  await t.test('should abort a command with a signal', async () => {
+    const client = new YotoMqttClient(createStalledClient(), 'device-1')
+    await assert.rejects(client.requestStatus('', { signal: AbortSignal.abort() }), { name: 'AbortError' })
+  })
+})
@@ -0,0 +1,254 @@
+/**
+ * @import { YotoClientConstructorOptions } from './api-client.js'
+ * @import { OnTokenRefreshHandler, RefreshSuccessEvent } from './token.js'
+ * @import { YotoTokenStore } from './token-store.js'
+ */
+
+import { EventEmitter } from 'node:events'
+import { YotoClient } from './api-client.js'
+import { YotoTokenInvalidError } from './api-endpoints/helpers.js'
+
+// ============================================================================
+// Account Registry: Many named credentials, one client each
+// ============================================================================
+
+/**
+ * Client options shared by every account. Credentials, persistence and the refresh
+ * callbacks are per account, and bufferSeconds is set by the registry.
+ * @typedef {Omit<YotoClientConstructorOptions, 'clientId' | 'refreshToken' | 'accessToken' | 'onTokenRefresh' | 'tokenStore' | 'bufferSeconds' | 'onRefreshStart' | 'onRefreshError' | 'onInvalid'>} YotoAccountRegistryClientOptions
+ */
+
+/**
+ * @typedef {Object} YotoAccountRegistryOptions
+ * @property {YotoAccountRegistryClientOptions} [clientOptions] - Options for every account's client
+ * @property {(name: string, refreshSuccessEvent: RefreshSuccessEvent) => void | Promise<void>} [onTokenRefresh] - Persists refreshed tokens for accounts added without their own onTokenRefresh or tokenStore
+ * @property {number} [bufferSeconds=30] - Refresh buffer of the first account. Later accounts refresh a little earlier.
+ * @property {number} [staggerSeconds=5] - How much earlier each account refreshes than the one added before it
+ * @property {number} [staggerWindowSeconds=300] - Largest extra buffer. Accounts past the window wrap back to the start.
+ */
+
+/**
+ * @typedef {Object} YotoAccountCredentials
+ * @property {string} clientId - OAuth client ID
+ * @property {string} accessToken - OAuth access token (JWT)
+ * @property {string} refreshToken - OAuth refresh token
+ * @property {string} [idToken] - OpenID Connect ID token issued with the access token
+ * @property {OnTokenRefreshHandler} [onTokenRefresh] - Persists this account's refreshed tokens
+ * @property {YotoTokenStore} [tokenStore] - Persists this account's refreshed tokens
+ */
+
+/**
+ * Per-account event payload
+ * @template T
+ * @typedef {{ name: string } & T} YotoAccountRegistryEvent
+ */
+
+/**
+ * Event map for YotoAccountRegistry
+ * @typedef {{
+ *   'invalid': [YotoAccountRegistryEvent<{ error: Error }>],
+ *   'refresh:error': [YotoAccountRegistryEvent<{ error: Error }>],
+ *   'refresh:success': [YotoAccountRegistryEvent<{ event: RefreshSuccessEvent }>],
+ *   'removed': [YotoAccountRegistryEvent<{}>]
+ * }} YotoAccountRegistryEventMap
+ */
+
+/**
+ * Holds a YotoClient per named account, for services acting for many households.
+ * Each account refreshes on its own, with auto refresh timers staggered so tokens issued
+ * together are not all refreshed at once. An account whose refresh token is revoked is
+ * reported with an 'invalid' event and refuses to lend its client, while the others carry on.
+ *
+ * Events:
+ * - 'invalid' - An account's refresh token is expired or revoked. Passes { name, error }.
+ * - 'refresh:error' - An account's refresh failed with a transient error. Passes { name, error }.
+ * - 'refresh:success' - An account's tokens were refreshed. Passes { name, event }.
+ * - 'removed' - An account was removed, or logged out. Passes { name }.
+ *
+ * @example
+ * ```javascript
+ * const registry = new YotoAccountRegistry({
+ *   onTokenRefresh: (name, { updatedAccessToken, updatedRefreshToken }) => db.saveTokens(name, updatedAccessToken, updatedRefreshToken)
+ * })
+ * registry.on('invalid', ({ name }) => notifyHousehold(name))
+ *
+ * for (const household of await db.households()) registry.add(household.id, household.tokens)
+ * const { devices } = await registry.withClient('household-1', (client) => client.getDevices())
+ * ```
+ *
+ * @extends {EventEmitter<YotoAccountRegistryEventMap>}
+ */
+export class YotoAccountRegistry extends EventEmitter {
+  /** @type {Map<string, YotoClient>} */
+  #clients = new Map()
+  /** @type {Map<string, Error>} - Accounts whose refresh token is no longer valid */
+  #invalid = new Map()
+  /** @type {YotoAccountRegistryClientOptions} */
+  #clientOptions
+  /** @type {YotoAccountRegistryOptions['onTokenRefresh']} */
+  #onTokenRefresh
+  /** @type {number} */
+  #bufferSeconds
+  /** @type {number} */
+  #staggerSeconds
+  /** @type {number} */
+  #staggerWindowSeconds
+  /** @type {number} - Stagger slot of the next account added */
+  #nextSlot = 0
+
+  /**
+   * @param {YotoAccountRegistryOptions} [options]
+   */
+  constructor ({ clientOptions = {}, onTokenRefresh, bufferSeconds = 30, staggerSeconds = 5, staggerWindowSeconds = 300 } = {}) {
+    super()
+    this.#clientOptions = clientOptions
+    this.#onTokenRefresh = onTokenRefresh
+    this.#bufferSeconds = bufferSeconds
+    this.#staggerSeconds = staggerSeconds
+    this.#staggerWindowSeconds = staggerWindowSeconds
+  }
+
+  /**
+   * Number of accounts in the registry
+   * @returns {number}
+   */
+  get size () {
+    return this.#clients.size
+  }
+
+  /**
+   * Names of every account, in the order they were added
+   * @returns {string[]}
+   */
+  names () {
+    return [...this.#clients.keys()]
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean}
+   */
+  has (name) {
+    return this.#clients.has(name)
+  }
+
+  /**
+   * Whether the account's refresh token was found expired or revoked
+   * @param {string} name
+   * @returns {boolean}
+   */
+  isInvalid (name) {
+    return this.#invalid.has(name)
+  }
+
+  /**
+   * Add an account and create its client. Its auto refresh starts straight away.
+   * @param {string} name - Unique name for the account, e.g. a household ID
+   * @param {YotoAccountCredentials} credentials
+   * @returns {YotoClient}
+   * @throws {Error} If an account with this name is already registered
+   */
+  add (name, { clientId, accessToken, refreshToken, idToken, onTokenRefresh, tokenStore }) {
+    if (this.#clients.has(name)) {
+      throw new Error(`Yoto account "${name}" is already registered. Remove it before adding it again.`)
+    }
+
+    const registryOnTokenRefresh = this.#onTokenRefresh
+    const slot = this.#nextSlot++
+    const staggerSeconds = this.#staggerWindowSeconds > 0
+      ? (slot * this.#staggerSeconds) % this.#staggerWindowSeconds
+      : 0
+
+    const client = new YotoClient({
+      ...this.#clientOptions,
+      clientId,
+      accessToken,
+      refreshToken,
+      ...(idToken && { idToken }),
+      ...(tokenStore && { tokenStore }),
+      ...(onTokenRefresh
+        ? { onTokenRefresh }
+        : registryOnTokenRefresh && { onTokenRefresh: (event) => registryOnTokenRefresh(name, event) }),
+      bufferSeconds: this.#bufferSeconds + staggerSeconds,
+      onRefreshStart: () => {},
+      onRefreshError: (error) => { this.emit('refresh:error', { name, error }) },
+      onInvalid: (error) => {
+        this.#invalid.set(name, error)
+        this.emit('invalid', { name, error })
+      }
+    })
+
+    client.token.on('refresh:success', (event) => { this.emit('refresh:success', { name, event }) })
+    client.once('logout', () => { this.remove(name) })
+    this.#clients.set(name, client)
+    return client
+  }
+
+  /**
+   * Add an account from the tokens in its token store
+   * @param {string} name - Unique name for the account
+   * @param {YotoTokenStore} tokenStore - Holds the account's tokens, and receives refreshed ones
+   * @returns {Promise<YotoClient>}
+   * @throws {YotoTokenInvalidError} If the store holds no tokens
+   */
+  async addFromTokenStore (name, tokenStore) {
+    const tokens = await tokenStore.load()
+    if (!tokens) {
+      throw new YotoTokenInvalidError(`The token store for Yoto account "${name}" is empty. Sign in and save the tokens to it first.`)
+    }
+    return this.add(name, { ...tokens, tokenStore })
+  }
+
+  /**
+   * Get an account's client, whether or not its credentials are still valid
+   * @param {string} name
+   * @returns {YotoClient | undefined}
+   */
+  get (name) {
+    return this.#clients.get(name)
+  }
+
+  /**
+   * Lend an account's client to fn
+   * @template T
+   * @param {string} name
+   * @param {(client: YotoClient) => T | Promise<T>} fn
+   * @returns {Promise<T>}
+   * @throws {YotoTokenInvalidError} If the account's refresh token is expired or revoked
+   * @throws {Error} If there is no account with this name
+   */
+  async withClient (name, fn) {
+    const client = this.#clients.get(name)
+    if (!client) {
+      throw new Error(`Unknown Yoto account "${name}"`)
+    }
+    const invalidError = this.#invalid.get(name)
+    if (invalidError) {
+      throw new YotoTokenInvalidError(`Yoto account "${name}" needs to sign in again`, { cause: invalidError })
+    }
+    return await fn(client)
+  }
+
+  /**
+   * Remove an account and stop refreshing its tokens
+   * @param {string} name
+   * @returns {boolean} Whether the account was registered
+   */
+  remove (name) {
+    const client = this.#clients.get(name)
+    if (!client) return false
+
+    client.token.stopAutoRefresh()
+    this.#clients.delete(name)
+    this.#invalid.delete(name)
+    this.emit('removed', { name })
+    return true
+  }
+
+  /**
+   * Remove every account, stopping all background refreshes
+   */
+  clear () {
+    for (const name of this.names()) this.remove(name)
+  }
+}
@@ -0,0 +1,101 @@
+import test from 'node:test'
+import assert from 'node:assert'
+import { YotoAccountRegistry } from './account-registry.js'
+import { YotoTokenInvalidError } from './api-endpoints/helpers.js'
+import { YotoMemoryTokenStore } from './token-store.js'
+import { YotoMockServer } from './testing/index.js'
+
+test('YotoAccountRegistry', async (t) => {
+  const server = new YotoMockServer()
+  await server.start()
+  t.after(() => server.stop())
+
+  /** @param {{ expiresIn?: number }} [options] */
+  const issue = (options = {}) => {
+    const tokens = server.issueTokens({ clientId: 'mock-client', ...options })
+    return { clientId: 'mock-client', accessToken: tokens.access_token, refreshToken: tokens.refresh_token ?? '' }
+  }
+
+  /** @param {ConstructorParameters<typeof YotoAccountRegistry>[0]} [options] */
+  const createRegistry = (options = {}) => {
+    const registry = new YotoAccountRegistry({
+      clientOptions: { environment: server.environment },
+      onTokenRefresh: () => {},
+      ...options
+    })
+    t.after(() => registry.clear())
+    return registry
+  }
+
+  await t.test('should lend each account its own client', async () => {
+    /** @type {string[]} */
+    const refreshed = []
+    const registry = createRegistry({ onTokenRefresh: (name) => { refreshed.push(name) } })
+    registry.add('smiths', issue())
+    registry.add('joneses', issue())
+
+    assert.deepStrictEqual(registry.names(), ['smiths', 'joneses'])
+    assert.notStrictEqual(registry.get('smiths'), registry.get('joneses'))
+
+    await registry.withClient('joneses', (client) => client.token.refresh())
+    assert.deepStrictEqual(refreshed, ['joneses'])
+
+    const { devices } = await registry.withClient('smiths', (client) => client.getDevices())
+    assert.ok(Array.isArray(devices))
+    await assert.rejects(registry.withClient('nobody', () => {}), /Unknown Yoto account "nobody"/)
+    assert.throws(() => registry.add('smiths', issue()), /already registered/)
+  })
+
+  await t.test('should keep serving the other accounts when one is revoked', async () => {
+    const registry = createRegistry()
+    const revoked = issue()
+    registry.add('revoked', revoked)
+    registry.add('healthy', issue())
+    /** @type {string[]} */
+    const invalid = []
+    registry.on('invalid', ({ name, error }) => {
+      assert.ok(error instanceof YotoTokenInvalidError)
+      invalid.push(name)
+    })
+
+    server.revokeRefreshToken(revoked.refreshToken)
+    server.revokeAccessTokens()
+    await assert.rejects(registry.withClient('revoked', (client) => client.getDevices()), YotoTokenInvalidError)
+    await assert.rejects(registry.withClient('revoked', () => {}), /Yoto account "revoked" needs to sign in again/)
+
+    const { devices } = await registry.withClient('healthy', (client) => client.getDevices())
+    assert.ok(Array.isArray(devices))
+    assert.deepStrictEqual(invalid, ['revoked'])
+    assert.strictEqual(registry.isInvalid('revoked'), true)
+    assert.strictEqual(registry.isInvalid('healthy'), false)
+  })
+
+  await t.test('should stagger refresh buffers between accounts', () => {
+    const registry = createRegistry({ bufferSeconds: 30, staggerSeconds: 15, staggerWindowSeconds: 30 })
+    // Tokens 40 seconds from expiry: inside a 45 second buffer, outside a 30 second one
+    const first = registry.add('first', issue({ expiresIn: 40 }))
+    const second = registry.add('second', issue({ expiresIn: 40 }))
+    const third = registry.add('third', issue({ expiresIn: 40 }))
+    for (const client of [first, second, third]) client.token.stopAutoRefresh()
+
+    assert.strictEqual(first.token.isValid(), true)
+    assert.strictEqual(second.token.isValid(), false)
+    assert.strictEqual(third.token.isValid(), true, 'slots wrap around the stagger window')
+  })
+
+  await t.test('should add accounts from token stores and remove them on logout', async () => {
+    const registry = createRegistry()
+    const tokenStore = new YotoMemoryTokenStore(issue())
+    const client = await registry.addFromTokenStore('stored', tokenStore)
+    /** @type {string[]} */
+    const removed = []
+    registry.on('removed', ({ name }) => { removed.push(name) })
+
+    await client.logout()
+
+    assert.deepStrictEqual(removed, ['stored'])
+    assert.strictEqual(registry.has('stored'), false)
+    assert.strictEqual(tokenStore.load(), undefined)
+    await assert.rejects(registry.addFromTokenStore('empty', new YotoMemoryTokenStore()), YotoTokenInvalidError)
+  })
+})
@@ -8,10 +8,23 @@
  * @import { YotoTokenResponse, YotoDeviceCodeResponse, YotoDevicePollResult } from './api-endpoints/auth.js'
  * @import { YotoMqttClient } from './mqtt/client.js'
  * @import { YotoMqttOptions } from './mqtt/factory.js'
- * @import { RequestOptions } from './api-endpoints/helpers.js'
+ * @import { RequestOptions, YotoInterceptor } from './api-endpoints/helpers.js'
  * @import { OnTokenRefreshHandler } from './token.js'
+ * @import { YotoUserProfile } from './user-profile.js'
+ * @import { YotoEnvironment } from './environment.js'
+ * @import { YotoRetryOptions, YotoRetryPolicy } from './retry.js'
+ * @import { YotoRateLimiterOptions } from './rate-limiter.js'
+ * @import { YotoResponseCacheOptions, YotoCacheableMethod } from './response-cache.js'
+ * @import { YotoCallOptions } from './abort.js'
+ * @import { YotoProxyOption } from './proxy.js'
+ * @import { YotoSchemaMismatch } from './schema-validation.js'
+ * @import { YotoTransport } from './transport.js'
+ * @import { YotoTokenStore } from './token-store.js'
+ * @import { YotoClockSkew } from './clock-skew.js'
+ * @import { Dispatcher } from 'undici'
  */
 
+import { EventEmitter } from 'node:events'
 import { RefreshableToken } from './token.js'
 import * as Auth from './api-endpoints/auth.js'
 import * as Content from './api-endpoints/content.js'
@@ -21,26 +34,93 @@ import * as Family from './api-endpoints/family.js'
 import * as Icons from './api-endpoints/icons.js'
 import * as Media from './api-endpoints/media.js'
 import { createYotoMqttClient } from './mqtt/index.js'
+import { createYotoEnvironment } from './environment.js'
+import { createRetryPolicy, withRetry } from './retry.js'
+import { YotoRateLimiter } from './rate-limiter.js'
+import { YotoResponseCache } from './response-cache.js'
+import { withSignal, abortable, withRequestSignal } from './abort.js'
+import { createProxyDispatcher } from './proxy.js'
+import { YotoAuthError, YotoError, YotoTokenInvalidError, YotoTokenMalformedError } from './api-endpoints/helpers.js'
+import { reportSchemaMismatch, emitSchemaMismatch } from './schema-validation.js'
+import { createUserProfile, decodeIdToken } from './user-profile.js'
 
 /**
  * @typedef {Object} YotoClientConstructorOptions
  * @property {string} clientId - OAuth client ID
  * @property {string} refreshToken - OAuth refresh token
  * @property {string} accessToken - Initial OAuth access token (JWT)
- * @property {OnTokenRefreshHandler} onTokenRefresh - **REQUIRED** Callback invoked when tokens are refreshed. You MUST persist these tokens (to file, database, etc.) as the refresh can happen at any time during API calls. The refresh token may be rotated by the auth server. **DO NOT STUB THIS CALLBACK** - always implement proper persistence logic.
+ * @property {string} [idToken] - OpenID Connect ID token from the same token response. getUserProfile() reads it instead of calling the userinfo endpoint.
+ * @property {OnTokenRefreshHandler} [onTokenRefresh] - **REQUIRED unless tokenStore is set** Callback invoked when tokens are refreshed. You MUST persist these tokens (to file, database, etc.) as the refresh can happen at any time during API calls. The refresh token may be rotated by the auth server. **DO NOT STUB THIS CALLBACK** - always implement proper persistence logic.
+ * @property {YotoTokenStore} [tokenStore] - Persists refreshed tokens for you, before onTokenRefresh runs. Use a YotoFileTokenStore, a YotoMemoryTokenStore, or your own load/save/clear object. See YotoClient.fromTokenStore() to start from the saved tokens.
+ * @property {boolean} [coordinateRefresh=false] - Share the credential with other processes through tokenStore: refresh while holding the store's lock and adopt tokens a peer already refreshed. Needs a store with lock(), like YotoFileTokenStore.
  * @property {number} [bufferSeconds=30] - Seconds before expiration to consider token expired
+ * @property {YotoClockSkew} [clockSkew] - Server clock estimate that token expiry is judged by, measured from the Date headers of API and token responses. Pass one to share it between clients on the same machine. Each client gets its own by default.
  * @property {() => void | Promise<void>} [onRefreshStart] - Optional callback invoked when token refresh starts. Defaults to console.log.
  * @property {(error: Error) => void | Promise<void>} [onRefreshError] - Optional callback invoked when token refresh fails with a transient error. Defaults to console.warn.
  * @property {(error: Error) => void | Promise<void>} [onInvalid] - Optional callback invoked when refresh token is permanently invalid. Defaults to console.error.
  * @property {string} [mqttSessionId] - Stable unique client ID suffix used for MQTT connections (defaults to a random UUID per YotoClient instance)
  * @property {string} [userAgent] - Optional user agent string to identify your application
  * @property {RequestOptions} [defaultRequestOptions] - Default undici request options for all requests (dispatcher, timeouts, etc.)
+ * @property {Partial<YotoEnvironment>} [environment] - API, login and MQTT servers to use. Unset fields default to production.
+ * @property {boolean | YotoRetryOptions} [retry=false] - Retry transient failures (429, 5xx, connection resets) with exponential backoff. Pass true for the defaults or an options object. Only idempotent methods are retried unless `methods` says otherwise.
+ * @property {number} [timeoutMs] - Default timeout for every call, retries included. Calls reject with a YotoTimeoutError once it passes. Per-call timeoutMs overrides it. No timeout by default.
+ * @property {YotoRateLimiter | YotoRateLimiterOptions} [rateLimit] - Throttle API calls with a token bucket and a concurrency cap. Pass a YotoRateLimiter to share one budget between clients. Off by default.
+ * @property {YotoResponseCache | YotoResponseCacheOptions} [cache] - Cache getContent, getUserMyoContent, getGroups and getPublicIcons per user, revalidating with ETags once the TTL passes. Content and group mutations invalidate it. Off by default.
+ * @property {YotoInterceptor[]} [interceptors] - Hooks run around every HTTP request, including token refreshes. More can be added later with `use()`.
+ * @property {YotoProxyOption} [proxy] - Send REST calls, token refreshes and the MQTT websocket through an HTTP(S) proxy. `true` reads HTTP_PROXY / HTTPS_PROXY / NO_PROXY, a string is the proxy URL. A dispatcher in requestOptions takes precedence. Off by default.
+ * @property {YotoTransport} [transport] - Sends the HTTP requests, token refreshes included. Defaults to undici on Node and fetch elsewhere. Pass `createFetchTransport()` to use fetch on Node too. A transport in requestOptions takes precedence.
+ * @property {boolean} [validateResponses=false] - Check API responses, and messages on MQTT clients this client creates, against the documented typedefs. Differences are emitted as 'schemaMismatch' events (a process warning when nothing listens). Responses are returned unchanged either way.
  */
 
+/**
+ * Event map for YotoClient
+ * @typedef {{
+ *   'schemaMismatch': [YotoSchemaMismatch],
+ *   'logout': []
+ * }} YotoClientEventMap
+ */
+
+/**
+ * Typedef each method's response is validated against
+ * @type {Record<string, string>}
+ */
+const RESPONSE_SCHEMAS = {
+  getContent: 'YotoContentResponse',
+  getUserMyoContent: 'YotoMyoContentResponse',
+  createOrUpdateContent: 'YotoCreateOrUpdateContentResponse',
+  deleteContent: 'YotoDeleteContentResponse',
+  getDevices: 'YotoDevicesResponse',
+  getDeviceStatus: 'YotoDeviceStatusResponse',
+  getDeviceConfig: 'YotoDeviceConfigResponse',
+  updateDeviceConfig: 'YotoUpdateDeviceConfigResponse',
+  updateDeviceShortcuts: 'YotoUpdateShortcutsResponse',
+  sendDeviceCommand: 'YotoDeviceCommandResponse',
+  getGroups: 'YotoGroup[]',
+  createGroup: 'YotoGroup',
+  getGroup: 'YotoGroup',
+  updateGroup: 'YotoGroup',
+  deleteGroup: 'YotoDeleteGroupResponse',
+  getFamilyImages: 'YotoFamilyImagesResponse',
+  getAFamilyImage: 'YotoFamilyImageResponse',
+  uploadAFamilyImage: 'YotoUploadFamilyImageResponse',
+  getPublicIcons: 'YotoPublicIconsResponse',
+  getUserIcons: 'YotoUserIconsResponse',
+  uploadIcon: 'YotoUploadIconResponse',
+  getAudioUploadUrl: 'YotoAudioUploadUrlResponse',
+  uploadCoverImage: 'YotoUploadCoverImageResponse',
+  getUserInfo: 'YotoUserInfoResponse'
+}
+
 /**
  * Yoto API Client with automatic token refresh
+ *
+ * Events:
+ * - 'schemaMismatch' - With validateResponses on, a response or MQTT message did not match its typedef. Passes the missing, unexpected and mismatched fields.
+ * - 'logout' - logout() revoked the refresh token and cleared the token store
+ *
+ * @extends {EventEmitter<YotoClientEventMap>}
  */
-export class YotoClient {
+export class YotoClient extends EventEmitter {
   // ============================================================================
   // Authentication Static Methods
   // ============================================================================
@@ -60,6 +140,7 @@ export class YotoClient {
    * @param {number} [params.maxAge] - Maximum authentication age in seconds
    * @param {string} [params.codeChallenge] - PKCE code challenge
    * @param {'S256' | 'plain'} [params.codeChallengeMethod] - PKCE code challenge method
+   * @param {YotoEnvironment} [params.environment] - Servers to target (defaults to production)
    * @returns {string} Authorization URL
    */
   static getAuthorizeUrl (params) {
@@ -80,10 +161,41 @@ export class YotoClient {
    * @param {string} [params.codeVerifier] - PKCE code verifier
    * @param {string} [params.deviceCode] - Device code (required for device_code grant)
    * @param {string} [params.audience] - Audience for the token
+   * @param {string} [params.userAgent] - Optional user agent string
+   * @param {RequestOptions} [params.requestOptions] - Additional undici request options
+   * @param {YotoEnvironment} [params.environment] - Servers to target (defaults to production)
+   * @param {YotoInterceptor[]} [params.interceptors] - Hooks run around the HTTP request
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds
    * @returns {Promise<YotoTokenResponse>}
    */
-  static async exchangeToken (params) {
-    return await Auth.exchangeToken(params)
+  static async exchangeToken ({ signal, timeoutMs, ...params }) {
+    return await withSignal({ signal, timeoutMs }, (callSignal) => Auth.exchangeToken({
+      ...params,
+      requestOptions: withRequestSignal(params.requestOptions, callSignal)
+    }))
+  }
+
+  /**
+   * Revoke a refresh token. Use logout() to revoke the token a client is using.
+   * @see https://datatracker.ietf.org/doc/html/rfc7009
+   * @param {object} params
+   * @param {string} params.token - Refresh token to revoke
+   * @param {string} params.clientId - OAuth client ID the token was issued to
+   * @param {string} [params.clientSecret] - OAuth client secret
+   * @param {string} [params.userAgent] - Optional user agent string
+   * @param {RequestOptions} [params.requestOptions] - Additional undici request options
+   * @param {YotoEnvironment} [params.environment] - Servers to target (defaults to production)
+   * @param {YotoInterceptor[]} [params.interceptors] - Hooks run around the HTTP request
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds
+   * @returns {Promise<void>}
+   */
+  static async revokeToken ({ signal, timeoutMs, ...params }) {
+    await withSignal({ signal, timeoutMs }, (callSignal) => Auth.revokeToken({
+      ...params,
+      requestOptions: withRequestSignal(params.requestOptions, callSignal)
+    }))
   }
 
   /**
@@ -93,10 +205,19 @@ export class YotoClient {
    * @param {string} params.clientId - OAuth client ID
    * @param {string} [params.scope] - Requested scopes
    * @param {string} [params.audience] - Audience for the token
+   * @param {string} [params.userAgent] - Optional user agent string
+   * @param {RequestOptions} [params.requestOptions] - Additional undici request options
+   * @param {YotoEnvironment} [params.environment] - Servers to target (defaults to production)
+   * @param {YotoInterceptor[]} [params.interceptors] - Hooks run around the HTTP request
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds
    * @returns {Promise<YotoDeviceCodeResponse>}
    */
-  static async requestDeviceCode (params) {
-    return await Auth.requestDeviceCode(params)
+  static async requestDeviceCode ({ signal, timeoutMs, ...params }) {
+    return await withSignal({ signal, timeoutMs }, (callSignal) => Auth.requestDeviceCode({
+      ...params,
+      requestOptions: withRequestSignal(params.requestOptions, callSignal)
+    }))
   }
 
   /**
@@ -119,11 +240,20 @@ export class YotoClient {
    * @param {number} [params.currentInterval=5000] - Current polling interval in milliseconds
    * @param {string} [params.userAgent] - Optional user agent string
    * @param {RequestOptions} [params.requestOptions] - Additional undici request options
+   * @param {YotoEnvironment} [params.environment] - Servers to target (defaults to production)
+   * @param {YotoInterceptor[]} [params.interceptors] - Hooks run around the HTTP request
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds
    * @returns {Promise<YotoDevicePollResult>} Poll result with status and data
-   * @throws {YotoAPIError} For unrecoverable errors (expired_token, access_denied, invalid_grant, etc)
+   * @throws {YotoDeviceCodeExpiredError} If the server reports the device code expired (expired_token)
+   * @throws {YotoAccessDeniedError} If the user denied the authorization (access_denied)
+   * @throws {YotoAPIError} For other unrecoverable errors (invalid_grant, etc)
    */
-  static async pollForDeviceToken (params) {
-    return await Auth.pollForDeviceToken(params)
+  static async pollForDeviceToken ({ signal, timeoutMs, ...params }) {
+    return await withSignal({ signal, timeoutMs }, (callSignal) => Auth.pollForDeviceToken({
+      ...params,
+      requestOptions: withRequestSignal(params.requestOptions, callSignal)
+    }))
   }
 
   /**
@@ -144,12 +274,42 @@ export class YotoClient {
    * @param {string} [params.userAgent] - Optional user agent string
    * @param {RequestOptions} [params.requestOptions] - Additional undici request options
    * @param {(result: YotoDevicePollResult) => void} [params.onPoll] - Optional callback invoked after each poll attempt
+   * @param {YotoEnvironment} [params.environment] - Servers to target (defaults to production)
+   * @param {YotoInterceptor[]} [params.interceptors] - Hooks run around the HTTP request
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds
    * @returns {Promise<YotoTokenResponse>} Token response on successful authorization
-   * @throws {YotoAPIError} For unrecoverable errors (expired_token, access_denied, invalid_grant, etc)
-   * @throws {Error} If device code expires (timeout)
+   * @throws {YotoDeviceCodeExpiredError} If expiresIn passes or the server reports the code expired
+   * @throws {YotoAccessDeniedError} If the user denied the authorization
+   * @throws {YotoAPIError} For other unrecoverable errors (invalid_grant, etc)
    */
-  static async waitForDeviceAuthorization (params) {
-    return await Auth.waitForDeviceAuthorization(params)
+  static async waitForDeviceAuthorization ({ signal, timeoutMs, ...params }) {
+    return await withSignal({ signal, timeoutMs }, (callSignal) => Auth.waitForDeviceAuthorization({
+      ...params,
+      ...(callSignal && { signal: callSignal })
+    }))
+  }
+
+  /**
+   * Create a client from the tokens in a token store. Refreshed tokens are saved back to it.
+   *
+   * @example
+   * ```javascript
+   * const client = await YotoClient.fromTokenStore({
+   *   tokenStore: new YotoFileTokenStore({ path: './yoto-tokens.json' })
+   * })
+   * ```
+   *
+   * @param {Omit<YotoClientConstructorOptions, 'clientId' | 'refreshToken' | 'accessToken' | 'tokenStore'> & { tokenStore: YotoTokenStore }} options
+   * @returns {Promise<YotoClient>}
+   * @throws {YotoTokenInvalidError} If the store holds no tokens
+   */
+  static async fromTokenStore (options) {
+    const tokens = await options.tokenStore.load()
+    if (!tokens) {
+      throw new YotoTokenInvalidError('The token store is empty. Sign in and save the tokens to it first.')
+    }
+    return new YotoClient({ ...options, ...tokens })
   }
 
   // ============================================================================
@@ -164,6 +324,36 @@ export class YotoClient {
   /** @type {RequestOptions | undefined} */
   #defaultRequestOptions
 
+  /** @type {YotoEnvironment} */
+  #environment
+
+  /** @type {YotoRetryPolicy | null} */
+  #retryPolicy
+
+  /** @type {YotoInterceptor[]} */
+  #interceptors
+
+  /** @type {YotoRateLimiter | null} */
+  #rateLimiter
+
+  /** @type {number | undefined} */
+  #timeoutMs
+
+  /** @type {YotoProxyOption | undefined} */
+  #proxy
+
+  /** @type {Dispatcher | null} */
+  #proxyDispatcher
+
+  /** @type {YotoTransport | undefined} */
+  #transport
+
+  /** @type {YotoResponseCache | null} */
+  #cache
+
+  /** @type {boolean} */
+  #validateResponses
+
   /**
    * Create a new Yoto API client
    * @param {YotoClientConstructorOptions} options
@@ -172,28 +362,71 @@ export class YotoClient {
     clientId,
     refreshToken,
     accessToken,
+    idToken,
     onTokenRefresh,
+    tokenStore,
+    coordinateRefresh,
     bufferSeconds,
+    clockSkew,
     onRefreshStart,
     onRefreshError,
     onInvalid,
     userAgent,
-    defaultRequestOptions
+    defaultRequestOptions,
+    environment,
+    retry = false,
+    timeoutMs,
+    rateLimit,
+    cache,
+    interceptors = [],
+    proxy,
+    transport,
+    validateResponses = false
   }) {
-    if (!onTokenRefresh) {
-      throw new Error('onTokenRefresh callback is required. You must persist refreshed tokens as they can be updated at any time.')
+    super()
+
+    if (!onTokenRefresh && !tokenStore) {
+      throw new Error('onTokenRefresh callback or tokenStore is required. You must persist refreshed tokens as they can be updated at any time.')
     }
 
+    this.#environment = createYotoEnvironment(environment)
+    this.#proxy = proxy
+    this.#proxyDispatcher = proxy ? createProxyDispatcher(proxy) : null
+    this.#transport = transport
+    // Shared with the token so interceptors added through use() also see refreshes
+    this.#interceptors = [...interceptors]
+
     this.#token = new RefreshableToken({
       clientId,
       refreshToken,
       accessToken,
+      ...(idToken && { idToken }),
       ...(bufferSeconds !== undefined && { bufferSeconds }),
-      onTokenRefresh
+      ...(clockSkew && { clockSkew }),
+      ...(onTokenRefresh && { onTokenRefresh }),
+      ...(tokenStore && { tokenStore }),
+      ...(coordinateRefresh && { coordinateRefresh }),
+      environment: this.#environment,
+      interceptors: this.#interceptors,
+      ...((this.#proxyDispatcher || transport) && {
+        requestOptions: {
+          ...(this.#proxyDispatcher && { dispatcher: this.#proxyDispatcher }),
+          ...(transport && { transport })
+        }
+      })
     })
 
     this.#userAgent = userAgent
     this.#defaultRequestOptions = defaultRequestOptions
+    this.#retryPolicy = retry ? createRetryPolicy(retry === true ? {} : retry) : null
+    this.#timeoutMs = timeoutMs
+    this.#rateLimiter = rateLimit
+      ? (rateLimit instanceof YotoRateLimiter ? rateLimit : new YotoRateLimiter(rateLimit))
+      : null
+    this.#cache = cache
+      ? (cache instanceof YotoResponseCache ? cache : new YotoResponseCache(cache))
+      : null
+    this.#validateResponses = validateResponses
 
     this.#token.on('refresh:start', onRefreshStart || (() => {
       console.log('Token refresh started')
@@ -216,6 +449,184 @@ export class YotoClient {
     return this.#token
   }
 
+  /**
+   * Get the environment (API, login and MQTT servers) this client targets
+   * @returns {YotoEnvironment}
+   */
+  get environment () {
+    return this.#environment
+  }
+
+  /**
+   * Get the rate limiter API calls are scheduled through, if one is configured
+   * @returns {YotoRateLimiter | null}
+   */
+  get rateLimiter () {
+    return this.#rateLimiter
+  }
+
+  /**
+   * Get the response cache, if one is configured
+   * @returns {YotoResponseCache | null}
+   */
+  get cache () {
+    return this.#cache
+  }
+
+  /**
+   * Add an interceptor to the end of the chain. It applies to every request made after this call.
+   * @param {YotoInterceptor} interceptor
+   * @returns {() => void} Removes the interceptor again
+   */
+  use (interceptor) {
+    this.#interceptors.push(interceptor)
+    return () => {
+      const index = this.#interceptors.indexOf(interceptor)
+      if (index !== -1) this.#interceptors.splice(index, 1)
+    }
+  }
+
+  /**
+   * Log out: revoke the refresh token, stop auto refresh and clear the token store, then emit 'logout'.
+   * Every later call fails with YotoTokenInvalidError. Create a new client after logging in again.
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the revoke request
+   * @param {number} [options.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds
+   * @returns {Promise<void>}
+   * @throws {YotoAPIError} If the server refuses to revoke. The client stays logged in so logout() can be retried.
+   */
+  async logout ({ signal, timeoutMs = this.#timeoutMs } = {}) {
+    await withSignal({ signal, timeoutMs }, (callSignal) => this.#token.revoke({ signal: callSignal }))
+    this.emit('logout')
+  }
+
+  /**
+   * Request options for one call: the per-call options or the client defaults, sent with the
+   * client's transport and through the proxy unless they bring their own, plus the call's signal
+   * @param {RequestOptions | undefined} requestOptions
+   * @param {AbortSignal | undefined} signal
+   * @returns {RequestOptions | undefined}
+   */
+  #requestOptionsFor (requestOptions, signal) {
+    const options = requestOptions || this.#defaultRequestOptions
+    const proxied = this.#proxyDispatcher && !options?.dispatcher
+      ? { ...options, dispatcher: this.#proxyDispatcher }
+      : options
+    const transported = this.#transport && !proxied?.transport
+      ? { ...proxied, transport: this.#transport }
+      : proxied
+    return withRequestSignal(transported, signal)
+  }
+
+  /**
+   * Run one API call with a current access token, retrying per the retry policy.
+   * A 401 forces one token refresh (shared with concurrent callers) and replays the call.
+   * Each HTTP request waits for the rate limiter; token refreshes and backoff waits do not hold a slot.
+   * The signal and timeout cover the whole call, retries included.
+   * With validateResponses on, the result is checked against the operation's typedef.
+   * @template T
+   * @param {string} method - HTTP method the call uses, to decide whether it may be retried
+   * @param {YotoCallOptions & { operation: string }} callOptions - operation names the client method, for validation
+   * @param {(accessToken: string, signal: AbortSignal | undefined) => Promise<T>} fn - Performs the call
+   * @returns {Promise<T>}
+   */
+  async #request (method, { signal, timeoutMs = this.#timeoutMs, operation }, fn) {
+    const result = await withSignal({ signal, timeoutMs }, async (callSignal) => {
+      const limiter = this.#rateLimiter
+      /** @param {string} accessToken */
+      const send = (accessToken) => limiter
+        ? limiter.schedule(() => fn(accessToken, callSignal), { signal: callSignal })
+        : fn(accessToken, callSignal)
+
+      // Refreshes are shared between callers, so stop waiting rather than cancelling them
+      const attempt = async () => {
+        const accessToken = await abortable(this.#token.getAccessToken(), callSignal)
+        try {
+          return await send(accessToken)
+        } catch (err) {
+          if (!(err instanceof YotoAuthError) || err.statusCode !== 401) throw err
+          return await send(await abortable(this.#token.refreshRejectedToken(accessToken), callSignal))
+        }
+      }
+
+      if (!this.#retryPolicy) return await attempt()
+      return await withRetry(this.#retryPolicy, method, attempt, callSignal)
+    })
+
+    const schema = RESPONSE_SCHEMAS[operation]
+    if (this.#validateResponses && schema) {
+      reportSchemaMismatch(this, { source: 'http', schema, operation }, result)
+    }
+    return result
+  }
+
+  /**
+   * Interceptors for a read that the response cache may answer
+   * @param {YotoCacheableMethod} method
+   * @returns {YotoInterceptor[]}
+   */
+  #cachedInterceptors (method) {
+    if (!this.#cache) return this.#apiInterceptors()
+    // Inside the user interceptors, so they still see cache hits
+    return [...this.#interceptors, this.#cache.interceptorFor(method), this.#token.clockSkew.interceptor]
+  }
+
+  /**
+   * Interceptors for an API call. The clock skew estimate measures the response last,
+   * so it never sees one an interceptor replayed or served from a cache.
+   * @returns {YotoInterceptor[]}
+   */
+  #apiInterceptors () {
+    return [...this.#interceptors, this.#token.clockSkew.interceptor]
+  }
+
+  /**
+   * Drop cached reads a successful mutation made stale
+   * @param {string} pathPrefix
+   */
+  async #invalidateCache (pathPrefix) {
+    await this.#cache?.invalidate(pathPrefix)
+  }
+
+  // ============================================================================
+  // User Profile
+  // ============================================================================
+
+  /**
+   * Get the signed-in user's profile. With source 'auto', an unexpired ID token is decoded
+   * without a request, and otherwise, or if it is malformed, the userinfo endpoint is called.
+   * @param {object} [params]
+   * @param {'auto' | 'idToken' | 'userinfo'} [params.source='auto'] - Where to read the claims from
+   * @param {RequestOptions} [params.requestOptions] - Request options that override defaults
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds (defaults to the client's timeoutMs)
+   * @returns {Promise<YotoUserProfile>}
+   * @throws {YotoError} If source is 'idToken' and the client has no ID token
+   * @throws {YotoTokenMalformedError} If source is 'idToken' and the ID token is malformed, or the userinfo claims have no subject
+   */
+  async getUserProfile ({ source = 'auto', requestOptions, signal, timeoutMs } = {}) {
+    const idToken = this.#token.idToken
+    if (source === 'idToken') {
+      if (!idToken) throw new YotoError('The client has no ID token. Pass idToken when creating it, or read the profile from the userinfo endpoint.')
+      return decodeIdToken(idToken)
+    }
+    if (source === 'auto' && idToken) {
+      /** @type {YotoUserProfile | null} */
+      let profile = null
+      try {
+        profile = decodeIdToken(idToken)
+      } catch (err) {
+        // The userinfo endpoint has the same claims
+        if (!(err instanceof YotoTokenMalformedError)) throw err
+      }
+      const exp = profile?.claims['exp']
+      if (profile && (typeof exp !== 'number' || exp > this.#token.clockSkew.now() / 1000)) return profile
+    }
+
+    const claims = await this.#request('GET', { signal, timeoutMs, operation: 'getUserInfo' }, (accessToken, callSignal) => Auth.getUserInfo({ accessToken, userAgent: this.#userAgent, requestOptions: this.#requestOptionsFor(requestOptions, callSignal), environment: this.#environment, interceptors: this.#apiInterceptors() }))
+    return createUserProfile(claims, 'userinfo')
+  }
+
   // ============================================================================
   // Content API
   // ============================================================================
@@ -229,19 +640,22 @@ export class YotoClient {
    * @param {'full' | 'pre'} [params.signingType] - Type of URL signing
    * @param {boolean} [params.playable] - Whether to include playback URLs
    * @param {RequestOptions} [params.requestOptions] - Request options that override defaults
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds (defaults to the client's timeoutMs)
    * @returns {Promise<YotoContentResponse>}
    */
-  async getContent ({ cardId, timezone, signingType, playable, requestOptions }) {
-    const accessToken = await this.#token.getAccessToken()
-    return await Content.getContent({
+  async getContent ({ cardId, timezone, signingType, playable, requestOptions, signal, timeoutMs }) {
+    return await this.#request('GET', { signal, timeoutMs, operation: 'getContent' }, (accessToken, callSignal) => Content.getContent({
       accessToken,
       userAgent: this.#userAgent,
-      requestOptions: requestOptions || this.#defaultRequestOptions,
+      requestOptions: this.#requestOptionsFor(requestOptions, callSignal),
+      environment: this.#environment,
+      interceptors: this.#cachedInterceptors('getContent'),
       cardId,
       timezone,
       signingType,
       playable
-    })
+    }))
   }
 
   /**
@@ -250,16 +664,19 @@ export class YotoClient {
    * @param {object} [params]
    * @param {boolean} [params.showDeleted=false] - Include deleted content
    * @param {RequestOptions} [params.requestOptions] - Request options that override defaults
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds (defaults to the client's timeoutMs)
    * @returns {Promise<YotoMyoContentResponse>}
    */
-  async getUserMyoContent ({ showDeleted = false, requestOptions } = {}) {
-    const accessToken = await this.#token.getAccessToken()
-    return await Content.getUserMyoContent({
+  async getUserMyoContent ({ showDeleted = false, requestOptions, signal, timeoutMs } = {}) {
+    return await this.#request('GET', { signal, timeoutMs, operation: 'getUserMyoContent' }, (accessToken, callSignal) => Content.getUserMyoContent({
       accessToken,
       userAgent: this.#userAgent,
-      requestOptions: requestOptions || this.#defaultRequestOptions,
+      requestOptions: this.#requestOptionsFor(requestOptions, callSignal),
+      environment: this.#environment,
+      interceptors: this.#cachedInterceptors('getUserMyoContent'),
       showDeleted
-    })
+    }))
   }
 
   /**
@@ -268,16 +685,21 @@ export class YotoClient {
    * @param {object} params
    * @param {YotoCreateOrUpdateContentRequest} params.content - Content data to create/update
    * @param {RequestOptions} [params.requestOptions] - Request options that override defaults
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds (defaults to the client's timeoutMs)
    * @returns {Promise<YotoCreateOrUpdateContentResponse>}
    */
-  async createOrUpdateContent ({ content, requestOptions }) {
-    const accessToken = await this.#token.getAccessToken()
-    return await Content.createOrUpdateContent({
+  async createOrUpdateContent ({ content, requestOptions, signal, timeoutMs }) {
+    const result = await this.#request('POST', { signal, timeoutMs, operation: 'createOrUpdateContent' }, (accessToken, callSignal) => Content.createOrUpdateContent({
       accessToken,
       userAgent: this.#userAgent,
-      requestOptions: requestOptions || this.#defaultRequestOptions,
+      requestOptions: this.#requestOptionsFor(requestOptions, callSignal),
+      environment: this.#environment,
+      interceptors: this.#apiInterceptors(),
       content
-    })
+    }))
+    await this.#invalidateCache('/content')
+    return result
   }
 
   /**
@@ -286,16 +708,21 @@ export class YotoClient {
    * @param {object} params
    * @param {string} params.cardId - The card/content ID to delete
    * @param {RequestOptions} [params.requestOptions] - Request options that override defaults
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds (defaults to the client's timeoutMs)
    * @returns {Promise<YotoDeleteContentResponse>}
    */
-  async deleteContent ({ cardId, requestOptions }) {
-    const accessToken = await this.#token.getAccessToken()
-    return await Content.deleteContent({
+  async deleteContent ({ cardId, requestOptions, signal, timeoutMs }) {
+    const result = await this.#request('DELETE', { signal, timeoutMs, operation: 'deleteContent' }, (accessToken, callSignal) => Content.deleteContent({
       accessToken,
       userAgent: this.#userAgent,
-      requestOptions: requestOptions || this.#defaultRequestOptions,
+      requestOptions: this.#requestOptionsFor(requestOptions, callSignal),
+      environment: this.#environment,
+      interceptors: this.#apiInterceptors(),
       cardId
-    })
+    }))
+    await this.#invalidateCache('/content')
+    return result
   }
 
   // ============================================================================
@@ -307,11 +734,12 @@ export class YotoClient {
    * @see https://yoto.dev/api/getdevices/
    * @param {object} [params]
    * @param {RequestOptions} [params.requestOptions] - Request options that override defaults
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds (defaults to the client's timeoutMs)
    * @returns {Promise<YotoDevicesResponse>}
    */
-  async getDevices ({ requestOptions } = {}) {
-    const accessToken = await this.#token.getAccessToken()
-    return await Devices.getDevices({ accessToken, userAgent: this.#userAgent, requestOptions: requestOptions || this.#defaultRequestOptions })
+  async getDevices ({ requestOptions, signal, timeoutMs } = {}) {
+    return await this.#request('GET', { signal, timeoutMs, operation: 'getDevices' }, (accessToken, callSignal) => Devices.getDevices({ accessToken, userAgent: this.#userAgent, requestOptions: this.#requestOptionsFor(requestOptions, callSignal), environment: this.#environment, interceptors: this.#apiInterceptors() }))
   }
 
   /**
@@ -320,16 +748,19 @@ export class YotoClient {
    * @param {object} params
    * @param {string} params.deviceId - Device ID
    * @param {RequestOptions} [params.requestOptions] - Request options that override defaults
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds (defaults to the client's timeoutMs)
    * @returns {Promise<YotoDeviceStatusResponse>}
    */
-  async getDeviceStatus ({ deviceId, requestOptions }) {
-    const accessToken = await this.#token.getAccessToken()
-    return await Devices.getDeviceStatus({
+  async getDeviceStatus ({ deviceId, requestOptions, signal, timeoutMs }) {
+    return await this.#request('GET', { signal, timeoutMs, operation: 'getDeviceStatus' }, (accessToken, callSignal) => Devices.getDeviceStatus({
       accessToken,
       userAgent: this.#userAgent,
-      requestOptions: requestOptions || this.#defaultRequestOptions,
+      requestOptions: this.#requestOptionsFor(requestOptions, callSignal),
+      environment: this.#environment,
+      interceptors: this.#apiInterceptors(),
       deviceId
-    })
+    }))
   }
 
   /**
@@ -338,16 +769,19 @@ export class YotoClient {
    * @param {object} params
    * @param {string} params.deviceId - Device ID
    * @param {RequestOptions} [params.requestOptions] - Request options that override defaults
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds (defaults to the client's timeoutMs)
    * @returns {Promise<YotoDeviceConfigResponse>}
    */
-  async getDeviceConfig ({ deviceId, requestOptions }) {
-    const accessToken = await this.#token.getAccessToken()
-    return await Devices.getDeviceConfig({
+  async getDeviceConfig ({ deviceId, requestOptions, signal, timeoutMs }) {
+    return await this.#request('GET', { signal, timeoutMs, operation: 'getDeviceConfig' }, (accessToken, callSignal) => Devices.getDeviceConfig({
       accessToken,
       userAgent: this.#userAgent,
-      requestOptions: requestOptions || this.#defaultRequestOptions,
+      requestOptions: this.#requestOptionsFor(requestOptions, callSignal),
+      environment: this.#environment,
+      interceptors: this.#apiInterceptors(),
       deviceId
-    })
+    }))
   }
 
   /**
@@ -357,17 +791,20 @@ export class YotoClient {
    * @param {string} params.deviceId - Device ID
    * @param {YotoUpdateDeviceConfigRequest} params.configUpdate - Config updates
    * @param {RequestOptions} [params.requestOptions] - Request options that override defaults
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds (defaults to the client's timeoutMs)
    * @returns {Promise<YotoUpdateDeviceConfigResponse>}
    */
-  async updateDeviceConfig ({ deviceId, configUpdate, requestOptions }) {
-    const accessToken = await this.#token.getAccessToken()
-    return await Devices.updateDeviceConfig({
+  async updateDeviceConfig ({ deviceId, configUpdate, requestOptions, signal, timeoutMs }) {
+    return await this.#request('PUT', { signal, timeoutMs, operation: 'updateDeviceConfig' }, (accessToken, callSignal) => Devices.updateDeviceConfig({
       accessToken,
       userAgent: this.#userAgent,
-      requestOptions: requestOptions || this.#defaultRequestOptions,
+      requestOptions: this.#requestOptionsFor(requestOptions, callSignal),
+      environment: this.#environment,
+      interceptors: this.#apiInterceptors(),
       deviceId,
       configUpdate
-    })
+    }))
   }
 
   /**
@@ -377,17 +814,20 @@ export class YotoClient {
    * @param {string} params.deviceId - Device ID
    * @param {YotoUpdateShortcutsRequest} params.shortcutsUpdate - Shortcuts config
    * @param {RequestOptions} [params.requestOptions] - Request options that override defaults
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds (defaults to the client's timeoutMs)
    * @returns {Promise<YotoUpdateShortcutsResponse>}
    */
-  async updateDeviceShortcuts ({ deviceId, shortcutsUpdate, requestOptions }) {
-    const accessToken = await this.#token.getAccessToken()
-    return await Devices.updateDeviceShortcuts({
+  async updateDeviceShortcuts ({ deviceId, shortcutsUpdate, requestOptions, signal, timeoutMs }) {
+    return await this.#request('PUT', { signal, timeoutMs, operation: 'updateDeviceShortcuts' }, (accessToken, callSignal) => Devices.updateDeviceShortcuts({
       accessToken,
       userAgent: this.#userAgent,
-      requestOptions: requestOptions || this.#defaultRequestOptions,
+      requestOptions: this.#requestOptionsFor(requestOptions, callSignal),
+      environment: this.#environment,
+      interceptors: this.#apiInterceptors(),
       deviceId,
       shortcutsUpdate
-    })
+    }))
   }
 
   /**
@@ -398,17 +838,20 @@ export class YotoClient {
    * @param {string} params.deviceId - Device ID
    * @param {YotoDeviceCommand} params.command - Command to send
    * @param {RequestOptions} [params.requestOptions] - Request options that override defaults
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds (defaults to the client's timeoutMs)
    * @returns {Promise<YotoDeviceCommandResponse>}
    */
-  async sendDeviceCommand ({ deviceId, command, requestOptions }) {
-    const accessToken = await this.#token.getAccessToken()
-    return await Devices.sendDeviceCommand({
+  async sendDeviceCommand ({ deviceId, command, requestOptions, signal, timeoutMs }) {
+    return await this.#request('POST', { signal, timeoutMs, operation: 'sendDeviceCommand' }, (accessToken, callSignal) => Devices.sendDeviceCommand({
       accessToken,
       userAgent: this.#userAgent,
-      requestOptions: requestOptions || this.#defaultRequestOptions,
+      requestOptions: this.#requestOptionsFor(requestOptions, callSignal),
+      environment: this.#environment,
+      interceptors: this.#apiInterceptors(),
       deviceId,
       command
-    })
+    }))
   }
 
   // ============================================================================
@@ -420,11 +863,12 @@ export class YotoClient {
    * @see https://yoto.dev/api/getgroups/
    * @param {object} [params]
    * @param {RequestOptions} [params.requestOptions] - Request options that override defaults
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds (defaults to the client's timeoutMs)
    * @returns {Promise<YotoGroup[]>}
    */
-  async getGroups ({ requestOptions } = {}) {
-    const accessToken = await this.#token.getAccessToken()
-    return await FamilyLibraryGroups.getGroups({ accessToken, userAgent: this.#userAgent, requestOptions: requestOptions || this.#defaultRequestOptions })
+  async getGroups ({ requestOptions, signal, timeoutMs } = {}) {
+    return await this.#request('GET', { signal, timeoutMs, operation: 'getGroups' }, (accessToken, callSignal) => FamilyLibraryGroups.getGroups({ accessToken, userAgent: this.#userAgent, requestOptions: this.#requestOptionsFor(requestOptions, callSignal), environment: this.#environment, interceptors: this.#cachedInterceptors('getGroups') }))
   }
 
   /**
@@ -433,16 +877,21 @@ export class YotoClient {
    * @param {object} params
    * @param {YotoCreateGroupRequest} params.group - Group data
    * @param {RequestOptions} [params.requestOptions] - Request options that override defaults
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds (defaults to the client's timeoutMs)
    * @returns {Promise<YotoGroup>}
    */
-  async createGroup ({ group, requestOptions }) {
-    const accessToken = await this.#token.getAccessToken()
-    return await FamilyLibraryGroups.createGroup({
+  async createGroup ({ group, requestOptions, signal, timeoutMs }) {
+    const result = await this.#request('POST', { signal, timeoutMs, operation: 'createGroup' }, (accessToken, callSignal) => FamilyLibraryGroups.createGroup({
       accessToken,
       userAgent: this.#userAgent,
-      requestOptions: requestOptions || this.#defaultRequestOptions,
+      requestOptions: this.#requestOptionsFor(requestOptions, callSignal),
+      environment: this.#environment,
+      interceptors: this.#apiInterceptors(),
       group
-    })
+    }))
+    await this.#invalidateCache('/card/family/library/groups')
+    return result
   }
 
   /**
@@ -451,16 +900,19 @@ export class YotoClient {
    * @param {object} params
    * @param {string} params.groupId - Group ID
    * @param {RequestOptions} [params.requestOptions] - Request options that override defaults
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds (defaults to the client's timeoutMs)
    * @returns {Promise<YotoGroup>}
    */
-  async getGroup ({ groupId, requestOptions }) {
-    const accessToken = await this.#token.getAccessToken()
-    return await FamilyLibraryGroups.getGroup({
+  async getGroup ({ groupId, requestOptions, signal, timeoutMs }) {
+    return await this.#request('GET', { signal, timeoutMs, operation: 'getGroup' }, (accessToken, callSignal) => FamilyLibraryGroups.getGroup({
       accessToken,
       userAgent: this.#userAgent,
-      requestOptions: requestOptions || this.#defaultRequestOptions,
+      requestOptions: this.#requestOptionsFor(requestOptions, callSignal),
+      environment: this.#environment,
+      interceptors: this.#apiInterceptors(),
       groupId
-    })
+    }))
   }
 
   /**
@@ -470,17 +922,22 @@ export class YotoClient {
    * @param {string} params.groupId - Group ID
    * @param {YotoUpdateGroupRequest} params.group - Updated group data
    * @param {RequestOptions} [params.requestOptions] - Request options that override defaults
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds (defaults to the client's timeoutMs)
    * @returns {Promise<YotoGroup>}
    */
-  async updateGroup ({ groupId, group, requestOptions }) {
-    const accessToken = await this.#token.getAccessToken()
-    return await FamilyLibraryGroups.updateGroup({
+  async updateGroup ({ groupId, group, requestOptions, signal, timeoutMs }) {
+    const result = await this.#request('PUT', { signal, timeoutMs, operation: 'updateGroup' }, (accessToken, callSignal) => FamilyLibraryGroups.updateGroup({
       accessToken,
       userAgent: this.#userAgent,
-      requestOptions: requestOptions || this.#defaultRequestOptions,
+      requestOptions: this.#requestOptionsFor(requestOptions, callSignal),
+      environment: this.#environment,
+      interceptors: this.#apiInterceptors(),
       groupId,
       group
-    })
+    }))
+    await this.#invalidateCache('/card/family/library/groups')
+    return result
   }
 
   /**
@@ -489,16 +946,21 @@ export class YotoClient {
    * @param {object} params
    * @param {string} params.groupId - Group ID
    * @param {RequestOptions} [params.requestOptions] - Request options that override defaults
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds (defaults to the client's timeoutMs)
    * @returns {Promise<YotoDeleteGroupResponse>}
    */
-  async deleteGroup ({ groupId, requestOptions }) {
-    const accessToken = await this.#token.getAccessToken()
-    return await FamilyLibraryGroups.deleteGroup({
+  async deleteGroup ({ groupId, requestOptions, signal, timeoutMs }) {
+    const result = await this.#request('DELETE', { signal, timeoutMs, operation: 'deleteGroup' }, (accessToken, callSignal) => FamilyLibraryGroups.deleteGroup({
       accessToken,
       userAgent: this.#userAgent,
-      requestOptions: requestOptions || this.#defaultRequestOptions,
+      requestOptions: this.#requestOptionsFor(requestOptions, callSignal),
+      environment: this.#environment,
+      interceptors: this.#apiInterceptors(),
       groupId
-    })
+    }))
+    await this.#invalidateCache('/card/family/library/groups')
+    return result
   }
 
   // ============================================================================
@@ -510,11 +972,12 @@ export class YotoClient {
    * @see https://yoto.dev/api/getfamilyimages/
    * @param {object} [params]
    * @param {RequestOptions} [params.requestOptions] - Request options that override defaults
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds (defaults to the client's timeoutMs)
    * @returns {Promise<YotoFamilyImagesResponse>}
    */
-  async getFamilyImages ({ requestOptions } = {}) {
-    const accessToken = await this.#token.getAccessToken()
-    return await Family.getFamilyImages({ accessToken, userAgent: this.#userAgent, requestOptions: requestOptions || this.#defaultRequestOptions })
+  async getFamilyImages ({ requestOptions, signal, timeoutMs } = {}) {
+    return await this.#request('GET', { signal, timeoutMs, operation: 'getFamilyImages' }, (accessToken, callSignal) => Family.getFamilyImages({ accessToken, userAgent: this.#userAgent, requestOptions: this.#requestOptionsFor(requestOptions, callSignal), environment: this.#environment, interceptors: this.#apiInterceptors() }))
   }
 
   /**
@@ -524,17 +987,20 @@ export class YotoClient {
    * @param {string} params.imageId - Image ID
    * @param {'640x480' | '320x320'} params.size - Image size
    * @param {RequestOptions} [params.requestOptions] - Request options that override defaults
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds (defaults to the client's timeoutMs)
    * @returns {Promise<YotoFamilyImageResponse>}
    */
-  async getAFamilyImage ({ imageId, size, requestOptions }) {
-    const accessToken = await this.#token.getAccessToken()
-    return await Family.getAFamilyImage({
+  async getAFamilyImage ({ imageId, size, requestOptions, signal, timeoutMs }) {
+    return await this.#request('GET', { signal, timeoutMs, operation: 'getAFamilyImage' }, (accessToken, callSignal) => Family.getAFamilyImage({
       accessToken,
       userAgent: this.#userAgent,
-      requestOptions: requestOptions || this.#defaultRequestOptions,
+      requestOptions: this.#requestOptionsFor(requestOptions, callSignal),
+      environment: this.#environment,
+      interceptors: this.#apiInterceptors(),
       imageId,
       size
-    })
+    }))
   }
 
   /**
@@ -543,16 +1009,19 @@ export class YotoClient {
    * @param {object} params
    * @param {Buffer} params.imageData - Image binary data
    * @param {RequestOptions} [params.requestOptions] - Request options that override defaults
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds (defaults to the client's timeoutMs)
    * @returns {Promise<YotoUploadFamilyImageResponse>}
    */
-  async uploadAFamilyImage ({ imageData, requestOptions }) {
-    const accessToken = await this.#token.getAccessToken()
-    return await Family.uploadAFamilyImage({
+  async uploadAFamilyImage ({ imageData, requestOptions, signal, timeoutMs }) {
+    return await this.#request('POST', { signal, timeoutMs, operation: 'uploadAFamilyImage' }, (accessToken, callSignal) => Family.uploadAFamilyImage({
       accessToken,
       userAgent: this.#userAgent,
-      requestOptions: requestOptions || this.#defaultRequestOptions,
+      requestOptions: this.#requestOptionsFor(requestOptions, callSignal),
+      environment: this.#environment,
+      interceptors: this.#apiInterceptors(),
       imageData
-    })
+    }))
   }
 
   // ============================================================================
@@ -564,11 +1033,12 @@ export class YotoClient {
    * @see https://yoto.dev/api/getpublicicons/
    * @param {object} [params]
    * @param {RequestOptions} [params.requestOptions] - Request options that override defaults
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds (defaults to the client's timeoutMs)
    * @returns {Promise<YotoPublicIconsResponse>}
    */
-  async getPublicIcons ({ requestOptions } = {}) {
-    const accessToken = await this.#token.getAccessToken()
-    return await Icons.getPublicIcons({ accessToken, userAgent: this.#userAgent, requestOptions: requestOptions || this.#defaultRequestOptions })
+  async getPublicIcons ({ requestOptions, signal, timeoutMs } = {}) {
+    return await this.#request('GET', { signal, timeoutMs, operation: 'getPublicIcons' }, (accessToken, callSignal) => Icons.getPublicIcons({ accessToken, userAgent: this.#userAgent, requestOptions: this.#requestOptionsFor(requestOptions, callSignal), environment: this.#environment, interceptors: this.#cachedInterceptors('getPublicIcons') }))
   }
 
   /**
@@ -576,11 +1046,12 @@ export class YotoClient {
    * @see https://yoto.dev/api/getusericons/
    * @param {object} [params]
    * @param {RequestOptions} [params.requestOptions] - Request options that override defaults
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds (defaults to the client's timeoutMs)
    * @returns {Promise<YotoUserIconsResponse>}
    */
-  async getUserIcons ({ requestOptions } = {}) {
-    const accessToken = await this.#token.getAccessToken()
-    return await Icons.getUserIcons({ accessToken, userAgent: this.#userAgent, requestOptions: requestOptions || this.#defaultRequestOptions })
+  async getUserIcons ({ requestOptions, signal, timeoutMs } = {}) {
+    return await this.#request('GET', { signal, timeoutMs, operation: 'getUserIcons' }, (accessToken, callSignal) => Icons.getUserIcons({ accessToken, userAgent: this.#userAgent, requestOptions: this.#requestOptionsFor(requestOptions, callSignal), environment: this.#environment, interceptors: this.#apiInterceptors() }))
   }
 
   /**
@@ -591,18 +1062,21 @@ export class YotoClient {
    * @param {boolean} [params.autoConvert=true] - Auto-convert to proper format
    * @param {string} [params.filename] - Optional filename
    * @param {RequestOptions} [params.requestOptions] - Request options that override defaults
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds (defaults to the client's timeoutMs)
    * @returns {Promise<YotoUploadIconResponse>}
    */
-  async uploadIcon ({ imageData, autoConvert = true, filename, requestOptions }) {
-    const accessToken = await this.#token.getAccessToken()
-    return await Icons.uploadIcon({
+  async uploadIcon ({ imageData, autoConvert = true, filename, requestOptions, signal, timeoutMs }) {
+    return await this.#request('POST', { signal, timeoutMs, operation: 'uploadIcon' }, (accessToken, callSignal) => Icons.uploadIcon({
       accessToken,
       userAgent: this.#userAgent,
-      requestOptions: requestOptions || this.#defaultRequestOptions,
+      requestOptions: this.#requestOptionsFor(requestOptions, callSignal),
+      environment: this.#environment,
+      interceptors: this.#apiInterceptors(),
       imageData,
       autoConvert,
       filename
-    })
+    }))
   }
 
   // ============================================================================
@@ -616,17 +1090,20 @@ export class YotoClient {
    * @param {string} params.sha256 - SHA256 hash of audio file
    * @param {string} [params.filename] - Optional filename
    * @param {RequestOptions} [params.requestOptions] - Request options that override defaults
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds (defaults to the client's timeoutMs)
    * @returns {Promise<YotoAudioUploadUrlResponse>}
    */
-  async getAudioUploadUrl ({ sha256, filename, requestOptions }) {
-    const accessToken = await this.#token.getAccessToken()
-    return await Media.getAudioUploadUrl({
+  async getAudioUploadUrl ({ sha256, filename, requestOptions, signal, timeoutMs }) {
+    return await this.#request('GET', { signal, timeoutMs, operation: 'getAudioUploadUrl' }, (accessToken, callSignal) => Media.getAudioUploadUrl({
       accessToken,
       userAgent: this.#userAgent,
-      requestOptions: requestOptions || this.#defaultRequestOptions,
+      requestOptions: this.#requestOptionsFor(requestOptions, callSignal),
+      environment: this.#environment,
+      interceptors: this.#apiInterceptors(),
       sha256,
       filename
-    })
+    }))
   }
 
   /**
@@ -639,20 +1116,23 @@ export class YotoClient {
    * @param {YotoCoverType} [params.coverType] - Cover image type
    * @param {string} [params.filename] - Optional filename
    * @param {RequestOptions} [params.requestOptions] - Request options that override defaults
+   * @param {AbortSignal} [params.signal] - Aborts the call
+   * @param {number} [params.timeoutMs] - Fails the call with a YotoTimeoutError after this many milliseconds (defaults to the client's timeoutMs)
    * @returns {Promise<YotoUploadCoverImageResponse>}
    */
-  async uploadCoverImage ({ imageData, imageUrl, autoConvert, coverType, filename, requestOptions }) {
-    const accessToken = await this.#token.getAccessToken()
-    return await Media.uploadCoverImage({
+  async uploadCoverImage ({ imageData, imageUrl, autoConvert, coverType, filename, requestOptions, signal, timeoutMs }) {
+    return await this.#request('POST', { signal, timeoutMs, operation: 'uploadCoverImage' }, (accessToken, callSignal) => Media.uploadCoverImage({
       accessToken,
       userAgent: this.#userAgent,
-      requestOptions: requestOptions || this.#defaultRequestOptions,
+      requestOptions: this.#requestOptionsFor(requestOptions, callSignal),
+      environment: this.#environment,
+      interceptors: this.#apiInterceptors(),
       imageData,
       imageUrl,
       autoConvert,
       coverType,
       filename
-    })
+    }))
   }
 
   // ============================================================================
@@ -660,20 +1140,29 @@ export class YotoClient {
   // ============================================================================
 
   /**
-   * Create an MQTT client for a device
-   * @param {Omit<YotoMqttOptions, 'token'>} YotoMqttOptions
+   * Create an MQTT client for a device. With validateResponses on, its messages are
+   * validated too and mismatches are re-emitted on this client.
+   * @param {Omit<YotoMqttOptions, 'token'> & YotoCallOptions} YotoMqttOptions - signal and timeoutMs apply to fetching the access token. timeoutMs also becomes the MQTT client's default (the client's timeoutMs when omitted).
    * @returns {Promise<YotoMqttClient>}
    */
-  async createMqttClient ({ deviceId, mqttOptions }) {
-    await this.#token.getAccessToken()
+  async createMqttClient ({ deviceId, mqttOptions, signal, timeoutMs = this.#timeoutMs }) {
+    await withSignal({ signal, timeoutMs }, (callSignal) => abortable(this.#token.getAccessToken(), callSignal))
 
     /** @type {YotoMqttOptions} */
     const opts = {
       deviceId,
       token: this.#token,
+      environment: this.#environment,
+      ...(timeoutMs !== undefined && { timeoutMs }),
+      ...(this.#proxy && { proxy: this.#proxy }),
+      ...(this.#validateResponses && { validateMessages: true }),
       ...(mqttOptions && { mqttOptions })
     }
 
-    return createYotoMqttClient(opts)
+    const mqttClient = createYotoMqttClient(opts)
+    if (this.#validateResponses) {
+      mqttClient.on('schemaMismatch', (mismatch) => emitSchemaMismatch(this, mismatch))
+    }
+    return mqttClient
   }
 }
@@ -0,0 +1,217 @@
+import test from 'node:test'
+import assert from 'node:assert'
+import { YotoAPIError, YotoAuthError, YotoTokenInvalidError } from './api-endpoints/helpers.js'
+import * as Auth from './api-endpoints/auth.js'
+import { createTestClient, YotoMockServer } from './testing/index.js'
+import { YotoMemoryTokenStore } from './token-store.js'
+
+test('YotoClient 401 recovery', async (t) => {
+  const server = new YotoMockServer()
+  await server.start()
+  t.after(() => server.stop())
+
+  const countRefreshes = () => server.requests.filter((req) =>
+    req.path === '/oauth/token' && req.body?.get?.('grant_type') === 'refresh_token'
+  ).length
+
+  await t.test('should refresh and replay after a 401', async () => {
+    const client = createTestClient(server)
+    const before = client.token.accessToken
+    server.revokeAccessTokens()
+
+    const { devices } = await client.getDevices()
+    assert.ok(Array.isArray(devices))
+    assert.notStrictEqual(client.token.accessToken, before)
+  })
+
+  await t.test('should share one refresh between concurrent 401s', async () => {
+    const client = createTestClient(server)
+    server.revokeAccessTokens()
+    const refreshesBefore = countRefreshes()
+
+    const results = await Promise.all([
+      client.getDevices(),
+      client.getGroups(),
+      client.getUserMyoContent(),
+      client.getFamilyImages()
+    ])
+
+    assert.strictEqual(results.length, 4)
+    assert.strictEqual(countRefreshes() - refreshesBefore, 1)
+  })
+
+  await t.test('should surface the error when the replay also fails', async () => {
+    const client = createTestClient(server)
+    server.failNext({ path: '/card/family/library/groups', statusCode: 401, times: 2 })
+
+    await assert.rejects(client.getGroups(), YotoAuthError)
+  })
+
+  await t.test('should not refresh on 403', async () => {
+    const client = createTestClient(server)
+    const refreshesBefore = countRefreshes()
+    server.failNext({ path: '/card/family/library/groups', statusCode: 403 })
+
+    await assert.rejects(client.getGroups(), (err) => {
+      assert.ok(err instanceof YotoAuthError)
+      assert.strictEqual(err.statusCode, 403)
+      return true
+    })
+    assert.strictEqual(countRefreshes(), refreshesBefore)
+  })
+
+  await t.test('should throw YotoTokenInvalidError when the refresh is rejected', async () => {
+    const tokens = server.issueTokens({ clientId: 'mock-client' })
+    const client = createTestClient(server, { accessToken: tokens.access_token, refreshToken: tokens.refresh_token ?? '' })
+    server.revokeAccessTokens()
+    server.revokeRefreshToken(tokens.refresh_token ?? '')
+
+    await assert.rejects(client.getDevices(), YotoTokenInvalidError)
+  })
+})
+
+test('YotoClient interceptors', async (t) => {
+  const server = new YotoMockServer()
+  await server.start()
+  t.after(() => server.stop())
+
+  const lastRequest = () => server.requests[server.requests.length - 1]
+
+  await t.test('should let beforeRequest add headers', async () => {
+    const client = createTestClient(server, {
+      interceptors: [{
+        beforeRequest (context) {
+          context.options.headers = { ...context.options.headers, 'X-Trace-Id': 'abc123' }
+        }
+      }]
+    })
+
+    await client.getDevices()
+    assert.strictEqual(lastRequest()?.headers['x-trace-id'], 'abc123')
+  })
+
+  await t.test('should run hooks as an onion around the request', async () => {
+    const client = createTestClient(server)
+    /** @type {string[]} */
+    const calls = []
+    for (const name of ['outer', 'inner']) {
+      client.use({
+        beforeRequest: (context) => { calls.push(`${name}:before:${context.method}`) },
+        afterResponse: (context, response) => {
+          calls.push(`${name}:after:${response.statusCode}`)
+          assert.ok(Date.now() >= context.startedAt)
+        }
+      })
+    }
+
+    await client.getGroups()
+    assert.deepStrictEqual(calls, ['outer:before:GET', 'inner:before:GET', 'inner:after:200', 'outer:after:200'])
+  })
+
+  await t.test('should stop running an interceptor once removed', async () => {
+    const client = createTestClient(server)
+    let calls = 0
+    const remove = client.use({ beforeRequest: () => { calls++ } })
+
+    await client.getDevices()
+    remove()
+    await client.getDevices()
+    assert.strictEqual(calls, 1)
+  })
+
+  await t.test('should let afterResponse inject faults', async () => {
+    const client = createTestClient(server, {
+      interceptors: [{
+        afterResponse: (_context, response) => ({ ...response, statusCode: 503 })
+      }]
+    })
+
+    await assert.rejects(client.getDevices(), (err) => {
+      assert.ok(err instanceof YotoAPIError)
+      assert.strictEqual(err.statusCode, 503)
+      return true
+    })
+  })
+
+  await t.test('should let onError replace network errors', async () => {
+    /** @type {unknown[]} */
+    const errors = []
+    const client = createTestClient(server, {
+      interceptors: [{
+        beforeRequest (context) {
+          context.url = new URL('http://127.0.0.1:1/unreachable')
+        },
+        onError (_context, error) {
+          errors.push(error)
+          throw new Error('offline', { cause: error })
+        }
+      }]
+    })
+
+    await assert.rejects(client.getDevices(), { message: 'offline' })
+    assert.strictEqual(errors.length, 1)
+  })
+
+  await t.test('should see token refreshes and auth calls', async () => {
+    /** @type {string[]} */
+    const paths = []
+    const interceptor = {
+      /** @param {{ url: URL }} context */
+      beforeRequest: (context) => { paths.push(context.url.pathname) }
+    }
+    const client = createTestClient(server, { interceptors: [interceptor] })
+
+    await client.token.refresh()
+    await Auth.requestDeviceCode({ clientId: 'mock-client', environment: server.environment, interceptors: [interceptor] })
+    assert.deepStrictEqual(paths, ['/oauth/token', '/oauth/device/code'])
+  })
+})
+
+test('YotoClient logout', async (t) => {
+  const server = new YotoMockServer()
+  await server.start()
+  t.after(() => server.stop())
+
+  /** A client whose tokens are also in a store, so logging out has something to clear */
+  const createStoredClient = () => {
+    const tokens = server.issueTokens({ clientId: 'mock-client' })
+    const stored = { clientId: 'mock-client', accessToken: tokens.access_token, refreshToken: tokens.refresh_token ?? '' }
+    const tokenStore = new YotoMemoryTokenStore(stored)
+    const client = createTestClient(server, { ...stored, tokenStore })
+    t.after(() => client.token.stopAutoRefresh())
+    return { client, tokenStore, refreshToken: stored.refreshToken }
+  }
+
+  await t.test('should revoke the refresh token, clear the store and emit logout', async () => {
+    const { client, tokenStore, refreshToken } = createStoredClient()
+    let loggedOut = 0
+    client.on('logout', () => { loggedOut++ })
+
+    await client.logout()
+
+    assert.strictEqual(loggedOut, 1)
+    assert.strictEqual(tokenStore.load(), undefined)
+    assert.strictEqual(client.token.isAutoRefreshEnabled(), false)
+    assert.strictEqual(client.token.isValid(), false)
+    await assert.rejects(client.getDevices(), YotoTokenInvalidError)
+
+    const revoke = server.requests.find((req) => req.path === '/oauth/revoke')
+    assert.strictEqual(revoke?.body.get('token'), refreshToken)
+    await assert.rejects(
+      Auth.exchangeToken({ grantType: 'refresh_token', refreshToken, clientId: 'mock-client', environment: server.environment }),
+      { name: 'YotoAuthError', jsonBody: { error: 'invalid_grant', error_description: 'Unknown or invalid refresh token.' } }
+    )
+  })
+
+  await t.test('should stay logged in when the revoke fails', async () => {
+    const { client, tokenStore } = createStoredClient()
+    server.failNext({ path: '/oauth/revoke', statusCode: 503 })
+
+    await assert.rejects(client.logout(), YotoAPIError)
+
+    assert.ok(tokenStore.load())
+    assert.strictEqual(client.token.isAutoRefreshEnabled(), true)
+    const { devices } = await client.getDevices()
+    assert.ok(Array.isArray(devices))
+  })
+})
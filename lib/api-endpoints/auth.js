@@ -1,9 +1,11 @@
 /**
- * @import { RequestOptions } from './helpers.js'
+ * @import { RequestOptions, YotoInterceptor } from './helpers.js'
+ * @import { YotoEnvironment } from '../environment.js'
  */
-import { request } from 'undici'
-import { defaultHeaders, handleBadResponse, mergeRequestOptions, YotoAPIError } from './helpers.js'
-import { DEFAULT_SCOPE, DEFAULT_AUDIENCE, YOTO_LOGIN_URL, DEVICE_CODE_GRANT_TYPE } from './constants.js'
+import { defaultHeaders, defaultAuthHeaders, handleBadResponse, mergeRequestOptions, sendRequest, createYotoAPIError, YotoAccessDeniedError, YotoDeviceCodeExpiredError } from './helpers.js'
+import { sleep } from '../abort.js'
+import { DEFAULT_SCOPE, DEFAULT_AUDIENCE, DEVICE_CODE_GRANT_TYPE } from './constants.js'
+import { YOTO_ENVIRONMENT } from '../environment.js'
 
 // ============================================================================
 // Authentication: Authentication endpoints for browser-based and device flows
@@ -44,6 +46,7 @@ import { DEFAULT_SCOPE, DEFAULT_AUDIENCE, YOTO_LOGIN_URL, DEVICE_CODE_GRANT_TYPE
  * @param  {number} [options.maxAge]    Maximum authentication age in seconds
  * @param  {string} [options.codeChallenge]  PKCE code challenge
  * @param  {YotoOAuthCodeChallengeMethod} [options.codeChallengeMethod]  PKCE code challenge method
+ * @param  {YotoEnvironment} [options.environment]  Servers to target (defaults to production)
  * @return {string} The authorization URL to redirect the user to
  */
 export function getAuthorizeUrl ({
@@ -57,9 +60,10 @@ export function getAuthorizeUrl ({
   prompt,
   maxAge,
   codeChallenge,
-  codeChallengeMethod
+  codeChallengeMethod,
+  environment = YOTO_ENVIRONMENT
 }) {
-  const requestUrl = new URL('/authorize', YOTO_LOGIN_URL)
+  const requestUrl = new URL('/authorize', environment.loginUrl)
 
   requestUrl.searchParams.set('audience', audience)
   requestUrl.searchParams.set('scope', scope)
@@ -105,6 +109,8 @@ export function getAuthorizeUrl ({
  * @param  {string} [options.audience='https://api.yotoplay.com']  Audience for the token
  * @param  {string} [options.userAgent]  Optional user agent string
  * @param  {RequestOptions} [options.requestOptions]  Additional undici request options
+ * @param  {YotoEnvironment} [options.environment]  Servers to target (defaults to production)
+ * @param  {YotoInterceptor[]} [options.interceptors]  Hooks run around the HTTP request
  * @return {Promise<YotoTokenResponse>} Token response
  */
 export async function exchangeToken ({
@@ -119,9 +125,11 @@ export async function exchangeToken ({
   deviceCode,
   audience = DEFAULT_AUDIENCE,
   userAgent,
-  requestOptions
+  requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors
 }) {
-  const requestUrl = new URL('/oauth/token', YOTO_LOGIN_URL)
+  const requestUrl = new URL('/oauth/token', environment.loginUrl)
 
   const formData = new URLSearchParams()
   formData.set('grant_type', grantType)
@@ -149,11 +157,11 @@ export async function exchangeToken ({
     'Content-Type': 'application/x-www-form-urlencoded'
   }
 
-  const response = await request(requestUrl, mergeRequestOptions({
+  const response = await sendRequest(requestUrl, mergeRequestOptions({
     method: 'POST',
     headers,
     body: formData.toString()
-  }, requestOptions))
+  }, requestOptions), interceptors)
 
   // For device_code grant, always parse JSON first so error details are available
   // 403 errors with authorization_pending/slow_down are expected during polling
@@ -168,7 +176,7 @@ export async function exchangeToken ({
     }
 
     if (response.statusCode > 299) {
-      throw new YotoAPIError(response, textBody, jsonBody, { grantType })
+      throw createYotoAPIError(response, textBody, jsonBody, { grantType })
     }
 
     if (!jsonBody || typeof jsonBody !== 'object') {
@@ -185,6 +193,99 @@ export async function exchangeToken ({
   return responseBody
 }
 
+/**
+ * Revoke a refresh token, so neither it nor tokens later refreshed from it can be used.
+ * Succeeds for tokens that are already invalid, as the OAuth revocation spec requires.
+ * @see https://datatracker.ietf.org/doc/html/rfc7009
+ * @param  {object} options
+ * @param  {string} options.token  Required refresh token to revoke
+ * @param  {string} options.clientId  Required client ID the token was issued to
+ * @param  {string} [options.clientSecret]  Client secret, for confidential clients
+ * @param  {string} [options.userAgent]  Optional user agent string
+ * @param  {RequestOptions} [options.requestOptions]  Additional undici request options
+ * @param  {YotoEnvironment} [options.environment]  Servers to target (defaults to production)
+ * @param  {YotoInterceptor[]} [options.interceptors]  Hooks run around the HTTP request
+ * @return {Promise<void>}
+ */
+export async function revokeToken ({
+  token,
+  clientId,
+  clientSecret,
+  userAgent,
+  requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors
+}) {
+  const requestUrl = new URL('/oauth/revoke', environment.loginUrl)
+
+  const formData = new URLSearchParams()
+  formData.set('token', token)
+  formData.set('client_id', clientId)
+  if (clientSecret) formData.set('client_secret', clientSecret)
+
+  const headers = {
+    ...defaultHeaders({ userAgent }),
+    'Content-Type': 'application/x-www-form-urlencoded'
+  }
+
+  const response = await sendRequest(requestUrl, mergeRequestOptions({
+    method: 'POST',
+    headers,
+    body: formData.toString()
+  }, requestOptions), interceptors)
+
+  await handleBadResponse(response)
+  await response.body.text()
+}
+
+/**
+ * OpenID Connect claims about the signed-in user. The login server may add namespaced custom claims too.
+ * @see https://openid.net/specs/openid-connect-core-1_0.html#StandardClaims
+ * @typedef {Object} YotoUserInfoStandardClaims
+ * @property {string} sub - Stable user ID
+ * @property {string} [email]
+ * @property {boolean} [email_verified]
+ * @property {string} [name]
+ * @property {string} [nickname]
+ * @property {string} [given_name]
+ * @property {string} [family_name]
+ * @property {string} [picture] - Avatar URL
+ * @property {string} [updated_at]
+ *
+ * @typedef {YotoUserInfoStandardClaims & Record<string, unknown>} YotoUserInfoResponse
+ */
+
+/**
+ * Get the claims about the user an access token was issued to. Needs the openid scope.
+ * @see https://openid.net/specs/openid-connect-core-1_0.html#UserInfo
+ * @param  {object} options
+ * @param  {string} options.accessToken  The API token to request with
+ * @param  {string} [options.userAgent]  Optional user agent string
+ * @param  {RequestOptions} [options.requestOptions]  Additional undici request options
+ * @param  {YotoEnvironment} [options.environment]  Servers to target (defaults to production)
+ * @param  {YotoInterceptor[]} [options.interceptors]  Hooks run around the HTTP request
+ * @return {Promise<YotoUserInfoResponse>}
+ */
+export async function getUserInfo ({
+  accessToken,
+  userAgent,
+  requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors
+}) {
+  const requestUrl = new URL('/userinfo', environment.loginUrl)
+
+  const response = await sendRequest(requestUrl, mergeRequestOptions({
+    method: 'GET',
+    headers: defaultAuthHeaders({ accessToken, userAgent })
+  }, requestOptions), interceptors)
+
+  await handleBadResponse(response)
+
+  const responseBody = /** @type {YotoUserInfoResponse} */ (await response.body.json())
+  return responseBody
+}
+
 /**
  * @see https://yoto.dev/api/post-oauth-device-code/
  * @typedef {Object} YotoDeviceCodeResponse
@@ -205,6 +306,8 @@ export async function exchangeToken ({
  * @param  {string} [options.audience='https://api.yotoplay.com']  Audience for the token
  * @param  {string} [options.userAgent]  Optional user agent string
  * @param  {RequestOptions} [options.requestOptions]  Additional undici request options
+ * @param  {YotoEnvironment} [options.environment]  Servers to target (defaults to production)
+ * @param  {YotoInterceptor[]} [options.interceptors]  Hooks run around the HTTP request
  * @return {Promise<YotoDeviceCodeResponse>} Device code response with user_code and verification_uri
  */
 export async function requestDeviceCode ({
@@ -212,9 +315,11 @@ export async function requestDeviceCode ({
   scope = DEFAULT_SCOPE,
   audience = DEFAULT_AUDIENCE,
   userAgent,
-  requestOptions
+  requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors
 }) {
-  const requestUrl = new URL('/oauth/device/code', YOTO_LOGIN_URL)
+  const requestUrl = new URL('/oauth/device/code', environment.loginUrl)
 
   const formData = new URLSearchParams()
   formData.set('client_id', clientId)
@@ -226,11 +331,11 @@ export async function requestDeviceCode ({
     'Content-Type': 'application/x-www-form-urlencoded'
   }
 
-  const response = await request(requestUrl, mergeRequestOptions({
+  const response = await sendRequest(requestUrl, mergeRequestOptions({
     method: 'POST',
     headers,
     body: formData.toString()
-  }, requestOptions))
+  }, requestOptions), interceptors)
 
   await handleBadResponse(response, { clientId })
 
@@ -284,8 +389,12 @@ export async function requestDeviceCode ({
  * @param {number} [options.currentInterval=5000] - Current polling interval in milliseconds
  * @param {string} [options.userAgent] - Optional user agent string
  * @param {RequestOptions} [options.requestOptions] - Additional undici request options
+ * @param {YotoEnvironment} [options.environment] - Servers to target (defaults to production)
+ * @param {YotoInterceptor[]} [options.interceptors] - Hooks run around the HTTP request
  * @returns {Promise<YotoDevicePollResult>} Poll result with status and data
- * @throws {YotoAPIError} For unrecoverable errors (expired_token, access_denied, invalid_grant, etc)
+ * @throws {YotoDeviceCodeExpiredError} If the server reports the device code expired (expired_token)
+ * @throws {YotoAccessDeniedError} If the user denied the authorization (access_denied)
+ * @throws {YotoAPIError} For other unrecoverable errors (invalid_grant, etc)
  *
  */
 export async function pollForDeviceToken ({
@@ -294,7 +403,9 @@ export async function pollForDeviceToken ({
   audience = DEFAULT_AUDIENCE,
   currentInterval = 5000,
   userAgent,
-  requestOptions
+  requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors
 }) {
   try {
     const tokens = await exchangeToken({
@@ -303,7 +414,9 @@ export async function pollForDeviceToken ({
       clientId,
       audience,
       userAgent,
-      requestOptions
+      requestOptions,
+      environment,
+      interceptors
     })
 
     // Success - return tokens
@@ -332,11 +445,16 @@ export async function pollForDeviceToken ({
       }
     }
 
+    if (errorCode === 'expired_token') {
+      throw new YotoDeviceCodeExpiredError('Device code has expired', { cause: error })
+    }
+
+    if (errorCode === 'access_denied') {
+      throw new YotoAccessDeniedError('User denied the authorization request', { cause: error })
+    }
+
     // All other errors are unrecoverable - throw them
-    // Common unrecoverable errors:
-    // - expired_token: Device code expired
-    // - access_denied: User denied authorization
-    // - invalid_grant: Invalid device code or other grant issue
+    // e.g. invalid_grant: Invalid device code or other grant issue
     throw error
   }
 }
@@ -358,10 +476,14 @@ export async function pollForDeviceToken ({
  * @param {number} [options.expiresIn] - Seconds until device code expires (for timeout calculation)
  * @param {string} [options.userAgent] - Optional user agent string
  * @param {RequestOptions} [options.requestOptions] - Additional undici request options
+ * @param {YotoEnvironment} [options.environment] - Servers to target (defaults to production)
+ * @param {YotoInterceptor[]} [options.interceptors] - Hooks run around the HTTP request
+ * @param {AbortSignal} [options.signal] - Stops polling, including the wait between polls
  * @param {(result: YotoDevicePollResult) => void} [options.onPoll] - Optional callback invoked after each poll attempt
  * @returns {Promise<YotoTokenResponse>} Token response on successful authorization
- * @throws {YotoAPIError} For unrecoverable errors (expired_token, access_denied, invalid_grant, etc)
- * @throws {Error} If device code expires (timeout)
+ * @throws {YotoDeviceCodeExpiredError} If expiresIn passes or the server reports the code expired before the user signs in
+ * @throws {YotoAccessDeniedError} If the user denied the authorization
+ * @throws {YotoAPIError} For other unrecoverable errors (invalid_grant, etc)
  *
  * @example
  * // Simple usage - just wait for tokens
@@ -396,6 +518,9 @@ export async function waitForDeviceAuthorization ({
   expiresIn,
   userAgent,
   requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors,
+  signal,
   onPoll
 }) {
   let interval = initialInterval
@@ -405,16 +530,20 @@ export async function waitForDeviceAuthorization ({
   while (true) {
     // Check if we've exceeded the expiration time
     if (expiresAt && Date.now() >= expiresAt) {
-      throw new Error('Device code has expired')
+      throw new YotoDeviceCodeExpiredError('Device code has expired')
     }
 
+    signal?.throwIfAborted()
+
     const result = await pollForDeviceToken({
       deviceCode,
       clientId,
       audience,
       currentInterval: interval,
       userAgent,
-      requestOptions
+      requestOptions: signal ? { ...requestOptions, signal } : requestOptions,
+      environment,
+      interceptors
     })
 
     // Invoke callback if provided
@@ -431,6 +560,6 @@ export async function waitForDeviceAuthorization ({
     }
 
     // Wait before next poll
-    await new Promise(resolve => setTimeout(resolve, interval))
+    await sleep(interval, signal)
   }
 }
@@ -1,9 +1,9 @@
 /**
- * @import { RequestOptions } from './helpers.js'
+ * @import { RequestOptions, YotoInterceptor } from './helpers.js'
+ * @import { YotoEnvironment } from '../environment.js'
  */
-import { request } from 'undici'
-import { defaultAuthHeaders, handleBadResponse, mergeRequestOptions } from './helpers.js'
-import { YOTO_API_URL } from './constants.js'
+import { defaultAuthHeaders, handleBadResponse, mergeRequestOptions, sendRequest } from './helpers.js'
+import { YOTO_ENVIRONMENT } from '../environment.js'
 
 // ============================================================================
 // Content: Content endpoints for managing playlists and cards
@@ -267,27 +267,31 @@ import { YOTO_API_URL } from './constants.js'
  * @param  {boolean} [options.playable]  Return playable signed URLs
  * @param  {string} [options.userAgent]  Optional user agent string
  * @param  {RequestOptions} [options.requestOptions]  Additional undici request options
+ * @param  {YotoEnvironment} [options.environment]  Servers to target (defaults to production)
+ * @param  {YotoInterceptor[]} [options.interceptors]  Hooks run around the HTTP request
  * @return {Promise<YotoContentResponse>} The fetched content
  */
 export async function getContent ({
   accessToken,
   userAgent,
   requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors,
   cardId,
   timezone,
   signingType,
   playable
 }) {
-  const requestUrl = new URL(`/content/${cardId}`, YOTO_API_URL)
+  const requestUrl = new URL(`/content/${cardId}`, environment.apiUrl)
 
   if (timezone) requestUrl.searchParams.set('timezone', timezone)
   if (signingType) requestUrl.searchParams.set('signingType', signingType)
   if (playable) requestUrl.searchParams.set('playable', playable.toString())
 
-  const response = await request(requestUrl, mergeRequestOptions({
+  const response = await sendRequest(requestUrl, mergeRequestOptions({
     method: 'GET',
     headers: defaultAuthHeaders({ accessToken, userAgent })
-  }, requestOptions))
+  }, requestOptions), interceptors)
 
   await handleBadResponse(response, { cardId })
 
@@ -375,22 +379,26 @@ export async function getContent ({
  * @param  {boolean} [options.showDeleted=false]  Show owned cards that have been deleted
  * @param  {string} [options.userAgent]  Optional user agent string
  * @param  {RequestOptions} [options.requestOptions]  Additional undici request options
+ * @param  {YotoEnvironment} [options.environment]  Servers to target (defaults to production)
+ * @param  {YotoInterceptor[]} [options.interceptors]  Hooks run around the HTTP request
  * @return {Promise<YotoMyoContentResponse>} The user's MYO content
  */
 export async function getUserMyoContent ({
   accessToken,
   userAgent,
   requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors,
   showDeleted = false
 }) {
-  const requestUrl = new URL('/content/mine', YOTO_API_URL)
+  const requestUrl = new URL('/content/mine', environment.apiUrl)
 
   if (showDeleted) requestUrl.searchParams.set('showdeleted', showDeleted.toString())
 
-  const response = await request(requestUrl, mergeRequestOptions({
+  const response = await sendRequest(requestUrl, mergeRequestOptions({
     method: 'GET',
     headers: defaultAuthHeaders({ accessToken, userAgent })
-  }, requestOptions))
+  }, requestOptions), interceptors)
 
   await handleBadResponse(response)
 
@@ -419,7 +427,29 @@ export async function getUserMyoContent ({
  * @see https://yoto.dev/api/createorupdatecontent/
  * @typedef {Object} YotoMetadataInput
  * @property {string} [description] - Content description
+ * @property {YotoContentCover} [cover] - Cover image, e.g. `coverImage.mediaUrl` from uploadCoverImage()
  * @property {string} [title] - Metadata title
+ * @property {YotoCategory} [category] - Content category
+ * @property {YotoMedia} [media] - Media information
+ * @property {string} [accent] - Accent (e.g., "British")
+ * @property {boolean} [addToFamilyLibrary] - Whether to add to family library
+ * @property {string} [author] - Author name
+ * @property {string} [copyright] - Copyright information
+ * @property {string[]} [genre] - Genre tags (e.g., ["Adventure", "Fantasy"])
+ * @property {YotoLanguage[]} [languages] - Language codes
+ * @property {number} [maxAge] - Maximum recommended age
+ * @property {number} [minAge] - Minimum recommended age
+ * @property {string[]} [musicType] - Music types (e.g., ["Classical", "Instrumental"])
+ * @property {string} [note] - Additional notes
+ * @property {string} [order] - Order (e.g., "featured")
+ * @property {string} [audioPreviewUrl] - Preview audio URL
+ * @property {string} [readBy] - Narrator name
+ * @property {boolean} [share] - Whether sharing is enabled
+ * @property {YotoStatus} [status] - Content status
+ * @property {string[]} [tags] - Content tags
+ * @property {string} [feedUrl] - Podcast feed URL
+ * @property {number} [numEpisodes] - Number of episodes (for podcasts)
+ * @property {YotoPlaybackDirection} [playbackDirection] - Playback direction for podcasts
  */
 
 /**
@@ -457,24 +487,28 @@ export async function getUserMyoContent ({
  * @param  {YotoCreateOrUpdateContentRequest} options.content  The content to create or update
  * @param  {string} [options.userAgent]  Optional user agent string
  * @param  {RequestOptions} [options.requestOptions]  Additional undici request options
+ * @param  {YotoEnvironment} [options.environment]  Servers to target (defaults to production)
+ * @param  {YotoInterceptor[]} [options.interceptors]  Hooks run around the HTTP request
  * @return {Promise<YotoCreateOrUpdateContentResponse>} The created or updated content
  */
 export async function createOrUpdateContent ({
   accessToken,
   userAgent,
   requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors,
   content
 }) {
-  const requestUrl = new URL('/content', YOTO_API_URL)
+  const requestUrl = new URL('/content', environment.apiUrl)
 
-  const response = await request(requestUrl, mergeRequestOptions({
+  const response = await sendRequest(requestUrl, mergeRequestOptions({
     method: 'POST',
     headers: {
       ...defaultAuthHeaders({ accessToken, userAgent }),
       'Content-Type': 'application/json'
     },
     body: JSON.stringify(content)
-  }, requestOptions))
+  }, requestOptions), interceptors)
 
   await handleBadResponse(response, { cardId: content.cardId })
 
@@ -496,20 +530,24 @@ export async function createOrUpdateContent ({
  * @param  {string} options.cardId   The card ID to delete
  * @param  {string} [options.userAgent]  Optional user agent string
  * @param  {RequestOptions} [options.requestOptions]  Additional undici request options
+ * @param  {YotoEnvironment} [options.environment]  Servers to target (defaults to production)
+ * @param  {YotoInterceptor[]} [options.interceptors]  Hooks run around the HTTP request
  * @return {Promise<YotoDeleteContentResponse>} The delete response
  */
 export async function deleteContent ({
   accessToken,
   userAgent,
   requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors,
   cardId
 }) {
-  const requestUrl = new URL(`/content/${cardId}`, YOTO_API_URL)
+  const requestUrl = new URL(`/content/${cardId}`, environment.apiUrl)
 
-  const response = await request(requestUrl, mergeRequestOptions({
+  const response = await sendRequest(requestUrl, mergeRequestOptions({
     method: 'DELETE',
     headers: defaultAuthHeaders({ accessToken, userAgent })
-  }, requestOptions))
+  }, requestOptions), interceptors)
 
   await handleBadResponse(response, { cardId })
 
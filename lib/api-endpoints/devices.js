@@ -1,11 +1,11 @@
 /**
  * @import { YotoVolumeCommand, YotoAmbientCommand, YotoSleepTimerCommand, YotoCardStartCommand, YotoBluetoothCommand, YotoDisplayPreviewCommand } from '../mqtt/commands.js'
- * @import { RequestOptions } from './helpers.js'
+ * @import { RequestOptions, YotoInterceptor } from './helpers.js'
+ * @import { YotoEnvironment } from '../environment.js'
  */
 
-import { request } from 'undici'
-import { defaultAuthHeaders, handleBadResponse, mergeRequestOptions } from './helpers.js'
-import { YOTO_API_URL } from './constants.js'
+import { defaultAuthHeaders, handleBadResponse, mergeRequestOptions, sendRequest } from './helpers.js'
+import { YOTO_ENVIRONMENT } from '../environment.js'
 
 // ============================================================================
 // Devices: Device endpoints for managing Yoto players
@@ -39,19 +39,23 @@ import { YOTO_API_URL } from './constants.js'
  * @param  {string} options.accessToken    The API token to request with
  * @param  {string} [options.userAgent]  Optional user agent string
  * @param  {RequestOptions} [options.requestOptions]  Additional undici request options
+ * @param  {YotoEnvironment} [options.environment]  Servers to target (defaults to production)
+ * @param  {YotoInterceptor[]} [options.interceptors]  Hooks run around the HTTP request
  * @return {Promise<YotoDevicesResponse>} The user's devices
  */
 export async function getDevices ({
   accessToken,
   userAgent,
-  requestOptions
+  requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors
 }) {
-  const requestUrl = new URL('/device-v2/devices/mine', YOTO_API_URL)
+  const requestUrl = new URL('/device-v2/devices/mine', environment.apiUrl)
 
-  const response = await request(requestUrl, mergeRequestOptions({
+  const response = await sendRequest(requestUrl, mergeRequestOptions({
     method: 'GET',
     headers: defaultAuthHeaders({ accessToken, userAgent })
-  }, requestOptions))
+  }, requestOptions), interceptors)
 
   await handleBadResponse(response)
 
@@ -105,20 +109,24 @@ export async function getDevices ({
  * @param  {string} options.deviceId The device ID to get status for
  * @param  {string} [options.userAgent]  Optional user agent string
  * @param  {RequestOptions} [options.requestOptions]  Additional undici request options
+ * @param  {YotoEnvironment} [options.environment]  Servers to target (defaults to production)
+ * @param  {YotoInterceptor[]} [options.interceptors]  Hooks run around the HTTP request
  * @return {Promise<YotoDeviceStatusResponse>} The device status
  */
 export async function getDeviceStatus ({
   accessToken,
   userAgent,
   deviceId,
-  requestOptions
+  requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors
 }) {
-  const requestUrl = new URL(`/device-v2/${deviceId}/status`, YOTO_API_URL)
+  const requestUrl = new URL(`/device-v2/${deviceId}/status`, environment.apiUrl)
 
-  const response = await request(requestUrl, mergeRequestOptions({
+  const response = await sendRequest(requestUrl, mergeRequestOptions({
     method: 'GET',
     headers: defaultAuthHeaders({ accessToken, userAgent })
-  }, requestOptions))
+  }, requestOptions), interceptors)
 
   await handleBadResponse(response, { deviceId })
 
@@ -298,20 +306,24 @@ export async function getDeviceStatus ({
  * @param  {string} options.deviceId The device ID to get config for
  * @param  {string} [options.userAgent]  Optional user agent string
  * @param  {RequestOptions} [options.requestOptions]  Additional undici request options
+ * @param  {YotoEnvironment} [options.environment]  Servers to target (defaults to production)
+ * @param  {YotoInterceptor[]} [options.interceptors]  Hooks run around the HTTP request
  * @return {Promise<YotoDeviceConfigResponse>} The device configuration
  */
 export async function getDeviceConfig ({
   accessToken,
   userAgent,
   deviceId,
-  requestOptions
+  requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors
 }) {
-  const requestUrl = new URL(`/device-v2/${deviceId}/config`, YOTO_API_URL)
+  const requestUrl = new URL(`/device-v2/${deviceId}/config`, environment.apiUrl)
 
-  const response = await request(requestUrl, mergeRequestOptions({
+  const response = await sendRequest(requestUrl, mergeRequestOptions({
     method: 'GET',
     headers: defaultAuthHeaders({ accessToken, userAgent })
-  }, requestOptions))
+  }, requestOptions), interceptors)
 
   await handleBadResponse(response, { deviceId })
 
@@ -341,6 +353,8 @@ export async function getDeviceConfig ({
  * @param  {YotoUpdateDeviceConfigRequest} options.configUpdate The configuration updates to apply (all config fields are optional)
  * @param  {string} [options.userAgent]  Optional user agent string
  * @param  {RequestOptions} [options.requestOptions]  Additional undici request options
+ * @param  {YotoEnvironment} [options.environment]  Servers to target (defaults to production)
+ * @param  {YotoInterceptor[]} [options.interceptors]  Hooks run around the HTTP request
  * @return {Promise<YotoUpdateDeviceConfigResponse>} The update response
  */
 export async function updateDeviceConfig ({
@@ -348,18 +362,20 @@ export async function updateDeviceConfig ({
   userAgent,
   deviceId,
   configUpdate,
-  requestOptions
+  requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors
 }) {
-  const requestUrl = new URL(`/device-v2/${deviceId}/config`, YOTO_API_URL)
+  const requestUrl = new URL(`/device-v2/${deviceId}/config`, environment.apiUrl)
 
-  const response = await request(requestUrl, mergeRequestOptions({
+  const response = await sendRequest(requestUrl, mergeRequestOptions({
     method: 'PUT',
     headers: {
       ...defaultAuthHeaders({ accessToken, userAgent }),
       'Content-Type': 'application/json'
     },
     body: JSON.stringify(configUpdate)
-  }, requestOptions))
+  }, requestOptions), interceptors)
 
   await handleBadResponse(response, { deviceId })
 
@@ -388,6 +404,8 @@ export async function updateDeviceConfig ({
  * @param  {YotoUpdateShortcutsRequest} options.shortcutsUpdate The shortcuts configuration to update
  * @param  {string} [options.userAgent]  Optional user agent string
  * @param  {RequestOptions} [options.requestOptions]  Additional undici request options
+ * @param  {YotoEnvironment} [options.environment]  Servers to target (defaults to production)
+ * @param  {YotoInterceptor[]} [options.interceptors]  Hooks run around the HTTP request
  * @return {Promise<YotoUpdateShortcutsResponse>} The update response
  */
 export async function updateDeviceShortcuts ({
@@ -395,18 +413,20 @@ export async function updateDeviceShortcuts ({
   userAgent,
   deviceId,
   shortcutsUpdate,
-  requestOptions
+  requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors
 }) {
-  const requestUrl = new URL(`/device-v2/${deviceId}/shortcuts`, YOTO_API_URL)
+  const requestUrl = new URL(`/device-v2/${deviceId}/shortcuts`, environment.apiUrl)
 
-  const response = await request(requestUrl, mergeRequestOptions({
+  const response = await sendRequest(requestUrl, mergeRequestOptions({
     method: 'PUT',
     headers: {
       ...defaultAuthHeaders({ accessToken, userAgent }),
       'Content-Type': 'application/json'
     },
     body: JSON.stringify(shortcutsUpdate)
-  }, requestOptions))
+  }, requestOptions), interceptors)
 
   await handleBadResponse(response, { deviceId })
 
@@ -439,6 +459,8 @@ export async function updateDeviceShortcuts ({
  * @param  {YotoDeviceCommand} options.command The MQTT command payload to send
  * @param  {string} [options.userAgent]  Optional user agent string
  * @param  {RequestOptions} [options.requestOptions]  Additional undici request options
+ * @param  {YotoEnvironment} [options.environment]  Servers to target (defaults to production)
+ * @param  {YotoInterceptor[]} [options.interceptors]  Hooks run around the HTTP request
  * @return {Promise<YotoDeviceCommandResponse>} The command response
  */
 export async function sendDeviceCommand ({
@@ -446,18 +468,20 @@ export async function sendDeviceCommand ({
   userAgent,
   deviceId,
   command,
-  requestOptions
+  requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors
 }) {
-  const requestUrl = new URL(`/device-v2/${deviceId}/command/status`, YOTO_API_URL)
+  const requestUrl = new URL(`/device-v2/${deviceId}/command/status`, environment.apiUrl)
 
-  const response = await request(requestUrl, mergeRequestOptions({
+  const response = await sendRequest(requestUrl, mergeRequestOptions({
     method: 'POST',
     headers: {
       ...defaultAuthHeaders({ accessToken, userAgent }),
       'Content-Type': 'application/json'
     },
     body: JSON.stringify(command)
-  }, requestOptions))
+  }, requestOptions), interceptors)
 
   await handleBadResponse(response, { deviceId })
 
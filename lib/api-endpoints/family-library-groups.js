@@ -1,9 +1,9 @@
 /**
- * @import { RequestOptions } from './helpers.js'
+ * @import { RequestOptions, YotoInterceptor } from './helpers.js'
+ * @import { YotoEnvironment } from '../environment.js'
  */
-import { request } from 'undici'
-import { defaultAuthHeaders, handleBadResponse, mergeRequestOptions } from './helpers.js'
-import { YOTO_API_URL } from './constants.js'
+import { defaultAuthHeaders, handleBadResponse, mergeRequestOptions, sendRequest } from './helpers.js'
+import { YOTO_ENVIRONMENT } from '../environment.js'
 
 // ============================================================================
 // Family Library Groups: Endpoints for managing family library card groups
@@ -44,6 +44,8 @@ import { YOTO_API_URL } from './constants.js'
  * @param  {string} options.accessToken    The API token to request with
  * @param  {string} [options.userAgent]  Optional user agent string
  * @param  {RequestOptions} [options.requestOptions]  Additional undici request options
+ * @param  {YotoEnvironment} [options.environment]  Servers to target (defaults to production)
+ * @param  {YotoInterceptor[]} [options.interceptors]  Hooks run around the HTTP request
  * @return {Promise<YotoGroup[]>} Array of family library groups
  * @example
  * import { getGroups } from 'yoto-nodejs-client'
@@ -60,14 +62,16 @@ import { YOTO_API_URL } from './constants.js'
 export async function getGroups ({
   accessToken,
   userAgent,
-  requestOptions
+  requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors
 }) {
-  const requestUrl = new URL('/card/family/library/groups', YOTO_API_URL)
+  const requestUrl = new URL('/card/family/library/groups', environment.apiUrl)
 
-  const response = await request(requestUrl, mergeRequestOptions({
+  const response = await sendRequest(requestUrl, mergeRequestOptions({
     method: 'GET',
     headers: defaultAuthHeaders({ accessToken, userAgent })
-  }, requestOptions))
+  }, requestOptions), interceptors)
 
   await handleBadResponse(response)
 
@@ -98,6 +102,8 @@ export async function getGroups ({
  * @param  {YotoCreateGroupRequest} options.group The group data to create
  * @param  {string} [options.userAgent]  Optional user agent string
  * @param  {RequestOptions} [options.requestOptions]  Additional undici request options
+ * @param  {YotoEnvironment} [options.environment]  Servers to target (defaults to production)
+ * @param  {YotoInterceptor[]} [options.interceptors]  Hooks run around the HTTP request
  * @return {Promise<YotoGroup>} The created group with populated cards array
  * @example
  * import { createGroup } from 'yoto-nodejs-client'
@@ -117,18 +123,20 @@ export async function createGroup ({
   accessToken,
   userAgent,
   group,
-  requestOptions
+  requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors
 }) {
-  const requestUrl = new URL('/card/family/library/groups', YOTO_API_URL)
+  const requestUrl = new URL('/card/family/library/groups', environment.apiUrl)
 
-  const response = await request(requestUrl, mergeRequestOptions({
+  const response = await sendRequest(requestUrl, mergeRequestOptions({
     method: 'POST',
     headers: {
       ...defaultAuthHeaders({ accessToken, userAgent }),
       'Content-Type': 'application/json'
     },
     body: JSON.stringify(group)
-  }, requestOptions))
+  }, requestOptions), interceptors)
 
   await handleBadResponse(response)
 
@@ -145,20 +153,24 @@ export async function createGroup ({
  * @param  {string} options.groupId  The group ID to retrieve
  * @param  {string} [options.userAgent]  Optional user agent string
  * @param  {RequestOptions} [options.requestOptions]  Additional undici request options
+ * @param  {YotoEnvironment} [options.environment]  Servers to target (defaults to production)
+ * @param  {YotoInterceptor[]} [options.interceptors]  Hooks run around the HTTP request
  * @return {Promise<YotoGroup>} The requested group with populated cards array
  */
 export async function getGroup ({
   accessToken,
   userAgent,
   groupId,
-  requestOptions
+  requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors
 }) {
-  const requestUrl = new URL(`/card/family/library/groups/${groupId}`, YOTO_API_URL)
+  const requestUrl = new URL(`/card/family/library/groups/${groupId}`, environment.apiUrl)
 
-  const response = await request(requestUrl, mergeRequestOptions({
+  const response = await sendRequest(requestUrl, mergeRequestOptions({
     method: 'GET',
     headers: defaultAuthHeaders({ accessToken, userAgent })
-  }, requestOptions))
+  }, requestOptions), interceptors)
 
   await handleBadResponse(response, { groupId })
 
@@ -184,6 +196,8 @@ export async function getGroup ({
  * @param  {YotoUpdateGroupRequest} options.group The updated group data
  * @param  {string} [options.userAgent]  Optional user agent string
  * @param  {RequestOptions} [options.requestOptions]  Additional undici request options
+ * @param  {YotoEnvironment} [options.environment]  Servers to target (defaults to production)
+ * @param  {YotoInterceptor[]} [options.interceptors]  Hooks run around the HTTP request
  * @return {Promise<YotoGroup>} The updated group with populated cards array
  */
 export async function updateGroup ({
@@ -191,18 +205,20 @@ export async function updateGroup ({
   userAgent,
   groupId,
   group,
-  requestOptions
+  requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors
 }) {
-  const requestUrl = new URL(`/card/family/library/groups/${groupId}`, YOTO_API_URL)
+  const requestUrl = new URL(`/card/family/library/groups/${groupId}`, environment.apiUrl)
 
-  const response = await request(requestUrl, mergeRequestOptions({
+  const response = await sendRequest(requestUrl, mergeRequestOptions({
     method: 'PUT',
     headers: {
       ...defaultAuthHeaders({ accessToken, userAgent }),
       'Content-Type': 'application/json'
     },
     body: JSON.stringify(group)
-  }, requestOptions))
+  }, requestOptions), interceptors)
 
   await handleBadResponse(response, { groupId })
 
@@ -225,20 +241,24 @@ export async function updateGroup ({
  * @param  {string} options.groupId  The group ID to delete
  * @param  {string} [options.userAgent]  Optional user agent string
  * @param  {RequestOptions} [options.requestOptions]  Additional undici request options
+ * @param  {YotoEnvironment} [options.environment]  Servers to target (defaults to production)
+ * @param  {YotoInterceptor[]} [options.interceptors]  Hooks run around the HTTP request
  * @return {Promise<YotoDeleteGroupResponse>} Confirmation with deleted group ID
  */
 export async function deleteGroup ({
   accessToken,
   userAgent,
   groupId,
-  requestOptions
+  requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors
 }) {
-  const requestUrl = new URL(`/card/family/library/groups/${groupId}`, YOTO_API_URL)
+  const requestUrl = new URL(`/card/family/library/groups/${groupId}`, environment.apiUrl)
 
-  const response = await request(requestUrl, mergeRequestOptions({
+  const response = await sendRequest(requestUrl, mergeRequestOptions({
     method: 'DELETE',
     headers: defaultAuthHeaders({ accessToken, userAgent })
-  }, requestOptions))
+  }, requestOptions), interceptors)
 
   await handleBadResponse(response, { groupId })
 
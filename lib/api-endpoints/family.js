@@ -1,9 +1,9 @@
 /**
- * @import { RequestOptions } from './helpers.js'
+ * @import { RequestOptions, YotoInterceptor } from './helpers.js'
+ * @import { YotoEnvironment } from '../environment.js'
  */
-import { request } from 'undici'
-import { defaultAuthHeaders, handleBadResponse, mergeRequestOptions } from './helpers.js'
-import { YOTO_API_URL } from './constants.js'
+import { defaultAuthHeaders, handleBadResponse, mergeRequestOptions, sendRequest } from './helpers.js'
+import { YOTO_ENVIRONMENT } from '../environment.js'
 
 // ============================================================================
 // Family: Family endpoints for managing family groups and images
@@ -29,19 +29,23 @@ import { YOTO_API_URL } from './constants.js'
  * @param  {string} options.accessToken    The API token to request with
  * @param  {string} [options.userAgent]  Optional user agent string
  * @param  {RequestOptions} [options.requestOptions]  Additional undici request options
+ * @param  {YotoEnvironment} [options.environment]  Servers to target (defaults to production)
+ * @param  {YotoInterceptor[]} [options.interceptors]  Hooks run around the HTTP request
  * @return {Promise<YotoFamilyImagesResponse>} The user's families
  */
 export async function getFamilyImages ({
   accessToken,
   userAgent,
-  requestOptions
+  requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors
 }) {
-  const requestUrl = new URL('/media/family/images', YOTO_API_URL)
+  const requestUrl = new URL('/media/family/images', environment.apiUrl)
 
-  const response = await request(requestUrl, mergeRequestOptions({
+  const response = await sendRequest(requestUrl, mergeRequestOptions({
     method: 'GET',
     headers: defaultAuthHeaders({ accessToken, userAgent })
-  }, requestOptions))
+  }, requestOptions), interceptors)
 
   await handleBadResponse(response)
 
@@ -65,6 +69,8 @@ export async function getFamilyImages ({
  * @param  {'640x480' | '320x320'} options.size Image dimensions (supported: '640x480' or '320x320')
  * @param  {string} [options.userAgent]  Optional user agent string
  * @param  {RequestOptions} [options.requestOptions]  Additional undici request options
+ * @param  {YotoEnvironment} [options.environment]  Servers to target (defaults to production)
+ * @param  {YotoInterceptor[]} [options.interceptors]  Hooks run around the HTTP request
  * @return {Promise<YotoFamilyImageResponse>} The signed image URL
  */
 export async function getAFamilyImage ({
@@ -72,9 +78,11 @@ export async function getAFamilyImage ({
   userAgent,
   imageId,
   size,
-  requestOptions
+  requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors
 }) {
-  const requestUrl = new URL(`/media/family/images/${imageId}`, YOTO_API_URL)
+  const requestUrl = new URL(`/media/family/images/${imageId}`, environment.apiUrl)
 
   // Map size string to width and height
   const dimensions = size === '640x480' ? { width: 640, height: 480 } : { width: 320, height: 320 }
@@ -82,10 +90,10 @@ export async function getAFamilyImage ({
   requestUrl.searchParams.set('width', dimensions.width.toString())
   requestUrl.searchParams.set('height', dimensions.height.toString())
 
-  const response = await request(requestUrl, mergeRequestOptions({
+  const response = await sendRequest(requestUrl, mergeRequestOptions({
     method: 'GET',
     headers: defaultAuthHeaders({ accessToken, userAgent })
-  }, requestOptions))
+  }, requestOptions), interceptors)
 
   // 302 is expected for successful image requests
   if (response.statusCode !== 302) {
@@ -128,6 +136,8 @@ export async function getAFamilyImage ({
  * @param  {Buffer} options.imageData The binary image data (JPEG, GIF, or PNG)
  * @param  {string} [options.userAgent]  Optional user agent string
  * @param  {RequestOptions} [options.requestOptions]  Additional undici request options
+ * @param  {YotoEnvironment} [options.environment]  Servers to target (defaults to production)
+ * @param  {YotoInterceptor[]} [options.interceptors]  Hooks run around the HTTP request
  * @return {Promise<YotoUploadFamilyImageResponse>} The uploaded image details
  * @example
  * import { readFile } from 'fs/promises'
@@ -146,18 +156,20 @@ export async function uploadAFamilyImage ({
   accessToken,
   userAgent,
   imageData,
-  requestOptions
+  requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors
 }) {
-  const requestUrl = new URL('/media/family/images', YOTO_API_URL)
+  const requestUrl = new URL('/media/family/images', environment.apiUrl)
 
-  const response = await request(requestUrl, mergeRequestOptions({
+  const response = await sendRequest(requestUrl, mergeRequestOptions({
     method: 'POST',
     headers: {
       ...defaultAuthHeaders({ accessToken, userAgent }),
       'Content-Type': 'application/octet-stream'
     },
     body: imageData
-  }, requestOptions))
+  }, requestOptions), interceptors)
 
   await handleBadResponse(response)
 
@@ -1,22 +1,45 @@
 /**
- * @import { Dispatcher } from 'undici'
- * @import { request } from 'undici'
+ * @import { Dispatcher, request } from 'undici'
+ * @import { YotoTransport } from '../transport.js'
  */
 import { pkg } from '../pkg.cjs'
-import os from 'node:os'
+import { defaultTransport } from '../transport.js'
 
 /**
- * Request options derived from undici.request
- * @typedef {NonNullable<Parameters<typeof request>[1]>} RequestOptions
+ * Request options derived from undici.request, plus the transport that sends them
+ * @typedef {NonNullable<Parameters<typeof request>[1]> & { transport?: YotoTransport }} RequestOptions
  */
 
+/**
+ * Platform names as os.type() reports them, so the User-Agent stays the same without node:os
+ * @type {Record<string, string>}
+ */
+const PLATFORM_NAMES = {
+  linux: 'Linux',
+  darwin: 'Darwin',
+  win32: 'Windows_NT',
+  freebsd: 'FreeBSD',
+  openbsd: 'OpenBSD',
+  sunos: 'SunOS',
+  aix: 'AIX'
+}
+
+/**
+ * @returns {string}
+ */
+function platformName () {
+  const platform = globalThis.process?.platform
+  if (!platform) return 'Web'
+  return PLATFORM_NAMES[platform] ?? platform
+}
+
 /**
  * @param {object} [options]
  * @param {string} [options.userAgent] - Optional user agent string to prepend to library user agent
  * @param {RequestOptions} [options.requestOptions] - Additional undici request options
  */
 export function defaultHeaders (options = {}) {
-  const libraryAgent = `${pkg.name}/${pkg.version} (${os.type()})`
+  const libraryAgent = `${pkg.name}/${pkg.version} (${platformName()})`
   const userAgent = options.userAgent
     ? `${options.userAgent} ${libraryAgent}`
     : libraryAgent
@@ -67,6 +90,126 @@ export function mergeRequestOptions (baseOptions, requestOptions) {
   }
 }
 
+/**
+ * What interceptor hooks see for a single HTTP request
+ * @typedef {Object} YotoRequestContext
+ * @property {URL} url - Request URL. beforeRequest hooks may replace it.
+ * @property {RequestOptions} options - Options about to be sent. beforeRequest hooks may mutate or replace them.
+ * @property {string} method - Uppercased HTTP method
+ * @property {number} startedAt - Timestamp (ms) taken just before the request was sent
+ * @property {Record<string, unknown>} state - Scratch space shared by every hook for this request
+ */
+
+/**
+ * Hooks run around every HTTP request the client makes, including token calls.
+ * beforeRequest hooks run in registration order; afterResponse and onError run in reverse,
+ * so the first interceptor registered is the outermost layer. Only interceptors whose
+ * beforeRequest ran get their afterResponse and onError called.
+ * @typedef {Object} YotoInterceptor
+ * @property {(context: YotoRequestContext) => void | Dispatcher.ResponseData | Promise<void | Dispatcher.ResponseData>} [beforeRequest] - Called before the request is sent. Return a response to skip the network and the remaining beforeRequest hooks.
+ * @property {(context: YotoRequestContext, response: Dispatcher.ResponseData) => void | Dispatcher.ResponseData | Promise<void | Dispatcher.ResponseData>} [afterResponse] - Called once response headers arrive, for every status code. Return a response to replace it.
+ * @property {(context: YotoRequestContext, error: unknown) => void | Dispatcher.ResponseData | Promise<void | Dispatcher.ResponseData>} [onError] - Called when the request or a beforeRequest hook throws. Return a response to recover, or throw to replace the error.
+ */
+
+/**
+ * Send a request through its transport (undici by default on Node), running interceptor hooks around it
+ * @param {URL} url
+ * @param {RequestOptions} options
+ * @param {YotoInterceptor[]} [interceptors=[]]
+ * @returns {Promise<Dispatcher.ResponseData>}
+ */
+export async function sendRequest (url, options, interceptors = []) {
+  if (interceptors.length === 0) return await send(url, options)
+
+  /** @type {YotoRequestContext} */
+  const context = {
+    url,
+    options,
+    method: (options.method ?? 'GET').toUpperCase(),
+    startedAt: Date.now(),
+    state: {}
+  }
+  // Snapshot so hooks added or removed mid-request don't affect this one
+  const chain = [...interceptors]
+  /** @type {YotoInterceptor[]} */
+  const unwinding = []
+
+  const dispatch = async () => {
+    for (const interceptor of chain) {
+      unwinding.unshift(interceptor)
+      const early = await interceptor.beforeRequest?.(context)
+      if (early) return early
+    }
+    context.startedAt = Date.now()
+    return await send(context.url, context.options)
+  }
+
+  let response
+  try {
+    response = await dispatch()
+  } catch (err) {
+    response = await recoverFromError(unwinding, context, err)
+  }
+
+  for (const interceptor of unwinding) {
+    /** @type {Dispatcher.ResponseData | void} */
+    const replacement = await interceptor.afterResponse?.(context, response)
+    if (replacement) response = replacement
+  }
+  return response
+}
+
+/**
+ * Hand the request to the transport named in its options, or the default one
+ * @param {URL} url
+ * @param {RequestOptions} options
+ * @returns {Promise<Dispatcher.ResponseData>}
+ */
+async function send (url, { transport = defaultTransport, ...options }) {
+  return await transport(url, options)
+}
+
+/**
+ * Give onError hooks a chance to turn a failed request into a response.
+ * @param {YotoInterceptor[]} interceptors - Hooks in the order they should run
+ * @param {YotoRequestContext} context
+ * @param {unknown} err
+ * @returns {Promise<Dispatcher.ResponseData>}
+ */
+async function recoverFromError (interceptors, context, err) {
+  let error = err
+  for (const interceptor of interceptors) {
+    if (!interceptor.onError) continue
+    try {
+      const recovered = await interceptor.onError(context, error)
+      if (recovered) return recovered
+    } catch (hookErr) {
+      error = hookErr
+    }
+  }
+  throw error
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date) into milliseconds.
+ * @param {Dispatcher.ResponseData['headers'] | undefined} headers
+ * @param {number} [now=Date.now()]
+ * @returns {number | null} Delay in milliseconds, or null when absent or unparseable
+ */
+export function parseRetryAfter (headers, now = Date.now()) {
+  const raw = headers?.['retry-after']
+  const value = Array.isArray(raw) ? raw[0] : raw
+  if (!value) return null
+
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value) * 1000
+  }
+
+  const date = Date.parse(value)
+  if (Number.isNaN(date)) return null
+  return Math.max(0, date - now)
+}
+
 /**
  * @param  {Dispatcher.ResponseData} response
  * @param  {any} [extra]
@@ -82,15 +225,58 @@ export async function handleBadResponse (response, extra) {
       jsonBody = null
     }
 
-    throw new YotoAPIError(response, textBody, jsonBody, extra)
+    throw createYotoAPIError(response, textBody, jsonBody, extra)
+  }
+}
+
+// ============================================================================
+// Errors
+// ============================================================================
+
+/**
+ * Stable error codes, one per error class
+ * @typedef {'YOTO_ERROR' | 'YOTO_API_ERROR' | 'YOTO_AUTH_ERROR' | 'YOTO_NOT_FOUND' | 'YOTO_RATE_LIMITED' | 'YOTO_VALIDATION_ERROR' | 'YOTO_TOKEN_INVALID' | 'YOTO_TOKEN_MALFORMED' | 'YOTO_DEVICE_CODE_EXPIRED' | 'YOTO_ACCESS_DENIED' | 'YOTO_INVALID_INPUT' | 'YOTO_TIMEOUT'} YotoErrorCode
+ */
+
+/**
+ * OAuth error values that mean the credentials were rejected, whatever the status code
+ */
+const OAUTH_AUTH_ERRORS = [
+  'invalid_grant',
+  'invalid_client',
+  'invalid_token',
+  'unauthorized_client',
+  'access_denied',
+  'expired_token'
+]
+
+/**
+ * Base class for every error this library throws on purpose
+ */
+export class YotoError extends Error {
+  /** @type {YotoErrorCode} */ code = 'YOTO_ERROR'
+
+  /**
+   * @param {string} message
+   * @param {ErrorOptions} [options]
+   */
+  constructor (message, options) {
+    super(message, options)
+    this.name = this.constructor.name
+    Error.captureStackTrace(this, this.constructor)
   }
 }
 
-export class YotoAPIError extends Error {
+/**
+ * The API answered with an unexpected status code
+ */
+export class YotoAPIError extends YotoError {
+  /** @override @type {YotoErrorCode} */ code = 'YOTO_API_ERROR'
   /** @type { number } */ statusCode
   /** @type {string} */ textBody
   /** @type {unknown | null} */ jsonBody
   /** @type {any} */ extra
+  /** @type {Dispatcher.ResponseData['headers']} */ headers
 
   /**
    * @param  {Dispatcher.ResponseData} response A undici Response
@@ -100,12 +286,132 @@ export class YotoAPIError extends Error {
    */
   constructor (response, textBody, jsonBody, extra) {
     super('Unexpected response status code')
-    this.name = this.constructor.name
-    Error.captureStackTrace(this, this.constructor)
 
     this.statusCode = response.statusCode
     this.textBody = textBody
     this.jsonBody = jsonBody
     this.extra = extra
+    this.headers = response.headers
+  }
+}
+
+/**
+ * Credentials were missing, expired or rejected (401, 403 or an OAuth credential error)
+ */
+export class YotoAuthError extends YotoAPIError {
+  /** @override @type {YotoErrorCode} */ code = 'YOTO_AUTH_ERROR'
+}
+
+/**
+ * The requested card, device, group or image does not exist (404)
+ */
+export class YotoNotFoundError extends YotoAPIError {
+  /** @override @type {YotoErrorCode} */ code = 'YOTO_NOT_FOUND'
+}
+
+/**
+ * Too many requests (429)
+ */
+export class YotoRateLimitError extends YotoAPIError {
+  /** @override @type {YotoErrorCode} */ code = 'YOTO_RATE_LIMITED'
+  /** @type {number | null} How long the server asked us to wait, from Retry-After */ retryAfterMs
+
+  /**
+   * @param  {Dispatcher.ResponseData} response
+   * @param  {string} textBody
+   * @param  {unknown | null} jsonBody
+   * @param  {any} [extra]
+   */
+  constructor (response, textBody, jsonBody, extra) {
+    super(response, textBody, jsonBody, extra)
+    this.retryAfterMs = parseRetryAfter(response.headers)
+  }
+}
+
+/**
+ * The request was malformed or failed validation (400 or 422)
+ */
+export class YotoValidationError extends YotoAPIError {
+  /** @override @type {YotoErrorCode} */ code = 'YOTO_VALIDATION_ERROR'
+}
+
+/**
+ * The refresh token is expired or revoked. The user has to log in again.
+ */
+export class YotoTokenInvalidError extends YotoError {
+  /** @override @type {YotoErrorCode} */ code = 'YOTO_TOKEN_INVALID'
+}
+
+/**
+ * A token could not be decoded or lacks a claim the client needs, such as `exp`
+ */
+export class YotoTokenMalformedError extends YotoError {
+  /** @override @type {YotoErrorCode} */ code = 'YOTO_TOKEN_MALFORMED'
+}
+
+/**
+ * The device code expired before the user finished signing in. Request a new one.
+ * When the server rejected the code, `cause` holds its YotoAuthError.
+ */
+export class YotoDeviceCodeExpiredError extends YotoError {
+  /** @override @type {YotoErrorCode} */ code = 'YOTO_DEVICE_CODE_EXPIRED'
+}
+
+/**
+ * The user declined the device sign-in. `cause` holds the server's YotoAuthError.
+ */
+export class YotoAccessDeniedError extends YotoError {
+  /** @override @type {YotoErrorCode} */ code = 'YOTO_ACCESS_DENIED'
+}
+
+/**
+ * Input was rejected before any request was sent, e.g. an incomplete card passed to a builder.
+ * YotoValidationError is the server rejecting a request.
+ */
+export class YotoInvalidInputError extends YotoError {
+  /** @override @type {YotoErrorCode} */ code = 'YOTO_INVALID_INPUT'
+}
+
+/**
+ * A call did not finish within its timeoutMs
+ */
+export class YotoTimeoutError extends YotoError {
+  /** @override @type {YotoErrorCode} */ code = 'YOTO_TIMEOUT'
+  /** @type {number} */ timeoutMs
+
+  /**
+   * @param {number} timeoutMs
+   * @param {ErrorOptions & { waitingFor?: string }} [options] - waitingFor names what timed out, for the message
+   */
+  constructor (timeoutMs, { waitingFor, ...options } = {}) {
+    super(`Timed out after ${timeoutMs}ms${waitingFor ? ` waiting for ${waitingFor}` : ''}`, options)
+    this.timeoutMs = timeoutMs
+  }
+}
+
+/**
+ * Build the most specific YotoAPIError subclass for a failed response
+ * @param  {Dispatcher.ResponseData} response A undici Response
+ * @param  {string} textBody response body as text
+ * @param  {unknown | null} jsonBody parsed response body (or null if invalid JSON)
+ * @param  {any} [extra] any extra info to attach to the error
+ * @returns {YotoAPIError}
+ */
+export function createYotoAPIError (response, textBody, jsonBody, extra) {
+  const { statusCode } = response
+  const oauthError = /** @type {{ error?: unknown } | null} */ (jsonBody)?.error
+
+  if (statusCode === 401 || statusCode === 403 || (typeof oauthError === 'string' && OAUTH_AUTH_ERRORS.includes(oauthError))) {
+    return new YotoAuthError(response, textBody, jsonBody, extra)
+  }
+  if (statusCode === 404) {
+    return new YotoNotFoundError(response, textBody, jsonBody, extra)
+  }
+  if (statusCode === 429) {
+    return new YotoRateLimitError(response, textBody, jsonBody, extra)
+  }
+  if (statusCode === 400 || statusCode === 422) {
+    return new YotoValidationError(response, textBody, jsonBody, extra)
   }
+  return new YotoAPIError(response, textBody, jsonBody, extra)
 }
@@ -0,0 +1,181 @@
+import test from 'node:test'
+import assert from 'node:assert'
+import {
+  createYotoAPIError,
+  YotoError,
+  YotoAPIError,
+  YotoAuthError,
+  YotoNotFoundError,
+  YotoRateLimitError,
+  YotoValidationError,
+  YotoTokenInvalidError,
+  YotoTokenMalformedError,
+  YotoDeviceCodeExpiredError,
+  YotoAccessDeniedError
+} from './helpers.js'
+import { YotoClient } from '../api-client.js'
+import { YotoMemoryTokenStore } from '../token-store.js'
+import { createMockJwt, createTestClient, YotoMockServer } from '../testing/index.js'
+
+/**
+ * @param {number} statusCode
+ * @param {unknown} [jsonBody]
+ * @param {Record<string, string>} [headers]
+ */
+function errorFor (statusCode, jsonBody = null, headers = {}) {
+  const response = /** @type {any} */ ({ statusCode, headers })
+  return createYotoAPIError(response, JSON.stringify(jsonBody), jsonBody)
+}
+
+test('createYotoAPIError', async (t) => {
+  await t.test('should pick a subclass by status code', () => {
+    assert.ok(errorFor(401) instanceof YotoAuthError)
+    assert.ok(errorFor(403) instanceof YotoAuthError)
+    assert.ok(errorFor(404) instanceof YotoNotFoundError)
+    assert.ok(errorFor(429) instanceof YotoRateLimitError)
+    assert.ok(errorFor(400) instanceof YotoValidationError)
+    assert.ok(errorFor(422) instanceof YotoValidationError)
+
+    const serverError = errorFor(500)
+    assert.strictEqual(serverError.constructor, YotoAPIError)
+    assert.strictEqual(serverError.code, 'YOTO_API_ERROR')
+  })
+
+  await t.test('should treat OAuth credential errors as auth errors', () => {
+    const error = errorFor(400, { error: 'invalid_grant' })
+    assert.ok(error instanceof YotoAuthError)
+    assert.strictEqual(error.code, 'YOTO_AUTH_ERROR')
+    assert.ok(errorFor(400, { error: 'invalid_request' }) instanceof YotoValidationError)
+  })
+
+  await t.test('should keep the base class contract', () => {
+    const error = errorFor(404, { error: 'not_found' })
+    assert.ok(error instanceof YotoAPIError)
+    assert.ok(error instanceof YotoError)
+    assert.strictEqual(error.name, 'YotoNotFoundError')
+    assert.strictEqual(error.code, 'YOTO_NOT_FOUND')
+    assert.strictEqual(error.statusCode, 404)
+    assert.deepStrictEqual(error.jsonBody, { error: 'not_found' })
+  })
+
+  await t.test('should expose Retry-After on rate limit errors', () => {
+    const error = /** @type {YotoRateLimitError} */ (errorFor(429, null, { 'retry-after': '7' }))
+    assert.strictEqual(error.code, 'YOTO_RATE_LIMITED')
+    assert.strictEqual(error.retryAfterMs, 7000)
+  })
+})
+
+test('typed errors from the client', async (t) => {
+  const server = new YotoMockServer()
+  await server.start()
+  t.after(() => server.stop())
+
+  await t.test('should throw YotoNotFoundError for missing content', async () => {
+    await assert.rejects(createTestClient(server).getContent({ cardId: 'missing' }), YotoNotFoundError)
+  })
+
+  await t.test('should throw YotoAuthError when the API keeps rejecting the token', async () => {
+    const client = createTestClient(server)
+    server.failNext({ path: '/device-v2/devices/mine', statusCode: 401, body: { error: 'invalid_token' }, times: 2 })
+    await assert.rejects(client.getDevices(), (err) => {
+      assert.ok(err instanceof YotoAuthError)
+      assert.strictEqual(err.code, 'YOTO_AUTH_ERROR')
+      return true
+    })
+  })
+
+  await t.test('should throw YotoTokenInvalidError once the refresh token is revoked', async () => {
+    const tokens = server.issueTokens({ clientId: 'mock-client' })
+    server.revokeRefreshToken(tokens.refresh_token ?? '')
+    const client = createTestClient(server, { accessToken: tokens.access_token, refreshToken: tokens.refresh_token ?? '' })
+
+    await assert.rejects(client.token.refresh(), (err) => {
+      assert.ok(err instanceof YotoTokenInvalidError)
+      assert.strictEqual(err.code, 'YOTO_TOKEN_INVALID')
+      assert.ok(err.cause instanceof YotoAuthError)
+      return true
+    })
+    await assert.rejects(client.getDevices(), YotoTokenInvalidError)
+  })
+
+  await t.test('should throw YotoTokenMalformedError for an access token without exp', () => {
+    assert.throws(() => createTestClient(server, { accessToken: createMockJwt({ sub: 'mock-user' }) }), (err) => {
+      assert.ok(err instanceof YotoTokenMalformedError)
+      assert.strictEqual(err.code, 'YOTO_TOKEN_MALFORMED')
+      return true
+    })
+    assert.throws(() => createTestClient(server, { accessToken: 'not-a-jwt' }), YotoTokenMalformedError)
+  })
+
+  await t.test('should throw YotoTokenMalformedError for a malformed refreshed or stored token', async () => {
+    const client = createTestClient(server)
+    t.after(() => client.token.stopAutoRefresh())
+    server.failNext({ path: '/oauth/token', statusCode: 200, body: { access_token: 'not-a-jwt', token_type: 'Bearer', expires_in: 3600 } })
+    await assert.rejects(client.token.refresh(), (err) => {
+      assert.ok(err instanceof YotoTokenMalformedError)
+      assert.match(err.message, /refreshed access token/)
+      return true
+    })
+
+    const peer = createTestClient(server, {
+      tokenStore: new YotoMemoryTokenStore({ clientId: 'mock-client', accessToken: 'not-a-jwt', refreshToken: 'rotated-by-a-peer' }),
+      coordinateRefresh: true
+    })
+    t.after(() => peer.token.stopAutoRefresh())
+    await assert.rejects(peer.token.refresh(), (err) => {
+      assert.ok(err instanceof YotoTokenMalformedError)
+      assert.match(err.message, /stored access token/)
+      return true
+    })
+  })
+
+  await t.test('should throw YotoDeviceCodeExpiredError once the device code runs out', async () => {
+    const deviceCode = await YotoClient.requestDeviceCode({ clientId: 'mock-client', environment: server.environment })
+    await assert.rejects(YotoClient.waitForDeviceAuthorization({
+      deviceCode: deviceCode.device_code,
+      clientId: 'mock-client',
+      initialInterval: 10,
+      expiresIn: 0.05,
+      environment: server.environment
+    }), (err) => {
+      assert.ok(err instanceof YotoDeviceCodeExpiredError)
+      assert.strictEqual(err.code, 'YOTO_DEVICE_CODE_EXPIRED')
+      return true
+    })
+  })
+
+  await t.test('should throw YotoDeviceCodeExpiredError when the server says the code expired', async () => {
+    const shortLived = new YotoMockServer({ deviceCodeTtlSeconds: 0 })
+    await shortLived.start()
+    t.after(() => shortLived.stop())
+
+    const deviceCode = await YotoClient.requestDeviceCode({ clientId: 'mock-client', environment: shortLived.environment })
+    await assert.rejects(YotoClient.pollForDeviceToken({
+      deviceCode: deviceCode.device_code,
+      clientId: 'mock-client',
+      environment: shortLived.environment
+    }), (err) => {
+      assert.ok(err instanceof YotoDeviceCodeExpiredError)
+      assert.strictEqual(err.code, 'YOTO_DEVICE_CODE_EXPIRED')
+      assert.ok(err.cause instanceof YotoAuthError)
+      assert.deepStrictEqual(err.cause.jsonBody, { error: 'expired_token', error_description: 'Device code has expired.' })
+      return true
+    })
+  })
+
+  await t.test('should throw YotoAccessDeniedError when the user denies the sign-in', async () => {
+    const deviceCode = await YotoClient.requestDeviceCode({ clientId: 'mock-client', environment: server.environment })
+    server.denyDeviceCode(deviceCode.user_code)
+    await assert.rejects(YotoClient.waitForDeviceAuthorization({
+      deviceCode: deviceCode.device_code,
+      clientId: 'mock-client',
+      initialInterval: 10,
+      environment: server.environment
+    }), (err) => {
+      assert.ok(err instanceof YotoAccessDeniedError)
+      assert.strictEqual(err.code, 'YOTO_ACCESS_DENIED')
+      assert.ok(err.cause instanceof YotoAuthError)
+      return true
+    })
+  })
+})
@@ -1,9 +1,9 @@
 /**
- * @import { RequestOptions } from './helpers.js'
+ * @import { RequestOptions, YotoInterceptor } from './helpers.js'
+ * @import { YotoEnvironment } from '../environment.js'
  */
-import { request } from 'undici'
-import { defaultAuthHeaders, handleBadResponse, mergeRequestOptions } from './helpers.js'
-import { YOTO_API_URL } from './constants.js'
+import { defaultAuthHeaders, handleBadResponse, mergeRequestOptions, sendRequest } from './helpers.js'
+import { YOTO_ENVIRONMENT } from '../environment.js'
 
 // ============================================================================
 // Icons: Display icon endpoints for public and custom user icons
@@ -36,6 +36,8 @@ import { YOTO_API_URL } from './constants.js'
  * @param  {string} options.accessToken    The API token to request with
  * @param  {string} [options.userAgent]  Optional user agent string
  * @param  {RequestOptions} [options.requestOptions]  Additional undici request options
+ * @param  {YotoEnvironment} [options.environment]  Servers to target (defaults to production)
+ * @param  {YotoInterceptor[]} [options.interceptors]  Hooks run around the HTTP request
  * @return {Promise<YotoPublicIconsResponse>} Public display icons
  * @example
  * import { getPublicIcons } from 'yoto-nodejs-client'
@@ -52,14 +54,16 @@ import { YOTO_API_URL } from './constants.js'
 export async function getPublicIcons ({
   accessToken,
   userAgent,
-  requestOptions
+  requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors
 }) {
-  const requestUrl = new URL('/media/displayIcons/user/yoto', YOTO_API_URL)
+  const requestUrl = new URL('/media/displayIcons/user/yoto', environment.apiUrl)
 
-  const response = await request(requestUrl, mergeRequestOptions({
+  const response = await sendRequest(requestUrl, mergeRequestOptions({
     method: 'GET',
     headers: defaultAuthHeaders({ accessToken, userAgent })
-  }, requestOptions))
+  }, requestOptions), interceptors)
 
   await handleBadResponse(response)
 
@@ -91,19 +95,23 @@ export async function getPublicIcons ({
  * @param  {string} options.accessToken    The API token to request with
  * @param  {string} [options.userAgent]  Optional user agent string
  * @param  {RequestOptions} [options.requestOptions]  Additional undici request options
+ * @param  {YotoEnvironment} [options.environment]  Servers to target (defaults to production)
+ * @param  {YotoInterceptor[]} [options.interceptors]  Hooks run around the HTTP request
  * @return {Promise<YotoUserIconsResponse>} User's custom display icons
  */
 export async function getUserIcons ({
   accessToken,
   userAgent,
-  requestOptions
+  requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors
 }) {
-  const requestUrl = new URL('/media/displayIcons/user/me', YOTO_API_URL)
+  const requestUrl = new URL('/media/displayIcons/user/me', environment.apiUrl)
 
-  const response = await request(requestUrl, mergeRequestOptions({
+  const response = await sendRequest(requestUrl, mergeRequestOptions({
     method: 'GET',
     headers: defaultAuthHeaders({ accessToken, userAgent })
-  }, requestOptions))
+  }, requestOptions), interceptors)
 
   await handleBadResponse(response)
 
@@ -153,6 +161,8 @@ export async function getUserIcons ({
  * @param  {string} [options.filename] Override the stored base filename
  * @param  {string} [options.userAgent]  Optional user agent string
  * @param  {RequestOptions} [options.requestOptions]  Additional undici request options
+ * @param  {YotoEnvironment} [options.environment]  Servers to target (defaults to production)
+ * @param  {YotoInterceptor[]} [options.interceptors]  Hooks run around the HTTP request
  * @return {Promise<YotoUploadIconResponse>} The uploaded or existing display icon
  * @example
  * import { readFile } from 'fs/promises'
@@ -178,21 +188,23 @@ export async function uploadIcon ({
   imageData,
   autoConvert = true,
   filename,
-  requestOptions
+  requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors
 }) {
-  const requestUrl = new URL('/media/displayIcons/user/me/upload', YOTO_API_URL)
+  const requestUrl = new URL('/media/displayIcons/user/me/upload', environment.apiUrl)
 
   if (autoConvert !== undefined) requestUrl.searchParams.set('autoConvert', autoConvert.toString())
   if (filename) requestUrl.searchParams.set('filename', filename)
 
-  const response = await request(requestUrl, mergeRequestOptions({
+  const response = await sendRequest(requestUrl, mergeRequestOptions({
     method: 'POST',
     headers: {
       ...defaultAuthHeaders({ accessToken, userAgent }),
       'Content-Type': 'application/octet-stream'
     },
     body: imageData
-  }, requestOptions))
+  }, requestOptions), interceptors)
 
   await handleBadResponse(response)
 
@@ -1,9 +1,9 @@
 /**
- * @import { RequestOptions } from './helpers.js'
+ * @import { RequestOptions, YotoInterceptor } from './helpers.js'
+ * @import { YotoEnvironment } from '../environment.js'
  */
-import { request } from 'undici'
-import { defaultAuthHeaders, handleBadResponse, mergeRequestOptions } from './helpers.js'
-import { YOTO_API_URL } from './constants.js'
+import { defaultAuthHeaders, handleBadResponse, mergeRequestOptions, sendRequest } from './helpers.js'
+import { YOTO_ENVIRONMENT } from '../environment.js'
 
 // ============================================================================
 // Media: Media endpoints for audio uploads and cover images
@@ -63,6 +63,8 @@ import { YOTO_API_URL } from './constants.js'
  * @param {string} [options.filename] - Optional filename for the uploaded file
  * @param {string} [options.userAgent] - Optional user agent string
  * @param {RequestOptions} [options.requestOptions] - Additional undici request options
+ * @param {YotoEnvironment} [options.environment] - Servers to target (defaults to production)
+ * @param {YotoInterceptor[]} [options.interceptors] - Hooks run around the HTTP request
  * @returns {Promise<YotoAudioUploadUrlResponse>}
  */
 export async function getAudioUploadUrl ({
@@ -70,17 +72,19 @@ export async function getAudioUploadUrl ({
   userAgent,
   sha256,
   filename,
-  requestOptions
+  requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors
 }) {
-  const requestUrl = new URL('/media/transcode/audio/uploadUrl', YOTO_API_URL)
+  const requestUrl = new URL('/media/transcode/audio/uploadUrl', environment.apiUrl)
 
   requestUrl.searchParams.set('sha256', sha256)
   if (filename) requestUrl.searchParams.set('filename', filename)
 
-  const response = await request(requestUrl, mergeRequestOptions({
+  const response = await sendRequest(requestUrl, mergeRequestOptions({
     method: 'GET',
     headers: defaultAuthHeaders({ accessToken, userAgent })
-  }, requestOptions))
+  }, requestOptions), interceptors)
 
   await handleBadResponse(response, { sha256 })
 
@@ -113,6 +117,8 @@ export async function getAudioUploadUrl ({
  * @param {string} [options.filename] - Custom filename for the uploaded image
  * @param {string} [options.userAgent] - Optional user agent string
  * @param {RequestOptions} [options.requestOptions] - Additional undici request options
+ * @param {YotoEnvironment} [options.environment] - Servers to target (defaults to production)
+ * @param {YotoInterceptor[]} [options.interceptors] - Hooks run around the HTTP request
  * @returns {Promise<YotoUploadCoverImageResponse>}
  */
 export async function uploadCoverImage ({
@@ -123,9 +129,11 @@ export async function uploadCoverImage ({
   autoConvert,
   coverType,
   filename,
-  requestOptions
+  requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors
 }) {
-  const requestUrl = new URL('/media/coverImage/user/me/upload', YOTO_API_URL)
+  const requestUrl = new URL('/media/coverImage/user/me/upload', environment.apiUrl)
 
   if (imageUrl) requestUrl.searchParams.set('imageUrl', imageUrl)
   if (autoConvert !== undefined) requestUrl.searchParams.set('autoconvert', autoConvert.toString())
@@ -146,7 +154,7 @@ export async function uploadCoverImage ({
     ...(imageData && { body: imageData })
   }
 
-  const response = await request(requestUrl, mergeRequestOptions(baseRequestOptions, requestOptions))
+  const response = await sendRequest(requestUrl, mergeRequestOptions(baseRequestOptions, requestOptions), interceptors)
 
   await handleBadResponse(response, { imageUrl, filename })
 
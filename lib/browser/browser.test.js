@@ -0,0 +1,117 @@
+import test from 'node:test'
+import assert from 'node:assert'
+import { isBuiltin } from 'node:module'
+import { readFile } from 'node:fs/promises'
+import { fileURLToPath } from 'node:url'
+import { dirname, join } from 'node:path'
+import { EventEmitter } from './events.js'
+import { createYotoMqttClient, RefreshableToken, createFetchTransport, YotoError } from '../../browser.js'
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '../..')
+
+/**
+ * Follow the imports of a module the way a bundler targeting browsers would,
+ * resolving `#` imports with the "browser" condition
+ * @param {string} entry - Path relative to the package root
+ * @returns {Promise<{ files: Set<string>, packages: Set<string> }>}
+ */
+async function browserImportGraph (entry) {
+  const { imports } = JSON.parse(await readFile(join(root, 'package.json'), 'utf8'))
+  const files = new Set()
+  const packages = new Set()
+  const queue = [join(root, entry)]
+
+  for (const file of queue) {
+    if (files.has(file)) continue
+    files.add(file)
+    if (file.endsWith('.json')) continue
+
+    const source = (await readFile(file, 'utf8'))
+      .replace(/\/\*[\s\S]*?\*\//g, '')
+      .replace(/^\s*\/\/.*$/gm, '')
+    const specifiers = [...source.matchAll(/(?:from|import|require)\s*\(?\s*'([^']+)'/g)].map((match) => /** @type {string} */ (match[1]))
+
+    for (const specifier of specifiers) {
+      const target = specifier.startsWith('#') ? imports[specifier]?.browser : specifier
+      assert.ok(target, `${specifier} has no browser mapping`)
+      if (target.startsWith('.')) {
+        queue.push(join(specifier.startsWith('#') ? root : dirname(file), target))
+      } else {
+        packages.add(target)
+      }
+    }
+  }
+  return { files, packages }
+}
+
+test('browser entry', async (t) => {
+  await t.test('should not reach Node builtins, undici or the proxy agents', async () => {
+    const { files, packages } = await browserImportGraph('browser.js')
+
+    assert.deepStrictEqual([...packages].filter((name) => isBuiltin(name)), [])
+    assert.ok(!packages.has('undici'), 'undici is imported')
+    assert.ok(!files.has(join(root, 'lib/proxy.js')), 'lib/proxy.js is imported')
+    assert.deepStrictEqual([...packages].sort(), ['jwt-decode', 'mqtt'])
+  })
+
+  await t.test('should export the MQTT client, token and transport', () => {
+    assert.strictEqual(typeof createYotoMqttClient, 'function')
+    assert.strictEqual(typeof RefreshableToken, 'function')
+    assert.strictEqual(typeof createFetchTransport, 'function')
+    assert.strictEqual(typeof YotoError, 'function')
+  })
+
+  await t.test('should accept a plain access token', () => {
+    const client = createYotoMqttClient({
+      deviceId: 'device-1',
+      token: { accessToken: 'page-token' },
+      mqttOptions: { manualConnect: true }
+    })
+    assert.strictEqual(client.mqttClient.options.password, 'page-token')
+  })
+})
+
+test('browser EventEmitter', async (t) => {
+  await t.test('should call listeners in order with the emitted arguments', () => {
+    const emitter = new EventEmitter()
+    /** @type {string[]} */
+    const calls = []
+    emitter.on('status', (value) => calls.push(`first ${value}`))
+    emitter.on('status', (value) => calls.push(`second ${value}`))
+
+    assert.strictEqual(emitter.emit('status', 'ok'), true)
+    assert.deepStrictEqual(calls, ['first ok', 'second ok'])
+    assert.strictEqual(emitter.emit('other'), false)
+  })
+
+  await t.test('should run once listeners a single time and remove them by the original function', () => {
+    const emitter = new EventEmitter()
+    let count = 0
+    const listener = () => { count++ }
+
+    emitter.once('ping', listener)
+    emitter.emit('ping')
+    emitter.emit('ping')
+    assert.strictEqual(count, 1)
+
+    emitter.once('ping', listener)
+    emitter.off('ping', listener)
+    assert.strictEqual(emitter.listenerCount('ping'), 0)
+  })
+
+  await t.test('should remove listeners', () => {
+    const emitter = new EventEmitter()
+    const listener = () => assert.fail('should be removed')
+    emitter.on('a', listener).on('b', listener)
+
+    emitter.removeListener('a', listener)
+    assert.strictEqual(emitter.listenerCount('a'), 0)
+    emitter.removeAllListeners()
+    assert.strictEqual(emitter.emit('b'), false)
+  })
+
+  await t.test('should throw unhandled errors', () => {
+    const emitter = new EventEmitter()
+    assert.throws(() => emitter.emit('error', new Error('boom')), /boom/)
+  })
+})
@@ -0,0 +1,127 @@
+// ============================================================================
+// Browser EventEmitter: The part of node:events the client classes use
+// ============================================================================
+
+/**
+ * @typedef {(...args: any[]) => void} Listener
+ */
+
+/**
+ * Stands in for the Node EventEmitter in browser builds, resolved through the
+ * `#events` import. Like Node, emitting 'error' without a listener throws.
+ */
+export class EventEmitter {
+  /** @type {Map<string | symbol, Listener[]>} */
+  #listeners = new Map()
+  /** @type {WeakMap<Listener, Listener>} - once() wrappers to the listeners they wrap, so off() accepts either */
+  #onceWrapped = new WeakMap()
+
+  /**
+   * @param {string | symbol} eventName
+   * @param {Listener} listener
+   * @returns {this}
+   */
+  on (eventName, listener) {
+    this.#listeners.set(eventName, [...this.listeners(eventName), listener])
+    return this
+  }
+
+  /**
+   * @param {string | symbol} eventName
+   * @param {Listener} listener
+   * @returns {this}
+   */
+  addListener (eventName, listener) {
+    return this.on(eventName, listener)
+  }
+
+  /**
+   * @param {string | symbol} eventName
+   * @param {Listener} listener
+   * @returns {this}
+   */
+  once (eventName, listener) {
+    /** @type {Listener} */
+    const wrapper = (...args) => {
+      this.off(eventName, wrapper)
+      listener.apply(this, args)
+    }
+    this.#onceWrapped.set(wrapper, listener)
+    return this.on(eventName, wrapper)
+  }
+
+  /**
+   * @param {string | symbol} eventName
+   * @param {Listener} listener
+   * @returns {this}
+   */
+  off (eventName, listener) {
+    const listeners = this.listeners(eventName)
+    const index = listeners.findLastIndex((candidate) => candidate === listener || this.#onceWrapped.get(candidate) === listener)
+    if (index !== -1) {
+      listeners.splice(index, 1)
+      if (listeners.length > 0) {
+        this.#listeners.set(eventName, listeners)
+      } else {
+        this.#listeners.delete(eventName)
+      }
+    }
+    return this
+  }
+
+  /**
+   * @param {string | symbol} eventName
+   * @param {Listener} listener
+   * @returns {this}
+   */
+  removeListener (eventName, listener) {
+    return this.off(eventName, listener)
+  }
+
+  /**
+   * @param {string | symbol} [eventName] - Removes every event's listeners when omitted
+   * @returns {this}
+   */
+  removeAllListeners (eventName) {
+    if (eventName === undefined) {
+      this.#listeners.clear()
+    } else {
+      this.#listeners.delete(eventName)
+    }
+    return this
+  }
+
+  /**
+   * @param {string | symbol} eventName
+   * @param {...any} args
+   * @returns {boolean} Whether any listener ran
+   */
+  emit (eventName, ...args) {
+    const listeners = this.listeners(eventName)
+    if (listeners.length === 0) {
+      if (eventName === 'error') {
+        throw args[0] instanceof Error ? args[0] : new Error(`Unhandled error. (${String(args[0])})`)
+      }
+      return false
+    }
+    for (const listener of listeners) listener.apply(this, args)
+    return true
+  }
+
+  /**
+   * @param {string | symbol} eventName
+   * @returns {number}
+   */
+  listenerCount (eventName) {
+    return this.#listeners.get(eventName)?.length ?? 0
+  }
+
+  /**
+   * Copy of the listeners for an event, in the order they run
+   * @param {string | symbol} eventName
+   * @returns {Listener[]}
+   */
+  listeners (eventName) {
+    return [...(this.#listeners.get(eventName) ?? [])]
+  }
+}
@@ -0,0 +1,17 @@
+/**
+ * @import { YotoProxyOption } from '../proxy.js'
+ */
+
+// ============================================================================
+// Browser proxy: Stands in for lib/proxy.js, resolved through the `#proxy` import
+// ============================================================================
+
+/**
+ * Browsers open websockets through their own proxy settings, so there is no agent to hand to mqtt.js
+ * @param {YotoProxyOption} _proxy
+ * @param {string | URL} _url
+ * @returns {never}
+ */
+export function createProxyWsAgent (_proxy, _url) {
+  throw new Error('The proxy option is not supported in browsers, which use their own proxy settings')
+}
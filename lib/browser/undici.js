@@ -0,0 +1,12 @@
+// ============================================================================
+// Browser undici: Stands in for undici, resolved through the `#undici` import
+// ============================================================================
+
+/**
+ * Browser builds send requests with createFetchTransport(), so this is only reached
+ * when undiciTransport is passed explicitly
+ * @returns {never}
+ */
+export function request () {
+  throw new Error('undici is not available in browsers. Use createFetchTransport() instead.')
+}
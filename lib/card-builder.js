@@ -0,0 +1,398 @@
+/**
+ * @import { YotoAudioFormat, YotoCard, YotoChannels, YotoChapter, YotoContentConfig, YotoCreateOrUpdateContentRequest, YotoMetadataInput, YotoPlaybackType, YotoShuffle, YotoTrack, YotoTrackType } from './api-endpoints/content.js'
+ */
+
+import { YotoInvalidInputError } from './api-endpoints/helpers.js'
+
+// ============================================================================
+// Card Builder: Fluent construction of MYO card content for createOrUpdateContent
+// ============================================================================
+
+/**
+ * @typedef {Object} YotoCardTrackInput
+ * @property {string} title - Track title
+ * @property {string} trackUrl - `yoto:#<sha256>` from an audio upload, or an http(s) URL for a stream
+ * @property {number} [duration=0] - Length in seconds, as reported by the transcode
+ * @property {number} [fileSize=0] - Size of the transcoded file in bytes
+ * @property {YotoAudioFormat} [format='aac'] - Format of the transcoded file
+ * @property {YotoChannels} [channels='stereo']
+ * @property {YotoTrackType} [type] - Defaults to 'stream' for http(s) URLs and 'audio' otherwise
+ * @property {string} [icon] - 16x16 icon, as `yoto:#<mediaId>` or a bare media ID. Defaults to the chapter's icon.
+ * @property {string} [key] - Track key. Generated from the track's position when omitted.
+ * @property {string} [overlayLabel] - Label shown on the player. Defaults to the chapter's.
+ */
+
+/**
+ * @typedef {Object} YotoCardChapterInput
+ * @property {string} title - Chapter title
+ * @property {string} [icon] - 16x16 icon, as `yoto:#<mediaId>` or a bare media ID. Defaults to the card's icon.
+ * @property {string} [key] - Chapter key. Generated from the chapter's position when omitted.
+ * @property {string} [overlayLabel] - Label shown on the player. Defaults to the chapter number.
+ * @property {YotoCardTrackInput[]} [tracks] - Tracks to start the chapter with. More can be added with addTrack().
+ */
+
+/**
+ * @typedef {Object} TrackDraft
+ * @property {YotoCardTrackInput} input
+ * @property {YotoTrack | undefined} source - The track as loaded by fromCard(), for fields the builder doesn't manage
+ */
+
+/**
+ * @typedef {Object} ChapterDraft
+ * @property {Omit<YotoCardChapterInput, 'tracks'>} input
+ * @property {TrackDraft[]} tracks
+ * @property {YotoChapter | undefined} source - The chapter as loaded by fromCard(), for fields the builder doesn't manage
+ */
+
+/**
+ * Turn a bare media ID into the `yoto:#` reference the content API expects
+ * @param {string} icon
+ * @returns {string}
+ */
+function toIconRef (icon) {
+  return icon.includes(':') ? icon : `yoto:#${icon}`
+}
+
+/**
+ * Generate keys for the items without one: the item's position, zero padded, skipping keys already taken
+ * @param {Array<string | undefined>} keys - Each item's own key, if it has one
+ * @returns {string[]}
+ */
+function fillKeys (keys) {
+  const taken = new Set(keys.filter((key) => key !== undefined))
+  return keys.map((key, index) => {
+    if (key !== undefined) return key
+    let number = index + 1
+    while (taken.has(String(number).padStart(2, '0'))) number++
+    const generated = String(number).padStart(2, '0')
+    taken.add(generated)
+    return generated
+  })
+}
+
+/**
+ * Builds the request body for createOrUpdateContent: chapter and track keys, overlay labels,
+ * icons and durations are filled in, so only titles and uploaded audio need to be given.
+ * Tracks are added to the chapter added last.
+ *
+ * @example
+ * ```javascript
+ * const content = new YotoCardBuilder({ title: 'Bedtime Stories' })
+ *   .setIcon('yoto:#aUm9i3ex3qqAMYBv-i-O-pYMKuMJGICtR3Vhf289u2Q')
+ *   .addChapter({ title: 'The Gruffalo' })
+ *   .addTrack({ title: 'Part 1', trackUrl: 'yoto:#abc...', duration: 312, fileSize: 4992000 })
+ *   .build()
+ * await client.createOrUpdateContent({ content })
+ * ```
+ */
+export class YotoCardBuilder {
+  /** @type {string} */
+  #title
+  /** @type {string | undefined} */
+  #cardId
+  /** @type {YotoMetadataInput} - The card's metadata as loaded by fromCard(), for fields the builder doesn't manage */
+  #metadata = {}
+  /** @type {string | undefined} */
+  #description
+  /** @type {string | null | undefined} */
+  #cover
+  /** @type {string | undefined} */
+  #icon
+  /** @type {YotoPlaybackType | undefined} */
+  #playbackType
+  /** @type {YotoContentConfig} */
+  #config = {}
+  /** @type {boolean} */
+  #shuffleAll = false
+  /** @type {ChapterDraft[]} */
+  #chapters = []
+
+  /**
+   * @param {object} options
+   * @param {string} options.title - Card title
+   * @param {string} [options.cardId] - Card to update. Omit to create a new card.
+   */
+  constructor ({ title, cardId }) {
+    this.#title = title
+    this.#cardId = cardId
+  }
+
+  /**
+   * Start editing an existing card, e.g. from getContent(). Keys, icons, metadata and fields
+   * the builder doesn't manage are kept. Custom overlay labels are kept too, while numbered ones are
+   * renumbered if chapters are added, removed or moved.
+   * @param {YotoCard} card
+   * @returns {YotoCardBuilder}
+   */
+  static fromCard (card) {
+    const builder = new YotoCardBuilder({ title: card.title, cardId: card.cardId })
+    const { content, metadata } = card
+
+    builder.#metadata = structuredClone(metadata)
+    if (content.playbackType) builder.setPlaybackType(content.playbackType)
+    builder.#config = structuredClone(content.config ?? {})
+
+    content.chapters.forEach((chapter, index) => {
+      const numbered = chapter.overlayLabel === String(index + 1)
+      builder.#chapters.push({
+        input: {
+          title: chapter.title,
+          key: chapter.key,
+          ...(!numbered && chapter.overlayLabel && { overlayLabel: chapter.overlayLabel }),
+          ...(chapter.display?.icon16x16 && { icon: chapter.display.icon16x16 })
+        },
+        tracks: chapter.tracks.map((track) => ({
+          input: {
+            title: track.title,
+            trackUrl: track.trackUrl,
+            duration: track.duration,
+            fileSize: track.fileSize,
+            format: track.format,
+            channels: track.channels,
+            type: track.type,
+            key: track.key,
+            // Tracks labelled like their chapter follow its label
+            ...(track.overlayLabel !== chapter.overlayLabel && { overlayLabel: track.overlayLabel }),
+            ...(track.display?.icon16x16 && { icon: track.display.icon16x16 })
+          },
+          source: structuredClone(track)
+        })),
+        source: structuredClone(chapter)
+      })
+    })
+    return builder
+  }
+
+  /**
+   * @param {string} title
+   * @returns {this}
+   */
+  setTitle (title) {
+    this.#title = title
+    return this
+  }
+
+  /**
+   * @param {string} description
+   * @returns {this}
+   */
+  setDescription (description) {
+    this.#description = description
+    return this
+  }
+
+  /**
+   * Set the cover image
+   * @param {string | null} imageUrl - `coverImage.mediaUrl` from uploadCoverImage(), or null to remove the cover
+   * @returns {this}
+   */
+  setCover (imageUrl) {
+    this.#cover = imageUrl
+    return this
+  }
+
+  /**
+   * Set the icon for every chapter and track that doesn't have its own
+   * @param {string} icon - `yoto:#<mediaId>` or a bare media ID, e.g. from getUserIcons()
+   * @returns {this}
+   */
+  setIcon (icon) {
+    this.#icon = icon
+    return this
+  }
+
+  /**
+   * @param {YotoPlaybackType} playbackType - 'linear' plays chapters in order, 'interactive' is for choose-your-own-adventure cards
+   * @returns {this}
+   */
+  setPlaybackType (playbackType) {
+    this.#playbackType = playbackType
+    return this
+  }
+
+  /**
+   * Shuffle the chapters
+   * @param {boolean | YotoShuffle[]} shuffle - true shuffles every chapter, false turns shuffling off.
+   *   Ranges pick `limit` random chapters between the `start` and `end` chapter numbers.
+   * @returns {this}
+   */
+  setShuffle (shuffle) {
+    // The range for true is set in build(), once the number of chapters is known
+    this.#shuffleAll = shuffle === true
+    if (Array.isArray(shuffle)) {
+      this.#config.shuffle = shuffle
+    } else {
+      delete this.#config.shuffle
+    }
+    return this
+  }
+
+  /**
+   * Set how long the player remembers its position on the card
+   * @param {number | null} seconds - Seconds after the card is removed. null goes back to the player's default.
+   * @returns {this}
+   */
+  setResumeTimeout (seconds) {
+    if (seconds === null) {
+      delete this.#config.resumeTimeout
+    } else {
+      this.#config.resumeTimeout = seconds
+    }
+    return this
+  }
+
+  /**
+   * Add a chapter at the end of the card
+   * @param {YotoCardChapterInput} chapter
+   * @returns {this}
+   */
+  addChapter ({ tracks = [], ...input }) {
+    this.#chapters.push({
+      input,
+      tracks: tracks.map((track) => ({ input: track, source: undefined })),
+      source: undefined
+    })
+    return this
+  }
+
+  /**
+   * Add a track to the last chapter. Without a chapter, one is created with the track's title.
+   * @param {YotoCardTrackInput} track
+   * @returns {this}
+   */
+  addTrack (track) {
+    let chapter = this.#chapters.at(-1)
+    if (!chapter) {
+      this.addChapter({ title: track.title })
+      chapter = /** @type {ChapterDraft} */ (this.#chapters.at(-1))
+    }
+    chapter.tracks.push({ input: track, source: undefined })
+    return this
+  }
+
+  /**
+   * Remove a chapter
+   * @param {number} index - Position of the chapter, from 0
+   * @returns {this}
+   */
+  removeChapter (index) {
+    this.#chapterAt(index)
+    this.#chapters.splice(index, 1)
+    return this
+  }
+
+  /**
+   * Move a chapter to another position
+   * @param {number} from - Current position of the chapter, from 0
+   * @param {number} to - New position, from 0
+   * @returns {this}
+   */
+  moveChapter (from, to) {
+    const chapter = this.#chapterAt(from)
+    this.#chapterAt(to)
+    this.#chapters.splice(from, 1)
+    this.#chapters.splice(to, 0, chapter)
+    return this
+  }
+
+  /**
+   * Number of chapters added so far
+   * @returns {number}
+   */
+  get chapterCount () {
+    return this.#chapters.length
+  }
+
+  /**
+   * Build the request body for createOrUpdateContent
+   * @returns {YotoCreateOrUpdateContentRequest}
+   * @throws {YotoInvalidInputError} If the card has no title or chapters, or a chapter has no tracks or no icon
+   */
+  build () {
+    if (!this.#title) throw new YotoInvalidInputError('A card needs a title')
+    if (this.#chapters.length === 0) throw new YotoInvalidInputError('A card needs at least one chapter')
+
+    const chapterKeys = fillKeys(this.#chapters.map(({ input }) => input.key))
+    const chapters = this.#chapters.map((draft, index) => this.#buildChapter(draft, index, /** @type {string} */ (chapterKeys[index])))
+
+    /** @type {YotoContentConfig} */
+    const config = structuredClone(this.#config)
+    if (this.#shuffleAll) {
+      config.shuffle = [{ start: 1, end: chapters.length, limit: chapters.length }]
+    }
+
+    /** @type {YotoMetadataInput} */
+    const metadata = {
+      ...structuredClone(this.#metadata),
+      ...(this.#description !== undefined && { description: this.#description }),
+      ...(this.#cover !== undefined && { cover: { ...this.#metadata.cover, imageL: this.#cover } })
+    }
+
+    return {
+      ...(this.#cardId && { cardId: this.#cardId }),
+      title: this.#title,
+      content: {
+        chapters,
+        config,
+        ...(this.#playbackType && { playbackType: this.#playbackType })
+      },
+      ...(Object.keys(metadata).length > 0 && { metadata })
+    }
+  }
+
+  /**
+   * @param {ChapterDraft} draft
+   * @param {number} index
+   * @param {string} key
+   * @returns {YotoChapter}
+   */
+  #buildChapter ({ input, tracks, source }, index, key) {
+    const number = index + 1
+    if (tracks.length === 0) throw new YotoInvalidInputError(`Chapter ${number} (${input.title}) has no tracks`)
+
+    const icon = input.icon ?? this.#icon
+    if (!icon) throw new YotoInvalidInputError(`Chapter ${number} (${input.title}) has no icon. Pass one to addChapter() or setIcon().`)
+
+    const overlayLabel = input.overlayLabel ?? String(number)
+    const trackKeys = fillKeys(tracks.map((track) => track.input.key))
+    const builtTracks = tracks.map(({ input: track, source: trackSource }, trackIndex) => ({
+      ...trackSource,
+      key: /** @type {string} */ (trackKeys[trackIndex]),
+      title: track.title,
+      trackUrl: track.trackUrl,
+      format: track.format ?? 'aac',
+      type: track.type ?? (/^https?:/.test(track.trackUrl) ? 'stream' : 'audio'),
+      overlayLabel: track.overlayLabel ?? overlayLabel,
+      duration: track.duration ?? 0,
+      fileSize: track.fileSize ?? 0,
+      channels: track.channels ?? 'stereo',
+      ambient: trackSource?.ambient ?? null,
+      display: { ...trackSource?.display, icon16x16: toIconRef(track.icon ?? icon) }
+    }))
+
+    return {
+      ...source,
+      key,
+      title: input.title,
+      tracks: builtTracks,
+      display: { ...source?.display, icon16x16: toIconRef(icon) },
+      overlayLabel,
+      duration: builtTracks.reduce((sum, track) => sum + track.duration, 0),
+      fileSize: builtTracks.reduce((sum, track) => sum + track.fileSize, 0),
+      availableFrom: source?.availableFrom ?? null,
+      ambient: source?.ambient ?? null,
+      defaultTrackDisplay: source?.defaultTrackDisplay ?? null,
+      defaultTrackAmbient: source?.defaultTrackAmbient ?? null
+    }
+  }
+
+  /**
+   * @param {number} index
+   * @returns {ChapterDraft}
+   */
+  #chapterAt (index) {
+    const chapter = this.#chapters[index]
+    if (!chapter) throw new RangeError(`No chapter at index ${index}`)
+    return chapter
+  }
+}
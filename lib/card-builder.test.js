@@ -0,0 +1,157 @@
+import test from 'node:test'
+import assert from 'node:assert'
+import { YotoCardBuilder } from './card-builder.js'
+import { YotoInvalidInputError } from './api-endpoints/helpers.js'
+import { validateSchema, hasSchemaIssues } from './schema-validation.js'
+import { createTestClient, YotoMockServer } from './testing/index.js'
+
+const ICON = 'yoto:#aUm9i3ex3qqAMYBv-i-O-pYMKuMJGICtR3Vhf289u2Q'
+
+test('YotoCardBuilder', async (t) => {
+  await t.test('should fill in keys, labels, icons and durations', () => {
+    const request = new YotoCardBuilder({ title: 'Bedtime Stories' })
+      .setIcon(ICON)
+      .setDescription('Stories for bedtime')
+      .setCover('https://card-content.yotoplay.com/cover.png')
+      .setPlaybackType('linear')
+      .setShuffle(true)
+      .setResumeTimeout(3600)
+      .addChapter({ title: 'The Gruffalo' })
+      .addTrack({ title: 'Part 1', trackUrl: 'yoto:#track1', duration: 100, fileSize: 1000 })
+      .addTrack({ title: 'Part 2', trackUrl: 'yoto:#track2', duration: 50, fileSize: 500, icon: 'custom-icon' })
+      .addChapter({ title: 'Radio', overlayLabel: 'R', tracks: [{ title: 'Live', trackUrl: 'https://radio.example.com/live.mp3', format: 'mp3' }] })
+      .build()
+
+    assert.strictEqual(hasSchemaIssues(validateSchema('YotoCreateOrUpdateContentRequest', request)), false)
+    assert.strictEqual(request.title, 'Bedtime Stories')
+    assert.strictEqual(request.cardId, undefined)
+    assert.deepStrictEqual(request.metadata, { description: 'Stories for bedtime', cover: { imageL: 'https://card-content.yotoplay.com/cover.png' } })
+    assert.deepStrictEqual(request.content.config, { resumeTimeout: 3600, shuffle: [{ start: 1, end: 2, limit: 2 }] })
+
+    const [first, second] = request.content.chapters ?? []
+    assert.strictEqual(first?.key, '01')
+    assert.strictEqual(first?.overlayLabel, '1')
+    assert.strictEqual(first?.duration, 150)
+    assert.strictEqual(first?.fileSize, 1500)
+    assert.deepStrictEqual(first?.tracks.map((track) => [track.key, track.overlayLabel, track.display.icon16x16, track.type]), [
+      ['01', '1', ICON, 'audio'],
+      ['02', '1', 'yoto:#custom-icon', 'audio']
+    ])
+    assert.strictEqual(second?.key, '02')
+    assert.strictEqual(second?.overlayLabel, 'R')
+    assert.strictEqual(second?.tracks[0]?.type, 'stream')
+    assert.strictEqual(second?.tracks[0]?.overlayLabel, 'R')
+  })
+
+  await t.test('should start a chapter for a track added first', () => {
+    const request = new YotoCardBuilder({ title: 'Songs' })
+      .setIcon(ICON)
+      .addTrack({ title: 'Song', trackUrl: 'yoto:#song' })
+      .build()
+    assert.deepStrictEqual(request.content.chapters?.map((chapter) => chapter.title), ['Song'])
+  })
+
+  await t.test('should refuse incomplete cards', () => {
+    assert.throws(() => new YotoCardBuilder({ title: 'Empty' }).build(), (err) => {
+      assert.ok(err instanceof YotoInvalidInputError)
+      assert.strictEqual(err.code, 'YOTO_INVALID_INPUT')
+      assert.match(err.message, /at least one chapter/)
+      return true
+    })
+    assert.throws(() => new YotoCardBuilder({ title: 'Silent' }).setIcon(ICON).addChapter({ title: 'Nothing' }).build(), /Chapter 1 \(Nothing\) has no tracks/)
+    assert.throws(() => new YotoCardBuilder({ title: 'Plain' }).addTrack({ title: 'Song', trackUrl: 'yoto:#song' }).build(), /has no icon/)
+    assert.throws(() => new YotoCardBuilder({ title: 'Short' }).removeChapter(0), RangeError)
+  })
+})
+
+test('YotoCardBuilder.fromCard', async (t) => {
+  const server = new YotoMockServer()
+  await server.start()
+  t.after(() => server.stop())
+
+  const client = createTestClient(server)
+  t.after(() => client.token.stopAutoRefresh())
+
+  await t.test('should edit a saved card and keep its keys', async () => {
+    const created = await client.createOrUpdateContent({
+      content: new YotoCardBuilder({ title: 'Adventures' })
+        .setIcon(ICON)
+        .addChapter({ title: 'One', tracks: [{ title: 'One', trackUrl: 'yoto:#one', duration: 10 }] })
+        .addChapter({ title: 'Two', tracks: [{ title: 'Two', trackUrl: 'yoto:#two', duration: 20 }] })
+        .addChapter({ title: 'Three', key: 'intro', tracks: [{ title: 'Three', trackUrl: 'yoto:#three', duration: 30 }] })
+        .setPlaybackType('interactive')
+        .build()
+    })
+    const { card } = await client.getContent({ cardId: created.card.cardId })
+
+    const builder = YotoCardBuilder.fromCard(card)
+      .removeChapter(0)
+      .moveChapter(1, 0)
+      .addChapter({ title: 'Four', tracks: [{ title: 'Four', trackUrl: 'yoto:#four', duration: 40 }] })
+    assert.strictEqual(builder.chapterCount, 3)
+    const request = builder.setIcon(ICON).build()
+
+    assert.strictEqual(request.cardId, card.cardId)
+    assert.strictEqual(request.content.playbackType, 'interactive')
+    assert.deepStrictEqual(request.content.chapters?.map((chapter) => [chapter.key, chapter.overlayLabel, chapter.title]), [
+      ['intro', '1', 'Three'],
+      ['02', '2', 'Two'],
+      ['03', '3', 'Four']
+    ])
+
+    await client.createOrUpdateContent({ content: request })
+    const { card: updated } = await client.getContent({ cardId: card.cardId })
+    assert.deepStrictEqual(updated.content.chapters.map((chapter) => chapter.title), ['Three', 'Two', 'Four'])
+  })
+
+  await t.test('should keep display fields it does not manage', async () => {
+    const seeded = server.addCard({ title: 'Styled' })
+    const [chapter] = seeded.content.chapters
+    const [track] = chapter?.tracks ?? []
+    if (!chapter || !track) throw new Error('expected a chapter with a track')
+    Object.assign(chapter.display, { icon16x16: ICON, iconBackground: '#ffcc00' })
+    Object.assign(track.display, { icon16x16: ICON, iconBackground: '#00ccff' })
+    const { card } = await client.getContent({ cardId: seeded.cardId })
+
+    await client.createOrUpdateContent({ content: YotoCardBuilder.fromCard(card).build() })
+    const { card: updated } = await client.getContent({ cardId: card.cardId })
+    assert.deepStrictEqual(updated.content.chapters[0]?.display, { icon16x16: ICON, iconBackground: '#ffcc00' })
+    assert.deepStrictEqual(updated.content.chapters[0]?.tracks[0]?.display, { icon16x16: ICON, iconBackground: '#00ccff' })
+  })
+
+  await t.test('should keep the metadata it does not change', async () => {
+    const seeded = server.addCard({ title: 'Library Book' })
+    Object.assign(seeded.metadata, {
+      author: 'Julia Donaldson',
+      category: 'stories',
+      genre: ['Adventure'],
+      languages: ['en'],
+      tags: ['bedtime'],
+      minAge: 3,
+      cover: { imageL: 'https://card-content.yotoplay.com/old.png' }
+    })
+    const { card } = await client.getContent({ cardId: seeded.cardId })
+
+    const request = YotoCardBuilder.fromCard(card)
+      .setIcon(ICON)
+      .setDescription('Read aloud')
+      .setCover('https://card-content.yotoplay.com/new.png')
+      .build()
+    assert.deepStrictEqual(request.metadata, {
+      ...card.metadata,
+      description: 'Read aloud',
+      cover: { imageL: 'https://card-content.yotoplay.com/new.png' }
+    })
+
+    await client.createOrUpdateContent({ content: request })
+    const { card: updated } = await client.getContent({ cardId: card.cardId })
+    assert.strictEqual(updated.metadata.author, 'Julia Donaldson')
+    assert.strictEqual(updated.metadata.category, 'stories')
+    assert.deepStrictEqual(updated.metadata.genre, ['Adventure'])
+    assert.deepStrictEqual(updated.metadata.languages, ['en'])
+    assert.deepStrictEqual(updated.metadata.tags, ['bedtime'])
+    assert.strictEqual(updated.metadata.minAge, 3)
+    assert.deepStrictEqual(updated.metadata.media, card.metadata.media)
+    assert.strictEqual(updated.metadata.description, 'Read aloud')
+  })
+})
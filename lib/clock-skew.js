@@ -0,0 +1,130 @@
+/**
+ * @import { YotoInterceptor } from './api-endpoints/helpers.js'
+ * @import { Dispatcher } from 'undici'
+ */
+
+// ============================================================================
+// Clock skew: Estimates how far the local clock is from the Yoto servers'
+// ============================================================================
+
+/**
+ * @typedef {Object} YotoClockSkewOptions
+ * @property {number} [maxSamples=15] - How many recent measurements the estimate is the median of
+ * @property {number} [maxRoundTripMs=10000] - Measurements from slower requests are ignored, since the server could have read its clock anywhere in between
+ */
+
+/**
+ * @typedef {Object} YotoClockSample
+ * @property {number} sentAt - Local timestamp (ms) taken when the request was sent
+ * @property {number} [receivedAt=Date.now()] - Local timestamp (ms) taken when the response arrived
+ * @property {number} [resolutionMs=0] - How coarse the server time is. HTTP dates and JWT claims are truncated to whole seconds.
+ */
+
+/**
+ * Estimates the offset between the local clock and the servers' from the time they report:
+ * HTTP `Date` headers and the `iat` of freshly issued tokens. Each measurement assumes the
+ * server read its clock halfway through the request, and the estimate is the median of the
+ * recent ones, so a single slow or odd response doesn't move it.
+ *
+ * One instance can be shared by every token on a machine, since they all run on the same clock.
+ */
+export class YotoClockSkew {
+  /** @type {number} */
+  #maxSamples
+  /** @type {number} */
+  #maxRoundTripMs
+  /** @type {number[]} - Offsets in ms, oldest first */
+  #samples = []
+  /** @type {number} */
+  #offsetMs = 0
+  /** @type {YotoInterceptor | null} */
+  #interceptor = null
+
+  /**
+   * @param {YotoClockSkewOptions} [options]
+   */
+  constructor ({ maxSamples = 15, maxRoundTripMs = 10_000 } = {}) {
+    if (!(maxSamples >= 1)) throw new RangeError('maxSamples must be at least 1')
+    this.#maxSamples = maxSamples
+    this.#maxRoundTripMs = maxRoundTripMs
+  }
+
+  /**
+   * Estimated server time minus local time, in milliseconds. Positive when the local clock
+   * is behind. 0 until the first measurement.
+   * @returns {number}
+   */
+  get offsetMs () {
+    return this.#offsetMs
+  }
+
+  /**
+   * How many measurements the estimate is based on
+   * @returns {number}
+   */
+  get sampleCount () {
+    return this.#samples.length
+  }
+
+  /**
+   * The current time on the servers' clock, as far as it is known
+   * @returns {number} Milliseconds since the epoch
+   */
+  now () {
+    return Date.now() + this.#offsetMs
+  }
+
+  /**
+   * Record a time the server reported while handling a request
+   * @param {number} serverTimeMs - Server time in milliseconds since the epoch
+   * @param {YotoClockSample} sample
+   */
+  observe (serverTimeMs, { sentAt, receivedAt = Date.now(), resolutionMs = 0 }) {
+    const roundTripMs = receivedAt - sentAt
+    if (!Number.isFinite(serverTimeMs) || roundTripMs < 0 || roundTripMs > this.#maxRoundTripMs) return
+
+    this.#samples.push(serverTimeMs + resolutionMs / 2 - (sentAt + receivedAt) / 2)
+    if (this.#samples.length > this.#maxSamples) this.#samples.shift()
+
+    const sorted = [...this.#samples].sort((a, b) => a - b)
+    const middle = Math.floor(sorted.length / 2)
+    const median = sorted.length % 2 === 1
+      ? /** @type {number} */ (sorted[middle])
+      : (/** @type {number} */ (sorted[middle - 1]) + /** @type {number} */ (sorted[middle])) / 2
+    this.#offsetMs = Math.round(median)
+  }
+
+  /**
+   * Record the `Date` header of a response, if it has one
+   * @param {Dispatcher.ResponseData['headers']} headers
+   * @param {YotoClockSample} sample
+   */
+  observeDateHeader (headers, { sentAt, receivedAt = Date.now() }) {
+    const raw = headers['date']
+    const value = Array.isArray(raw) ? raw[0] : raw
+    if (!value) return
+    this.observe(Date.parse(value), { sentAt, receivedAt, resolutionMs: 1000 })
+  }
+
+  /**
+   * Forget every measurement, e.g. after the local clock was corrected
+   */
+  reset () {
+    this.#samples = []
+    this.#offsetMs = 0
+  }
+
+  /**
+   * Interceptor that measures every response it sees. Put it last in the chain, so responses
+   * other interceptors answer from a cache or a recording never reach it.
+   * @returns {YotoInterceptor}
+   */
+  get interceptor () {
+    this.#interceptor ??= {
+      afterResponse: (context, response) => {
+        this.observeDateHeader(response.headers, { sentAt: context.startedAt })
+      }
+    }
+    return this.#interceptor
+  }
+}
@@ -0,0 +1,113 @@
+import test from 'node:test'
+import assert from 'node:assert'
+import { YotoClockSkew } from './clock-skew.js'
+import { createTestClient, YotoMockServer } from './testing/index.js'
+
+test('YotoClockSkew', async (t) => {
+  await t.test('should take the median of recent measurements', () => {
+    const clock = new YotoClockSkew({ maxSamples: 3 })
+    assert.strictEqual(clock.offsetMs, 0)
+
+    clock.observe(10_100, { sentAt: 0, receivedAt: 200 })
+    clock.observe(50_000, { sentAt: 0, receivedAt: 200 })
+    clock.observe(10_300, { sentAt: 0, receivedAt: 200 })
+    assert.strictEqual(clock.offsetMs, 10_200, 'one outlier does not move the estimate')
+
+    clock.observe(10_500, { sentAt: 0, receivedAt: 200 })
+    clock.observe(10_500, { sentAt: 0, receivedAt: 200 })
+    assert.strictEqual(clock.sampleCount, 3)
+    assert.strictEqual(clock.offsetMs, 10_400, 'old measurements are dropped')
+  })
+
+  await t.test('should read Date headers to the nearest second', () => {
+    const clock = new YotoClockSkew()
+    const sentAt = Date.parse('2025-01-01T12:00:00.000Z')
+    clock.observeDateHeader({ date: 'Wed, 01 Jan 2025 12:10:00 GMT' }, { sentAt, receivedAt: sentAt + 1000 })
+    assert.strictEqual(clock.offsetMs, 600_000)
+
+    clock.observeDateHeader({}, { sentAt })
+    clock.observeDateHeader({ date: 'not a date' }, { sentAt })
+    assert.strictEqual(clock.sampleCount, 1)
+  })
+
+  await t.test('should ignore slow requests', () => {
+    const clock = new YotoClockSkew({ maxRoundTripMs: 1000 })
+    clock.observe(60_000, { sentAt: 0, receivedAt: 5000 })
+    assert.strictEqual(clock.sampleCount, 0)
+  })
+})
+
+test('YotoClient clock skew', async (t) => {
+  /** @param {ConstructorParameters<typeof YotoMockServer>[0]} options */
+  const startServer = async (options) => {
+    const server = new YotoMockServer(options)
+    await server.start()
+    t.after(() => server.stop())
+    return server
+  }
+
+  /**
+   * @param {number} actualMs
+   * @param {number} expectedMs
+   */
+  const assertNear = (actualMs, expectedMs) => {
+    assert.ok(Math.abs(actualMs - expectedMs) <= 1500, `${actualMs} is not close to ${expectedMs}`)
+  }
+
+  await t.test('should stop refreshing in a loop when the local clock is ahead', async () => {
+    const server = await startServer({ clockOffsetSeconds: -600, accessTokenTtlSeconds: 300 })
+    const client = createTestClient(server, { expiresIn: 300 })
+    const countRefreshes = () => server.requests.filter((req) => req.path === '/oauth/token').length
+
+    // By the local clock the token expired five minutes ago
+    assert.strictEqual(client.token.isValid(), false)
+
+    await client.getDevices()
+    await client.getDevices()
+    await client.getDevices()
+
+    assert.strictEqual(countRefreshes(), 1)
+    assertNear(client.token.clockSkew.offsetMs, -600_000)
+    assert.strictEqual(client.token.isValid(), true)
+    assert.ok(client.token.getTimeRemaining() > 290)
+  })
+
+  await t.test('should hold off an auto refresh the skew estimate has made early', async () => {
+    const server = await startServer({ clockOffsetSeconds: -600 })
+    const clockSkew = new YotoClockSkew()
+    // Due now by the local clock, but in ten minutes by the server's
+    createTestClient(server, { expiresIn: 630, clockSkew })
+    const countRefreshes = () => server.requests.filter((req) => req.path === '/oauth/token').length
+
+    // A peer sharing the estimate learns the offset before the timer fires
+    clockSkew.observe(Date.now() - 600_000, { sentAt: Date.now() })
+    await new Promise((resolve) => setTimeout(resolve, 100))
+
+    assert.strictEqual(countRefreshes(), 0)
+  })
+
+  await t.test('should see the token expire on time when the local clock is behind', async () => {
+    const server = await startServer({ clockOffsetSeconds: 600 })
+    const client = createTestClient(server, { expiresIn: 60 })
+
+    // By the local clock the token has 11 minutes left
+    assert.ok(client.token.getTimeRemaining() > 600)
+
+    await client.getDevices()
+
+    assertNear(client.token.clockSkew.offsetMs, 600_000)
+    assert.ok(client.token.getTimeRemaining() <= 61)
+    assert.strictEqual(client.token.isValid(), true)
+  })
+
+  await t.test('should share one estimate between clients', async () => {
+    const clockSkew = new YotoClockSkew()
+    const server = await startServer({ clockOffsetSeconds: 120 })
+    const first = createTestClient(server, { clockSkew })
+    const second = createTestClient(server, { clockSkew })
+
+    await first.getDevices()
+    assert.strictEqual(second.token.clockSkew, clockSkew)
+    assertNear(clockSkew.offsetMs, 120_000)
+  })
+})
@@ -0,0 +1,161 @@
+/**
+ * @import { YotoDeviceCodeResponse, YotoTokenResponse } from './api-endpoints/auth.js'
+ * @import { RequestOptions, YotoInterceptor } from './api-endpoints/helpers.js'
+ * @import { YotoEnvironment } from './environment.js'
+ */
+
+import { EventEmitter } from 'node:events'
+import { encode, renderSVG, renderUnicodeCompact } from 'uqr'
+import { requestDeviceCode, waitForDeviceAuthorization } from './api-endpoints/auth.js'
+import { withRequestSignal } from './abort.js'
+import { YotoAccessDeniedError, YotoDeviceCodeExpiredError } from './api-endpoints/helpers.js'
+
+// ============================================================================
+// Device Login: The device flow with progress events and login screen data
+// ============================================================================
+
+/**
+ * What a kiosk or TV login screen shows while the user signs in on their phone
+ * @typedef {Object} YotoDeviceLoginScreen
+ * @property {string} userCode - Code the user types in at verificationUri
+ * @property {string} verificationUri - Page where the user enters the code
+ * @property {string} [verificationUriComplete] - The page with the code filled in
+ * @property {string} qrUrl - URL the QR code opens: verificationUriComplete when there is one
+ * @property {boolean[][]} qrModules - QR code rows, true for dark modules. No quiet zone is included.
+ * @property {string} qrSvg - The QR code as an SVG document, with its quiet zone
+ * @property {number} expiresAt - When the code expires, in milliseconds since the epoch
+ * @property {number} intervalMs - How often the login is polled
+ */
+
+/**
+ * @typedef {Object} YotoDeviceLoginOptions
+ * @property {string} clientId - OAuth client ID
+ * @property {string} [scope='openid profile offline_access'] - Requested scopes
+ * @property {string} [audience='https://api.yotoplay.com'] - Audience for the token
+ * @property {string} [userAgent] - Optional user agent string
+ * @property {RequestOptions} [requestOptions] - Additional undici request options
+ * @property {YotoEnvironment} [environment] - Servers to target (defaults to production)
+ * @property {YotoInterceptor[]} [interceptors] - Hooks run around the HTTP requests
+ */
+
+/**
+ * Event map for YotoDeviceLogin
+ * @typedef {{
+ *   'code': [YotoDeviceLoginScreen],
+ *   'poll': [{ attempt: number, intervalMs: number }],
+ *   'slowDown': [{ intervalMs: number }],
+ *   'expired': [YotoDeviceCodeExpiredError],
+ *   'denied': [YotoAccessDeniedError],
+ *   'authorized': [YotoTokenResponse]
+ * }} YotoDeviceLoginEventMap
+ */
+
+/**
+ * Build the login screen data for a device code, QR code included
+ * @param {YotoDeviceCodeResponse} deviceCode - Response from requestDeviceCode()
+ * @param {object} [options]
+ * @param {number} [options.issuedAt=Date.now()] - When the code was issued, in milliseconds since the epoch
+ * @returns {YotoDeviceLoginScreen}
+ */
+export function createDeviceLoginScreen (deviceCode, { issuedAt = Date.now() } = {}) {
+  const qrUrl = deviceCode.verification_uri_complete ?? deviceCode.verification_uri
+  return {
+    userCode: deviceCode.user_code,
+    verificationUri: deviceCode.verification_uri,
+    ...(deviceCode.verification_uri_complete && { verificationUriComplete: deviceCode.verification_uri_complete }),
+    qrUrl,
+    qrModules: encode(qrUrl, { ecc: 'M', border: 0 }).data,
+    qrSvg: renderSVG(qrUrl, { ecc: 'M', border: 4 }),
+    expiresAt: issuedAt + deviceCode.expires_in * 1000,
+    intervalMs: deviceCode.interval * 1000
+  }
+}
+
+/**
+ * Render a URL as a QR code for the terminal, two module rows per text line
+ * @param {string} url
+ * @returns {string}
+ */
+export function renderTerminalQr (url) {
+  return renderUnicodeCompact(url, { ecc: 'M', border: 2 })
+}
+
+/**
+ * Runs the device flow and reports its progress as events, for apps that show a login screen.
+ *
+ * Events:
+ * - 'code' - A device code was issued. Passes the login screen data, QR code included.
+ * - 'poll' - The login is still pending. Passes { attempt, intervalMs }.
+ * - 'slowDown' - The server asked to poll less often. Passes { intervalMs }.
+ * - 'expired' - The code expired before the user signed in. Passes the error start() rejects with.
+ * - 'denied' - The user declined. Passes the error start() rejects with.
+ * - 'authorized' - The user signed in. Passes the tokens start() resolves with.
+ *
+ * @example
+ * ```javascript
+ * const login = new YotoDeviceLogin({ clientId })
+ * login.on('code', (screen) => showLoginScreen(screen.qrSvg, screen.userCode))
+ * login.on('expired', () => showMessage('The code expired. Getting a new one...'))
+ * const tokens = await login.start()
+ * ```
+ *
+ * @extends {EventEmitter<YotoDeviceLoginEventMap>}
+ */
+export class YotoDeviceLogin extends EventEmitter {
+  /** @type {YotoDeviceLoginOptions} */
+  #options
+
+  /**
+   * @param {YotoDeviceLoginOptions} options
+   */
+  constructor (options) {
+    super()
+    this.#options = options
+  }
+
+  /**
+   * Request a device code and poll until the user signs in
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Stops polling
+   * @returns {Promise<YotoTokenResponse>}
+   * @throws {YotoDeviceCodeExpiredError} If the code runs out while polling or the server reports it expired
+   * @throws {YotoAccessDeniedError} If the user denies access
+   */
+  async start ({ signal } = {}) {
+    const { clientId, scope, audience, userAgent, requestOptions, environment, interceptors } = this.#options
+    const callRequestOptions = withRequestSignal(requestOptions, signal)
+    const common = {
+      clientId,
+      ...(audience && { audience }),
+      ...(userAgent && { userAgent }),
+      ...(callRequestOptions && { requestOptions: callRequestOptions }),
+      ...(environment && { environment }),
+      ...(interceptors && { interceptors })
+    }
+
+    const deviceCode = await requestDeviceCode({ ...common, ...(scope && { scope }) })
+    this.emit('code', createDeviceLoginScreen(deviceCode))
+
+    let attempt = 0
+    try {
+      const tokens = await waitForDeviceAuthorization({
+        ...common,
+        deviceCode: deviceCode.device_code,
+        initialInterval: deviceCode.interval * 1000,
+        expiresIn: deviceCode.expires_in,
+        ...(signal && { signal }),
+        onPoll: (result) => {
+          attempt++
+          if (result.status === 'pending') this.emit('poll', { attempt, intervalMs: result.interval })
+          if (result.status === 'slow_down') this.emit('slowDown', { intervalMs: result.interval })
+        }
+      })
+      this.emit('authorized', tokens)
+      return tokens
+    } catch (err) {
+      if (err instanceof YotoDeviceCodeExpiredError) this.emit('expired', err)
+      if (err instanceof YotoAccessDeniedError) this.emit('denied', err)
+      throw err
+    }
+  }
+}
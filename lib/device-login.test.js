@@ -0,0 +1,144 @@
+import test from 'node:test'
+import assert from 'node:assert'
+import { once } from 'node:events'
+import { createDeviceLoginScreen, renderTerminalQr, YotoDeviceLogin } from './device-login.js'
+import { YotoAccessDeniedError, YotoAuthError, YotoDeviceCodeExpiredError } from './api-endpoints/helpers.js'
+import { YotoMockServer } from './testing/index.js'
+
+const deviceCode = {
+  device_code: 'device-1',
+  user_code: 'ABCD-EFGH',
+  verification_uri: 'https://login.example.com/activate',
+  verification_uri_complete: 'https://login.example.com/activate?user_code=ABCD-EFGH',
+  expires_in: 900,
+  interval: 5
+}
+
+test('createDeviceLoginScreen', async (t) => {
+  await t.test('should describe the code with a QR code for the complete URL', () => {
+    const screen = createDeviceLoginScreen(deviceCode, { issuedAt: 1_000 })
+
+    assert.strictEqual(screen.userCode, 'ABCD-EFGH')
+    assert.strictEqual(screen.qrUrl, deviceCode.verification_uri_complete)
+    assert.strictEqual(screen.expiresAt, 901_000)
+    assert.strictEqual(screen.intervalMs, 5_000)
+    assert.match(screen.qrSvg, /^<svg[\s\S]*<\/svg>$/)
+
+    // A square matrix with a finder pattern in the top left corner
+    const size = screen.qrModules.length
+    assert.ok(size >= 21 && (size - 17) % 4 === 0)
+    assert.ok(screen.qrModules.every((row) => row.length === size))
+    assert.deepStrictEqual(screen.qrModules[0]?.slice(0, 7), Array(7).fill(true))
+    assert.deepStrictEqual(screen.qrModules[1]?.slice(0, 7), [true, false, false, false, false, false, true])
+  })
+
+  await t.test('should fall back to the plain verification URL', () => {
+    const { verification_uri_complete: _, ...withoutComplete } = deviceCode
+    const screen = createDeviceLoginScreen(withoutComplete)
+    assert.strictEqual(screen.qrUrl, deviceCode.verification_uri)
+    assert.strictEqual(screen.verificationUriComplete, undefined)
+  })
+})
+
+test('renderTerminalQr', async (t) => {
+  await t.test('should pack two module rows into each line', () => {
+    const lines = renderTerminalQr(deviceCode.verification_uri_complete).split('\n')
+    const size = createDeviceLoginScreen(deviceCode).qrModules.length + 4
+    assert.strictEqual(lines.length, Math.ceil(size / 2))
+    assert.ok(lines.every((line) => /^[ █▀▄]+$/.test(line)))
+  })
+})
+
+test('YotoDeviceLogin', async (t) => {
+  const server = new YotoMockServer({ deviceCodeInterval: 0 })
+  await server.start()
+  t.after(() => server.stop())
+
+  const createLogin = () => new YotoDeviceLogin({ clientId: 'mock-client', environment: server.environment })
+
+  await t.test('should report the code, polls and authorization', async () => {
+    const login = createLogin()
+    /** @type {string[]} */
+    const events = []
+    let userCode = ''
+    login.on('code', (screen) => {
+      events.push('code')
+      userCode = screen.userCode
+    })
+    login.on('poll', ({ attempt }) => {
+      events.push(`poll ${attempt}`)
+      if (attempt === 2) server.approveDeviceCode(userCode)
+    })
+    login.on('authorized', () => { events.push('authorized') })
+
+    const tokens = await login.start()
+
+    assert.ok(tokens.access_token)
+    assert.deepStrictEqual(events, ['code', 'poll 1', 'poll 2', 'authorized'])
+  })
+
+  await t.test('should report a denied login', async () => {
+    const login = createLogin()
+    login.on('code', (screen) => server.denyDeviceCode(screen.userCode))
+    const denied = once(login, 'denied')
+
+    await assert.rejects(login.start(), YotoAccessDeniedError)
+    const [error] = await denied
+    assert.strictEqual(error.code, 'YOTO_ACCESS_DENIED')
+    assert.ok(error.cause instanceof YotoAuthError)
+    assert.deepStrictEqual(error.cause.jsonBody, { error: 'access_denied', error_description: 'User denied authorization.' })
+  })
+
+  await t.test('should report an expired code', async () => {
+    const login = createLogin()
+    server.failNext({ path: '/oauth/token', statusCode: 403, body: { error: 'expired_token', error_description: 'Device code has expired.' } })
+    /** @type {Error[]} */
+    const expired = []
+    login.on('expired', (error) => { expired.push(error) })
+
+    await assert.rejects(login.start(), YotoDeviceCodeExpiredError)
+    assert.strictEqual(expired.length, 1)
+  })
+
+  await t.test('should report a code the server says expired', async () => {
+    const expiredOnArrival = new YotoMockServer({ deviceCodeTtlSeconds: 0 })
+    await expiredOnArrival.start()
+    t.after(() => expiredOnArrival.stop())
+
+    const login = new YotoDeviceLogin({ clientId: 'mock-client', environment: expiredOnArrival.environment })
+    const expired = once(login, 'expired')
+
+    await assert.rejects(login.start(), YotoDeviceCodeExpiredError)
+    const [error] = await expired
+    assert.ok(error.cause instanceof YotoAuthError)
+    assert.strictEqual(/** @type {{ error?: string }} */ (error.cause.jsonBody).error, 'expired_token')
+  })
+
+  await t.test('should report a code that ran out while polling', async () => {
+    const shortLived = new YotoMockServer({ deviceCodeInterval: 1, deviceCodeTtlSeconds: 0.3 })
+    await shortLived.start()
+    t.after(() => shortLived.stop())
+
+    const login = new YotoDeviceLogin({ clientId: 'mock-client', environment: shortLived.environment })
+    const expired = once(login, 'expired')
+
+    await assert.rejects(login.start(), YotoDeviceCodeExpiredError)
+    const [error] = await expired
+    assert.strictEqual(error.code, 'YOTO_DEVICE_CODE_EXPIRED')
+  })
+
+  await t.test('should report slow_down with the longer interval', async () => {
+    const login = createLogin()
+    const controller = new AbortController()
+    server.failNext({ path: '/oauth/token', statusCode: 403, body: { error: 'slow_down' } })
+    /** @type {number[]} */
+    const intervals = []
+    login.on('slowDown', ({ intervalMs }) => {
+      intervals.push(intervalMs)
+      controller.abort()
+    })
+
+    await assert.rejects(login.start({ signal: controller.signal }), { name: 'AbortError' })
+    assert.deepStrictEqual(intervals, [5000])
+  })
+})
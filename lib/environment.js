@@ -0,0 +1,84 @@
+import { YOTO_API_URL, YOTO_LOGIN_URL } from './api-endpoints/constants.js'
+import { MQTT_BROKER_URL, MQTT_PROTOCOL } from './mqtt/topics.js'
+
+// ============================================================================
+// Environment: The set of servers a client talks to
+// ============================================================================
+
+/**
+ * MQTT transport protocol used to reach the broker
+ * @typedef {'wss' | 'ws' | 'mqtts' | 'mqtt'} YotoMqttProtocol
+ */
+
+/**
+ * The servers a client talks to. Swap these out to target a staging or local mock server.
+ * @typedef {Object} YotoEnvironment
+ * @property {string} apiUrl - Base URL for the Yoto REST API
+ * @property {string} loginUrl - Base URL for OAuth (authorize, token, device code)
+ * @property {string} brokerUrl - MQTT broker URL. A port in the URL is used as the connection port.
+ * @property {YotoMqttProtocol} protocol - MQTT transport protocol
+ */
+
+/**
+ * The production Yoto environment
+ * @type {Readonly<YotoEnvironment>}
+ */
+export const YOTO_ENVIRONMENT = Object.freeze({
+  apiUrl: YOTO_API_URL,
+  loginUrl: YOTO_LOGIN_URL,
+  brokerUrl: MQTT_BROKER_URL,
+  protocol: /** @type {YotoMqttProtocol} */ (MQTT_PROTOCOL)
+})
+
+/**
+ * Build a complete environment, filling unspecified fields from the production environment.
+ * When only `brokerUrl` is given, `protocol` is taken from its scheme.
+ * @param {Partial<YotoEnvironment>} [overrides] - Fields to override
+ * @returns {Readonly<YotoEnvironment>}
+ *
+ * @example
+ * ```javascript
+ * const environment = createYotoEnvironment({
+ *   apiUrl: 'http://localhost:8080',
+ *   loginUrl: 'http://localhost:8080',
+ *   brokerUrl: 'ws://localhost:8883',
+ *   protocol: 'ws'
+ * })
+ * ```
+ */
+export function createYotoEnvironment (overrides = {}) {
+  return Object.freeze({
+    apiUrl: overrides.apiUrl ?? YOTO_ENVIRONMENT.apiUrl,
+    loginUrl: overrides.loginUrl ?? YOTO_ENVIRONMENT.loginUrl,
+    brokerUrl: overrides.brokerUrl ?? YOTO_ENVIRONMENT.brokerUrl,
+    protocol: overrides.protocol ?? protocolFromUrl(overrides.brokerUrl) ?? YOTO_ENVIRONMENT.protocol
+  })
+}
+
+/**
+ * @param {string | undefined} brokerUrl
+ * @returns {YotoMqttProtocol | undefined}
+ */
+function protocolFromUrl (brokerUrl) {
+  if (!brokerUrl) return undefined
+  const scheme = new URL(brokerUrl).protocol.replace(/:$/, '')
+  return ['wss', 'ws', 'mqtts', 'mqtt'].includes(scheme)
+    ? /** @type {YotoMqttProtocol} */ (scheme)
+    : undefined
+}
+
+/**
+ * Port each MQTT protocol uses when the broker URL doesn't name one
+ * @type {Readonly<Record<YotoMqttProtocol, number>>}
+ */
+const DEFAULT_BROKER_PORTS = Object.freeze({ wss: 443, ws: 80, mqtts: 8883, mqtt: 1883 })
+
+/**
+ * The port to reach the MQTT broker on: the one in the broker URL, or the protocol's default
+ * @param {YotoEnvironment} environment
+ * @param {string} [brokerUrl=environment.brokerUrl] - Broker URL to use instead of the environment's
+ * @returns {number}
+ */
+export function getBrokerPort (environment, brokerUrl = environment.brokerUrl) {
+  return Number(new URL(brokerUrl).port) || DEFAULT_BROKER_PORTS[environment.protocol]
+}
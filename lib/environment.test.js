@@ -0,0 +1,67 @@
+import test from 'node:test'
+import assert from 'node:assert'
+import { YOTO_ENVIRONMENT, createYotoEnvironment, getBrokerPort } from './environment.js'
+import { getAuthorizeUrl } from './api-endpoints/auth.js'
+
+test('createYotoEnvironment', async (t) => {
+  await t.test('should default to production', () => {
+    assert.deepStrictEqual(createYotoEnvironment(), YOTO_ENVIRONMENT)
+    assert.strictEqual(YOTO_ENVIRONMENT.apiUrl, 'https://api.yotoplay.com')
+    assert.strictEqual(YOTO_ENVIRONMENT.loginUrl, 'https://login.yotoplay.com')
+    assert.strictEqual(YOTO_ENVIRONMENT.protocol, 'wss')
+  })
+
+  await t.test('should override only the given fields', () => {
+    const environment = createYotoEnvironment({ apiUrl: 'http://localhost:8080' })
+    assert.strictEqual(environment.apiUrl, 'http://localhost:8080')
+    assert.strictEqual(environment.loginUrl, YOTO_ENVIRONMENT.loginUrl)
+    assert.strictEqual(environment.brokerUrl, YOTO_ENVIRONMENT.brokerUrl)
+  })
+
+  await t.test('should infer protocol from brokerUrl scheme', () => {
+    assert.strictEqual(createYotoEnvironment({ brokerUrl: 'ws://localhost:8883' }).protocol, 'ws')
+    assert.strictEqual(createYotoEnvironment({ brokerUrl: 'mqtt://localhost:1883' }).protocol, 'mqtt')
+    assert.strictEqual(createYotoEnvironment({ brokerUrl: 'ws://localhost:8883', protocol: 'wss' }).protocol, 'wss')
+  })
+
+  await t.test('should be frozen', () => {
+    assert.ok(Object.isFrozen(createYotoEnvironment()))
+  })
+})
+
+test('getBrokerPort', async (t) => {
+  await t.test('should use the port in the broker URL', () => {
+    assert.strictEqual(getBrokerPort(createYotoEnvironment({ brokerUrl: 'ws://localhost:9001' })), 9001)
+  })
+
+  await t.test('should default to the port of the protocol', () => {
+    assert.strictEqual(getBrokerPort(YOTO_ENVIRONMENT), 443)
+    assert.strictEqual(getBrokerPort(createYotoEnvironment({ brokerUrl: 'ws://localhost' })), 80)
+    assert.strictEqual(getBrokerPort(createYotoEnvironment({ brokerUrl: 'mqtt://localhost' })), 1883)
+    assert.strictEqual(getBrokerPort(createYotoEnvironment({ brokerUrl: 'mqtts://localhost' })), 8883)
+  })
+})
+
+test('endpoint functions honor environment', async (t) => {
+  await t.test('getAuthorizeUrl should use loginUrl', () => {
+    const url = new URL(getAuthorizeUrl({
+      clientId: 'test-client',
+      redirectUri: 'http://localhost/callback',
+      responseType: 'code',
+      state: 'xyz',
+      environment: createYotoEnvironment({ loginUrl: 'http://127.0.0.1:9999' })
+    }))
+    assert.strictEqual(url.origin, 'http://127.0.0.1:9999')
+    assert.strictEqual(url.pathname, '/authorize')
+  })
+
+  await t.test('getAuthorizeUrl should default to production', () => {
+    const url = new URL(getAuthorizeUrl({
+      clientId: 'test-client',
+      redirectUri: 'http://localhost/callback',
+      responseType: 'code',
+      state: 'xyz'
+    }))
+    assert.strictEqual(url.origin, 'https://login.yotoplay.com')
+  })
+})
@@ -0,0 +1,2 @@
+// Node's EventEmitter, resolved through the `#events` import. Browser builds get lib/browser/events.js instead.
+export { EventEmitter } from 'node:events'
@@ -0,0 +1,42 @@
+/**
+ * @import { JwtPayload } from 'jwt-decode'
+ */
+
+import { jwtDecode } from 'jwt-decode'
+import { YotoTokenMalformedError } from './api-endpoints/helpers.js'
+
+// ============================================================================
+// JWT: Decoding tokens without verifying them
+// ============================================================================
+
+/**
+ * Decode a JWT's payload. The signature is not verified.
+ * @template {JwtPayload} [T=JwtPayload]
+ * @param {string} token
+ * @param {string} [name='token'] - What the token is, for the error message, e.g. 'stored access token'
+ * @returns {T}
+ * @throws {YotoTokenMalformedError} If the token is not a decodable JWT
+ */
+export function decodeJwt (token, name = 'token') {
+  try {
+    return jwtDecode(token)
+  } catch (err) {
+    const error = /** @type {Error} */ (err)
+    throw new YotoTokenMalformedError(`Failed to decode ${name}: ${error.message}`, { cause: error })
+  }
+}
+
+/**
+ * Read the expiry of an access token
+ * @param {string} accessToken
+ * @param {string} [name='access token'] - What the token is, for the error message
+ * @returns {number} The `exp` claim, in seconds since the epoch
+ * @throws {YotoTokenMalformedError} If the token can't be decoded or has no `exp` claim
+ */
+export function decodeExpiry (accessToken, name = 'access token') {
+  const { exp } = decodeJwt(accessToken, name)
+  if (!exp) {
+    throw new YotoTokenMalformedError(`Failed to decode ${name}: it does not contain an expiration claim (exp)`)
+  }
+  return exp
+}
@@ -0,0 +1,191 @@
+/**
+ * @import { ServerResponse } from 'node:http'
+ * @import { AddressInfo } from 'node:net'
+ * @import { YotoTokenResponse } from './api-endpoints/auth.js'
+ * @import { RequestOptions, YotoInterceptor } from './api-endpoints/helpers.js'
+ * @import { YotoEnvironment } from './environment.js'
+ */
+
+import { createServer } from 'node:http'
+import { createHash, randomBytes } from 'node:crypto'
+import { once } from 'node:events'
+import { exchangeToken, getAuthorizeUrl } from './api-endpoints/auth.js'
+import { DEFAULT_AUDIENCE, DEFAULT_SCOPE } from './api-endpoints/constants.js'
+import { YotoError } from './api-endpoints/helpers.js'
+import { withSignal, withRequestSignal } from './abort.js'
+import { YOTO_ENVIRONMENT } from './environment.js'
+
+// ============================================================================
+// Loopback login: The authorization code flow with PKCE, for apps on the user's machine
+// ============================================================================
+
+/**
+ * @typedef {Object} YotoPkcePair
+ * @property {string} codeVerifier - Secret sent with the code exchange
+ * @property {string} codeChallenge - SHA-256 of the verifier, sent with the authorize request
+ * @property {'S256'} codeChallengeMethod
+ */
+
+/**
+ * @typedef {Object} YotoLoopbackLoginOptions
+ * @property {string} clientId - OAuth client ID. Its allowed callback URLs must include the redirect URI.
+ * @property {(authorizeUrl: string) => void | Promise<void>} onAuthorizeUrl - Open the URL in the user's browser, or show it to them. A rejection aborts the login.
+ * @property {string} [host='127.0.0.1'] - Loopback address to listen on and redirect to
+ * @property {number} [port=0] - Port to listen on. 0 picks a free one, which only works if the client allows any loopback port.
+ * @property {string} [callbackPath='/callback'] - Path of the redirect URI
+ * @property {string} [scope='openid profile offline_access'] - Requested scopes. offline_access is what returns a refresh token.
+ * @property {string} [audience='https://api.yotoplay.com'] - Audience for the token
+ * @property {string} [userAgent] - Optional user agent string
+ * @property {RequestOptions} [requestOptions] - Additional undici request options for the code exchange
+ * @property {YotoEnvironment} [environment] - Servers to target (defaults to production)
+ * @property {YotoInterceptor[]} [interceptors] - Hooks run around the code exchange
+ * @property {AbortSignal} [signal] - Stops waiting and closes the server
+ * @property {number} [timeoutMs=300000] - How long to wait for the user to finish logging in
+ */
+
+/**
+ * The browser's request to the redirect URI
+ * @typedef {Object} LoopbackRedirect
+ * @property {URLSearchParams} query
+ * @property {ServerResponse} response - Answered once the code exchange settles
+ */
+
+/**
+ * Generate a PKCE code verifier and its S256 challenge
+ * @see https://datatracker.ietf.org/doc/html/rfc7636
+ * @returns {YotoPkcePair}
+ */
+export function createPkcePair () {
+  const codeVerifier = randomBytes(32).toString('base64url')
+  const codeChallenge = createHash('sha256').update(codeVerifier).digest('base64url')
+  return { codeVerifier, codeChallenge, codeChallengeMethod: 'S256' }
+}
+
+/**
+ * Log a user in through their browser. Starts a temporary HTTP server on a loopback address,
+ * hands the authorize URL to onAuthorizeUrl, checks the state on the redirect, exchanges the
+ * code with the PKCE verifier, and closes the server again.
+ *
+ * @example
+ * ```javascript
+ * const tokens = await loginWithLoopback({
+ *   clientId,
+ *   port: 8765,
+ *   onAuthorizeUrl: (url) => console.log(`Log in at ${url}`)
+ * })
+ * ```
+ *
+ * @param {YotoLoopbackLoginOptions} options
+ * @returns {Promise<YotoTokenResponse>}
+ * @throws {YotoError} If the user denies access or the redirect carries the wrong state
+ * @throws {YotoTimeoutError} If the login does not finish within timeoutMs
+ */
+export async function loginWithLoopback ({
+  clientId,
+  onAuthorizeUrl,
+  host = '127.0.0.1',
+  port = 0,
+  callbackPath = '/callback',
+  scope = DEFAULT_SCOPE,
+  audience = DEFAULT_AUDIENCE,
+  userAgent,
+  requestOptions,
+  environment = YOTO_ENVIRONMENT,
+  interceptors,
+  signal,
+  timeoutMs = 300_000
+}) {
+  const { codeVerifier, codeChallenge, codeChallengeMethod } = createPkcePair()
+  const state = randomBytes(16).toString('base64url')
+
+  /** @type {(redirect: LoopbackRedirect) => void} */
+  let onCallback = () => {}
+  /** @type {Promise<LoopbackRedirect>} */
+  const callback = new Promise((resolve) => { onCallback = resolve })
+
+  let redirected = false
+  const server = createServer((req, res) => {
+    const url = new URL(req.url ?? '/', `http://${host}`)
+    if (req.method !== 'GET' || url.pathname !== callbackPath) {
+      respond(res, 404, 'Not found')
+    } else if (redirected) {
+      respond(res, 409, 'This login has already been handled.')
+    } else {
+      redirected = true
+      onCallback({ query: url.searchParams, response: res })
+    }
+  })
+
+  server.listen(port, host)
+  await once(server, 'listening')
+  const address = /** @type {AddressInfo} */ (server.address())
+  const redirectUri = `http://${host.includes(':') ? `[${host}]` : host}:${address.port}${callbackPath}`
+
+  /** @type {ServerResponse | undefined} */
+  let browserResponse
+  try {
+    return await withSignal({ signal, timeoutMs }, async (callSignal) => {
+      const opened = Promise.resolve(onAuthorizeUrl(getAuthorizeUrl({
+        clientId,
+        redirectUri,
+        responseType: 'code',
+        state,
+        scope,
+        audience,
+        codeChallenge,
+        codeChallengeMethod,
+        environment
+      })))
+
+      // The redirect may arrive before onAuthorizeUrl settles, e.g. when it follows the redirect itself
+      const { query, response } = await Promise.race([callback, opened.then(() => callback)])
+      browserResponse = response
+
+      const error = query.get('error')
+      if (error) {
+        const description = query.get('error_description')
+        throw new YotoError(`Authorization failed: ${error}${description ? ` - ${description}` : ''}`)
+      }
+      if (query.get('state') !== state) {
+        throw new YotoError('Authorization failed: the redirect carried an unexpected state')
+      }
+      const code = query.get('code')
+      if (!code) {
+        throw new YotoError('Authorization failed: the redirect carried no code')
+      }
+
+      const tokens = await exchangeToken({
+        grantType: 'authorization_code',
+        code,
+        redirectUri,
+        codeVerifier,
+        clientId,
+        audience,
+        ...(userAgent && { userAgent }),
+        ...(interceptors && { interceptors }),
+        requestOptions: withRequestSignal(requestOptions, callSignal),
+        environment
+      })
+      respond(response, 200, 'Logged in to Yoto. You can close this window.')
+      return tokens
+    })
+  } catch (err) {
+    if (browserResponse) respond(browserResponse, 400, `Login failed: ${/** @type {Error} */ (err).message}`)
+    throw err
+  } finally {
+    // The browser's response is sent with Connection: close, so only idle keep-alive sockets remain
+    server.close()
+    server.closeIdleConnections()
+  }
+}
+
+/**
+ * @param {ServerResponse} res
+ * @param {number} statusCode
+ * @param {string} message
+ */
+function respond (res, statusCode, message) {
+  if (res.headersSent) return
+  res.writeHead(statusCode, { 'Content-Type': 'text/plain; charset=utf-8', Connection: 'close' })
+  res.end(message + '\n')
+}
@@ -0,0 +1,84 @@
+import test from 'node:test'
+import assert from 'node:assert'
+import { createHash } from 'node:crypto'
+import { createPkcePair, loginWithLoopback } from './loopback-auth.js'
+import { YotoError, YotoTimeoutError } from './api-endpoints/helpers.js'
+import { YotoMockServer } from './testing/index.js'
+
+test('createPkcePair', async (t) => {
+  await t.test('should derive the challenge from the verifier', () => {
+    const { codeVerifier, codeChallenge, codeChallengeMethod } = createPkcePair()
+    assert.match(codeVerifier, /^[\w-]{43}$/)
+    assert.strictEqual(codeChallenge, createHash('sha256').update(codeVerifier).digest('base64url'))
+    assert.strictEqual(codeChallengeMethod, 'S256')
+    assert.notStrictEqual(createPkcePair().codeVerifier, codeVerifier)
+  })
+})
+
+test('loginWithLoopback', async (t) => {
+  const server = new YotoMockServer()
+  await server.start()
+  t.after(() => server.stop())
+
+  /**
+   * Send the browser to the loopback server with a hand-made redirect
+   * @param {Record<string, string>} params
+   * @returns {(authorizeUrl: string) => Promise<void>}
+   */
+  const redirectWith = (params) => async (authorizeUrl) => {
+    const redirect = new URL(new URL(authorizeUrl).searchParams.get('redirect_uri') ?? '')
+    for (const [key, value] of Object.entries(params)) redirect.searchParams.set(key, value)
+    await fetch(redirect)
+  }
+
+  await t.test('should exchange the code from the redirect for tokens', async () => {
+    /** @type {Promise<Response> | undefined} */
+    let browser
+    const tokens = await loginWithLoopback({
+      clientId: 'mock-client',
+      environment: server.environment,
+      onAuthorizeUrl: async (url) => { await (browser = fetch(url)) }
+    })
+
+    assert.ok(tokens.access_token)
+    assert.ok(tokens.refresh_token)
+    const browserResponse = await browser
+    assert.strictEqual(browserResponse?.status, 200)
+    assert.match(await browserResponse.text(), /Logged in to Yoto/)
+
+    const authorize = server.requests.find((req) => req.path === '/authorize')
+    const exchange = server.requests.find((req) => req.path === '/oauth/token' && req.body?.get?.('grant_type') === 'authorization_code')
+    assert.strictEqual(authorize?.query.get('code_challenge_method'), 'S256')
+    assert.strictEqual(
+      createHash('sha256').update(exchange?.body.get('code_verifier')).digest('base64url'),
+      authorize?.query.get('code_challenge')
+    )
+    assert.strictEqual(exchange?.body.get('redirect_uri'), authorize?.query.get('redirect_uri'))
+    assert.match(authorize?.query.get('redirect_uri') ?? '', /^http:\/\/127\.0\.0\.1:\d+\/callback$/)
+  })
+
+  await t.test('should reject when the user denies access', async () => {
+    await assert.rejects(loginWithLoopback({
+      clientId: 'mock-client',
+      environment: server.environment,
+      onAuthorizeUrl: redirectWith({ error: 'access_denied', error_description: 'User said no' })
+    }), (err) => err instanceof YotoError && /Authorization failed: access_denied - User said no/.test(err.message))
+  })
+
+  await t.test('should reject a redirect with the wrong state', async () => {
+    await assert.rejects(loginWithLoopback({
+      clientId: 'mock-client',
+      environment: server.environment,
+      onAuthorizeUrl: redirectWith({ code: 'stolen-code', state: 'forged' })
+    }), /unexpected state/)
+  })
+
+  await t.test('should give up after timeoutMs', async () => {
+    await assert.rejects(loginWithLoopback({
+      clientId: 'mock-client',
+      environment: server.environment,
+      timeoutMs: 50,
+      onAuthorizeUrl: () => {}
+    }), YotoTimeoutError)
+  })
+})
@@ -11,6 +11,8 @@
 
 /**
  * @import { MqttClient, IConnackPacket, IDisconnectPacket, Packet } from 'mqtt'
+ * @import { YotoCallOptions } from '../abort.js'
+ * @import { YotoSchemaMismatch } from '../schema-validation.js'
  */
 
 /**
@@ -45,7 +47,8 @@
  *   'response': [string, YotoResponseMessage],
  *   'unknown': [string, any],
  *   'packetsend': [Packet],
- *   'packetreceive': [Packet]
+ *   'packetreceive': [Packet],
+ *   'schemaMismatch': [YotoSchemaMismatch]
  * }} YotoMqttClientEventMap
  */
 
@@ -273,7 +276,7 @@
  * @param {any} payload - Unknown message payload
  */
 
-import { EventEmitter } from 'events'
+import { EventEmitter } from '#events'
 import {
   getSubscriptionTopics,
   getEventsTopic,
@@ -299,6 +302,19 @@ import {
   getDisplayPreviewTopic
 } from './topics.js'
 import { commands } from './commands.js'
+import { withSignal, abortable } from '../abort.js'
+import { reportSchemaMismatch } from '../schema-validation.js'
+
+/**
+ * Typedef each message type is validated against
+ * @type {Partial<Record<string, string>>}
+ */
+const MESSAGE_SCHEMAS = {
+  events: 'YotoEventsMessage',
+  status: 'YotoStatusMessage',
+  'status-legacy': 'YotoStatusLegacyMessage',
+  response: 'YotoResponseMessage'
+}
 
 /**
  * Yoto MQTT Client class
@@ -322,12 +338,15 @@ import { commands } from './commands.js'
  * - 'status-legacy' - Device sends legacy status with lifecycle events, passes (topic, payload).
  * - 'response' - Device responds to commands, passes (topic, payload).
  * - 'unknown' - Unknown message type received, passes (topic, payload).
+ * - 'schemaMismatch' - With validateMessages on, a message did not match its typedef. Passes the differences. Without a listener they become a process warning.
  */
 export class YotoMqttClient extends EventEmitter {
   /** @type {typeof commands} */ commands = commands
   /** @type {MqttClient} */ mqttClient
   /** @type {string} */ deviceId
   /** @type {boolean} */ #autoSubscribe = true
+  /** @type {number | undefined} */ #timeoutMs
+  /** @type {boolean} */ #validateMessages
 
   /**
    * Create a Yoto MQTT client
@@ -335,6 +354,8 @@ export class YotoMqttClient extends EventEmitter {
    * @param {string} deviceId - Device ID
    * @param {Object} [options] - Client options
    * @param {boolean} [options.autoSubscribe=true] - Auto-subscribe to device topics on connect
+   * @param {number} [options.timeoutMs] - Default timeout for connect() and commands, in milliseconds
+   * @param {boolean} [options.validateMessages=false] - Check incoming messages against their typedefs and emit 'schemaMismatch' on differences
    */
   constructor (mqttClient, deviceId, options = {}) {
     super()
@@ -342,6 +363,8 @@ export class YotoMqttClient extends EventEmitter {
     this.mqttClient = mqttClient
     this.deviceId = deviceId
     this.#autoSubscribe = options.autoSubscribe !== false
+    this.#timeoutMs = options.timeoutMs
+    this.#validateMessages = options.validateMessages === true
 
     // Bind MQTT event handlers
     this.#setupEventHandlers()
@@ -509,6 +532,11 @@ export class YotoMqttClient extends EventEmitter {
     try {
       const payload = JSON.parse(message.toString())
 
+      const schema = MESSAGE_SCHEMAS[messageType]
+      if (this.#validateMessages && schema) {
+        reportSchemaMismatch(this, { source: 'mqtt', schema, operation: topic }, payload)
+      }
+
       // Emit typed events based on message type, including raw topic
       if (messageType === 'events') {
         this.emit('events', topic, /** @type {YotoEventsMessage} */ (payload))
@@ -531,10 +559,11 @@ export class YotoMqttClient extends EventEmitter {
 
   /**
    * Connect to MQTT broker
+   * @param {YotoCallOptions} [options] - Abort signal and timeout for the connection attempt
    * @returns {Promise<void>}
    */
-  async connect () {
-    return new Promise((resolve, reject) => {
+  async connect ({ signal, timeoutMs = this.#timeoutMs } = {}) {
+    return withSignal({ signal, timeoutMs }, (callSignal) => new Promise((resolve, reject) => {
       if (this.connected) {
         resolve()
         return
@@ -550,17 +579,24 @@ export class YotoMqttClient extends EventEmitter {
         reject(error)
       }
 
+      const onAbort = () => {
+        cleanup()
+        reject(callSignal?.reason)
+      }
+
       const cleanup = () => {
         this.mqttClient.off('connect', onConnect)
         this.mqttClient.off('error', onError)
+        callSignal?.removeEventListener('abort', onAbort)
       }
 
       this.mqttClient.once('connect', onConnect)
       this.mqttClient.once('error', onError)
+      callSignal?.addEventListener('abort', onAbort, { once: true })
 
       // MQTT client should already be connecting from factory
       // If not connected, it will connect automatically
-    })
+    }))
   }
 
   /**
@@ -588,19 +624,25 @@ export class YotoMqttClient extends EventEmitter {
    * Publish a message to a topic
    * @param {string} topic - MQTT topic
    * @param {Object | string} payload - Message payload (will be JSON stringified if object)
+   * @param {YotoCallOptions} [callOptions] - Abort signal and timeout for the publish
    * @returns {Promise<void>}
    */
-  async #publish (topic, payload) {
-    return new Promise((resolve, reject) => {
-      const message = typeof payload === 'string' ? payload : JSON.stringify(payload)
-
-      this.mqttClient.publish(topic, message, (err) => {
-        if (err) {
-          reject(new Error(`Failed to publish to ${topic}: ${err.message}`))
-        } else {
-          resolve()
-        }
+  async #publish (topic, payload, { signal, timeoutMs = this.#timeoutMs } = {}) {
+    return withSignal({ signal, timeoutMs }, (callSignal) => {
+      /** @type {Promise<void>} */
+      const published = new Promise((resolve, reject) => {
+        const message = typeof payload === 'string' ? payload : JSON.stringify(payload)
+
+        this.mqttClient.publish(topic, message, (err) => {
+          if (err) {
+            reject(new Error(`Failed to publish to ${topic}: ${err.message}`))
+          } else {
+            resolve()
+          }
+        })
       })
+      // A queued publish can't be recalled, so only stop waiting on it
+      return abortable(published, callSignal)
     })
   }
 
@@ -609,32 +651,35 @@ export class YotoMqttClient extends EventEmitter {
   /**
    * Request current events from device
    * @param {string} [body=''] - Optional request body for tracking/identification
+   * @param {YotoCallOptions} [callOptions] - Abort signal and timeout for the publish
    * @returns {Promise<void>}
    */
-  async requestEvents (body = '') {
+  async requestEvents (body = '', callOptions) {
     const topic = getEventsRequestTopic(this.deviceId)
-    return this.#publish(topic, body)
+    return this.#publish(topic, body, callOptions)
   }
 
   /**
    * Request current status from device
    * @param {string} [body=''] - Optional request body for tracking/identification
+   * @param {YotoCallOptions} [callOptions] - Abort signal and timeout for the publish
    * @returns {Promise<void>}
    */
-  async requestStatus (body = '') {
+  async requestStatus (body = '', callOptions) {
     const topic = getStatusRequestTopic(this.deviceId)
-    return this.#publish(topic, body)
+    return this.#publish(topic, body, callOptions)
   }
 
   /**
    * Set device volume
    * @param {number} volume - Volume level [0-100]
+   * @param {YotoCallOptions} [callOptions] - Abort signal and timeout for the publish
    * @returns {Promise<void>}
    */
-  async setVolume (volume) {
+  async setVolume (volume, callOptions) {
     const command = commands.volume(volume)
     const topic = getVolumeSetTopic(this.deviceId)
-    return this.#publish(topic, command)
+    return this.#publish(topic, command, callOptions)
   }
 
   /**
@@ -642,43 +687,47 @@ export class YotoMqttClient extends EventEmitter {
    * @param {number} r - Red intensity [0-255]
    * @param {number} g - Green intensity [0-255]
    * @param {number} b - Blue intensity [0-255]
+   * @param {YotoCallOptions} [callOptions] - Abort signal and timeout for the publish
    * @returns {Promise<void>}
    */
-  async setAmbient (r, g, b) {
+  async setAmbient (r, g, b, callOptions) {
     const command = commands.ambient(r, g, b)
     const topic = getAmbientsSetTopic(this.deviceId)
-    return this.#publish(topic, command)
+    return this.#publish(topic, command, callOptions)
   }
 
   /**
    * Set ambient light color from hex
    * @param {string} hexColor - Hex color string (e.g., "#FF0000")
+   * @param {YotoCallOptions} [callOptions] - Abort signal and timeout for the publish
    * @returns {Promise<void>}
    */
-  async setAmbientHex (hexColor) {
+  async setAmbientHex (hexColor, callOptions) {
     const command = commands.ambientFromHex(hexColor)
     const topic = getAmbientsSetTopic(this.deviceId)
-    return this.#publish(topic, command)
+    return this.#publish(topic, command, callOptions)
   }
 
   /**
    * Set sleep timer
    * @param {number} seconds - Timer duration in seconds (0 to disable)
+   * @param {YotoCallOptions} [callOptions] - Abort signal and timeout for the publish
    * @returns {Promise<void>}
    */
-  async setSleepTimer (seconds) {
+  async setSleepTimer (seconds, callOptions) {
     const command = commands.sleepTimer(seconds)
     const topic = getSleepTimerSetTopic(this.deviceId)
-    return this.#publish(topic, command)
+    return this.#publish(topic, command, callOptions)
   }
 
   /**
    * Reboot device
+   * @param {YotoCallOptions} [callOptions] - Abort signal and timeout for the publish
    * @returns {Promise<void>}
    */
-  async reboot () {
+  async reboot (callOptions) {
     const topic = getRebootTopic(this.deviceId)
-    return this.#publish(topic, '')
+    return this.#publish(topic, '', callOptions)
   }
 
   /**
@@ -690,39 +739,43 @@ export class YotoMqttClient extends EventEmitter {
    * @param {number} [options.secondsIn] - Playback start offset in seconds
    * @param {number} [options.cutOff] - Playback stop offset in seconds
    * @param {boolean} [options.anyButtonStop] - Whether button press stops playback
+   * @param {YotoCallOptions} [callOptions] - Abort signal and timeout for the publish
    * @returns {Promise<void>}
    */
-  async startCard (options) {
+  async startCard (options, callOptions) {
     const command = commands.cardStart(options)
     const topic = getCardStartTopic(this.deviceId)
-    return this.#publish(topic, command)
+    return this.#publish(topic, command, callOptions)
   }
 
   /**
    * Stop card playback
+   * @param {YotoCallOptions} [callOptions] - Abort signal and timeout for the publish
    * @returns {Promise<void>}
    */
-  async stopCard () {
+  async stopCard (callOptions) {
     const topic = getCardStopTopic(this.deviceId)
-    return this.#publish(topic, '')
+    return this.#publish(topic, '', callOptions)
   }
 
   /**
    * Pause card playback
+   * @param {YotoCallOptions} [callOptions] - Abort signal and timeout for the publish
    * @returns {Promise<void>}
    */
-  async pauseCard () {
+  async pauseCard (callOptions) {
     const topic = getCardPauseTopic(this.deviceId)
-    return this.#publish(topic, '')
+    return this.#publish(topic, '', callOptions)
   }
 
   /**
    * Resume card playback
+   * @param {YotoCallOptions} [callOptions] - Abort signal and timeout for the publish
    * @returns {Promise<void>}
    */
-  async resumeCard () {
+  async resumeCard (callOptions) {
     const topic = getCardResumeTopic(this.deviceId)
-    return this.#publish(topic, '')
+    return this.#publish(topic, '', callOptions)
   }
 
   /**
@@ -733,77 +786,85 @@ export class YotoMqttClient extends EventEmitter {
    * @param {number} [options.rssi] - RSSI threshold
    * @param {string} [options.name] - Target device name
    * @param {string} [options.mac] - Target device MAC
+   * @param {YotoCallOptions} [callOptions] - Abort signal and timeout for the publish
    * @returns {Promise<void>}
    */
-  async bluetoothOn (options) {
+  async bluetoothOn (options, callOptions) {
     const command = commands.bluetoothOn(options)
     const topic = getBluetoothOnTopic(this.deviceId)
-    return this.#publish(topic, command)
+    return this.#publish(topic, command, callOptions)
   }
 
   /**
    * Turn Bluetooth off
+   * @param {YotoCallOptions} [callOptions] - Abort signal and timeout for the publish
    * @returns {Promise<void>}
    */
-  async bluetoothOff () {
+  async bluetoothOff (callOptions) {
     const topic = getBluetoothOffTopic(this.deviceId)
-    return this.#publish(topic, '')
+    return this.#publish(topic, '', callOptions)
   }
 
   /**
    * Enable Bluetooth speaker mode
+   * @param {YotoCallOptions} [callOptions] - Abort signal and timeout for the publish
    * @returns {Promise<void>}
    */
-  async bluetoothSpeakerMode () {
+  async bluetoothSpeakerMode (callOptions) {
     const command = commands.bluetoothSpeaker()
     const topic = getBluetoothOnTopic(this.deviceId)
-    return this.#publish(topic, command)
+    return this.#publish(topic, command, callOptions)
   }
 
   /**
    * Enable Bluetooth audio source mode
+   * @param {YotoCallOptions} [callOptions] - Abort signal and timeout for the publish
    * @returns {Promise<void>}
    */
-  async bluetoothAudioSourceMode () {
+  async bluetoothAudioSourceMode (callOptions) {
     const command = commands.bluetoothAudioSource()
     const topic = getBluetoothOnTopic(this.deviceId)
-    return this.#publish(topic, command)
+    return this.#publish(topic, command, callOptions)
   }
 
   /**
    * Delete all Bluetooth bonds
+   * @param {YotoCallOptions} [callOptions] - Abort signal and timeout for the publish
    * @returns {Promise<void>}
    */
-  async bluetoothDeleteBonds () {
+  async bluetoothDeleteBonds (callOptions) {
     const topic = getBluetoothDeleteBondsTopic(this.deviceId)
-    return this.#publish(topic, '')
+    return this.#publish(topic, '', callOptions)
   }
 
   /**
    * Connect to Bluetooth device
+   * @param {YotoCallOptions} [callOptions] - Abort signal and timeout for the publish
    * @returns {Promise<void>}
    */
-  async bluetoothConnect () {
+  async bluetoothConnect (callOptions) {
     const topic = getBluetoothConnectTopic(this.deviceId)
-    return this.#publish(topic, '')
+    return this.#publish(topic, '', callOptions)
   }
 
   /**
    * Disconnect Bluetooth device
+   * @param {YotoCallOptions} [callOptions] - Abort signal and timeout for the publish
    * @returns {Promise<void>}
    */
-  async bluetoothDisconnect () {
+  async bluetoothDisconnect (callOptions) {
     const topic = getBluetoothDisconnectTopic(this.deviceId)
-    return this.#publish(topic, '')
+    return this.#publish(topic, '', callOptions)
   }
 
   /**
    * Get Bluetooth state
+   * @param {YotoCallOptions} [callOptions] - Abort signal and timeout for the publish
    * @returns {Promise<void>}
    */
-  async bluetoothGetState () {
+  async bluetoothGetState (callOptions) {
     const topic = getBluetoothStateTopic(this.deviceId)
-    return this.#publish(topic, '')
+    return this.#publish(topic, '', callOptions)
   }
 
   /**
@@ -812,11 +873,12 @@ export class YotoMqttClient extends EventEmitter {
    * @param {string} options.uri - Icon URI
    * @param {number} options.timeout - Display duration in seconds
    * @param {boolean} options.animated - Whether icon is animated
+   * @param {YotoCallOptions} [callOptions] - Abort signal and timeout for the publish
    * @returns {Promise<void>}
    */
-  async displayPreview (options) {
+  async displayPreview (options, callOptions) {
     const command = commands.displayPreview(options)
     const topic = getDisplayPreviewTopic(this.deviceId)
-    return this.#publish(topic, command)
+    return this.#publish(topic, command, callOptions)
   }
 }
@@ -8,6 +8,8 @@
 /**
  * @import { IClientOptions } from 'mqtt'
  * @import { RefreshableToken } from '../token.js'
+ * @import { YotoEnvironment } from '../environment.js'
+ * @import { YotoProxyOption } from '../proxy.js'
  */
 
 // ============================================================================
@@ -22,26 +24,28 @@
 /**
  * @typedef {Object} YotoMqttOptions
  * @property {string} deviceId - Device ID to connect to
- * @property {RefreshableToken} token - RefreshableToken instance used to supply the current JWT. Enables auto-updating auth on reconnect via transformWsUrl.
- * @property {string} [sessionId=randomUUID()] - Stable unique session ID suffix used to avoid collisions across multiple clients/processes. Used to build the MQTT clientId: DASH${deviceId}${sessionId} (non-alphanumeric characters are stripped). (MQTT calls this clientId, but we call it sessionId to not confuse it with the oauth clientId)
+ * @property {Pick<RefreshableToken, 'accessToken'>} token - Supplies the current JWT, read again on every reconnect via transformWsUrl. A RefreshableToken keeps it fresh; a plain `{ accessToken }` works where refreshing happens elsewhere, e.g. a web page given a token by its server.
+ * @property {string} [sessionId=crypto.randomUUID()] - Stable unique session ID suffix used to avoid collisions across multiple clients/processes. Used to build the MQTT clientId: DASH${deviceId}${sessionId} (non-alphanumeric characters are stripped). (MQTT calls this clientId, but we call it sessionId to not confuse it with the oauth clientId)
  * @property {string} [clientIdPrefix='DASH'] - Prefix for MQTT client ID (default: 'DASH')
- * @property {string} [brokerUrl='wss://aqrphjqbp3u2z-ats.iot.eu-west-2.amazonaws.com'] - MQTT broker URL
- * @property {number} [port=443] - MQTT broker port
+ * @property {YotoEnvironment} [environment] - Servers to target (defaults to production). Supplies the broker URL and protocol.
+ * @property {string} [brokerUrl=environment.brokerUrl] - MQTT broker URL
+ * @property {number} [port] - MQTT broker port (defaults to the port in brokerUrl, or the protocol's default: 443 for wss, 80 for ws, 8883 for mqtts, 1883 for mqtt)
  * @property {boolean} [autoSubscribe=true] - Auto-subscribe to device topics on connect
+ * @property {number} [timeoutMs] - Default timeout for connect() and commands, in milliseconds
+ * @property {boolean} [validateMessages=false] - Check incoming messages against their typedefs and emit 'schemaMismatch' on differences
+ * @property {YotoProxyOption} [proxy] - Tunnel the websocket through an HTTP(S) proxy. NO_PROXY is honoured. Only applies to the ws and wss protocols, and not when mqttOptions.wsOptions sets its own agent.
  * @property {MqttClientOptions} [mqttOptions] - Additional MQTT.js client options (defaults: reconnectPeriod=5000, reconnectOnConnackError=true, keepalive=300, clean=false; cannot override: clientId, username, password, protocol, ALPNProtocols; transformWsUrl is wrapped to keep auth current)
  */
 
 import mqtt from 'mqtt'
 import { YotoMqttClient } from './client.js'
 import {
-  MQTT_BROKER_URL,
   MQTT_AUTH_NAME,
-  MQTT_PORT,
-  MQTT_PROTOCOL,
   MQTT_KEEPALIVE,
   MQTT_ALPN_PROTOCOLS
 } from './topics.js'
-import { randomUUID } from 'node:crypto'
+import { YOTO_ENVIRONMENT, getBrokerPort } from '../environment.js'
+import { createProxyWsAgent } from '#proxy'
 
 /**
  * Create a configured MQTT client for a Yoto device
@@ -94,11 +98,15 @@ export function createYotoMqttClient (options) {
   const {
     deviceId,
     token,
-    sessionId = randomUUID(),
+    sessionId = globalThis.crypto.randomUUID(),
     clientIdPrefix = 'DASH',
-    brokerUrl = MQTT_BROKER_URL,
-    port = MQTT_PORT,
+    environment = YOTO_ENVIRONMENT,
+    brokerUrl = environment.brokerUrl,
+    port = getBrokerPort(environment, brokerUrl),
     autoSubscribe = true,
+    timeoutMs,
+    validateMessages = false,
+    proxy,
     mqttOptions: additionalMqttOptions = {}
   } = options
 
@@ -127,6 +135,11 @@ export function createYotoMqttClient (options) {
     return nextUrl
   }
 
+  const wsOptions = additionalMqttOptions.wsOptions ?? {}
+  const proxyAgent = proxy && environment.protocol.startsWith('ws') && !('agent' in wsOptions)
+    ? createProxyWsAgent(proxy, `${environment.protocol}://${new URL(brokerUrl).hostname}:${port}`)
+    : undefined
+
   // Create MQTT connection options
   // Merge additional options first, then override with required Yoto settings
   /** @type {IClientOptions} */
@@ -142,9 +155,10 @@ export function createYotoMqttClient (options) {
     username,
     password: token.accessToken,
     port,
-    protocol: MQTT_PROTOCOL,
+    protocol: environment.protocol,
     ALPNProtocols: MQTT_ALPN_PROTOCOLS,
-    transformWsUrl
+    transformWsUrl,
+    ...(proxyAgent && { wsOptions: { ...wsOptions, agent: proxyAgent } })
   }
 
   // Create underlying MQTT client (not connected yet)
@@ -152,6 +166,8 @@ export function createYotoMqttClient (options) {
 
   // Create and return Yoto MQTT client wrapper
   return new YotoMqttClient(mqttClient, deviceId, {
-    autoSubscribe
+    autoSubscribe,
+    validateMessages,
+    ...(timeoutMs !== undefined && { timeoutMs })
   })
 }
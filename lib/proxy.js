@@ -0,0 +1,203 @@
+/**
+ * @import { Duplex } from 'node:stream'
+ * @import { Socket } from 'node:net'
+ */
+
+import http from 'node:http'
+import https from 'node:https'
+import tls from 'node:tls'
+import { EnvHttpProxyAgent } from 'undici'
+
+// ============================================================================
+// Proxy: Route REST calls and the MQTT websocket through an HTTP(S) proxy
+// ============================================================================
+
+/**
+ * Proxy servers to use. Fields left unset fall back to the HTTP_PROXY, HTTPS_PROXY
+ * and NO_PROXY environment variables (lowercase names take precedence).
+ * @typedef {Object} YotoProxySettings
+ * @property {string} [httpProxy] - Proxy URL for http:// and ws:// targets
+ * @property {string} [httpsProxy] - Proxy URL for https:// and wss:// targets (defaults to httpProxy)
+ * @property {string} [noProxy] - Comma or space separated hosts to reach directly, e.g. `localhost,.internal:8443`. `*` disables the proxy.
+ */
+
+/**
+ * `true` reads the proxy environment variables, a string is the proxy URL for every
+ * target (NO_PROXY still applies), and an object sets each part explicitly.
+ * @typedef {true | string | YotoProxySettings} YotoProxyOption
+ */
+
+/**
+ * @param {YotoProxyOption} proxy
+ * @param {NodeJS.ProcessEnv} [env=process.env]
+ * @returns {{ httpProxy: string | undefined, httpsProxy: string | undefined, noProxy: string }}
+ */
+export function resolveProxySettings (proxy, env = process.env) {
+  /** @type {YotoProxySettings} */
+  const settings = proxy === true ? {} : typeof proxy === 'string' ? { httpProxy: proxy, httpsProxy: proxy } : proxy
+  const httpProxy = settings.httpProxy ?? env['http_proxy'] ?? env['HTTP_PROXY']
+
+  return {
+    httpProxy,
+    httpsProxy: settings.httpsProxy ?? env['https_proxy'] ?? env['HTTPS_PROXY'] ?? httpProxy,
+    noProxy: settings.noProxy ?? env['no_proxy'] ?? env['NO_PROXY'] ?? ''
+  }
+}
+
+/**
+ * Whether a request to url should go through the proxy, following the same NO_PROXY
+ * rules as undici: exact hosts, `.suffix` / `*.suffix` domains, optional ports and `*`.
+ * @param {URL} url
+ * @param {string} noProxy
+ * @returns {boolean}
+ */
+export function shouldProxy (url, noProxy) {
+  if (noProxy.trim() === '*') return false
+
+  const hostname = url.host.replace(/:\d*$/, '').toLowerCase()
+  const port = Number(url.port) || defaultPort(url.protocol)
+
+  for (const entry of noProxy.split(/[,\s]/)) {
+    if (!entry) continue
+    const [, entryHost = entry, entryPort] = entry.match(/^(.+):(\d+)$/) ?? []
+    if (entryPort && Number(entryPort) !== port) continue
+
+    const host = entryHost.toLowerCase()
+    if (/^[.*]/.test(host) ? hostname.endsWith(host.replace(/^\*/, '')) : hostname === host) return false
+  }
+  return true
+}
+
+/**
+ * undici dispatcher that sends REST calls through the proxy
+ * @param {YotoProxyOption} proxy
+ * @returns {EnvHttpProxyAgent}
+ */
+export function createProxyDispatcher (proxy) {
+  const { httpProxy, httpsProxy, noProxy } = resolveProxySettings(proxy)
+  return new EnvHttpProxyAgent({
+    ...(httpProxy && { httpProxy }),
+    ...(httpsProxy && { httpsProxy }),
+    noProxy
+  })
+}
+
+/**
+ * Node agent that tunnels a websocket to url through the proxy with HTTP CONNECT,
+ * for the `wsOptions.agent` MQTT.js passes to ws.
+ * @param {YotoProxyOption} proxy
+ * @param {string | URL} url - Websocket URL the agent will connect to (ws:// or wss://)
+ * @returns {http.Agent | undefined} undefined when the URL bypasses the proxy or none is configured
+ */
+export function createProxyWsAgent (proxy, url) {
+  const target = new URL(url)
+  const secure = target.protocol === 'wss:' || target.protocol === 'https:'
+  const { httpProxy, httpsProxy, noProxy } = resolveProxySettings(proxy)
+  const proxyUrl = secure ? httpsProxy : httpProxy
+
+  if (!proxyUrl || !shouldProxy(target, noProxy)) return undefined
+  return secure ? new HttpsTunnelAgent(new URL(proxyUrl)) : new HttpTunnelAgent(new URL(proxyUrl))
+}
+
+/** What createConnection returns to make the agent wait for its callback instead */
+const PENDING = /** @type {Duplex} */ (/** @type {unknown} */ (undefined))
+
+class HttpTunnelAgent extends http.Agent {
+  /** @type {URL} */
+  #proxyUrl
+
+  /** @param {URL} proxyUrl */
+  constructor (proxyUrl) {
+    super({ keepAlive: false })
+    this.#proxyUrl = proxyUrl
+  }
+
+  /**
+   * @override
+   * @param {http.ClientRequestArgs} options
+   * @param {(err: Error | null, socket: Duplex) => void} callback
+   * @returns {Duplex}
+   */
+  createConnection (options, callback) {
+    connectThroughProxy(this.#proxyUrl, options).then((socket) => callback(null, socket), (err) => callback(err, PENDING))
+    return PENDING
+  }
+}
+
+class HttpsTunnelAgent extends https.Agent {
+  /** @type {URL} */
+  #proxyUrl
+
+  /** @param {URL} proxyUrl */
+  constructor (proxyUrl) {
+    super({ keepAlive: false })
+    this.#proxyUrl = proxyUrl
+  }
+
+  /**
+   * @override
+   * @param {https.RequestOptions} options
+   * @param {(err: Error | null, socket: Duplex) => void} callback
+   * @returns {Duplex}
+   */
+  createConnection (options, callback) {
+    connectThroughProxy(this.#proxyUrl, options)
+      .then((socket) => {
+        const tlsOptions = /** @type {tls.ConnectionOptions} */ (options)
+        const secureSocket = tls.connect({
+          ...tlsOptions,
+          socket,
+          servername: options.servername ?? String(options.hostname ?? options.host)
+        })
+        callback(null, secureSocket)
+      }, (err) => callback(err, PENDING))
+    return PENDING
+  }
+}
+
+/**
+ * Open a CONNECT tunnel through the proxy to the request's host and port
+ * @param {URL} proxyUrl
+ * @param {http.ClientRequestArgs} options
+ * @returns {Promise<Socket>}
+ */
+function connectThroughProxy (proxyUrl, options) {
+  const host = String(options.hostname ?? options.host)
+  const authority = `${host.includes(':') ? `[${host}]` : host}:${options.port}`
+
+  /** @type {Record<string, string>} */
+  const headers = { Host: authority }
+  if (proxyUrl.username) {
+    const credentials = `${decodeURIComponent(proxyUrl.username)}:${decodeURIComponent(proxyUrl.password)}`
+    headers['Proxy-Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = (proxyUrl.protocol === 'https:' ? https : http).request({
+      host: proxyUrl.hostname,
+      port: Number(proxyUrl.port) || defaultPort(proxyUrl.protocol),
+      method: 'CONNECT',
+      path: authority,
+      headers
+    })
+
+    request.once('connect', (response, socket) => {
+      if (response.statusCode === 200) {
+        resolve(socket)
+      } else {
+        socket.destroy()
+        reject(new Error(`Proxy refused tunnel to ${authority}: ${response.statusCode} ${response.statusMessage}`))
+      }
+    })
+    request.once('error', reject)
+    request.end()
+  })
+}
+
+/**
+ * @param {string} protocol
+ * @returns {number}
+ */
+function defaultPort (protocol) {
+  return protocol === 'https:' || protocol === 'wss:' ? 443 : 80
+}
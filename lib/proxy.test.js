@@ -0,0 +1,162 @@
+import test from 'node:test'
+import assert from 'node:assert'
+import http from 'node:http'
+import net from 'node:net'
+import { once } from 'node:events'
+import { shouldProxy, resolveProxySettings, createProxyWsAgent } from './proxy.js'
+import { createTestClient, YotoMockServer } from './testing/index.js'
+
+/**
+ * Minimal CONNECT proxy that only tunnels to 127.0.0.1 and remembers every target
+ */
+async function startProxy () {
+  /** @type {string[]} */
+  const tunnels = []
+  /** @type {Set<net.Socket>} */
+  const sockets = new Set()
+
+  const server = http.createServer((_req, res) => { res.writeHead(405).end() })
+  server.on('connection', (socket) => {
+    sockets.add(socket)
+    socket.once('close', () => sockets.delete(socket))
+  })
+  server.on('connect', (req, clientSocket, head) => {
+    const target = String(req.url)
+    tunnels.push(target)
+    const { hostname, port } = new URL(`http://${target}`)
+    if (hostname !== '127.0.0.1') {
+      clientSocket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n')
+      return
+    }
+
+    const upstream = net.connect(Number(port), hostname, () => {
+      clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n')
+      upstream.write(head)
+      upstream.pipe(clientSocket)
+      clientSocket.pipe(upstream)
+    })
+    upstream.on('error', () => clientSocket.destroy())
+    clientSocket.on('error', () => upstream.destroy())
+  })
+
+  server.listen(0, '127.0.0.1')
+  await once(server, 'listening')
+  const { port } = /** @type {net.AddressInfo} */ (server.address())
+
+  return {
+    server,
+    tunnels,
+    url: `http://127.0.0.1:${port}`,
+    stop: async () => {
+      for (const socket of sockets) socket.destroy()
+      server.close()
+      await once(server, 'close')
+    }
+  }
+}
+
+test('shouldProxy', async (t) => {
+  await t.test('should bypass exact hosts, domain suffixes and ports', () => {
+    const noProxy = 'localhost, .internal api.example.com:8443'
+    assert.strictEqual(shouldProxy(new URL('http://localhost:3000'), noProxy), false)
+    assert.strictEqual(shouldProxy(new URL('https://svc.internal'), noProxy), false)
+    assert.strictEqual(shouldProxy(new URL('https://api.example.com:8443'), noProxy), false)
+    assert.strictEqual(shouldProxy(new URL('https://api.example.com'), noProxy), true)
+    assert.strictEqual(shouldProxy(new URL('wss://broker.yoto.io'), noProxy), true)
+  })
+
+  await t.test('should bypass everything for *', () => {
+    assert.strictEqual(shouldProxy(new URL('https://api.yotoplay.com'), '*'), false)
+  })
+})
+
+test('resolveProxySettings', async (t) => {
+  const env = { HTTPS_PROXY: 'http://secure:3128', http_proxy: 'http://plain:3128', NO_PROXY: 'localhost' }
+
+  await t.test('should read the environment for true', () => {
+    assert.deepStrictEqual(resolveProxySettings(true, env), {
+      httpProxy: 'http://plain:3128',
+      httpsProxy: 'http://secure:3128',
+      noProxy: 'localhost'
+    })
+  })
+
+  await t.test('should use a URL for every scheme but keep NO_PROXY', () => {
+    assert.deepStrictEqual(resolveProxySettings('http://corp:8080', env), {
+      httpProxy: 'http://corp:8080',
+      httpsProxy: 'http://corp:8080',
+      noProxy: 'localhost'
+    })
+  })
+
+  await t.test('should fall back to httpProxy for https targets', () => {
+    assert.strictEqual(resolveProxySettings({ httpProxy: 'http://corp:8080' }, {}).httpsProxy, 'http://corp:8080')
+  })
+})
+
+test('YotoClient proxy', async (t) => {
+  const server = new YotoMockServer()
+  await server.start()
+  t.after(() => server.stop())
+
+  const proxy = await startProxy()
+  t.after(() => proxy.stop())
+
+  const apiHost = new URL(String(server.url)).host
+
+  await t.test('should send REST calls and refreshes through the proxy', async () => {
+    const client = createTestClient(server, { proxy: { httpProxy: proxy.url, noProxy: '' } })
+    proxy.tunnels.length = 0
+
+    await client.getDevices({ requestOptions: { headers: { 'X-Test': '1' } } })
+    await client.token.refresh()
+    assert.ok(proxy.tunnels.length > 0)
+    assert.ok(proxy.tunnels.every((target) => target === apiHost))
+  })
+
+  await t.test('should go direct for NO_PROXY hosts', async () => {
+    const client = createTestClient(server, { proxy: { httpProxy: proxy.url, noProxy: '127.0.0.1' } })
+    proxy.tunnels.length = 0
+
+    await client.getDevices()
+    assert.deepStrictEqual(proxy.tunnels, [])
+  })
+
+  await t.test('should tunnel the MQTT websocket', async () => {
+    const client = createTestClient(server, {
+      proxy: { httpProxy: proxy.url, noProxy: '' },
+      environment: { ...server.environment, brokerUrl: 'ws://broker.test:8080', protocol: 'ws' }
+    })
+    const tunnelled = once(proxy.server, 'connect')
+    const mqtt = await client.createMqttClient({ deviceId: 'device-1', mqttOptions: { reconnectPeriod: 0 } })
+    t.after(() => mqtt.mqttClient.end(true))
+
+    const [request] = await tunnelled
+    assert.strictEqual(request.url, 'broker.test:8080')
+  })
+})
+
+test('createProxyWsAgent', async (t) => {
+  const server = new YotoMockServer()
+  await server.start()
+  t.after(() => server.stop())
+
+  const proxy = await startProxy()
+  t.after(() => proxy.stop())
+
+  await t.test('should tunnel plain requests with CONNECT', async () => {
+    const url = new URL('/device-v2/devices/mine', String(server.url))
+    const agent = createProxyWsAgent({ httpProxy: proxy.url, noProxy: '' }, url)
+    assert.ok(agent)
+
+    const request = http.get(url, { agent })
+    const [response] = await once(request, 'response')
+    response.resume()
+    assert.strictEqual(response.statusCode, 401)
+    assert.deepStrictEqual(proxy.tunnels, [url.host])
+  })
+
+  await t.test('should skip the proxy for NO_PROXY hosts', () => {
+    assert.strictEqual(createProxyWsAgent({ httpProxy: proxy.url, noProxy: 'broker.test' }, 'ws://broker.test'), undefined)
+  })
+})
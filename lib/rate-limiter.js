@@ -0,0 +1,199 @@
+// ============================================================================
+// Rate limiter: Token bucket plus a concurrency cap for API calls
+// ============================================================================
+
+/**
+ * @typedef {Object} YotoRateLimiterOptions
+ * @property {number} [maxConcurrent=Infinity] - Most calls allowed in flight at once
+ * @property {number} [requestsPerSecond=Infinity] - Sustained rate the token bucket refills at
+ * @property {number} [burst] - Bucket size: calls that may start back to back after a quiet period. Defaults to requestsPerSecond rounded up.
+ */
+
+/**
+ * Snapshot of a limiter's queue
+ * @typedef {Object} YotoRateLimiterMetrics
+ * @property {number} active - Calls running now
+ * @property {number} queued - Calls waiting for a slot or a token
+ * @property {number} peakQueued - Longest the queue has been
+ * @property {number} started - Calls that have been let through
+ * @property {number} completed - Calls that have finished, successfully or not
+ * @property {number} totalWaitMs - Time all started calls spent queued
+ * @property {number} maxWaitMs - Longest time a single call spent queued
+ * @property {number} averageWaitMs - totalWaitMs / started
+ */
+
+/**
+ * @typedef {Object} QueuedCall
+ * @property {() => void} resolve
+ * @property {number} enqueuedAt
+ */
+
+/**
+ * @typedef {Object} YotoScheduleOptions
+ * @property {AbortSignal | undefined} [signal] - Gives up the place in the queue. Calls that already started are not affected.
+ */
+
+/**
+ * Limits how fast and how many API calls run at once. One instance can be shared
+ * by several YotoClients so a whole household or server stays under one budget.
+ */
+export class YotoRateLimiter {
+  /** @type {number} */
+  #maxConcurrent
+  /** @type {number} */
+  #requestsPerSecond
+  /** @type {number} */
+  #burst
+  /** @type {number} */
+  #tokens
+  /** @type {number} */
+  #lastRefill
+  /** @type {number} */
+  #active = 0
+  /** @type {QueuedCall[]} */
+  #queue = []
+  /** @type {ReturnType<typeof setTimeout> | null} */
+  #refillTimeout = null
+
+  /** @type {number} */
+  #peakQueued = 0
+  /** @type {number} */
+  #started = 0
+  /** @type {number} */
+  #completed = 0
+  /** @type {number} */
+  #totalWaitMs = 0
+  /** @type {number} */
+  #maxWaitMs = 0
+
+  /**
+   * @param {YotoRateLimiterOptions} [options]
+   */
+  constructor ({ maxConcurrent = Infinity, requestsPerSecond = Infinity, burst } = {}) {
+    if (!(maxConcurrent >= 1)) throw new RangeError('maxConcurrent must be at least 1')
+    if (!(requestsPerSecond > 0)) throw new RangeError('requestsPerSecond must be greater than 0')
+    if (burst !== undefined && !(burst >= 1)) throw new RangeError('burst must be at least 1')
+
+    this.#maxConcurrent = maxConcurrent
+    this.#requestsPerSecond = requestsPerSecond
+    this.#burst = burst ?? (Number.isFinite(requestsPerSecond) ? Math.ceil(requestsPerSecond) : Infinity)
+    this.#tokens = this.#burst
+    this.#lastRefill = Date.now()
+  }
+
+  /**
+   * Current queue metrics
+   * @returns {YotoRateLimiterMetrics}
+   */
+  get metrics () {
+    return {
+      active: this.#active,
+      queued: this.#queue.length,
+      peakQueued: this.#peakQueued,
+      started: this.#started,
+      completed: this.#completed,
+      totalWaitMs: this.#totalWaitMs,
+      maxWaitMs: this.#maxWaitMs,
+      averageWaitMs: this.#started > 0 ? this.#totalWaitMs / this.#started : 0
+    }
+  }
+
+  /**
+   * Run fn once the limiter lets it through. Calls start in the order they were scheduled.
+   * @template T
+   * @param {() => Promise<T>} fn
+   * @param {YotoScheduleOptions} [options]
+   * @returns {Promise<T>}
+   */
+  async schedule (fn, { signal } = {}) {
+    await this.#acquire(signal)
+    try {
+      return await fn()
+    } finally {
+      this.#active--
+      this.#completed++
+      this.#drain()
+    }
+  }
+
+  /**
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<void>}
+   */
+  #acquire (signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason)
+        return
+      }
+
+      const onAbort = () => {
+        const index = this.#queue.indexOf(call)
+        if (index === -1) return
+        this.#queue.splice(index, 1)
+        reject(signal?.reason)
+      }
+
+      /** @type {QueuedCall} */
+      const call = {
+        resolve: () => {
+          signal?.removeEventListener('abort', onAbort)
+          resolve()
+        },
+        enqueuedAt: Date.now()
+      }
+
+      signal?.addEventListener('abort', onAbort, { once: true })
+      this.#queue.push(call)
+      this.#peakQueued = Math.max(this.#peakQueued, this.#queue.length)
+      this.#drain()
+    })
+  }
+
+  /**
+   * Start as many queued calls as the limits allow, and wake up again when the bucket refills.
+   */
+  #drain () {
+    while (this.#queue.length > 0 && this.#tryTake()) {
+      const next = /** @type {QueuedCall} */ (this.#queue.shift())
+      const waitMs = Date.now() - next.enqueuedAt
+      this.#started++
+      this.#totalWaitMs += waitMs
+      this.#maxWaitMs = Math.max(this.#maxWaitMs, waitMs)
+      next.resolve()
+    }
+
+    // Out of tokens with free slots: nothing else will call #drain, so schedule it
+    if (this.#queue.length > 0 && this.#active < this.#maxConcurrent && this.#refillTimeout === null) {
+      const delayMs = Math.ceil(((1 - this.#tokens) / this.#requestsPerSecond) * 1000)
+      this.#refillTimeout = setTimeout(() => {
+        this.#refillTimeout = null
+        this.#drain()
+      }, delayMs)
+    }
+  }
+
+  /**
+   * Claim a slot and a token if both are available
+   * @returns {boolean}
+   */
+  #tryTake () {
+    if (this.#active >= this.#maxConcurrent) return false
+
+    this.#refill()
+    if (this.#tokens < 1) return false
+
+    this.#tokens -= 1
+    this.#active++
+    return true
+  }
+
+  #refill () {
+    if (!Number.isFinite(this.#requestsPerSecond)) return
+
+    const now = Date.now()
+    const earned = ((now - this.#lastRefill) / 1000) * this.#requestsPerSecond
+    this.#tokens = Math.min(this.#burst, this.#tokens + earned)
+    this.#lastRefill = now
+  }
+}
@@ -0,0 +1,104 @@
+import test from 'node:test'
+import assert from 'node:assert'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { YotoRateLimiter } from './rate-limiter.js'
+import { createTestClient, YotoMockServer } from './testing/index.js'
+
+test('YotoRateLimiter', async (t) => {
+  await t.test('should cap concurrent calls', async () => {
+    const limiter = new YotoRateLimiter({ maxConcurrent: 2 })
+    let running = 0
+    let peak = 0
+    const task = async () => {
+      running++
+      peak = Math.max(peak, running)
+      await sleep(10)
+      running--
+    }
+
+    await Promise.all(Array.from({ length: 6 }, () => limiter.schedule(task)))
+    assert.strictEqual(peak, 2)
+
+    const metrics = limiter.metrics
+    assert.strictEqual(metrics.started, 6)
+    assert.strictEqual(metrics.completed, 6)
+    assert.strictEqual(metrics.active, 0)
+    assert.strictEqual(metrics.queued, 0)
+    assert.strictEqual(metrics.peakQueued, 4)
+    assert.ok(metrics.maxWaitMs >= 10)
+  })
+
+  await t.test('should space calls out once the burst is spent', async () => {
+    const limiter = new YotoRateLimiter({ requestsPerSecond: 50, burst: 2 })
+    /** @type {number[]} */
+    const startedAt = []
+    const begin = Date.now()
+
+    await Promise.all(Array.from({ length: 4 }, () => limiter.schedule(async () => {
+      startedAt.push(Date.now() - begin)
+    })))
+
+    assert.ok(/** @type {number} */ (startedAt[1]) < 15, 'burst starts immediately')
+    assert.ok(/** @type {number} */ (startedAt[3]) >= 35, 'remaining calls wait for tokens')
+  })
+
+  await t.test('should release the slot when a call fails', async () => {
+    const limiter = new YotoRateLimiter({ maxConcurrent: 1 })
+    await assert.rejects(limiter.schedule(async () => { throw new Error('boom') }), { message: 'boom' })
+    assert.strictEqual(await limiter.schedule(async () => 'ok'), 'ok')
+    assert.strictEqual(limiter.metrics.completed, 2)
+  })
+
+  await t.test('should reject invalid options', () => {
+    assert.throws(() => new YotoRateLimiter({ maxConcurrent: 0 }), RangeError)
+    assert.throws(() => new YotoRateLimiter({ requestsPerSecond: 0 }), RangeError)
+    assert.throws(() => new YotoRateLimiter({ burst: 0.5 }), RangeError)
+  })
+})
+
+test('YotoClient rate limiting', async (t) => {
+  const server = new YotoMockServer()
+  await server.start()
+  t.after(() => server.stop())
+
+  let inFlight = 0
+  let peakInFlight = 0
+  const interceptor = {
+    beforeRequest: () => {
+      inFlight++
+      peakInFlight = Math.max(peakInFlight, inFlight)
+    },
+    afterResponse: () => { inFlight-- }
+  }
+
+  await t.test('should not limit by default', () => {
+    assert.strictEqual(createTestClient(server, { interceptors: [interceptor] }).rateLimiter, null)
+  })
+
+  await t.test('should route every call through the limiter', async () => {
+    peakInFlight = 0
+    const client = createTestClient(server, { interceptors: [interceptor], rateLimit: { maxConcurrent: 1 } })
+
+    await Promise.all([
+      client.getDevices(),
+      client.getGroups(),
+      client.getUserMyoContent(),
+      client.getFamilyImages()
+    ])
+
+    assert.strictEqual(peakInFlight, 1)
+    assert.strictEqual(client.rateLimiter?.metrics.completed, 4)
+  })
+
+  await t.test('should share one limiter between clients', async () => {
+    peakInFlight = 0
+    const limiter = new YotoRateLimiter({ maxConcurrent: 2 })
+    const clients = [1, 2].map(() => createTestClient(server, { interceptors: [interceptor], rateLimit: limiter }))
+
+    await Promise.all(clients.flatMap((client) => [client.getDevices(), client.getGroups()]))
+
+    assert.strictEqual(clients[0]?.rateLimiter, limiter)
+    assert.ok(peakInFlight <= 2)
+    assert.strictEqual(limiter.metrics.completed, 4)
+  })
+})
@@ -0,0 +1,95 @@
+/**
+ * @import { YotoCacheEntry } from './response-cache.js'
+ */
+
+import { mkdir, readdir, readFile, rename, rm, writeFile } from 'node:fs/promises'
+import { createHash, randomUUID } from 'node:crypto'
+import { join } from 'node:path'
+
+/**
+ * Keeps cache entries as JSON files in a directory, so they survive restarts
+ * and can be shared by processes on the same machine. Pass it as a YotoCacheStore.
+ */
+export class YotoFileCacheStore {
+  /** @type {string} */
+  #directory
+
+  /**
+   * @param {object} options
+   * @param {string} options.directory - Directory to keep entries in. Created on first write.
+   */
+  constructor ({ directory }) {
+    this.#directory = directory
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<YotoCacheEntry | undefined>}
+   */
+  async get (key) {
+    const record = await this.#read(this.#pathFor(key))
+    return record?.key === key ? record.entry : undefined
+  }
+
+  /**
+   * @param {string} key
+   * @param {YotoCacheEntry} entry
+   */
+  async set (key, entry) {
+    await mkdir(this.#directory, { recursive: true })
+    // Write then rename so readers never see a half-written file
+    const tempPath = join(this.#directory, `.${randomUUID()}.tmp`)
+    await writeFile(tempPath, JSON.stringify({ key, entry }))
+    await rename(tempPath, this.#pathFor(key))
+  }
+
+  /** @param {string} key */
+  async delete (key) {
+    await rm(this.#pathFor(key), { force: true })
+  }
+
+  /**
+   * @returns {Promise<string[]>}
+   */
+  async keys () {
+    /** @type {string[]} */
+    let files
+    try {
+      files = await readdir(this.#directory)
+    } catch (err) {
+      if (/** @type {NodeJS.ErrnoException} */ (err).code === 'ENOENT') return []
+      throw err
+    }
+
+    /** @type {string[]} */
+    const keys = []
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue
+      const record = await this.#read(join(this.#directory, file))
+      if (record) keys.push(record.key)
+    }
+    return keys
+  }
+
+  /**
+   * @param {string} key
+   * @returns {string}
+   */
+  #pathFor (key) {
+    return join(this.#directory, `${createHash('sha256').update(key).digest('hex')}.json`)
+  }
+
+  /**
+   * @param {string} path
+   * @returns {Promise<{ key: string, entry: YotoCacheEntry } | undefined>}
+   */
+  async #read (path) {
+    try {
+      return JSON.parse(await readFile(path, 'utf8'))
+    } catch (err) {
+      // Missing or corrupt entries are cache misses
+      if (/** @type {NodeJS.ErrnoException} */ (err).code === 'ENOENT' || err instanceof SyntaxError) return undefined
+      throw err
+    }
+  }
+}
@@ -0,0 +1,276 @@
+/**
+ * @import { Dispatcher } from 'undici'
+ * @import { YotoInterceptor, YotoRequestContext } from './api-endpoints/helpers.js'
+ */
+
+import { jwtDecode } from 'jwt-decode'
+
+// ============================================================================
+// Response cache: TTL plus ETag / Last-Modified revalidation for slow-changing reads
+// ============================================================================
+
+/**
+ * YotoClient methods whose responses can be cached
+ * @typedef {'getContent' | 'getUserMyoContent' | 'getGroups' | 'getPublicIcons'} YotoCacheableMethod
+ */
+
+/**
+ * A cached response body and the validators needed to revalidate it
+ * @typedef {Object} YotoCacheEntry
+ * @property {string} body - Raw response body
+ * @property {string} [etag] - ETag the server sent, replayed as If-None-Match
+ * @property {string} [lastModified] - Last-Modified the server sent, replayed as If-Modified-Since
+ * @property {number} storedAt - When the entry was stored or last revalidated (ms)
+ * @property {number} expiresAt - Until when the entry is served without asking the server (ms)
+ */
+
+/**
+ * Storage backend for cached responses. Methods may be sync or async.
+ * @typedef {Object} YotoCacheStore
+ * @property {(key: string) => YotoCacheEntry | undefined | Promise<YotoCacheEntry | undefined>} get
+ * @property {(key: string, entry: YotoCacheEntry) => void | Promise<void>} set
+ * @property {(key: string) => void | Promise<void>} delete
+ * @property {() => Iterable<string> | Promise<Iterable<string>>} keys
+ */
+
+/**
+ * @typedef {Object} YotoResponseCacheOptions
+ * @property {YotoCacheStore} [store] - Where entries live (defaults to a YotoMemoryCacheStore)
+ * @property {number} [ttlMs=60000] - How long a response is served without revalidating. 0 revalidates every time.
+ * @property {Partial<Record<YotoCacheableMethod, number>>} [ttlMsByMethod] - Per-method overrides for ttlMs
+ */
+
+/**
+ * Keeps cache entries in memory, dropping the least recently stored once full
+ * @implements {YotoCacheStore}
+ */
+export class YotoMemoryCacheStore {
+  /** @type {Map<string, YotoCacheEntry>} */
+  #entries = new Map()
+  /** @type {number} */
+  #maxEntries
+
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxEntries=1000] - Most entries kept at once
+   */
+  constructor ({ maxEntries = 1000 } = {}) {
+    this.#maxEntries = maxEntries
+  }
+
+  /** @param {string} key */
+  get (key) {
+    return this.#entries.get(key)
+  }
+
+  /**
+   * @param {string} key
+   * @param {YotoCacheEntry} entry
+   */
+  set (key, entry) {
+    this.#entries.delete(key)
+    this.#entries.set(key, entry)
+    if (this.#entries.size > this.#maxEntries) {
+      const oldest = /** @type {string} */ (this.#entries.keys().next().value)
+      this.#entries.delete(oldest)
+    }
+  }
+
+  /** @param {string} key */
+  delete (key) {
+    this.#entries.delete(key)
+  }
+
+  keys () {
+    return [...this.#entries.keys()]
+  }
+}
+
+/**
+ * Caches GET responses for the client, per user and URL. Fresh entries are served
+ * without a request; stale ones are revalidated with If-None-Match / If-Modified-Since.
+ */
+export class YotoResponseCache {
+  /** @type {YotoCacheStore} */
+  #store
+  /** @type {number} */
+  #ttlMs
+  /** @type {Partial<Record<YotoCacheableMethod, number>>} */
+  #ttlMsByMethod
+  /** @type {Map<YotoCacheableMethod, YotoInterceptor>} */
+  #interceptors = new Map()
+  /** @type {number} - Bumped on every invalidation so in-flight responses don't resurrect stale data */
+  #generation = 0
+
+  /**
+   * @param {YotoResponseCacheOptions} [options]
+   */
+  constructor ({ store = new YotoMemoryCacheStore(), ttlMs = 60_000, ttlMsByMethod = {} } = {}) {
+    this.#store = store
+    this.#ttlMs = ttlMs
+    this.#ttlMsByMethod = ttlMsByMethod
+  }
+
+  /**
+   * The store entries are kept in
+   * @returns {YotoCacheStore}
+   */
+  get store () {
+    return this.#store
+  }
+
+  /**
+   * Drop cached responses whose URL path starts with a prefix, for every user.
+   * @param {string | ((pathname: string) => boolean)} [match] - Path prefix or predicate. Omit to clear everything.
+   * @returns {Promise<void>}
+   */
+  async invalidate (match) {
+    this.#generation++
+    const matches = typeof match === 'function'
+      ? match
+      : (/** @type {string} */ pathname) => match === undefined || pathname.startsWith(match)
+
+    for (const key of [...await this.#store.keys()]) {
+      if (matches(pathnameFromKey(key))) await this.#store.delete(key)
+    }
+  }
+
+  /**
+   * The interceptor YotoClient adds to cacheable calls of a method
+   * @param {YotoCacheableMethod} method
+   * @returns {YotoInterceptor}
+   */
+  interceptorFor (method) {
+    let interceptor = this.#interceptors.get(method)
+    if (!interceptor) {
+      interceptor = this.#createInterceptor(this.#ttlMsByMethod[method] ?? this.#ttlMs)
+      this.#interceptors.set(method, interceptor)
+    }
+    return interceptor
+  }
+
+  /**
+   * @param {number} ttlMs
+   * @returns {YotoInterceptor}
+   */
+  #createInterceptor (ttlMs) {
+    /** @type {WeakMap<YotoRequestContext, { key: string, entry: YotoCacheEntry | undefined, generation: number }>} */
+    const pending = new WeakMap()
+
+    return {
+      beforeRequest: async (context) => {
+        if (context.method !== 'GET') return
+        const key = cacheKey(context)
+        if (!key) return
+
+        const entry = await this.#store.get(key)
+        if (entry && Date.now() < entry.expiresAt) return toResponse(entry)
+
+        pending.set(context, { key, entry, generation: this.#generation })
+        if (entry?.etag || entry?.lastModified) {
+          context.options = {
+            ...context.options,
+            headers: {
+              ...(/** @type {Record<string, string>} */ (context.options.headers)),
+              ...(entry.etag && { 'If-None-Match': entry.etag }),
+              ...(entry.lastModified && { 'If-Modified-Since': entry.lastModified })
+            }
+          }
+        }
+      },
+
+      afterResponse: async (context, response) => {
+        const request = pending.get(context)
+        if (!request) return
+        pending.delete(context)
+
+        const now = Date.now()
+        /** @type {YotoCacheEntry} */
+        let entry
+        if (response.statusCode === 304 && request.entry) {
+          await response.body.dump()
+          entry = { ...request.entry, storedAt: now, expiresAt: now + ttlMs }
+        } else if (response.statusCode === 200) {
+          const etag = headerValue(response.headers, 'etag')
+          const lastModified = headerValue(response.headers, 'last-modified')
+          entry = {
+            body: await response.body.text(),
+            ...(etag && { etag }),
+            ...(lastModified && { lastModified }),
+            storedAt: now,
+            expiresAt: now + ttlMs
+          }
+        } else {
+          return
+        }
+
+        if (request.generation === this.#generation) {
+          await this.#store.set(request.key, entry)
+        }
+        return toResponse(entry)
+      }
+    }
+  }
+}
+
+/**
+ * Cache key for a request: the user the access token belongs to, then the URL
+ * @param {YotoRequestContext} context
+ * @returns {string | null} null when the request has no identifiable user
+ */
+function cacheKey (context) {
+  const headers = /** @type {Record<string, string | undefined>} */ (context.options.headers ?? {})
+  const authorization = headers['Authorization'] ?? headers['authorization']
+  if (!authorization?.startsWith('Bearer ')) return null
+
+  try {
+    const { sub } = jwtDecode(authorization.slice('Bearer '.length))
+    return sub ? `${sub} ${context.url.href}` : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * @param {string} key
+ * @returns {string}
+ */
+function pathnameFromKey (key) {
+  return new URL(key.slice(key.indexOf(' ') + 1)).pathname
+}
+
+/**
+ * @param {Dispatcher.ResponseData['headers']} headers
+ * @param {string} name
+ * @returns {string | undefined}
+ */
+function headerValue (headers, name) {
+  const value = headers[name]
+  return Array.isArray(value) ? value[0] : value
+}
+
+/**
+ * Build a response the endpoint functions can consume from a cache entry
+ * @param {YotoCacheEntry} entry
+ * @returns {Dispatcher.ResponseData}
+ */
+function toResponse (entry) {
+  const body = {
+    text: async () => entry.body,
+    json: async () => JSON.parse(entry.body),
+    dump: async () => {}
+  }
+
+  return /** @type {Dispatcher.ResponseData} */ (/** @type {unknown} */ ({
+    statusCode: 200,
+    headers: {
+      'content-type': 'application/json',
+      ...(entry.etag && { etag: entry.etag }),
+      ...(entry.lastModified && { 'last-modified': entry.lastModified })
+    },
+    trailers: {},
+    opaque: null,
+    context: {},
+    body
+  }))
+}
@@ -0,0 +1,158 @@
+import test from 'node:test'
+import assert from 'node:assert'
+import { mkdtemp, rm, writeFile, readdir } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { YotoResponseCache, YotoMemoryCacheStore } from './response-cache.js'
+import { YotoFileCacheStore } from './response-cache-file-store.js'
+import { createTestClient, YotoMockServer } from './testing/index.js'
+import { createMockJwt } from './testing/fixtures.js'
+
+/**
+ * @import { YotoCacheEntry } from './response-cache.js'
+ */
+
+/** @type {YotoCacheEntry} */
+const entry = { body: '[]', etag: 'W/"abc"', storedAt: 0, expiresAt: Date.now() + 60_000 }
+
+test('YotoMemoryCacheStore', async (t) => {
+  await t.test('should drop the oldest entry once full', () => {
+    const store = new YotoMemoryCacheStore({ maxEntries: 2 })
+    store.set('a', entry)
+    store.set('b', entry)
+    store.set('a', entry)
+    store.set('c', entry)
+    assert.deepStrictEqual(store.keys(), ['a', 'c'])
+  })
+})
+
+test('YotoFileCacheStore', async (t) => {
+  const directory = await mkdtemp(join(tmpdir(), 'yoto-cache-'))
+  t.after(() => rm(directory, { recursive: true, force: true }))
+
+  await t.test('should persist entries across instances', async () => {
+    await new YotoFileCacheStore({ directory }).set('user https://api.example/content/mine', entry)
+
+    const store = new YotoFileCacheStore({ directory })
+    assert.deepStrictEqual(await store.get('user https://api.example/content/mine'), entry)
+    assert.deepStrictEqual(await store.keys(), ['user https://api.example/content/mine'])
+
+    await store.delete('user https://api.example/content/mine')
+    assert.strictEqual(await store.get('user https://api.example/content/mine'), undefined)
+  })
+
+  await t.test('should treat corrupt files as misses', async () => {
+    const store = new YotoFileCacheStore({ directory })
+    await store.set('key', entry)
+    const [file] = (await readdir(directory)).filter((name) => name.endsWith('.json'))
+    await writeFile(join(directory, /** @type {string} */ (file)), '{not json')
+
+    assert.strictEqual(await store.get('key'), undefined)
+    assert.deepStrictEqual(await store.keys(), [])
+  })
+
+  await t.test('should report no keys before the directory exists', async () => {
+    assert.deepStrictEqual(await new YotoFileCacheStore({ directory: join(directory, 'missing') }).keys(), [])
+  })
+})
+
+test('YotoResponseCache', async (t) => {
+  await t.test('should key entries per user', async () => {
+    const cache = new YotoResponseCache()
+    const interceptor = cache.interceptorFor('getGroups')
+    const url = new URL('https://api.example/card/family/library/groups')
+
+    /** @param {string} sub */
+    const contextFor = (sub) => ({
+      url,
+      method: 'GET',
+      options: { method: /** @type {const} */ ('GET'), headers: { Authorization: `Bearer ${createMockJwt({ sub })}` } },
+      startedAt: Date.now(),
+      state: {}
+    })
+
+    await cache.store.set(`alice ${url.href}`, entry)
+    assert.ok(await interceptor.beforeRequest?.(contextFor('alice')))
+    assert.strictEqual(await interceptor.beforeRequest?.(contextFor('bob')), undefined)
+  })
+
+  await t.test('should invalidate by path prefix or predicate', async () => {
+    const store = new YotoMemoryCacheStore()
+    const cache = new YotoResponseCache({ store })
+    store.set('a https://api.example/content/mine', entry)
+    store.set('a https://api.example/content/abc', entry)
+    store.set('a https://api.example/card/family/library/groups', entry)
+
+    await cache.invalidate('/content')
+    assert.deepStrictEqual(store.keys(), ['a https://api.example/card/family/library/groups'])
+
+    await cache.invalidate((pathname) => pathname.endsWith('/groups'))
+    assert.deepStrictEqual(store.keys(), [])
+  })
+})
+
+test('YotoClient response cache', async (t) => {
+  const server = new YotoMockServer()
+  await server.start()
+  t.after(() => server.stop())
+
+  const groupRequests = () => server.requests.filter((req) => req.method === 'GET' && req.path === '/card/family/library/groups')
+
+  await t.test('should not cache by default', async () => {
+    const client = createTestClient(server)
+    const before = groupRequests().length
+    await client.getGroups()
+    await client.getGroups()
+    assert.strictEqual(client.cache, null)
+    assert.strictEqual(groupRequests().length - before, 2)
+  })
+
+  await t.test('should serve fresh entries without a request', async () => {
+    const client = createTestClient(server, { cache: { ttlMs: 60_000 } })
+    const before = groupRequests().length
+
+    const first = await client.getGroups()
+    const second = await client.getGroups()
+    assert.deepStrictEqual(second, first)
+    assert.strictEqual(groupRequests().length - before, 1)
+  })
+
+  await t.test('should revalidate stale entries with If-None-Match', async () => {
+    const client = createTestClient(server, { cache: { ttlMs: 60_000, ttlMsByMethod: { getGroups: 0 } } })
+
+    const first = await client.getGroups()
+    const second = await client.getGroups()
+    assert.deepStrictEqual(second, first)
+
+    const [revalidation] = groupRequests().slice(-1)
+    assert.match(String(revalidation?.headers['if-none-match']), /^W\/"/)
+  })
+
+  await t.test('should invalidate groups after a mutation', async () => {
+    const client = createTestClient(server, { cache: { ttlMs: 60_000 } })
+    const before = await client.getGroups()
+
+    await client.createGroup({ group: { name: 'Bedtime', imageId: 'fp-cards', items: [] } })
+    const after = await client.getGroups()
+    assert.strictEqual(after.length, before.length + 1)
+  })
+
+  await t.test('should invalidate content after a mutation', async () => {
+    const client = createTestClient(server, { cache: { ttlMs: 60_000 } })
+    const card = server.addCard({ title: 'Old title' })
+    await client.getContent({ cardId: card.cardId })
+
+    await client.createOrUpdateContent({ content: { cardId: card.cardId, title: 'New title', content: { chapters: [] } } })
+    const { card: updated } = await client.getContent({ cardId: card.cardId })
+    assert.strictEqual(updated.title, 'New title')
+  })
+
+  await t.test('should share a cache instance between clients', async () => {
+    const cache = new YotoResponseCache({ ttlMs: 60_000 })
+    const before = groupRequests().length
+
+    await createTestClient(server, { cache }).getGroups()
+    await createTestClient(server, { cache }).getGroups()
+    assert.strictEqual(groupRequests().length - before, 1)
+  })
+})
@@ -0,0 +1,130 @@
+import { YotoAPIError, parseRetryAfter } from './api-endpoints/helpers.js'
+import { sleep } from './abort.js'
+
+// ============================================================================
+// Retry: Backoff policy for transient HTTP failures
+// ============================================================================
+
+/**
+ * Details about a retry that is about to happen
+ * @typedef {Object} YotoRetryInfo
+ * @property {string} method - HTTP method of the failed request
+ * @property {number} attempt - The attempt that just failed (1-based)
+ * @property {number} delayMs - How long until the next attempt
+ * @property {Error} error - The error that triggered the retry
+ */
+
+/**
+ * @typedef {Object} YotoRetryOptions
+ * @property {number} [maxAttempts=3] - Total attempts per request, including the first
+ * @property {number} [baseDelayMs=500] - Backoff ceiling for the first retry. Doubles on each retry.
+ * @property {number} [maxDelayMs=30000] - Longest wait between attempts. A Retry-After longer than this stops retrying.
+ * @property {string[]} [methods=['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']] - HTTP methods that may be retried. Add 'POST' only if replaying your POSTs is safe.
+ * @property {number[]} [statusCodes=[408, 425, 429, 500, 502, 503, 504]] - Response status codes that are retried
+ * @property {string[]} [errorCodes] - Network error codes that are retried (connection resets, timeouts, DNS hiccups)
+ * @property {(info: YotoRetryInfo) => void} [onRetry] - Called before waiting for the next attempt
+ */
+
+/**
+ * @typedef {Required<Omit<YotoRetryOptions, 'onRetry'>> & Pick<YotoRetryOptions, 'onRetry'>} YotoRetryPolicy
+ */
+
+/**
+ * Defaults used for any retry option that is not set
+ * @type {Readonly<Required<Omit<YotoRetryOptions, 'onRetry'>>>}
+ */
+export const DEFAULT_RETRY_OPTIONS = Object.freeze({
+  maxAttempts: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 30_000,
+  methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+  statusCodes: [408, 425, 429, 500, 502, 503, 504],
+  errorCodes: [
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ETIMEDOUT',
+    'EPIPE',
+    'EAI_AGAIN',
+    'UND_ERR_SOCKET',
+    'UND_ERR_CONNECT_TIMEOUT',
+    'UND_ERR_HEADERS_TIMEOUT',
+    'UND_ERR_BODY_TIMEOUT'
+  ]
+})
+
+/**
+ * Build a complete retry policy from partial options.
+ * @param {YotoRetryOptions} [options]
+ * @returns {YotoRetryPolicy}
+ */
+export function createRetryPolicy (options = {}) {
+  return {
+    ...DEFAULT_RETRY_OPTIONS,
+    ...options,
+    methods: (options.methods ?? DEFAULT_RETRY_OPTIONS.methods).map((method) => method.toUpperCase())
+  }
+}
+
+/**
+ * Whether an error is worth retrying under the policy
+ * @param {YotoRetryPolicy} policy
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+export function isRetryableError (policy, error) {
+  if (error instanceof YotoAPIError) {
+    return policy.statusCodes.includes(error.statusCode)
+  }
+  const code = /** @type {{ code?: unknown }} */ (error)?.code
+  return typeof code === 'string' && policy.errorCodes.includes(code)
+}
+
+/**
+ * Compute the wait before the next attempt: Retry-After when the server sent one,
+ * otherwise exponential backoff with full jitter.
+ * @param {YotoRetryPolicy} policy
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {unknown} error
+ * @param {() => number} [random=Math.random]
+ * @returns {number | null} Delay in milliseconds, or null if the server asked for a wait longer than maxDelayMs
+ */
+export function getRetryDelay (policy, attempt, error, random = Math.random) {
+  if (error instanceof YotoAPIError) {
+    const retryAfter = parseRetryAfter(error.headers)
+    if (retryAfter !== null) {
+      return retryAfter <= policy.maxDelayMs ? retryAfter : null
+    }
+  }
+
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1))
+  return Math.floor(random() * ceiling)
+}
+
+/**
+ * Run a request, retrying transient failures according to the policy.
+ * @template T
+ * @param {YotoRetryPolicy} policy
+ * @param {string} method - HTTP method of the request
+ * @param {() => Promise<T>} fn - Performs one attempt
+ * @param {AbortSignal} [signal] - Stops retrying and cuts the backoff wait short
+ * @returns {Promise<T>}
+ */
+export async function withRetry (policy, method, fn, signal) {
+  const retryable = policy.methods.includes(method.toUpperCase())
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn()
+    } catch (err) {
+      if (signal?.aborted || !retryable || attempt >= policy.maxAttempts || !isRetryableError(policy, err)) {
+        throw err
+      }
+
+      const delayMs = getRetryDelay(policy, attempt, err)
+      if (delayMs === null) throw err
+
+      policy.onRetry?.({ method, attempt, delayMs, error: /** @type {Error} */ (err) })
+      await sleep(delayMs, signal)
+    }
+  }
+}
@@ -0,0 +1,136 @@
+import test from 'node:test'
+import assert from 'node:assert'
+import { createRetryPolicy, getRetryDelay, withRetry } from './retry.js'
+import { YotoAPIError, parseRetryAfter } from './api-endpoints/helpers.js'
+import { createTestClient, YotoMockServer } from './testing/index.js'
+
+/**
+ * @param {number} statusCode
+ * @param {Record<string, string>} [headers]
+ */
+function apiError (statusCode, headers = {}) {
+  const response = /** @type {any} */ ({ statusCode, headers })
+  return new YotoAPIError(response, '', null)
+}
+
+test('parseRetryAfter', async (t) => {
+  await t.test('should parse delay seconds', () => {
+    assert.strictEqual(parseRetryAfter({ 'retry-after': '3' }), 3000)
+  })
+
+  await t.test('should parse HTTP dates', () => {
+    const now = Date.parse('2025-01-01T00:00:00Z')
+    assert.strictEqual(parseRetryAfter({ 'retry-after': 'Wed, 01 Jan 2025 00:00:05 GMT' }, now), 5000)
+  })
+
+  await t.test('should return null when absent or invalid', () => {
+    assert.strictEqual(parseRetryAfter({}), null)
+    assert.strictEqual(parseRetryAfter({ 'retry-after': 'soon' }), null)
+  })
+})
+
+test('getRetryDelay', async (t) => {
+  const policy = createRetryPolicy({ baseDelayMs: 100, maxDelayMs: 1000 })
+
+  await t.test('should back off exponentially with jitter', () => {
+    assert.strictEqual(getRetryDelay(policy, 1, apiError(503), () => 0.999), 99)
+    assert.strictEqual(getRetryDelay(policy, 3, apiError(503), () => 0.999), 399)
+    assert.strictEqual(getRetryDelay(policy, 10, apiError(503), () => 0.999), 999)
+    assert.strictEqual(getRetryDelay(policy, 3, apiError(503), () => 0), 0)
+  })
+
+  await t.test('should honor Retry-After up to maxDelayMs', () => {
+    assert.strictEqual(getRetryDelay(policy, 1, apiError(429, { 'retry-after': '1' })), 1000)
+    assert.strictEqual(getRetryDelay(policy, 1, apiError(429, { 'retry-after': '2' })), null)
+  })
+})
+
+test('withRetry', async (t) => {
+  await t.test('should retry network errors with known codes', async () => {
+    const policy = createRetryPolicy({ baseDelayMs: 1 })
+    let calls = 0
+    const result = await withRetry(policy, 'GET', async () => {
+      calls++
+      if (calls === 1) throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })
+      return 'ok'
+    })
+    assert.strictEqual(result, 'ok')
+    assert.strictEqual(calls, 2)
+  })
+
+  await t.test('should not retry unknown errors', async () => {
+    const policy = createRetryPolicy({ baseDelayMs: 1 })
+    let calls = 0
+    await assert.rejects(withRetry(policy, 'GET', async () => {
+      calls++
+      throw new TypeError('bug')
+    }), TypeError)
+    assert.strictEqual(calls, 1)
+  })
+
+  await t.test('should report retries', async () => {
+    /** @type {number[]} */
+    const attempts = []
+    const policy = createRetryPolicy({ baseDelayMs: 1, onRetry: ({ attempt }) => attempts.push(attempt) })
+    await assert.rejects(withRetry(policy, 'get', async () => { throw apiError(502) }), YotoAPIError)
+    assert.deepStrictEqual(attempts, [1, 2])
+  })
+})
+
+test('YotoClient retry', async (t) => {
+  const server = new YotoMockServer()
+  await server.start()
+  t.after(() => server.stop())
+
+  const countRequests = (/** @type {string} */ path) => server.requests.filter((req) => req.path === path).length
+
+  await t.test('should not retry when retry is off', async () => {
+    const client = createTestClient(server, { retry: false })
+    const before = countRequests('/device-v2/devices/mine')
+    server.failNext({ path: '/device-v2/devices/mine', statusCode: 503 })
+
+    await assert.rejects(client.getDevices(), YotoAPIError)
+    assert.strictEqual(countRequests('/device-v2/devices/mine') - before, 1)
+  })
+
+  await t.test('should retry idempotent requests until they succeed', async () => {
+    const client = createTestClient(server, { retry: { baseDelayMs: 1 } })
+    server.failNext({ path: '/device-v2/devices/mine', statusCode: 502, times: 2 })
+
+    const { devices } = await client.getDevices()
+    assert.ok(Array.isArray(devices))
+  })
+
+  await t.test('should honor Retry-After on 429', async () => {
+    const client = createTestClient(server, { retry: true })
+    server.failNext({ path: '/card/family/library/groups', statusCode: 429, headers: { 'Retry-After': '0' } })
+
+    const groups = await client.getGroups()
+    assert.ok(Array.isArray(groups))
+  })
+
+  await t.test('should give up after maxAttempts', async () => {
+    const client = createTestClient(server, { retry: { baseDelayMs: 1, maxAttempts: 2 } })
+    const before = countRequests('/device-v2/devices/mine')
+    server.failNext({ path: '/device-v2/devices/mine', statusCode: 503, times: 2 })
+
+    await assert.rejects(client.getDevices(), (err) => {
+      assert.ok(err instanceof YotoAPIError)
+      assert.strictEqual(err.statusCode, 503)
+      return true
+    })
+    assert.strictEqual(countRequests('/device-v2/devices/mine') - before, 2)
+  })
+
+  await t.test('should not retry POST unless allowed', async () => {
+    const { device } = server.addDevice()
+    const path = `/device-v2/${device.deviceId}/command/status`
+
+    server.failNext({ path, statusCode: 503 })
+    await assert.rejects(createTestClient(server, { retry: { baseDelayMs: 1 } }).sendDeviceCommand({ deviceId: device.deviceId, command: {} }), YotoAPIError)
+
+    server.failNext({ path, statusCode: 503 })
+    const result = await createTestClient(server, { retry: { baseDelayMs: 1, methods: ['POST'] } }).sendDeviceCommand({ deviceId: device.deviceId, command: {} })
+    assert.ok(result)
+  })
+})
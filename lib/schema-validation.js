@@ -0,0 +1,272 @@
+/**
+ * @import { EventEmitter } from 'node:events'
+ * @import { JsonSchema } from './schemas/standalone.js'
+ */
+
+import { schemaDocument } from './schemas/index.cjs'
+import { standaloneSchema } from './schemas/standalone.js'
+
+// ============================================================================
+// Schema validation: Check API responses and MQTT payloads against the typedefs
+// ============================================================================
+
+/**
+ * A field whose value has the wrong type
+ * @typedef {Object} YotoSchemaIssue
+ * @property {string} path - Where the field is, e.g. `$.devices[0].online`
+ * @property {string} expected - Type, constant or enum the typedef documents
+ * @property {string} actual - What the payload held
+ */
+
+/**
+ * Differences between a payload and its typedef. Empty arrays mean it matched.
+ * @typedef {Object} YotoSchemaValidationResult
+ * @property {string[]} missing - Paths of required fields the payload lacks
+ * @property {string[]} unexpected - Paths of fields the typedef does not document
+ * @property {YotoSchemaIssue[]} mismatched - Fields with the wrong type
+ */
+
+/**
+ * Payload of the `schemaMismatch` event
+ * @typedef {YotoSchemaValidationResult & {
+ *   source: 'http' | 'mqtt',
+ *   schema: string,
+ *   operation: string
+ * }} YotoSchemaMismatch
+ */
+
+const defs = /** @type {Record<string, JsonSchema>} */ (schemaDocument.$defs)
+
+/**
+ * Names of the typedefs that have a schema
+ * @returns {string[]}
+ */
+export function getSchemaNames () {
+  return Object.keys(defs)
+}
+
+/**
+ * Self-contained JSON Schema for a typedef, e.g. to drive a form UI or hand to another validator.
+ * Matches lib/schemas/<name>.schema.json.
+ * @param {string} name - Typedef name, e.g. `YotoDeviceConfig`
+ * @returns {JsonSchema}
+ */
+export function getJsonSchema (name) {
+  return structuredClone(standaloneSchema(defs, name))
+}
+
+/**
+ * Check a value against one of the generated schemas
+ * @param {string} schemaName - Typedef name, e.g. `YotoDevicesResponse`. A `[]` suffix checks an array of them.
+ * @param {unknown} value
+ * @returns {YotoSchemaValidationResult}
+ */
+export function validateSchema (schemaName, value) {
+  const isArray = schemaName.endsWith('[]')
+  const name = isArray ? schemaName.slice(0, -2) : schemaName
+  if (!defs[name]) throw new Error(`Unknown schema: ${name}`)
+
+  const ref = { $ref: `#/$defs/${name}` }
+  /** @type {YotoSchemaValidationResult} */
+  const result = { missing: [], unexpected: [], mismatched: [] }
+  check(isArray ? { type: 'array', items: ref } : ref, value, '$', result)
+  return result
+}
+
+/**
+ * @param {YotoSchemaValidationResult} result
+ * @returns {boolean}
+ */
+export function hasSchemaIssues (result) {
+  return countIssues(result) > 0
+}
+
+/**
+ * One-line summary of a mismatch, for warnings and logs
+ * @param {YotoSchemaMismatch} mismatch
+ * @returns {string}
+ */
+export function formatSchemaMismatch ({ source, schema, operation, missing, unexpected, mismatched }) {
+  const parts = [
+    missing.length > 0 && `missing ${missing.join(', ')}`,
+    unexpected.length > 0 && `unexpected ${unexpected.join(', ')}`,
+    mismatched.length > 0 && `mismatched ${mismatched.map(({ path, expected, actual }) => `${path} (expected ${expected}, got ${actual})`).join(', ')}`
+  ].filter(Boolean)
+  return `Yoto ${source} payload from ${operation} does not match ${schema}: ${parts.join('; ')}`
+}
+
+/**
+ * Validate a payload and report any differences through emitSchemaMismatch
+ * @param {EventEmitter<any>} emitter
+ * @param {Omit<YotoSchemaMismatch, keyof YotoSchemaValidationResult>} details
+ * @param {unknown} value
+ */
+export function reportSchemaMismatch (emitter, details, value) {
+  const result = validateSchema(details.schema, value)
+  if (!hasSchemaIssues(result)) return
+
+  emitSchemaMismatch(emitter, { ...details, ...result })
+}
+
+/**
+ * Emit a mismatch as a `schemaMismatch` event, or as a process warning when nothing listens for it
+ * (a console warning in browsers)
+ * @param {EventEmitter<any>} emitter
+ * @param {YotoSchemaMismatch} mismatch
+ */
+export function emitSchemaMismatch (emitter, mismatch) {
+  if (emitter.listenerCount('schemaMismatch') > 0) {
+    emitter.emit('schemaMismatch', mismatch)
+  } else if (typeof globalThis.process?.emitWarning === 'function') {
+    process.emitWarning(formatSchemaMismatch(mismatch), { code: 'YOTO_SCHEMA_MISMATCH' })
+  } else {
+    console.warn(formatSchemaMismatch(mismatch))
+  }
+}
+
+/**
+ * @param {JsonSchema} schema
+ * @returns {JsonSchema}
+ */
+function resolve (schema) {
+  let resolved = schema
+  while (typeof resolved['$ref'] === 'string') {
+    const name = resolved['$ref'].replace('#/$defs/', '')
+    const target = defs[name]
+    if (!target) throw new Error(`Unknown schema reference: ${resolved['$ref']}`)
+    resolved = target
+  }
+  return resolved
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+function typeOf (value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
+
+/**
+ * @param {JsonSchema} schema - Already resolved
+ * @returns {string}
+ */
+function describe (schema) {
+  if ('const' in schema) return JSON.stringify(schema['const'])
+  if (Array.isArray(schema['enum'])) return schema['enum'].map((item) => JSON.stringify(item)).join(' | ')
+  if (Array.isArray(schema['type'])) return schema['type'].join(' | ')
+  if (typeof schema['type'] === 'string') return schema['type']
+  if (Array.isArray(schema['anyOf'])) return schema['anyOf'].map((branch) => describe(resolve(branch))).join(' | ')
+  return 'any'
+}
+
+/**
+ * Whether the value has the right kind at this level, ignoring its fields
+ * @param {JsonSchema} schema - Already resolved
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function matchesShallow (schema, value) {
+  if ('const' in schema) return value === schema['const']
+  if (Array.isArray(schema['enum'])) return schema['enum'].includes(value)
+  if (Array.isArray(schema['anyOf'])) return schema['anyOf'].some((branch) => matchesShallow(resolve(branch), value))
+  if (schema['type'] === undefined) return true
+  const types = [schema['type']].flat()
+  return types.includes(typeOf(value)) || (types.includes('integer') && Number.isInteger(value))
+}
+
+/**
+ * @param {JsonSchema} schema
+ * @param {unknown} value
+ * @param {string} path
+ * @param {YotoSchemaValidationResult} result
+ */
+function check (schema, value, path, result) {
+  const resolved = resolve(schema)
+
+  if (!matchesShallow(resolved, value)) {
+    result.mismatched.push({ path, expected: describe(resolved), actual: typeOf(value) })
+    return
+  }
+
+  if (Array.isArray(resolved['anyOf'])) {
+    checkUnion(resolved['anyOf'], value, path, result)
+    return
+  }
+
+  if (Array.isArray(value)) {
+    const prefixItems = /** @type {JsonSchema[] | undefined} */ (resolved['prefixItems'])
+    value.forEach((item, index) => {
+      const itemSchema = prefixItems ? prefixItems[index] : resolved['items']
+      if (itemSchema) check(itemSchema, item, `${path}[${index}]`, result)
+    })
+    return
+  }
+
+  if (typeOf(value) === 'object') {
+    checkObject(resolved, /** @type {Record<string, unknown>} */ (value), path, result)
+  }
+}
+
+/**
+ * Report against the union member the value fits best, so a partly wrong object
+ * lists its bad fields rather than every member's differences
+ * @param {JsonSchema[]} branches
+ * @param {unknown} value
+ * @param {string} path
+ * @param {YotoSchemaValidationResult} result
+ */
+function checkUnion (branches, value, path, result) {
+  /** @type {YotoSchemaValidationResult | undefined} */
+  let best
+  for (const branch of branches) {
+    if (!matchesShallow(resolve(branch), value)) continue
+    /** @type {YotoSchemaValidationResult} */
+    const attempt = { missing: [], unexpected: [], mismatched: [] }
+    check(branch, value, path, attempt)
+    if (!hasSchemaIssues(attempt)) return
+    if (!best || countIssues(attempt) < countIssues(best)) best = attempt
+  }
+  if (!best) return
+
+  result.missing.push(...best.missing)
+  result.unexpected.push(...best.unexpected)
+  result.mismatched.push(...best.mismatched)
+}
+
+/**
+ * @param {YotoSchemaValidationResult} result
+ * @returns {number}
+ */
+function countIssues (result) {
+  return result.missing.length + result.unexpected.length + result.mismatched.length
+}
+
+/**
+ * @param {JsonSchema} schema - Already resolved
+ * @param {Record<string, unknown>} value
+ * @param {string} path
+ * @param {YotoSchemaValidationResult} result
+ */
+function checkObject (schema, value, path, result) {
+  const properties = /** @type {Record<string, JsonSchema> | undefined} */ (schema['properties'])
+  const additionalProperties = /** @type {JsonSchema | undefined} */ (schema['additionalProperties'])
+  const required = /** @type {string[]} */ (schema['required'] ?? [])
+
+  for (const key of required) {
+    if (value[key] === undefined) result.missing.push(`${path}.${key}`)
+  }
+
+  for (const [key, child] of Object.entries(value)) {
+    const childPath = `${path}.${key}`
+    const propertySchema = properties?.[key] ?? additionalProperties
+    if (propertySchema) {
+      if (child !== undefined) check(propertySchema, child, childPath, result)
+    } else if (properties) {
+      // Plain `Object` typedefs declare no fields, so only documented shapes flag extras
+      result.unexpected.push(childPath)
+    }
+  }
+}
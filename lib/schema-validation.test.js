@@ -0,0 +1,216 @@
+import test from 'node:test'
+import assert from 'node:assert'
+import { EventEmitter, once } from 'node:events'
+import { readFile } from 'node:fs/promises'
+import { validateSchema, hasSchemaIssues, getJsonSchema, getSchemaNames } from './schema-validation.js'
+import { YotoMqttClient } from './mqtt/client.js'
+import { createTestClient, YotoMockServer } from './testing/index.js'
+import { generateSchemas, renderSchemaFiles, listSchemaFiles } from '../scripts/generate-schemas.js'
+
+/**
+ * @import { MqttClient } from 'mqtt'
+ * @import { YotoSchemaMismatch } from './schema-validation.js'
+ */
+
+test('validateSchema', async (t) => {
+  await t.test('should accept a payload that matches its typedef', () => {
+    const result = validateSchema('YotoMqttStatus', {
+      statusVersion: 3,
+      fwVersion: 'v2.17.5',
+      productType: 'v3',
+      batteryLevel: 80,
+      als: 0,
+      freeDisk: 1000,
+      shutdownTimeout: 3600,
+      dbatTimeout: 0,
+      charging: 1,
+      activeCard: 'none',
+      cardInserted: 0,
+      playingStatus: 0,
+      headphones: false,
+      dnowBrightness: 100,
+      dayBright: 100,
+      nightBright: 10,
+      bluetoothHp: false,
+      volume: 8,
+      userVolume: 50,
+      timeFormat: '24',
+      nightlightMode: 'off',
+      temp: '20',
+      day: 1
+    })
+    assert.strictEqual(hasSchemaIssues(result), false, JSON.stringify(result))
+  })
+
+  await t.test('should list missing, unexpected and mismatched fields', () => {
+    const result = validateSchema('YotoDevicesResponse', {
+      devices: [{
+        deviceId: 'abc',
+        name: 'Kitchen',
+        description: '',
+        online: 'yes',
+        releaseChannel: 'general',
+        deviceType: 'v3',
+        deviceFamily: 'v3',
+        colour: 'red'
+      }]
+    })
+    assert.deepStrictEqual(result.missing, ['$.devices[0].deviceGroup'])
+    assert.deepStrictEqual(result.unexpected, ['$.devices[0].colour'])
+    assert.deepStrictEqual(result.mismatched, [{ path: '$.devices[0].online', expected: 'boolean', actual: 'string' }])
+  })
+
+  await t.test('should check enums and arrays of a typedef', () => {
+    const result = validateSchema('YotoEventsMessage[]', [{ playbackStatus: 'rewinding' }, { volume: 4 }])
+    assert.deepStrictEqual(result.mismatched, [{
+      path: '$[0].playbackStatus',
+      expected: '"playing" | "paused" | "stopped" | "loading"',
+      actual: 'string'
+    }])
+  })
+
+  await t.test('should throw for an unknown schema', () => {
+    assert.throws(() => validateSchema('YotoNothing', {}), /Unknown schema: YotoNothing/)
+  })
+})
+
+test('JSON Schemas', async (t) => {
+  await t.test('should match the committed schema files', async () => {
+    const files = renderSchemaFiles(generateSchemas())
+    assert.deepStrictEqual((await listSchemaFiles()).sort(), [...files.keys()].sort(), 'Run node scripts/generate-schemas.js')
+    for (const [path, contents] of files) {
+      assert.strictEqual(await readFile(path, 'utf8'), contents, `${path} is stale. Run node scripts/generate-schemas.js`)
+    }
+  })
+
+  await t.test('should cover content, device config, shortcuts, MQTT messages and commands', () => {
+    const names = getSchemaNames()
+    for (const name of [
+      'YotoContent',
+      'YotoDeviceConfig',
+      'YotoDeviceShortcuts',
+      'YotoEventsMessage',
+      'YotoStatusMessage',
+      'YotoResponseMessage',
+      'YotoVolumeCommand',
+      'YotoCardStartCommand'
+    ]) {
+      assert.ok(names.includes(name), name)
+    }
+  })
+
+  await t.test('should build self-contained schemas', () => {
+    const schema = getJsonSchema('YotoUpdateShortcutsRequest')
+    assert.strictEqual(schema['$schema'], 'https://json-schema.org/draft/2020-12/schema')
+    assert.strictEqual(schema['title'], 'YotoUpdateShortcutsRequest')
+
+    const refs = JSON.stringify(schema).match(/"\$ref":"#\/\$defs\/\w+"/g) ?? []
+    assert.ok(refs.length > 0)
+    for (const ref of refs) {
+      const name = ref.slice(ref.lastIndexOf('/') + 1, -1)
+      assert.ok(schema['$defs'][name], `${name} is missing from $defs`)
+    }
+  })
+})
+
+test('YotoClient response validation', async (t) => {
+  const server = new YotoMockServer()
+  await server.start()
+  t.after(() => server.stop())
+
+  const { device } = server.addDevice({ name: 'Kitchen' })
+  const devicesPath = '/device-v2/devices/mine'
+
+  await t.test('should stay quiet for documented responses', async () => {
+    const client = createTestClient(server, { validateResponses: true })
+    /** @type {YotoSchemaMismatch[]} */
+    const mismatches = []
+    client.on('schemaMismatch', (mismatch) => mismatches.push(mismatch))
+
+    await client.getDevices()
+    assert.deepStrictEqual(mismatches, [])
+  })
+
+  await t.test('should emit schemaMismatch when the API drifts', async () => {
+    const client = createTestClient(server, { validateResponses: true })
+    const { online, ...drifted } = device
+    server.failNext({ path: devicesPath, statusCode: 200, body: { devices: [{ ...drifted, signalStrength: -40 }] } })
+    const emitted = once(client, 'schemaMismatch')
+
+    const response = await client.getDevices()
+    const [mismatch] = await emitted
+    assert.strictEqual(mismatch.source, 'http')
+    assert.strictEqual(mismatch.operation, 'getDevices')
+    assert.strictEqual(mismatch.schema, 'YotoDevicesResponse')
+    assert.deepStrictEqual(mismatch.missing, ['$.devices[0].online'])
+    assert.deepStrictEqual(mismatch.unexpected, ['$.devices[0].signalStrength'])
+    assert.deepStrictEqual(mismatch.mismatched, [])
+    // The response is passed through untouched
+    assert.strictEqual(response.devices[0]?.online, undefined)
+  })
+
+  await t.test('should validate the userinfo claims, custom ones allowed', async () => {
+    const client = createTestClient(server, { validateResponses: true })
+    /** @type {YotoSchemaMismatch[]} */
+    const mismatches = []
+    client.on('schemaMismatch', (mismatch) => mismatches.push(mismatch))
+
+    await client.getUserProfile({ source: 'userinfo' })
+    assert.strictEqual(mismatches.length, 0)
+
+    server.failNext({ path: '/userinfo', statusCode: 200, body: { sub: 'mock-user', email_verified: 'yes' } })
+    await client.getUserProfile({ source: 'userinfo' })
+    const [mismatch] = mismatches
+    assert.strictEqual(mismatch?.operation, 'getUserInfo')
+    assert.strictEqual(mismatch?.schema, 'YotoUserInfoResponse')
+    assert.deepStrictEqual(mismatch?.mismatched.map(({ path }) => path), ['$.email_verified'])
+  })
+
+  await t.test('should fall back to a process warning without listeners', async () => {
+    const client = createTestClient(server, { validateResponses: true })
+    server.failNext({ path: devicesPath, statusCode: 200, body: { devices: 'none' } })
+    const warned = once(process, 'warning')
+
+    await client.getDevices()
+    const [warning] = await warned
+    assert.strictEqual(warning.code, 'YOTO_SCHEMA_MISMATCH')
+    assert.match(warning.message, /getDevices does not match YotoDevicesResponse: mismatched \$\.devices \(expected array, got string\)/)
+  })
+
+  await t.test('should not validate unless asked to', async () => {
+    const client = createTestClient(server)
+    server.failNext({ path: devicesPath, statusCode: 200, body: { devices: 'none' } })
+    client.on('schemaMismatch', () => assert.fail('should not validate'))
+    await client.getDevices()
+  })
+})
+
+test('YotoMqttClient message validation', async (t) => {
+  /** @param {EventEmitter} broker - Stands in for the mqtt.js client */
+  const asMqttClient = (broker) => /** @type {MqttClient} */ (/** @type {unknown} */ (broker))
+  const topic = 'device/device-1/data/events'
+
+  await t.test('should emit schemaMismatch for drifting messages', async () => {
+    const broker = new EventEmitter()
+    const client = new YotoMqttClient(asMqttClient(broker), 'device-1', { validateMessages: true })
+    const emitted = once(client, 'schemaMismatch')
+    const delivered = once(client, 'events')
+
+    broker.emit('message', topic, Buffer.from(JSON.stringify({ volume: '8', crossfade: true })))
+    const [mismatch] = await emitted
+    assert.strictEqual(mismatch.source, 'mqtt')
+    assert.strictEqual(mismatch.schema, 'YotoEventsMessage')
+    assert.strictEqual(mismatch.operation, topic)
+    assert.deepStrictEqual(mismatch.unexpected, ['$.crossfade'])
+    assert.deepStrictEqual(mismatch.mismatched, [{ path: '$.volume', expected: 'number', actual: 'string' }])
+    // The message is still delivered
+    await delivered
+  })
+
+  await t.test('should not validate by default', () => {
+    const broker = new EventEmitter()
+    const client = new YotoMqttClient(asMqttClient(broker), 'device-1')
+    client.on('schemaMismatch', () => assert.fail('should not validate'))
+    broker.emit('message', topic, Buffer.from(JSON.stringify({ volume: '8' })))
+  })
+})
@@ -0,0 +1,3 @@
+const schemaDocument = require('./yoto.schema.json')
+
+module.exports.schemaDocument = schemaDocument
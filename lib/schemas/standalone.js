@@ -0,0 +1,46 @@
+/**
+ * A JSON Schema (draft 2020-12) object
+ * @typedef {Record<string, any>} JsonSchema
+ */
+
+/**
+ * Self-contained schema for one typedef: the typedef at the root plus every `$defs`
+ * entry it references, so tools that can't resolve external references can use it alone
+ * @param {Record<string, JsonSchema>} defs - `$defs` of the bundled document
+ * @param {string} name - Typedef name
+ * @returns {JsonSchema}
+ */
+export function standaloneSchema (defs, name) {
+  const root = defs[name]
+  if (!root) throw new Error(`Unknown schema: ${name}`)
+
+  /** @type {Set<string>} */
+  const needed = new Set()
+  /** @param {unknown} value */
+  const collect = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(collect)
+    } else if (value && typeof value === 'object') {
+      for (const [key, child] of Object.entries(value)) {
+        if (key === '$ref' && typeof child === 'string') {
+          const refName = child.replace('#/$defs/', '')
+          if (!needed.has(refName)) {
+            needed.add(refName)
+            collect(defs[refName])
+          }
+        } else {
+          collect(child)
+        }
+      }
+    }
+  }
+  collect(root)
+
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    ...root,
+    ...(needed.size > 0 && {
+      $defs: Object.fromEntries([...needed].sort().map((refName) => [refName, defs[refName]]))
+    })
+  }
+}
@@ -0,0 +1,319 @@
+/**
+ * @import { Dispatcher } from 'undici'
+ * @import { YotoInterceptor, YotoRequestContext } from '../api-endpoints/helpers.js'
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises'
+import { dirname } from 'node:path'
+import { jwtDecode } from 'jwt-decode'
+import { createMockJwt } from './fixtures.js'
+
+// ============================================================================
+// Cassettes: Record real API traffic to sanitized fixtures and replay it offline
+// ============================================================================
+
+/**
+ * @typedef {'record' | 'replay'} YotoCassetteMode
+ */
+
+/**
+ * A request as it is kept in a cassette
+ * @typedef {Object} YotoCassetteRequest
+ * @property {string} method - Uppercased HTTP method
+ * @property {string} path - Path and query string, relative to the server. Replay matches on method and path.
+ * @property {any} [body] - Request body: parsed JSON, form fields as an object, or text
+ */
+
+/**
+ * A response as it is kept in a cassette
+ * @typedef {Object} YotoCassetteResponse
+ * @property {number} statusCode
+ * @property {Record<string, string | string[]>} headers
+ * @property {any} [body] - Parsed JSON body
+ * @property {string} [text] - Raw body, when it isn't JSON
+ */
+
+/**
+ * One recorded request and the response it got
+ * @typedef {Object} YotoCassetteInteraction
+ * @property {YotoCassetteRequest} request
+ * @property {YotoCassetteResponse} response
+ */
+
+/**
+ * @typedef {Object} YotoCassetteFile
+ * @property {1} version
+ * @property {string} recordedAt - ISO timestamp of the save
+ * @property {YotoCassetteInteraction[]} interactions
+ */
+
+/**
+ * @typedef {Object} YotoCassetteOptions
+ * @property {YotoCassetteMode} [mode='replay'] - Record live traffic, or answer requests from the interactions
+ * @property {YotoCassetteInteraction[]} [interactions] - Interactions to replay
+ * @property {boolean} [allowRepeats=false] - Answer a request again with the last matching interaction once all of them have been used, for polling loops
+ * @property {(interaction: YotoCassetteInteraction) => YotoCassetteInteraction} [redact] - Extra sanitizing, run on each interaction after the built-in redaction
+ */
+
+/** Body fields and query params holding credentials, replaced wholesale */
+const SECRET_KEYS = new Set(['refresh_token', 'device_code', 'code', 'code_verifier', 'client_secret', 'password'])
+const REDACTED = '[REDACTED]'
+const REDACTED_EMAIL = 'redacted@example.com'
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g
+const JWT_PATTERN = /^eyJ[\w-]*\.[\w-]+\.[\w-]*$/
+const DROPPED_HEADERS = new Set(['set-cookie', 'cookie', 'authorization'])
+
+/**
+ * Records YotoClient traffic to a JSON fixture with tokens and email addresses
+ * redacted, and replays it later without a network or credentials.
+ * Add `cassette.interceptor` to the client's interceptors.
+ */
+export class YotoCassette {
+  /** @type {YotoCassetteMode} */
+  #mode
+  /** @type {YotoCassetteInteraction[]} */
+  #interactions
+  /** @type {Set<YotoCassetteInteraction>} */
+  #played = new Set()
+  /** @type {boolean} */
+  #allowRepeats
+  /** @type {((interaction: YotoCassetteInteraction) => YotoCassetteInteraction) | undefined} */
+  #redact
+  /** @type {YotoInterceptor} */
+  #interceptor
+
+  /**
+   * @param {YotoCassetteOptions} [options]
+   */
+  constructor ({ mode = 'replay', interactions = [], allowRepeats = false, redact } = {}) {
+    this.#mode = mode
+    this.#interactions = [...interactions]
+    this.#allowRepeats = allowRepeats
+    this.#redact = redact
+    this.#interceptor = mode === 'record' ? this.#createRecorder() : this.#createPlayer()
+  }
+
+  /**
+   * Load a saved cassette for replay
+   * @param {string} path - File written by save()
+   * @param {Omit<YotoCassetteOptions, 'mode' | 'interactions'>} [options]
+   * @returns {Promise<YotoCassette>}
+   */
+  static async load (path, options = {}) {
+    /** @type {YotoCassetteFile} */
+    const file = JSON.parse(await readFile(path, 'utf8'))
+    return new YotoCassette({ ...options, mode: 'replay', interactions: file.interactions })
+  }
+
+  /**
+   * Whether this cassette records or replays
+   * @returns {YotoCassetteMode}
+   */
+  get mode () {
+    return this.#mode
+  }
+
+  /**
+   * Recorded (already redacted) or loaded interactions, in request order
+   * @returns {YotoCassetteInteraction[]}
+   */
+  get interactions () {
+    return [...this.#interactions]
+  }
+
+  /**
+   * Interactions a replay has not used yet
+   * @returns {YotoCassetteInteraction[]}
+   */
+  get unplayed () {
+    return this.#interactions.filter((interaction) => !this.#played.has(interaction))
+  }
+
+  /**
+   * The interceptor to add to a YotoClient
+   * @returns {YotoInterceptor}
+   */
+  get interceptor () {
+    return this.#interceptor
+  }
+
+  /**
+   * Write the interactions to a JSON file, creating its directory if needed
+   * @param {string} path
+   * @returns {Promise<void>}
+   */
+  async save (path) {
+    /** @type {YotoCassetteFile} */
+    const file = {
+      version: 1,
+      recordedAt: new Date().toISOString(),
+      interactions: this.#interactions
+    }
+    await mkdir(dirname(path), { recursive: true })
+    await writeFile(path, JSON.stringify(file, null, 2) + '\n')
+  }
+
+  /**
+   * @returns {YotoInterceptor}
+   */
+  #createRecorder () {
+    return {
+      afterResponse: async (context, response) => {
+        const text = await response.body.text()
+
+        /** @type {YotoCassetteInteraction} */
+        let interaction = {
+          request: redactRequest(context),
+          response: {
+            statusCode: response.statusCode,
+            headers: redactHeaders(response.headers),
+            ...parseBody(text, response.headers['content-type'])
+          }
+        }
+        interaction.response = redactValue(interaction.response)
+        if (this.#redact) interaction = this.#redact(interaction)
+        this.#interactions.push(interaction)
+
+        // The body was consumed, so hand the endpoint an unredacted copy
+        return toResponse({ statusCode: response.statusCode, headers: response.headers, text })
+      }
+    }
+  }
+
+  /**
+   * @returns {YotoInterceptor}
+   */
+  #createPlayer () {
+    return {
+      beforeRequest: (context) => {
+        const { method, path } = redactRequest(context)
+        const matches = this.#interactions.filter((interaction) =>
+          interaction.request.method === method && interaction.request.path === path
+        )
+
+        const next = matches.find((interaction) => !this.#played.has(interaction)) ??
+          (this.#allowRepeats ? matches.at(-1) : undefined)
+        if (!next) {
+          throw new Error(`No recorded interaction left for ${method} ${path}`)
+        }
+
+        this.#played.add(next)
+        return toResponse(next.response)
+      }
+    }
+  }
+}
+
+/**
+ * @param {YotoRequestContext} context
+ * @returns {YotoCassetteRequest}
+ */
+function redactRequest (context) {
+  const search = new URLSearchParams(context.url.search)
+  for (const key of [...search.keys()]) {
+    if (SECRET_KEYS.has(key)) search.set(key, REDACTED)
+  }
+  const query = search.size > 0 ? `?${search}` : ''
+  const path = redactString(`${context.url.pathname}${query}`)
+
+  const rawBody = context.options.body
+  if (typeof rawBody !== 'string') return { method: context.method, path }
+
+  const headers = /** @type {Record<string, string | undefined>} */ (context.options.headers ?? {})
+  const contentType = headers['Content-Type'] ?? headers['content-type']
+  if (contentType?.includes('application/x-www-form-urlencoded')) {
+    const form = Object.fromEntries(new URLSearchParams(rawBody))
+    // Token revocation sends the refresh token as a bare `token` field
+    if (form['token']) form['token'] = REDACTED
+    return { method: context.method, path, body: redactValue(form) }
+  }
+
+  const body = parseBody(rawBody, contentType).body ?? rawBody
+  return { method: context.method, path, body: redactValue(body) }
+}
+
+/**
+ * @param {Dispatcher.ResponseData['headers']} headers
+ * @returns {Record<string, string | string[]>}
+ */
+function redactHeaders (headers) {
+  /** @type {Record<string, string | string[]>} */
+  const kept = {}
+  for (const [name, value] of Object.entries(headers)) {
+    if (value !== undefined && !DROPPED_HEADERS.has(name.toLowerCase())) kept[name] = value
+  }
+  return kept
+}
+
+/**
+ * @param {string} text
+ * @param {string | string[] | undefined} contentType
+ * @returns {{ body?: any, text?: string }}
+ */
+function parseBody (text, contentType) {
+  if (String(contentType).includes('json')) {
+    try {
+      return { body: JSON.parse(text) }
+    } catch {}
+  }
+  return { text }
+}
+
+/**
+ * Walk a JSON value, blanking secret fields, re-minting JWTs and masking emails
+ * @template T
+ * @param {T} value
+ * @param {string} [key]
+ * @returns {T}
+ */
+function redactValue (value, key) {
+  if (typeof value === 'string') {
+    if (key && SECRET_KEYS.has(key)) return /** @type {T} */ (REDACTED)
+    return /** @type {T} */ (redactString(value))
+  }
+  if (Array.isArray(value)) return /** @type {T} */ (value.map((item) => redactValue(item)))
+  if (value && typeof value === 'object') {
+    return /** @type {T} */ (Object.fromEntries(
+      Object.entries(value).map(([childKey, child]) => [childKey, redactValue(child, childKey)])
+    ))
+  }
+  return value
+}
+
+/**
+ * JWTs keep their claims, so expiry logic still works on replay, but lose their
+ * signature and any email in them. Emails elsewhere are replaced.
+ * @param {string} value
+ * @returns {string}
+ */
+function redactString (value) {
+  if (JWT_PATTERN.test(value)) {
+    try {
+      return createMockJwt(redactValue(jwtDecode(value)))
+    } catch {}
+  }
+  return value.replace(EMAIL_PATTERN, REDACTED_EMAIL)
+}
+
+/**
+ * Build a response the endpoint functions can consume
+ * @param {{ statusCode: number, headers: Record<string, string | string[] | undefined>, body?: any, text?: string }} recorded
+ * @returns {Dispatcher.ResponseData}
+ */
+function toResponse (recorded) {
+  const text = recorded.text ?? (recorded.body === undefined ? '' : JSON.stringify(recorded.body))
+  const body = {
+    text: async () => text,
+    json: async () => JSON.parse(text),
+    dump: async () => {}
+  }
+
+  return /** @type {Dispatcher.ResponseData} */ (/** @type {unknown} */ ({
+    statusCode: recorded.statusCode,
+    headers: recorded.headers,
+    trailers: {},
+    opaque: null,
+    context: {},
+    body
+  }))
+}
@@ -0,0 +1,108 @@
+import test from 'node:test'
+import assert from 'node:assert'
+import { mkdtemp, rm, readFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { jwtDecode } from 'jwt-decode'
+import { YotoCassette } from './cassette.js'
+import { YotoMockServer } from './mock-server.js'
+import { createTestClient } from './client.js'
+import { createMockJwt } from './fixtures.js'
+import { YotoClient } from '../api-client.js'
+import { createYotoEnvironment } from '../environment.js'
+
+test('YotoCassette', async (t) => {
+  const server = new YotoMockServer()
+  await server.start()
+  t.after(() => server.stop())
+
+  const directory = await mkdtemp(join(tmpdir(), 'yoto-cassette-'))
+  t.after(() => rm(directory, { recursive: true, force: true }))
+
+  // Nothing listens here, so any request that reaches the network fails
+  const offline = createYotoEnvironment({ apiUrl: 'http://127.0.0.1:9', loginUrl: 'http://127.0.0.1:9' })
+
+  await t.test('should replay recorded traffic without a server', async () => {
+    const { device } = server.addDevice({ name: 'Kitchen' })
+    const recorder = new YotoCassette({ mode: 'record' })
+    const recording = createTestClient(server, { interceptors: [recorder.interceptor] })
+    const recorded = await recording.getDeviceStatus({ deviceId: device.deviceId })
+    const path = join(directory, 'status.json')
+    await recorder.save(path)
+
+    const player = await YotoCassette.load(path)
+    const replaying = createTestClient(server, { interceptors: [player.interceptor], environment: offline })
+    assert.deepStrictEqual(await replaying.getDeviceStatus({ deviceId: device.deviceId }), recorded)
+    assert.deepStrictEqual(player.unplayed, [])
+
+    await assert.rejects(replaying.getDeviceStatus({ deviceId: device.deviceId }), /No recorded interaction left for GET/)
+  })
+
+  await t.test('should redact tokens and emails', async () => {
+    const recorder = new YotoCassette({ mode: 'record' })
+    const tokens = server.issueTokens({ clientId: 'mock-client' })
+    const client = createTestClient(server, {
+      interceptors: [recorder.interceptor],
+      accessToken: tokens.access_token,
+      refreshToken: tokens.refresh_token ?? ''
+    })
+    await client.token.refresh()
+
+    const exp = Math.floor(Date.now() / 1000) + 60
+    const signedJwt = `${createMockJwt({ sub: 'user', exp })}c2lnbmF0dXJl`
+    server.failNext({
+      path: '/card/family/library/groups',
+      statusCode: 409,
+      body: { error: 'conflict', owner: 'parent@family.example', token: signedJwt }
+    })
+    await assert.rejects(client.getGroups())
+
+    const path = join(directory, 'redacted.json')
+    await recorder.save(path)
+    const saved = await readFile(path, 'utf8')
+    assert.ok(!saved.includes(String(tokens.refresh_token)))
+    assert.ok(!saved.includes('c2lnbmF0dXJl'))
+    assert.ok(!saved.includes('parent@family.example'))
+
+    const [refresh, groups] = recorder.interactions
+    assert.strictEqual(refresh?.request.body.refresh_token, '[REDACTED]')
+    assert.strictEqual(groups?.response.body.owner, 'redacted@example.com')
+    // JWTs keep their claims so replayed expiry checks still work
+    assert.strictEqual(jwtDecode(groups?.response.body.token).exp, exp)
+  })
+
+  await t.test('should repeat the last match when allowed', async () => {
+    const cassette = new YotoCassette({
+      allowRepeats: true,
+      interactions: [{
+        request: { method: 'GET', path: '/device-v2/devices/mine' },
+        response: { statusCode: 200, headers: { 'content-type': 'application/json' }, body: { devices: [] } }
+      }]
+    })
+    const client = new YotoClient({
+      clientId: 'mock-client',
+      accessToken: createMockJwt({ sub: 'user', exp: Math.floor(Date.now() / 1000) + 3600 }),
+      refreshToken: 'unused',
+      onTokenRefresh: () => {},
+      onRefreshStart: () => {},
+      environment: offline,
+      interceptors: [cassette.interceptor]
+    })
+
+    assert.deepStrictEqual(await client.getDevices(), { devices: [] })
+    assert.deepStrictEqual(await client.getDevices(), { devices: [] })
+  })
+
+  await t.test('should apply a custom redact hook', async () => {
+    const { device } = server.addDevice({ name: 'Secret Room' })
+    const recorder = new YotoCassette({
+      mode: 'record',
+      redact: (interaction) => ({
+        ...interaction,
+        request: { ...interaction.request, path: interaction.request.path.replaceAll(device.deviceId, 'DEVICE') }
+      })
+    })
+    await createTestClient(server, { interceptors: [recorder.interceptor] }).getDeviceStatus({ deviceId: device.deviceId })
+    assert.strictEqual(recorder.interactions[0]?.request.path, '/device-v2/DEVICE/status')
+  })
+})
@@ -0,0 +1,43 @@
+/**
+ * @import { YotoClientConstructorOptions } from '../api-client.js'
+ * @import { YotoMockServer } from './mock-server.js'
+ */
+
+import { YotoClient } from '../api-client.js'
+
+// ============================================================================
+// Test client: A YotoClient signed in to a mock server
+// ============================================================================
+
+/**
+ * @typedef {Partial<YotoClientConstructorOptions> & YotoTestClientTokenOptions} YotoTestClientOptions
+ */
+
+/**
+ * @typedef {Object} YotoTestClientTokenOptions
+ * @property {number} [expiresIn] - Lifetime of the issued access token in seconds (defaults to the server's accessTokenTtlSeconds)
+ * @property {boolean} [withIdToken=false] - Also pass the issued ID token to the client
+ */
+
+/**
+ * Create a client with a fresh token pair from the server, pointed at its environment.
+ * The refresh callbacks are silenced. Client options override the defaults.
+ * @param {YotoMockServer} server
+ * @param {YotoTestClientOptions} [options]
+ * @returns {YotoClient}
+ */
+export function createTestClient (server, { expiresIn, withIdToken = false, ...options } = {}) {
+  const clientId = options.clientId ?? 'mock-client'
+  const tokens = server.issueTokens({ clientId, ...(expiresIn && { expiresIn }) })
+  return new YotoClient({
+    clientId,
+    accessToken: tokens.access_token,
+    refreshToken: tokens.refresh_token ?? '',
+    ...(withIdToken && tokens.id_token && { idToken: tokens.id_token }),
+    onTokenRefresh: () => {},
+    onRefreshStart: () => {},
+    onInvalid: () => {},
+    environment: server.environment,
+    ...options
+  })
+}
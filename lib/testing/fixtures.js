@@ -0,0 +1,330 @@
+/**
+ * @import { YotoDevice, YotoDeviceStatusResponse, YotoDeviceConfigDevice, YotoDeviceConfig, YotoDeviceFullStatus } from '../api-endpoints/devices.js'
+ * @import { YotoCard } from '../api-endpoints/content.js'
+ */
+
+import { randomBytes } from 'node:crypto'
+
+// ============================================================================
+// Fixtures: Realistic default payloads for the mock server's data model
+// ============================================================================
+
+/**
+ * Generate a random alphanumeric ID similar in shape to Yoto IDs
+ * @param {number} [length=24]
+ * @returns {string}
+ */
+export function createMockId (length = 24) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789'
+  const bytes = randomBytes(length)
+  let id = ''
+  for (const byte of bytes) {
+    id += alphabet[byte % alphabet.length]
+  }
+  return id
+}
+
+/**
+ * Create an unsigned JWT. The client only decodes tokens, so no signature is needed.
+ * @param {Record<string, any>} claims - JWT payload claims
+ * @returns {string}
+ */
+export function createMockJwt (claims) {
+  /** @param {object} part */
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url')
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode(claims)}.`
+}
+
+/**
+ * A device held by the mock server, covering the three REST views of a player.
+ * @typedef {Object} YotoMockDevice
+ * @property {YotoDevice} device - Entry returned by /device-v2/devices/mine
+ * @property {YotoDeviceStatusResponse} status - Body returned by /device-v2/{id}/status
+ * @property {YotoDeviceConfigDevice} config - `device` returned by /device-v2/{id}/config
+ */
+
+/**
+ * @typedef {Object} YotoMockDeviceInput
+ * @property {string} [deviceId]
+ * @property {string} [name]
+ * @property {boolean} [online=true]
+ * @property {string} [deviceType='v3']
+ * @property {string} [deviceFamily='v3']
+ * @property {Partial<YotoDeviceStatusResponse>} [status] - Overrides for the status response
+ * @property {Partial<YotoDeviceConfig>} [config] - Overrides for the device config settings
+ */
+
+/**
+ * Build a mock device with consistent list, status and config views.
+ * @param {YotoMockDeviceInput} [input]
+ * @returns {YotoMockDevice}
+ */
+export function createMockDevice (input = {}) {
+  const {
+    deviceId = createMockId(),
+    name = 'Mock Player',
+    online = true,
+    deviceType = 'v3',
+    deviceFamily = 'v3'
+  } = input
+  const now = new Date().toISOString()
+
+  /** @type {YotoDevice} */
+  const device = {
+    deviceId,
+    name,
+    description: name,
+    online,
+    releaseChannel: 'general',
+    deviceType,
+    deviceFamily,
+    deviceGroup: ''
+  }
+
+  /** @type {YotoDeviceStatusResponse} */
+  const status = {
+    deviceId,
+    activeCard: 'none',
+    ambientLightSensorReading: 0,
+    averageDownloadSpeedBytesSecond: 0,
+    batteryLevelPercentage: 100,
+    batteryLevelPercentageRaw: 96,
+    buzzErrors: 0,
+    cardInsertionState: 0,
+    dayMode: 1,
+    errorsLogged: 0,
+    firmwareVersion: 'v2.23.2',
+    freeDiskSpaceBytes: 25108704,
+    isAudioDeviceConnected: false,
+    isBackgroundDownloadActive: false,
+    isBluetoothAudioConnected: false,
+    isCharging: false,
+    isNfcLocked: 0,
+    isOnline: online,
+    networkSsid: 'MockNetwork',
+    nightlightMode: 'off',
+    playingSource: 0,
+    powerCapabilities: '0x02',
+    powerSource: 2,
+    systemVolumePercentage: 50,
+    taskWatchdogTimeoutCount: 0,
+    temperatureCelcius: 20,
+    totalDiskSpaceBytes: 31250000,
+    updatedAt: now,
+    uptime: 3600,
+    userVolumePercentage: 43,
+    utcOffsetSeconds: 0,
+    utcTime: Math.floor(Date.now() / 1000),
+    wifiStrength: -50,
+    ...input.status
+  }
+
+  /** @type {YotoDeviceConfig} */
+  const config = {
+    alarms: [],
+    ambientColour: '#40bfd9',
+    bluetoothEnabled: '1',
+    btHeadphonesEnabled: true,
+    clockFace: 'digital-sun',
+    dayDisplayBrightness: 'auto',
+    dayTime: '07:00',
+    dayYotoDaily: '3nC80/daily/<yyyymmdd>',
+    dayYotoRadio: '3nC80/radio-day/01',
+    daySoundsOff: '0',
+    displayDimBrightness: '0',
+    displayDimTimeout: '60',
+    headphonesVolumeLimited: false,
+    hourFormat: '12',
+    logLevel: 'none',
+    locale: 'en',
+    maxVolumeLimit: '16',
+    nightAmbientColour: '#f57399',
+    nightDisplayBrightness: 'auto',
+    nightMaxVolumeLimit: '10',
+    nightTime: '19:00',
+    nightYotoDaily: '0',
+    nightYotoRadio: '0',
+    nightSoundsOff: '1',
+    pausePowerButton: true,
+    pauseVolumeDown: false,
+    repeatAll: false,
+    showDiagnostics: false,
+    shutdownTimeout: '3600',
+    systemVolume: '100',
+    timezone: '',
+    volumeLevel: 'safe',
+    ...input.config
+  }
+
+  /** @type {YotoDeviceFullStatus} */
+  const fullStatus = {
+    activeCard: status.activeCard,
+    aliveTime: null,
+    als: status.ambientLightSensorReading,
+    battery: 4102,
+    batteryLevel: status.batteryLevelPercentage,
+    batteryLevelRaw: status.batteryLevelPercentageRaw,
+    batteryRemaining: null,
+    bgDownload: 0,
+    bluetoothHp: 0,
+    buzzErrors: 0,
+    bytesPS: 0,
+    cardInserted: status.cardInsertionState,
+    chgStatLevel: null,
+    charging: status.isCharging ? 1 : 0,
+    day: status.dayMode,
+    dayBright: 100,
+    dbatTimeout: 60,
+    deviceId,
+    dnowBrightness: 0,
+    errorsLogged: 0,
+    failData: null,
+    failReason: null,
+    free: null,
+    free32: null,
+    freeDisk: status.freeDiskSpaceBytes,
+    freeDMA: null,
+    fwVersion: status.firmwareVersion,
+    headphones: 0,
+    lastSeenAt: now,
+    missedLogs: null,
+    nfcErrs: 'n/a',
+    nfcLock: 0,
+    nightBright: 1,
+    nightlightMode: status.nightlightMode,
+    playingStatus: 0,
+    powerCaps: status.powerCapabilities,
+    powerSrc: status.powerSource,
+    qiOtp: null,
+    sd_info: null,
+    shutDown: 'nA',
+    shutdownTimeout: 3600,
+    ssid: status.networkSsid,
+    statusVersion: 1,
+    temp: `${status.temperatureCelcius}:notSupported`,
+    timeFormat: '12',
+    totalDisk: status.totalDiskSpaceBytes,
+    twdt: 0,
+    updatedAt: now,
+    upTime: status.uptime,
+    userVolume: status.userVolumePercentage,
+    utcOffset: status.utcOffsetSeconds,
+    utcTime: status.utcTime,
+    volume: status.systemVolumePercentage,
+    wifiRestarts: null,
+    wifiStrength: status.wifiStrength
+  }
+
+  return {
+    device,
+    status,
+    config: {
+      config,
+      deviceFamily,
+      deviceGroup: '',
+      deviceId,
+      deviceType,
+      errorCode: null,
+      geoTimezone: 'Europe/London',
+      getPosix: 'GMT0BST,M3.5.0/1,M10.5.0',
+      mac: 'aa:bb:cc:dd:ee:ff',
+      name,
+      online,
+      registrationCode: createMockId(6),
+      activationPopCode: createMockId(6),
+      popCode: createMockId(6),
+      releaseChannelId: 'general',
+      releaseChannelVersion: status.firmwareVersion,
+      fwVersion: status.firmwareVersion,
+      status: fullStatus,
+      shortcuts: {
+        modes: {
+          day: { content: [] },
+          night: { content: [] }
+        },
+        versionId: createMockId(8)
+      }
+    }
+  }
+}
+
+/**
+ * @typedef {Object} YotoMockCardInput
+ * @property {string} [cardId]
+ * @property {string} [title]
+ * @property {string} [userId]
+ * @property {YotoCard['content']['chapters']} [chapters]
+ */
+
+/**
+ * Build a mock MYO card with a single chapter and track unless chapters are given.
+ * @param {YotoMockCardInput} [input]
+ * @returns {YotoCard}
+ */
+export function createMockCard (input = {}) {
+  const {
+    cardId = createMockId(5),
+    title = 'Mock Card',
+    userId = 'mock-user'
+  } = input
+  const now = new Date().toISOString()
+
+  const chapters = input.chapters ?? [{
+    key: '01',
+    title: 'Chapter 1',
+    overlayLabel: '1',
+    duration: 120,
+    fileSize: 1920000,
+    availableFrom: null,
+    ambient: null,
+    defaultTrackDisplay: null,
+    defaultTrackAmbient: null,
+    display: { icon16x16: 'yoto:#mockicon' },
+    tracks: [{
+      key: '01',
+      title: 'Track 1',
+      trackUrl: `yoto:#${createMockId(43)}`,
+      format: 'aac',
+      type: 'audio',
+      overlayLabel: '1',
+      duration: 120,
+      fileSize: 1920000,
+      channels: 'stereo',
+      ambient: null,
+      display: { icon16x16: 'yoto:#mockicon' }
+    }]
+  }]
+
+  const duration = chapters.reduce((sum, chapter) => sum + chapter.duration, 0)
+  const fileSize = chapters.reduce((sum, chapter) => sum + chapter.fileSize, 0)
+
+  return {
+    cardId,
+    title,
+    userId,
+    slug: title.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+    createdAt: now,
+    updatedAt: now,
+    creatorEmail: 'mock@example.com',
+    deleted: false,
+    shareLimit: 0,
+    shareLinkCreatedAt: now,
+    content: {
+      activity: 'yoto_Player',
+      version: '1',
+      playbackType: 'linear',
+      chapters,
+      config: {},
+      editSettings: {
+        autoOverlayLabels: 'chapters-offset-1',
+        editKeys: false,
+        transcodeAudioUploads: true
+      }
+    },
+    metadata: {
+      category: 'none',
+      cover: { imageL: null },
+      media: { duration, fileSize, hasStreams: false }
+    }
+  }
+}
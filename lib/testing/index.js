@@ -0,0 +1,36 @@
+/**
+ * Yoto Testing Module
+ *
+ * Offline stand-ins for the Yoto cloud and players, for integration tests and local development.
+ *
+ * @example
+ * ```javascript
+ * import { YotoMockServer, createTestClient } from 'yoto-nodejs-client/lib/testing/index.js'
+ *
+ * const server = new YotoMockServer()
+ * await server.start()
+ *
+ * const { device } = server.addDevice({ name: 'Bedroom' })
+ * const client = createTestClient(server)
+ * ```
+ */
+
+// Mock REST API + login server
+export { YotoMockServer } from './mock-server.js'
+
+// YotoClient signed in to a mock server
+export { createTestClient } from './client.js'
+
+// Virtual player on an MQTT broker
+export { YotoSimulatedPlayer } from './simulated-player.js'
+
+// Record/replay fixtures of real API traffic
+export { YotoCassette } from './cassette.js'
+
+// Fixture builders
+export {
+  createMockDevice,
+  createMockCard,
+  createMockJwt,
+  createMockId
+} from './fixtures.js'
@@ -0,0 +1,1014 @@
+/**
+ * Offline stand-in for the Yoto REST API and login server.
+ *
+ * Implements the routes the client calls against an in-memory data model so
+ * create/update/delete flows can be exercised deterministically without credentials.
+ */
+
+/**
+ * @import { IncomingMessage, ServerResponse, Server } from 'node:http'
+ * @import { AddressInfo } from 'node:net'
+ * @import { YotoCard, YotoMyoCard, YotoCreateOrUpdateContentRequest, YotoPlaybackType } from '../api-endpoints/content.js'
+ * @import { YotoDeviceCommand, YotoUpdateDeviceConfigRequest, YotoUpdateShortcutsRequest } from '../api-endpoints/devices.js'
+ * @import { YotoGroup, YotoCreateGroupRequest } from '../api-endpoints/family-library-groups.js'
+ * @import { YotoFamilyImage } from '../api-endpoints/family.js'
+ * @import { YotoPublicIcon, YotoUserIcon } from '../api-endpoints/icons.js'
+ * @import { YotoTokenResponse, YotoUserInfoResponse } from '../api-endpoints/auth.js'
+ * @import { YotoEnvironment } from '../environment.js'
+ * @import { YotoMockDevice, YotoMockDeviceInput, YotoMockCardInput } from './fixtures.js'
+ */
+
+import { createServer } from 'node:http'
+import { createHash } from 'node:crypto'
+import { EventEmitter, once } from 'node:events'
+import { DEFAULT_AUDIENCE, DEVICE_CODE_GRANT_TYPE } from '../api-endpoints/constants.js'
+import { createYotoEnvironment } from '../environment.js'
+import { createMockCard, createMockDevice, createMockId, createMockJwt } from './fixtures.js'
+
+// ============================================================================
+// Types
+// ============================================================================
+
+/**
+ * @typedef {Object} YotoMockServerOptions
+ * @property {number} [port=0] - Port to listen on (0 picks a free port)
+ * @property {string} [host='127.0.0.1'] - Interface to listen on
+ * @property {number} [accessTokenTtlSeconds=3600] - Lifetime of issued access tokens
+ * @property {boolean} [rotateRefreshTokens=false] - Issue a new refresh token (and retire the old one) on every refresh
+ * @property {number} [deviceCodeInterval=5] - Polling interval (seconds) advertised for device codes
+ * @property {number} [deviceCodeTtlSeconds=900] - Lifetime (seconds) of issued device codes
+ * @property {boolean} [autoApproveDeviceCodes=false] - Approve device codes as soon as they are issued
+ * @property {string} [userId='mock-user'] - Subject of issued tokens and owner of created content
+ * @property {number} [clockOffsetSeconds=0] - How far the server's clock is ahead of the local one (negative for behind). Applies to issued tokens, token expiry and Date headers.
+ */
+
+/**
+ * A request the mock server received
+ * @typedef {Object} YotoMockRequest
+ * @property {string} method - HTTP method
+ * @property {string} path - URL pathname
+ * @property {URLSearchParams} query - Parsed query string
+ * @property {IncomingMessage['headers']} headers - Request headers
+ * @property {any} body - Parsed JSON, URLSearchParams for forms, a Buffer for binary bodies, or null
+ */
+
+/**
+ * A canned failure returned instead of the normal handler for matching requests
+ * @typedef {Object} YotoMockFault
+ * @property {string} [method] - Only match this HTTP method
+ * @property {string | RegExp} [path] - Only match this pathname (exact string or pattern)
+ * @property {number} statusCode - Status code to respond with
+ * @property {any} [body] - JSON body to respond with
+ * @property {Record<string, string>} [headers] - Extra response headers
+ * @property {number} [times=1] - How many matching requests to fail
+ */
+
+/**
+ * @typedef {Object} YotoMockDeviceCode
+ * @property {string} deviceCode
+ * @property {string} userCode
+ * @property {string} clientId
+ * @property {number} expiresAt - Unix timestamp in ms
+ * @property {'pending' | 'approved' | 'denied'} state
+ */
+
+/**
+ * @typedef {{ statusCode: number, body?: any, headers?: Record<string, string> }} YotoMockResponse
+ */
+
+/**
+ * @typedef {(req: YotoMockRequest, params: string[]) => YotoMockResponse | Promise<YotoMockResponse>} YotoMockRouteHandler
+ */
+
+/**
+ * Event map for YotoMockServer
+ * @typedef {{
+ *   'request': [YotoMockRequest],
+ *   'command': [{ deviceId: string, command: YotoDeviceCommand }]
+ * }} YotoMockServerEventMap
+ */
+
+/** @param {any} body @returns {YotoMockResponse} */
+const ok = (body) => ({ statusCode: 200, body })
+
+/** @param {string} message @returns {YotoMockResponse} */
+const notFound = (message) => ({ statusCode: 404, body: { error: 'not_found', message } })
+
+/** @param {string} message @returns {YotoMockResponse} */
+const badRequest = (message) => ({ statusCode: 400, body: { error: 'bad_request', message } })
+
+/** @param {string} error @param {string} description @param {number} [statusCode=400] @returns {YotoMockResponse} */
+const oauthError = (error, description, statusCode = 400) => ({
+  statusCode,
+  body: { error, error_description: description }
+})
+
+/** @param {any} body - Parsed request body @returns {URLSearchParams} The form fields, none when the body isn't a form */
+const formFields = (body) => body instanceof URLSearchParams ? body : new URLSearchParams()
+
+// ============================================================================
+// YotoMockServer
+// ============================================================================
+
+/**
+ * In-memory mock of the Yoto API and login servers.
+ *
+ * Events:
+ * - 'request' - Emitted for every request received, passes YotoMockRequest
+ * - 'command' - Emitted when a device command is posted, passes { deviceId, command }
+ *
+ * @extends {EventEmitter<YotoMockServerEventMap>}
+ *
+ * @example
+ * ```javascript
+ * import { YotoClient } from 'yoto-nodejs-client'
+ * import { YotoMockServer } from 'yoto-nodejs-client/lib/testing/index.js'
+ *
+ * const server = new YotoMockServer()
+ * await server.start()
+ * server.addDevice({ name: 'Bedroom' })
+ *
+ * const tokens = server.issueTokens({ clientId: 'test' })
+ * const client = new YotoClient({
+ *   clientId: 'test',
+ *   accessToken: tokens.access_token,
+ *   refreshToken: tokens.refresh_token,
+ *   onTokenRefresh: () => {},
+ *   environment: server.environment
+ * })
+ *
+ * const { devices } = await client.getDevices()
+ * await server.stop()
+ * ```
+ */
+export class YotoMockServer extends EventEmitter {
+  // ==========================================================================
+  // In-memory data model (public so tests can seed and inspect it)
+  // ==========================================================================
+
+  /** @type {Map<string, YotoMockDevice>} */
+  devices = new Map()
+
+  /** @type {Map<string, YotoCard>} */
+  cards = new Map()
+
+  /** @type {Map<string, YotoGroup>} */
+  groups = new Map()
+
+  /** @type {Map<string, YotoFamilyImage>} */
+  familyImages = new Map()
+
+  /** @type {Map<string, YotoUserIcon>} */
+  userIcons = new Map()
+
+  /** @type {YotoPublicIcon[]} */
+  publicIcons = [{
+    displayIconId: 'mock-public-icon',
+    mediaId: 'mock-public-media',
+    userId: 'yoto',
+    createdAt: new Date(0).toISOString(),
+    title: 'Star',
+    url: 'https://example.invalid/icons/star.png',
+    public: true,
+    publicTags: ['star']
+  }]
+
+  /** @type {Array<{ deviceId: string, command: YotoDeviceCommand }>} */
+  commands = []
+
+  /** @type {YotoMockRequest[]} */
+  requests = []
+
+  // ==========================================================================
+  // Private state
+  // ==========================================================================
+
+  /** @type {Required<YotoMockServerOptions>} */
+  #options
+
+  /** @type {Server | null} */
+  #server = null
+
+  /** @type {string | null} */
+  #url = null
+
+  /** @type {Map<string, { clientId: string, expiresAt: number }>} accessToken -> info */
+  #accessTokens = new Map()
+
+  /** @type {Map<string, { clientId: string }>} refreshToken -> info */
+  #refreshTokens = new Map()
+
+  /** @type {Map<string, YotoMockDeviceCode>} deviceCode -> info */
+  #deviceCodes = new Map()
+
+  /** @type {Map<string, { clientId: string, redirectUri: string }>} authorization code -> info */
+  #authorizationCodes = new Map()
+
+  /** @type {Array<YotoMockFault & { times: number }>} */
+  #faults = []
+
+  /** @type {Array<[string, RegExp, YotoMockRouteHandler, boolean]>} method, pattern, handler, requiresAuth */
+  #routes = []
+
+  /**
+   * @param {YotoMockServerOptions} [options]
+   */
+  constructor (options = {}) {
+    super()
+    this.#options = {
+      port: 0,
+      host: '127.0.0.1',
+      accessTokenTtlSeconds: 3600,
+      rotateRefreshTokens: false,
+      deviceCodeInterval: 5,
+      deviceCodeTtlSeconds: 900,
+      autoApproveDeviceCodes: false,
+      userId: 'mock-user',
+      clockOffsetSeconds: 0,
+      ...options
+    }
+    this.#registerRoutes()
+  }
+
+  // ==========================================================================
+  // Lifecycle
+  // ==========================================================================
+
+  /**
+   * Start listening.
+   * @returns {Promise<string>} The base URL of the server
+   */
+  async start () {
+    if (this.#server) {
+      throw new Error('Mock server is already started')
+    }
+
+    const server = createServer((req, res) => {
+      this.#handle(req, res).catch((err) => {
+        res.statusCode = 500
+        res.setHeader('Content-Type', 'application/json')
+        res.end(JSON.stringify({ error: 'internal_error', message: err.message }))
+      })
+    })
+
+    server.listen(this.#options.port, this.#options.host)
+    await once(server, 'listening')
+
+    const { port } = /** @type {AddressInfo} */ (server.address())
+    this.#server = server
+    this.#url = `http://${this.#options.host}:${port}`
+    return this.#url
+  }
+
+  /**
+   * Stop listening and close open connections.
+   * @returns {Promise<void>}
+   */
+  async stop () {
+    const server = this.#server
+    if (!server) return
+
+    this.#server = null
+    this.#url = null
+    server.closeAllConnections()
+    await new Promise((resolve) => server.close(() => resolve(undefined)))
+  }
+
+  /**
+   * Base URL of the running server
+   * @returns {string}
+   */
+  get url () {
+    if (!this.#url) {
+      throw new Error('Mock server is not started')
+    }
+    return this.#url
+  }
+
+  /**
+   * Environment pointing the API and login URLs at this server
+   * @returns {YotoEnvironment}
+   */
+  get environment () {
+    return createYotoEnvironment({ apiUrl: this.url, loginUrl: this.url })
+  }
+
+  // ==========================================================================
+  // Seeding and control
+  // ==========================================================================
+
+  /**
+   * Add a device to the account.
+   * @param {YotoMockDeviceInput} [input]
+   * @returns {YotoMockDevice}
+   */
+  addDevice (input) {
+    const mockDevice = createMockDevice(input)
+    this.devices.set(mockDevice.device.deviceId, mockDevice)
+    return mockDevice
+  }
+
+  /**
+   * Add a MYO card to the account.
+   * @param {YotoMockCardInput} [input]
+   * @returns {YotoCard}
+   */
+  addCard (input) {
+    const card = createMockCard({ userId: this.#options.userId, ...input })
+    this.cards.set(card.cardId, card)
+    return card
+  }
+
+  /**
+   * Issue a token pair directly, as if the user had completed a login flow.
+   * @param {object} [params]
+   * @param {string} [params.clientId='mock-client']
+   * @param {number} [params.expiresIn] - Access token lifetime in seconds (defaults to accessTokenTtlSeconds)
+   * @returns {YotoTokenResponse}
+   */
+  issueTokens ({ clientId = 'mock-client', expiresIn = this.#options.accessTokenTtlSeconds } = {}) {
+    const refreshToken = `mock-refresh-${createMockId(32)}`
+    this.#refreshTokens.set(refreshToken, { clientId })
+    return {
+      ...this.#issueAccessToken(clientId, expiresIn),
+      refresh_token: refreshToken
+    }
+  }
+
+  /**
+   * Invalidate a refresh token so the next refresh fails with invalid_grant.
+   * @param {string} refreshToken
+   */
+  revokeRefreshToken (refreshToken) {
+    this.#refreshTokens.delete(refreshToken)
+  }
+
+  /**
+   * Invalidate every issued access token so API calls return 401 until a refresh.
+   */
+  revokeAccessTokens () {
+    this.#accessTokens.clear()
+  }
+
+  /**
+   * Approve a pending device authorization.
+   * @param {string} userCode - The user_code returned from /oauth/device/code
+   */
+  approveDeviceCode (userCode) {
+    this.#findDeviceCode(userCode).state = 'approved'
+  }
+
+  /**
+   * Deny a pending device authorization.
+   * @param {string} userCode - The user_code returned from /oauth/device/code
+   */
+  denyDeviceCode (userCode) {
+    this.#findDeviceCode(userCode).state = 'denied'
+  }
+
+  /**
+   * Respond to the next matching request(s) with a canned failure.
+   * @param {YotoMockFault} fault
+   */
+  failNext (fault) {
+    this.#faults.push({ ...fault, times: fault.times ?? 1 })
+  }
+
+  /**
+   * @param {string} userCode
+   * @returns {YotoMockDeviceCode}
+   */
+  #findDeviceCode (userCode) {
+    for (const entry of this.#deviceCodes.values()) {
+      if (entry.userCode === userCode) return entry
+    }
+    throw new Error(`Unknown user code: ${userCode}`)
+  }
+
+  /**
+   * @param {string} clientId
+   * @param {number} expiresIn
+   * @returns {YotoTokenResponse}
+   */
+  #issueAccessToken (clientId, expiresIn) {
+    const now = Math.floor(this.#now() / 1000)
+    const accessToken = createMockJwt({
+      iss: `${this.#url ?? 'http://mock.invalid'}/`,
+      sub: this.#options.userId,
+      aud: DEFAULT_AUDIENCE,
+      azp: clientId,
+      iat: now,
+      exp: now + expiresIn,
+      jti: createMockId(16)
+    })
+    this.#accessTokens.set(accessToken, { clientId, expiresAt: now + expiresIn })
+    return {
+      access_token: accessToken,
+      id_token: createMockJwt({
+        iss: `${this.#url ?? 'http://mock.invalid'}/`,
+        aud: clientId,
+        iat: now,
+        exp: now + expiresIn,
+        ...this.#userClaims()
+      }),
+      token_type: 'Bearer',
+      expires_in: expiresIn,
+      scope: 'openid profile offline_access'
+    }
+  }
+
+  /**
+   * The server's clock, clockOffsetSeconds away from the local one
+   * @returns {number} Milliseconds since the epoch
+   */
+  #now () {
+    return Date.now() + this.#options.clockOffsetSeconds * 1000
+  }
+
+  /**
+   * Profile claims of the mock user, for ID tokens and /userinfo
+   * @returns {YotoUserInfoResponse}
+   */
+  #userClaims () {
+    const userId = this.#options.userId
+    return {
+      sub: userId,
+      name: 'Mock User',
+      nickname: userId,
+      email: `${userId}@example.com`,
+      email_verified: true,
+      'https://api.yotoplay.com/familyId': 'mock-family'
+    }
+  }
+
+  // ==========================================================================
+  // Request handling
+  // ==========================================================================
+
+  /**
+   * @param {IncomingMessage} req
+   * @param {ServerResponse} res
+   */
+  async #handle (req, res) {
+    const url = new URL(req.url ?? '/', 'http://mock.invalid')
+    const mockRequest = {
+      method: req.method ?? 'GET',
+      path: url.pathname,
+      query: url.searchParams,
+      headers: req.headers,
+      body: await readBody(req)
+    }
+
+    this.requests.push(mockRequest)
+    this.emit('request', mockRequest)
+
+    const response = this.#takeFault(mockRequest) ?? await this.#route(mockRequest)
+
+    res.statusCode = response.statusCode
+    res.setHeader('Date', new Date(this.#now()).toUTCString())
+    for (const [name, value] of Object.entries(response.headers ?? {})) {
+      res.setHeader(name, value)
+    }
+
+    if (response.body === undefined) {
+      res.end()
+      return
+    }
+
+    const json = JSON.stringify(response.body)
+
+    // Successful GETs carry an ETag so clients can revalidate with If-None-Match
+    if (mockRequest.method === 'GET' && response.statusCode === 200) {
+      const etag = `W/"${createHash('sha1').update(json).digest('base64url')}"`
+      res.setHeader('ETag', etag)
+      if (req.headers['if-none-match'] === etag) {
+        res.statusCode = 304
+        res.end()
+        return
+      }
+    }
+
+    res.setHeader('Content-Type', 'application/json')
+    res.end(json)
+  }
+
+  /**
+   * @param {YotoMockRequest} req
+   * @returns {YotoMockResponse | null}
+   */
+  #takeFault (req) {
+    const index = this.#faults.findIndex((fault) => {
+      if (fault.method && fault.method !== req.method) return false
+      if (fault.path instanceof RegExp) return fault.path.test(req.path)
+      if (fault.path) return fault.path === req.path
+      return true
+    })
+    if (index === -1) return null
+
+    const fault = /** @type {YotoMockFault & { times: number }} */ (this.#faults[index])
+    fault.times -= 1
+    if (fault.times <= 0) this.#faults.splice(index, 1)
+
+    return {
+      statusCode: fault.statusCode,
+      ...(fault.body !== undefined && { body: fault.body }),
+      ...(fault.headers && { headers: fault.headers })
+    }
+  }
+
+  /**
+   * @param {YotoMockRequest} req
+   * @returns {Promise<YotoMockResponse>}
+   */
+  async #route (req) {
+    for (const [method, pattern, handler, requiresAuth] of this.#routes) {
+      if (method !== req.method) continue
+      const match = pattern.exec(req.path)
+      if (!match) continue
+
+      if (requiresAuth) {
+        const authError = this.#checkAuth(req)
+        if (authError) return authError
+      }
+
+      return await handler(req, match.slice(1).map(decodeURIComponent))
+    }
+
+    return notFound(`No route for ${req.method} ${req.path}`)
+  }
+
+  /**
+   * @param {YotoMockRequest} req
+   * @returns {YotoMockResponse | null}
+   */
+  #checkAuth (req) {
+    const header = req.headers.authorization ?? ''
+    const accessToken = header.startsWith('Bearer ') ? header.slice(7) : ''
+    const info = this.#accessTokens.get(accessToken)
+
+    if (!info) {
+      return { statusCode: 401, body: { error: 'invalid_token', message: 'Unauthorized' } }
+    }
+
+    if (info.expiresAt <= Math.floor(this.#now() / 1000)) {
+      return { statusCode: 401, body: { error: 'invalid_token', message: 'Token expired' } }
+    }
+
+    return null
+  }
+
+  /**
+   * @param {string} method
+   * @param {RegExp} pattern
+   * @param {YotoMockRouteHandler} handler
+   * @param {{ auth?: boolean }} [opts]
+   */
+  #on (method, pattern, handler, { auth = true } = {}) {
+    this.#routes.push([method, pattern, handler, auth])
+  }
+
+  #registerRoutes () {
+    // ------------------------------------------------------------------------
+    // OAuth
+    // ------------------------------------------------------------------------
+
+    this.#on('GET', /^\/authorize$/, (req) => {
+      const redirectUri = req.query.get('redirect_uri')
+      const clientId = req.query.get('client_id')
+      if (!redirectUri || !clientId) return badRequest('client_id and redirect_uri are required')
+
+      const code = `mock-code-${createMockId(16)}`
+      this.#authorizationCodes.set(code, { clientId, redirectUri })
+
+      const location = new URL(redirectUri)
+      location.searchParams.set('code', code)
+      const state = req.query.get('state')
+      if (state) location.searchParams.set('state', state)
+
+      return { statusCode: 302, headers: { Location: location.toString() } }
+    }, { auth: false })
+
+    this.#on('POST', /^\/oauth\/device\/code$/, (req) => {
+      const form = formFields(req.body)
+      const clientId = form.get('client_id')
+      if (!clientId) return oauthError('invalid_request', 'client_id is required')
+
+      const expiresIn = this.#options.deviceCodeTtlSeconds
+      const userCode = createMockId(8).toUpperCase()
+      const deviceCode = `mock-device-${createMockId(32)}`
+      this.#deviceCodes.set(deviceCode, {
+        deviceCode,
+        userCode,
+        clientId,
+        expiresAt: Date.now() + expiresIn * 1000,
+        state: this.#options.autoApproveDeviceCodes ? 'approved' : 'pending'
+      })
+
+      const verificationUri = `${this.url}/activate`
+      return ok({
+        device_code: deviceCode,
+        user_code: userCode,
+        verification_uri: verificationUri,
+        verification_uri_complete: `${verificationUri}?user_code=${userCode}`,
+        expires_in: expiresIn,
+        interval: this.#options.deviceCodeInterval
+      })
+    }, { auth: false })
+
+    this.#on('POST', /^\/oauth\/token$/, (req) => {
+      const form = formFields(req.body)
+      const grantType = form.get('grant_type')
+      if (!grantType) return oauthError('invalid_request', 'grant_type is required')
+      const clientId = form.get('client_id') ?? 'mock-client'
+
+      if (grantType === 'refresh_token') {
+        const refreshToken = form.get('refresh_token') ?? ''
+        const info = this.#refreshTokens.get(refreshToken)
+        if (!info) return oauthError('invalid_grant', 'Unknown or invalid refresh token.', 403)
+
+        /** @type {YotoTokenResponse} */
+        const tokens = this.#issueAccessToken(info.clientId, this.#options.accessTokenTtlSeconds)
+        if (this.#options.rotateRefreshTokens) {
+          this.#refreshTokens.delete(refreshToken)
+          const rotated = `mock-refresh-${createMockId(32)}`
+          this.#refreshTokens.set(rotated, info)
+          tokens.refresh_token = rotated
+        }
+        return ok(tokens)
+      }
+
+      if (grantType === DEVICE_CODE_GRANT_TYPE) {
+        const entry = this.#deviceCodes.get(form.get('device_code') ?? '')
+        if (!entry) return oauthError('invalid_grant', 'Invalid or expired device code.', 403)
+        if (Date.now() >= entry.expiresAt) return oauthError('expired_token', 'Device code has expired.', 403)
+        if (entry.state === 'denied') return oauthError('access_denied', 'User denied authorization.', 403)
+        if (entry.state === 'pending') return oauthError('authorization_pending', 'Authorization pending.', 403)
+
+        this.#deviceCodes.delete(entry.deviceCode)
+        return ok(this.issueTokens({ clientId: entry.clientId }))
+      }
+
+      if (grantType === 'authorization_code') {
+        const code = form.get('code') ?? ''
+        const entry = this.#authorizationCodes.get(code)
+        if (!entry) return oauthError('invalid_grant', 'Invalid authorization code.', 403)
+
+        this.#authorizationCodes.delete(code)
+        return ok(this.issueTokens({ clientId: entry.clientId ?? clientId }))
+      }
+
+      return oauthError('unsupported_grant_type', `Unsupported grant type: ${grantType}`)
+    }, { auth: false })
+
+    this.#on('GET', /^\/userinfo$/, () => ok(this.#userClaims()))
+
+    this.#on('POST', /^\/oauth\/revoke$/, (req) => {
+      const form = formFields(req.body)
+      const token = form.get('token')
+      const clientId = form.get('client_id')
+      if (!token || !clientId) return oauthError('invalid_request', 'token and client_id are required')
+
+      // Unknown tokens succeed too, as RFC 7009 requires
+      const info = this.#refreshTokens.get(token)
+      if (info && info.clientId !== clientId) return oauthError('invalid_request', 'The token was issued to another client.')
+      this.#refreshTokens.delete(token)
+      return { statusCode: 200 }
+    }, { auth: false })
+
+    // ------------------------------------------------------------------------
+    // Devices
+    // ------------------------------------------------------------------------
+
+    this.#on('GET', /^\/device-v2\/devices\/mine$/, () => {
+      return ok({ devices: [...this.devices.values()].map(({ device }) => device) })
+    })
+
+    this.#on('GET', /^\/device-v2\/([^/]+)\/status$/, (_req, [deviceId]) => {
+      const mockDevice = this.devices.get(deviceId ?? '')
+      if (!mockDevice) return notFound(`Device ${deviceId} not found`)
+      return ok(mockDevice.status)
+    })
+
+    this.#on('GET', /^\/device-v2\/([^/]+)\/config$/, (_req, [deviceId]) => {
+      const mockDevice = this.devices.get(deviceId ?? '')
+      if (!mockDevice) return notFound(`Device ${deviceId} not found`)
+      return ok({ device: mockDevice.config })
+    })
+
+    this.#on('PUT', /^\/device-v2\/([^/]+)\/config$/, (req, [deviceId]) => {
+      const mockDevice = this.devices.get(deviceId ?? '')
+      if (!mockDevice) return notFound(`Device ${deviceId} not found`)
+
+      const update = /** @type {YotoUpdateDeviceConfigRequest | null} */ (req.body)
+      if (!update?.config) return badRequest('config is required')
+
+      Object.assign(mockDevice.config.config, update.config)
+      if (update.name) {
+        mockDevice.config.name = update.name
+        mockDevice.device.name = update.name
+      }
+      return ok({ status: 'ok' })
+    })
+
+    this.#on('PUT', /^\/device-v2\/([^/]+)\/shortcuts$/, (req, [deviceId]) => {
+      const mockDevice = this.devices.get(deviceId ?? '')
+      if (!mockDevice) return notFound(`Device ${deviceId} not found`)
+
+      const update = /** @type {YotoUpdateShortcutsRequest | null} */ (req.body)
+      if (!update?.shortcuts) return badRequest('shortcuts is required')
+
+      mockDevice.config.shortcuts = { ...update.shortcuts, versionId: createMockId(8) }
+      return ok({ status: 'ok' })
+    })
+
+    this.#on('POST', /^\/device-v2\/([^/]+)\/command\/status$/, (req, [deviceId]) => {
+      if (!deviceId || !this.devices.has(deviceId)) return notFound(`Device ${deviceId} not found`)
+
+      const command = /** @type {YotoDeviceCommand} */ (req.body ?? {})
+      this.commands.push({ deviceId, command })
+      this.emit('command', { deviceId, command })
+      return ok({ status: 'ok' })
+    })
+
+    // ------------------------------------------------------------------------
+    // Content
+    // ------------------------------------------------------------------------
+
+    this.#on('GET', /^\/content\/mine$/, (req) => {
+      const showDeleted = req.query.get('showdeleted') === 'true'
+      const cards = [...this.cards.values()]
+        .filter((card) => showDeleted || !card.deleted)
+        .map(toMyoCard)
+      return ok({ cards })
+    })
+
+    this.#on('GET', /^\/content\/([^/]+)$/, (_req, [cardId]) => {
+      const card = this.cards.get(cardId ?? '')
+      if (!card || card.deleted) return notFound(`Card ${cardId} not found`)
+      return ok({ card })
+    })
+
+    this.#on('POST', /^\/content$/, (req) => {
+      const input = /** @type {YotoCreateOrUpdateContentRequest | null} */ (req.body)
+      if (!input?.title) return badRequest('title is required')
+
+      const existing = input.cardId ? this.cards.get(input.cardId) : undefined
+      if (input.cardId && !existing) return notFound(`Card ${input.cardId} not found`)
+
+      const card = existing ?? this.addCard({
+        title: input.title,
+        ...(input.content?.chapters && { chapters: input.content.chapters })
+      })
+
+      card.title = input.title
+      card.updatedAt = new Date().toISOString()
+      if (input.content?.chapters) card.content.chapters = input.content.chapters
+      if (input.content?.config) card.content.config = input.content.config
+      if (input.content?.playbackType) card.content.playbackType = /** @type {YotoPlaybackType} */ (input.content.playbackType)
+      if (input.metadata) card.metadata = { ...card.metadata, ...input.metadata }
+
+      return ok({
+        card: {
+          _id: createMockId(24),
+          cardId: card.cardId,
+          content: {
+            chapters: card.content.chapters,
+            config: card.content.config,
+            playbackType: card.content.playbackType ?? 'linear'
+          },
+          createdAt: card.createdAt,
+          metadata: card.metadata,
+          title: card.title,
+          updatedAt: card.updatedAt,
+          userId: card.userId
+        }
+      })
+    })
+
+    this.#on('DELETE', /^\/content\/([^/]+)$/, (_req, [cardId]) => {
+      const card = this.cards.get(cardId ?? '')
+      if (!card || card.deleted) return notFound(`Card ${cardId} not found`)
+      card.deleted = true
+      return ok({ status: 'ok' })
+    })
+
+    // ------------------------------------------------------------------------
+    // Family library groups
+    // ------------------------------------------------------------------------
+
+    this.#on('GET', /^\/card\/family\/library\/groups$/, () => {
+      return ok([...this.groups.values()])
+    })
+
+    this.#on('POST', /^\/card\/family\/library\/groups$/, (req) => {
+      const input = /** @type {YotoCreateGroupRequest | null} */ (req.body)
+      if (!input?.name) return badRequest('name is required')
+
+      const now = new Date().toISOString()
+      /** @type {YotoGroup} */
+      const group = {
+        id: createMockId(24),
+        name: input.name,
+        familyId: 'mock-family',
+        imageId: input.imageId,
+        imageUrl: `https://example.invalid/groups/${input.imageId}.png`,
+        items: this.#groupItems(input.items ?? [], now),
+        cards: [],
+        createdAt: now,
+        lastModifiedAt: now
+      }
+      group.cards = this.#groupCards(group)
+      this.groups.set(group.id, group)
+      return ok(group)
+    })
+
+    this.#on('GET', /^\/card\/family\/library\/groups\/([^/]+)$/, (_req, [groupId]) => {
+      const group = this.groups.get(groupId ?? '')
+      if (!group) return notFound(`Group ${groupId} not found`)
+      return ok(group)
+    })
+
+    this.#on('PUT', /^\/card\/family\/library\/groups\/([^/]+)$/, (req, [groupId]) => {
+      const group = this.groups.get(groupId ?? '')
+      if (!group) return notFound(`Group ${groupId} not found`)
+
+      const input = /** @type {YotoCreateGroupRequest | null} */ (req.body)
+      if (!input?.name) return badRequest('name is required')
+
+      const now = new Date().toISOString()
+      group.name = input.name
+      group.imageId = input.imageId
+      group.items = this.#groupItems(input.items ?? [], now)
+      group.cards = this.#groupCards(group)
+      group.lastModifiedAt = now
+      return ok(group)
+    })
+
+    this.#on('DELETE', /^\/card\/family\/library\/groups\/([^/]+)$/, (_req, [groupId]) => {
+      if (!groupId || !this.groups.delete(groupId)) return notFound(`Group ${groupId} not found`)
+      return ok({ id: groupId })
+    })
+
+    // ------------------------------------------------------------------------
+    // Media: family images, icons, audio and cover uploads
+    // ------------------------------------------------------------------------
+
+    this.#on('GET', /^\/media\/family\/images$/, () => {
+      return ok({ images: [...this.familyImages.values()] })
+    })
+
+    this.#on('GET', /^\/media\/family\/images\/([^/]+)$/, (req, [imageId]) => {
+      if (!imageId || !this.familyImages.has(imageId)) return notFound(`Image ${imageId} not found`)
+      const location = `https://example.invalid/family/${imageId}?width=${req.query.get('width')}&height=${req.query.get('height')}`
+      return { statusCode: 302, headers: { Location: location } }
+    })
+
+    this.#on('POST', /^\/media\/family\/images$/, (req) => {
+      if (!Buffer.isBuffer(req.body)) return badRequest('image body is required')
+
+      const imageId = sha256(req.body)
+      this.familyImages.set(imageId, { imageId })
+      return ok({ imageId, url: `${this.url}/media/family/images/${imageId}` })
+    })
+
+    this.#on('GET', /^\/media\/displayIcons\/user\/yoto$/, () => {
+      return ok({ displayIcons: this.publicIcons })
+    })
+
+    this.#on('GET', /^\/media\/displayIcons\/user\/me$/, () => {
+      return ok({ displayIcons: [...this.userIcons.values()] })
+    })
+
+    this.#on('POST', /^\/media\/displayIcons\/user\/me\/upload$/, (req) => {
+      if (!Buffer.isBuffer(req.body)) return badRequest('image body is required')
+
+      const mediaId = sha256(req.body)
+      const existing = [...this.userIcons.values()].find((icon) => icon.mediaId === mediaId)
+      if (existing) {
+        return ok({ displayIcon: { ...existing, url: {}, _id: existing.displayIconId } })
+      }
+
+      /** @type {YotoUserIcon} */
+      const icon = {
+        displayIconId: createMockId(24),
+        mediaId,
+        userId: this.#options.userId,
+        createdAt: new Date().toISOString(),
+        url: `https://example.invalid/icons/${mediaId}.png`,
+        public: false
+      }
+      this.userIcons.set(icon.displayIconId, icon)
+      return ok({ displayIcon: { ...icon, new: true } })
+    })
+
+    this.#on('GET', /^\/media\/transcode\/audio\/uploadUrl$/, (req) => {
+      const hash = req.query.get('sha256')
+      if (!hash) return badRequest('sha256 is required')
+      return ok({
+        upload: {
+          uploadId: createMockId(24),
+          uploadUrl: `https://example.invalid/upload/${hash}`
+        }
+      })
+    })
+
+    this.#on('POST', /^\/media\/coverImage\/user\/me\/upload$/, (req) => {
+      const source = Buffer.isBuffer(req.body) ? req.body : req.query.get('imageUrl')
+      if (!source) return badRequest('image body or imageUrl is required')
+
+      const mediaId = sha256(source)
+      return ok({
+        coverImage: {
+          mediaId,
+          mediaUrl: `https://example.invalid/covers/${mediaId}.png`
+        }
+      })
+    })
+  }
+
+  /**
+   * @param {Array<{ contentId: string }>} items
+   * @param {string} addedAt
+   */
+  #groupItems (items, addedAt) {
+    // Like the real API, content that isn't in the library is silently dropped
+    return items
+      .filter(({ contentId }) => this.cards.has(contentId))
+      .map(({ contentId }) => ({ contentId, addedAt }))
+  }
+
+  /**
+   * @param {YotoGroup} group
+   */
+  #groupCards (group) {
+    return group.items.map(({ contentId }) => this.cards.get(contentId))
+  }
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Read and parse a request body based on its content type.
+ * @param {IncomingMessage} req
+ * @returns {Promise<any>}
+ */
+async function readBody (req) {
+  /** @type {Buffer[]} */
+  const chunks = []
+  for await (const chunk of req) {
+    chunks.push(chunk)
+  }
+  if (chunks.length === 0) return null
+
+  const raw = Buffer.concat(chunks)
+  const contentType = req.headers['content-type'] ?? ''
+
+  if (contentType.includes('application/json')) {
+    return JSON.parse(raw.toString('utf8'))
+  }
+
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return new URLSearchParams(raw.toString('utf8'))
+  }
+
+  return raw
+}
+
+/**
+ * @param {Buffer | string} data
+ * @returns {string}
+ */
+function sha256 (data) {
+  return createHash('sha256').update(data).digest('hex')
+}
+
+/**
+ * Project a full card into the summary shape returned by /content/mine.
+ * @param {YotoCard} card
+ * @returns {YotoMyoCard}
+ */
+function toMyoCard (card) {
+  return {
+    availability: '',
+    cardId: card.cardId,
+    content: {
+      activity: card.content.activity,
+      config: card.content.config,
+      editSettings: {
+        autoOverlayLabels: card.content.editSettings.autoOverlayLabels,
+        editKeys: card.content.editSettings.editKeys
+      },
+      version: card.content.version,
+      ...(card.content.playbackType && { playbackType: card.content.playbackType })
+    },
+    createdAt: card.createdAt,
+    deleted: card.deleted,
+    metadata: card.metadata,
+    slug: card.slug,
+    title: card.title,
+    updatedAt: card.updatedAt,
+    userId: card.userId
+  }
+}
@@ -0,0 +1,201 @@
+import test from 'node:test'
+import assert from 'node:assert'
+import { YotoMockServer } from './mock-server.js'
+import { createTestClient } from './client.js'
+import { YotoAPIError } from '../api-endpoints/helpers.js'
+import { requestDeviceCode, waitForDeviceAuthorization } from '../api-endpoints/auth.js'
+
+test('YotoMockServer', async (t) => {
+  const server = new YotoMockServer({ deviceCodeInterval: 0 })
+  await server.start()
+  t.after(() => server.stop())
+
+  await t.test('should serve devices, status and config', async () => {
+    const { device } = server.addDevice({ name: 'Bedroom', config: { maxVolumeLimit: '12' } })
+    const client = createTestClient(server)
+
+    const { devices } = await client.getDevices()
+    assert.ok(devices.some((d) => d.deviceId === device.deviceId))
+
+    const status = await client.getDeviceStatus({ deviceId: device.deviceId })
+    assert.strictEqual(status.deviceId, device.deviceId)
+
+    const config = await client.getDeviceConfig({ deviceId: device.deviceId })
+    assert.strictEqual(config.device.config.maxVolumeLimit, '12')
+    assert.strictEqual(config.device.name, 'Bedroom')
+  })
+
+  await t.test('should persist config updates and record commands', async () => {
+    const { device } = server.addDevice()
+    const client = createTestClient(server)
+
+    await client.updateDeviceConfig({
+      deviceId: device.deviceId,
+      configUpdate: { name: 'Renamed', config: { nightTime: '18:30' } }
+    })
+
+    const config = await client.getDeviceConfig({ deviceId: device.deviceId })
+    assert.strictEqual(config.device.config.nightTime, '18:30')
+    assert.strictEqual(config.device.name, 'Renamed')
+
+    await client.sendDeviceCommand({ deviceId: device.deviceId, command: { volume: 5 } })
+    assert.deepStrictEqual(server.commands.at(-1), { deviceId: device.deviceId, command: { volume: 5 } })
+  })
+
+  await t.test('should create, list, update and delete content', async () => {
+    const client = createTestClient(server)
+
+    const created = await client.createOrUpdateContent({
+      content: { title: 'Bedtime', content: {} }
+    })
+    const { cardId } = created.card
+
+    const mine = await client.getUserMyoContent()
+    assert.ok(mine.cards.some((card) => card.cardId === cardId))
+
+    await client.createOrUpdateContent({
+      content: { cardId, title: 'Bedtime Stories', content: {} }
+    })
+    const { card } = await client.getContent({ cardId })
+    assert.strictEqual(card.title, 'Bedtime Stories')
+
+    await client.deleteContent({ cardId })
+    await assert.rejects(client.getContent({ cardId }), (err) => {
+      assert.ok(err instanceof YotoAPIError)
+      assert.strictEqual(err.statusCode, 404)
+      return true
+    })
+
+    const withDeleted = await client.getUserMyoContent({ showDeleted: true })
+    assert.ok(withDeleted.cards.some((c) => c.cardId === cardId && c.deleted))
+  })
+
+  await t.test('should manage family library groups', async () => {
+    const client = createTestClient(server)
+    const card = server.addCard({ title: 'Grouped' })
+
+    const group = await client.createGroup({
+      group: { name: 'Favourites', imageId: 'fp-cards', items: [{ contentId: card.cardId }, { contentId: 'missing' }] }
+    })
+    assert.deepStrictEqual(group.items.map((item) => item.contentId), [card.cardId])
+
+    const updated = await client.updateGroup({
+      groupId: group.id,
+      group: { name: 'Renamed', imageId: 'fp-cards', items: [] }
+    })
+    assert.strictEqual(updated.name, 'Renamed')
+
+    const groups = await client.getGroups()
+    assert.ok(groups.some((g) => g.id === group.id))
+
+    assert.deepStrictEqual(await client.deleteGroup({ groupId: group.id }), { id: group.id })
+    await assert.rejects(client.getGroup({ groupId: group.id }), YotoAPIError)
+  })
+
+  await t.test('should handle media uploads', async () => {
+    const client = createTestClient(server)
+    const imageData = Buffer.from('not really a png')
+
+    const uploaded = await client.uploadAFamilyImage({ imageData })
+    const { images } = await client.getFamilyImages()
+    assert.ok(images.some((image) => image.imageId === uploaded.imageId))
+
+    const { imageUrl } = await client.getAFamilyImage({ imageId: uploaded.imageId, size: '320x320' })
+    assert.ok(imageUrl.includes(uploaded.imageId))
+
+    const first = await client.uploadIcon({ imageData })
+    const second = await client.uploadIcon({ imageData })
+    assert.strictEqual(first.displayIcon.new, true)
+    assert.strictEqual(second.displayIcon.displayIconId, first.displayIcon.displayIconId)
+
+    const { upload } = await client.getAudioUploadUrl({ sha256: 'abc' })
+    assert.ok(upload.uploadId)
+  })
+
+  await t.test('should reject unknown access tokens with 401', async () => {
+    const client = createTestClient(server)
+    server.revokeAccessTokens()
+
+    const response = await fetch(new URL('/device-v2/devices/mine', server.url), {
+      headers: { Authorization: `Bearer ${client.token.accessToken}` }
+    })
+    assert.strictEqual(response.status, 401)
+    const body = /** @type {{ error: string }} */ (await response.json())
+    assert.strictEqual(body.error, 'invalid_token')
+  })
+
+  await t.test('should refresh tokens', async () => {
+    const client = createTestClient(server)
+    const before = client.token.accessToken
+
+    const refreshed = await client.token.refresh()
+    assert.notStrictEqual(refreshed.updatedAccessToken, before)
+
+    const { devices } = await client.getDevices()
+    assert.ok(Array.isArray(devices))
+  })
+
+  await t.test('should mark the token invalid after the refresh token is revoked', async () => {
+    const tokens = server.issueTokens({ clientId: 'mock-client' })
+    server.revokeRefreshToken(tokens.refresh_token ?? '')
+    const client = createTestClient(server, {
+      accessToken: tokens.access_token,
+      refreshToken: tokens.refresh_token ?? '',
+      onInvalid: () => {}
+    })
+
+    await assert.rejects(client.token.refresh(), /invalid_grant/)
+    assert.strictEqual(client.token.isValid(), false)
+  })
+
+  await t.test('should answer OAuth requests without a form as invalid', async () => {
+    for (const path of ['/oauth/token', '/oauth/device/code', '/oauth/revoke']) {
+      const empty = await fetch(new URL(path, server.url), { method: 'POST' })
+      assert.strictEqual(empty.status, 400, path)
+      assert.strictEqual(/** @type {{ error: string }} */ (await empty.json()).error, 'invalid_request', path)
+    }
+
+    const json = await fetch(new URL('/oauth/token', server.url), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ grant_type: 'refresh_token' })
+    })
+    assert.strictEqual(json.status, 400)
+  })
+
+  await t.test('should complete the device authorization flow', async () => {
+    const environment = server.environment
+    const deviceAuth = await requestDeviceCode({ clientId: 'mock-client', environment })
+
+    /** @type {string[]} */
+    const polls = []
+    const tokens = await waitForDeviceAuthorization({
+      deviceCode: deviceAuth.device_code,
+      clientId: 'mock-client',
+      initialInterval: 10,
+      environment,
+      onPoll: (result) => {
+        polls.push(result.status)
+        if (result.status === 'pending') server.approveDeviceCode(deviceAuth.user_code)
+      }
+    })
+
+    assert.deepStrictEqual(polls, ['pending', 'success'])
+    assert.ok(tokens.access_token)
+    assert.ok(tokens.refresh_token)
+  })
+
+  await t.test('should return injected faults', async () => {
+    const client = createTestClient(server)
+    server.failNext({ path: '/device-v2/devices/mine', statusCode: 503, body: { error: 'unavailable' } })
+
+    await assert.rejects(client.getDevices(), (err) => {
+      assert.ok(err instanceof YotoAPIError)
+      assert.strictEqual(err.statusCode, 503)
+      return true
+    })
+
+    const { devices } = await client.getDevices()
+    assert.ok(Array.isArray(devices))
+  })
+})
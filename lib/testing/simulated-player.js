@@ -0,0 +1,712 @@
+/**
+ * Offline stand-in for a Yoto player on the MQTT bus.
+ *
+ * Connects to any MQTT broker, listens on the device command topics and answers
+ * with the same response, events and status payloads a real player publishes
+ * (see collected-data/ for captured examples).
+ */
+
+/**
+ * @import { IClientOptions, MqttClient } from 'mqtt'
+ * @import { YotoCard } from '../api-endpoints/content.js'
+ * @import { YotoEventsMessage, YotoMqttStatus, YotoLegacyStatus, YotoResponseStatus, PlaybackStatus } from '../mqtt/client.js'
+ * @import { YotoCardStartCommand } from '../mqtt/commands.js'
+ * @import { YotoMockDevice } from './fixtures.js'
+ */
+
+import mqtt from 'mqtt'
+import { EventEmitter } from 'node:events'
+import { getEventsTopic, getStatusTopic, getResponseTopic, getCommandTopic } from '../mqtt/topics.js'
+import { createMockCard, createMockDevice, createMockId } from './fixtures.js'
+
+// ============================================================================
+// Types
+// ============================================================================
+
+/**
+ * @typedef {Object} YotoSimulatedPlayerOptions
+ * @property {string} brokerUrl - MQTT broker to connect to (e.g. 'mqtt://127.0.0.1:1883')
+ * @property {YotoMockDevice} [device] - Device to simulate. Its REST views are kept in sync with the player, so pass the object returned by YotoMockServer#addDevice to share state with the mock server.
+ * @property {Map<string, YotoCard>} [cards] - Cards the player can look up when a card is started (e.g. YotoMockServer#cards). Unknown cards play a single generated track.
+ * @property {string} [productType='v3'] - productType reported in status messages
+ * @property {number} [tickMs=1000] - Wall-clock interval of the playback clock. Every tick advances playback and the sleep timer by one second.
+ * @property {IClientOptions} [mqttOptions] - Additional MQTT.js client options
+ */
+
+/**
+ * A command the player received
+ * @typedef {Object} YotoSimulatedCommand
+ * @property {string} resource - Command resource (e.g. 'volume', 'card')
+ * @property {string | undefined} action - Command action (e.g. 'set', 'start')
+ * @property {any} payload - Parsed JSON payload, or the raw string when it is not JSON
+ */
+
+/**
+ * Event map for YotoSimulatedPlayer
+ * @typedef {{
+ *   'command': [YotoSimulatedCommand],
+ *   'error': [Error]
+ * }} YotoSimulatedPlayerEventMap
+ */
+
+/**
+ * @typedef {Object} YotoSimulatedTrack
+ * @property {string} chapterKey
+ * @property {string} chapterTitle
+ * @property {string} trackKey
+ * @property {string} trackTitle
+ * @property {number} trackLength - Track duration in seconds
+ */
+
+/**
+ * @typedef {Object} YotoSimulatedPlayback
+ * @property {YotoCard} card
+ * @property {YotoSimulatedTrack[]} tracks - Flattened chapter/track list
+ * @property {number} index - Index of the current track
+ * @property {number} position - Position in the current track in seconds
+ * @property {PlaybackStatus} playbackStatus
+ * @property {'card' | 'remote' | 'MQTT'} source
+ * @property {number | undefined} cutOff - Stop once position reaches this offset
+ */
+
+/**
+ * Convert a 0-100 percentage to the 0-16 hardware scale used by events messages
+ * @param {number} percentage
+ * @returns {number}
+ */
+const toHardwareVolume = (percentage) => Math.round((percentage / 100) * 16)
+
+// ============================================================================
+// YotoSimulatedPlayer
+// ============================================================================
+
+/**
+ * Virtual Yoto player that answers MQTT commands like real hardware.
+ *
+ * Handled commands:
+ * - events/request, status/request
+ * - volume/set, ambients/set, sleep-timer/set
+ * - card/start, card/stop, card/pause, card/resume
+ * - reboot, bluetooth/*, display/preview (acknowledged only)
+ *
+ * Unknown commands are answered with a 'FAIL' response.
+ *
+ * Events:
+ * - 'command' - Emitted for every command received, passes YotoSimulatedCommand
+ * - 'error' - Emitted when publishing or handling a command fails
+ *
+ * @extends {EventEmitter<YotoSimulatedPlayerEventMap>}
+ *
+ * @example
+ * ```javascript
+ * import { YotoMockServer, YotoSimulatedPlayer } from 'yoto-nodejs-client/lib/testing/index.js'
+ *
+ * const server = new YotoMockServer()
+ * await server.start()
+ *
+ * const player = new YotoSimulatedPlayer({
+ *   brokerUrl: 'mqtt://127.0.0.1:1883',
+ *   device: server.addDevice({ name: 'Bedroom' }),
+ *   cards: server.cards
+ * })
+ * await player.start()
+ * ```
+ */
+export class YotoSimulatedPlayer extends EventEmitter {
+  /** @type {Required<Omit<YotoSimulatedPlayerOptions, 'device' | 'cards'>>} */
+  #options
+
+  /** @type {YotoMockDevice} */
+  #device
+
+  /** @type {Map<string, YotoCard>} */
+  #cards
+
+  /** @type {MqttClient | null} */
+  #mqttClient = null
+
+  /** @type {ReturnType<typeof setInterval> | null} */
+  #clock = null
+
+  /** @type {number} Time of the last (simulated) power on, in ms */
+  #bootedAt = Date.now()
+
+  /** @type {YotoSimulatedPlayback | null} */
+  #playback = null
+
+  /** @type {number} Seconds left on the sleep timer, 0 when inactive */
+  #sleepTimerSeconds = 0
+
+  /**
+   * @param {YotoSimulatedPlayerOptions} options
+   */
+  constructor (options) {
+    super()
+    if (!options.brokerUrl) {
+      throw new Error('brokerUrl is required')
+    }
+
+    const { device = createMockDevice(), cards = new Map(), ...rest } = options
+    this.#device = device
+    this.#cards = cards
+    this.#options = {
+      productType: 'v3',
+      tickMs: 1000,
+      mqttOptions: {},
+      ...rest
+    }
+  }
+
+  // ==========================================================================
+  // Lifecycle
+  // ==========================================================================
+
+  /**
+   * Device ID the player answers for
+   * @returns {string}
+   */
+  get deviceId () {
+    return this.#device.device.deviceId
+  }
+
+  /**
+   * The simulated device, including its REST views
+   * @returns {YotoMockDevice}
+   */
+  get device () {
+    return this.#device
+  }
+
+  /**
+   * Power the player on: connect, subscribe to commands and announce startup on the legacy status topic.
+   * @returns {Promise<void>}
+   */
+  async start () {
+    if (this.#mqttClient) {
+      throw new Error('Simulated player is already started')
+    }
+
+    this.#mqttClient = await mqtt.connectAsync(this.#options.brokerUrl, {
+      reconnectPeriod: 0,
+      ...this.#options.mqttOptions,
+      clientId: `SIM${this.deviceId}${createMockId(8)}`
+    })
+    this.#mqttClient.on('message', (topic, message) => {
+      this.#handleCommand(topic, message.toString()).catch((err) => {
+        this.emit('error', /** @type {Error} */ (err))
+      })
+    })
+    await this.#mqttClient.subscribeAsync(`${getCommandTopic(this.deviceId, '#')}`)
+
+    this.#bootedAt = Date.now()
+    this.#setOnline(true)
+    this.#clock = setInterval(() => {
+      this.#tick().catch((err) => this.emit('error', /** @type {Error} */ (err)))
+    }, this.#options.tickMs)
+    this.#clock.unref()
+
+    // Before time sync a freshly booted player reports utcTime: 0
+    await this.#publishLegacyStatus('nA', { utcTime: 0 })
+  }
+
+  /**
+   * Drop off the network without announcing a shutdown, like a player losing wifi.
+   * @returns {Promise<void>}
+   */
+  async stop () {
+    const mqttClient = this.#mqttClient
+    if (!mqttClient) return
+
+    this.#mqttClient = null
+    if (this.#clock) clearInterval(this.#clock)
+    this.#clock = null
+    await mqttClient.endAsync()
+  }
+
+  /**
+   * Power the player off, announcing it on the legacy status topic first.
+   * @param {string} [reason='userShutdown'] - shutDown value to report
+   * @returns {Promise<void>}
+   */
+  async shutdown (reason = 'userShutdown') {
+    this.#playback = null
+    this.#sleepTimerSeconds = 0
+    this.#syncDevice()
+    await this.#publishLegacyStatus(reason)
+    this.#setOnline(false)
+    await this.stop()
+  }
+
+  // ==========================================================================
+  // Physical interactions
+  // ==========================================================================
+
+  /**
+   * Turn the volume wheel.
+   * @param {number} volume - Volume level [0-16], clamped to the current maximum
+   * @returns {Promise<void>}
+   */
+  async setVolume (volume) {
+    const max = this.#status.volume
+    const percentage = Math.round((Math.min(16, Math.max(0, volume)) / 16) * 100)
+    this.#status.userVolume = Math.min(percentage, max)
+    this.#syncDevice()
+    await this.#publishEvents(this.#volumeEvents())
+  }
+
+  /**
+   * Insert a physical card.
+   * @param {string} cardId
+   * @returns {Promise<void>}
+   */
+  async insertCard (cardId) {
+    this.#play({ uri: `https://yoto.io/${cardId}` }, 'card')
+    await this.#publishEvents(this.events)
+  }
+
+  /**
+   * Remove the physical card, stopping playback.
+   * @returns {Promise<void>}
+   */
+  async removeCard () {
+    this.#playback = null
+    this.#syncDevice()
+    await this.#publishEvents(this.events)
+  }
+
+  // ==========================================================================
+  // Snapshots
+  // ==========================================================================
+
+  /**
+   * Full events message describing the current playback state
+   * @returns {YotoEventsMessage}
+   */
+  get events () {
+    const playback = this.#playback
+    /** @type {YotoEventsMessage} */
+    const events = {
+      repeatAll: this.#device.config.config.repeatAll,
+      streaming: false,
+      ...this.#volumeEvents(),
+      playbackWait: false,
+      sleepTimerActive: this.#sleepTimerSeconds > 0,
+      ...(this.#sleepTimerSeconds > 0 && { sleepTimerSeconds: this.#sleepTimerSeconds }),
+      cardId: playback?.card.cardId ?? 'none',
+      playbackStatus: playback?.playbackStatus ?? 'stopped'
+    }
+
+    if (playback) {
+      Object.assign(events, this.#trackEvents(playback), {
+        source: playback.source,
+        cardUpdatedAt: playback.card.updatedAt
+      })
+    }
+
+    return events
+  }
+
+  /**
+   * Status message as published on the documented data/status topic
+   * @returns {YotoMqttStatus}
+   */
+  get status () {
+    const full = this.#status
+    return {
+      statusVersion: 3,
+      fwVersion: full.fwVersion,
+      productType: this.#options.productType,
+      batteryLevel: full.batteryLevel,
+      als: full.als,
+      freeDisk: full.freeDisk,
+      shutdownTimeout: full.shutdownTimeout ?? 3600,
+      dbatTimeout: full.dbatTimeout ?? 60,
+      charging: full.charging,
+      activeCard: full.activeCard,
+      cardInserted: full.cardInserted,
+      playingStatus: full.playingStatus,
+      headphones: full.headphones === 1,
+      dnowBrightness: full.dnowBrightness ?? 100,
+      dayBright: full.dayBright ?? 100,
+      nightBright: full.nightBright ?? 1,
+      bluetoothHp: full.bluetoothHp === 1,
+      volume: full.volume,
+      userVolume: full.userVolume,
+      timeFormat: full.timeFormat ?? '12',
+      nightlightMode: full.nightlightMode,
+      temp: full.temp,
+      day: full.day
+    }
+  }
+
+  // ==========================================================================
+  // Command handling
+  // ==========================================================================
+
+  /**
+   * @param {string} topic
+   * @param {string} body
+   */
+  async #handleCommand (topic, body) {
+    const prefix = `device/${this.deviceId}/command/`
+    if (!topic.startsWith(prefix)) return
+
+    const [resource = '', action] = topic.slice(prefix.length).split('/')
+    /** @type {any} */
+    let payload = body
+    try {
+      payload = body ? JSON.parse(body) : body
+    } catch {
+      // Non-JSON bodies (e.g. request identifiers) are passed through as-is
+    }
+    this.emit('command', { resource, action, payload })
+
+    /** @type {(() => Promise<void>) | null} */
+    let followUp = null
+
+    switch (`${resource}/${action ?? ''}`) {
+      case 'events/request':
+        followUp = () => this.#publishEvents(this.events)
+        break
+      case 'status/request':
+        followUp = () => this.#publish(/** @type {string} */ (getStatusTopic(this.deviceId)[0]), { status: this.status })
+        break
+      case 'volume/set': {
+        const volume = Number(payload?.volume)
+        if (!Number.isFinite(volume)) return this.#respond(resource, body, 'FAIL')
+        this.#status.userVolume = Math.min(Math.max(0, Math.round(volume)), this.#status.volume)
+        followUp = () => this.#publishEvents(this.#volumeEvents())
+        break
+      }
+      case 'ambients/set': {
+        const { r = 0, g = 0, b = 0 } = payload ?? {}
+        const hex = [r, g, b].map((c) => Number(c).toString(16).padStart(2, '0')).join('')
+        this.#status.nightlightMode = `0x${hex}`
+        break
+      }
+      case 'sleep-timer/set':
+        this.#sleepTimerSeconds = Math.max(0, Number(payload?.seconds) || 0)
+        followUp = () => this.#publishEvents({
+          sleepTimerActive: this.#sleepTimerSeconds > 0,
+          sleepTimerSeconds: this.#sleepTimerSeconds
+        })
+        break
+      case 'card/start':
+        if (typeof payload?.uri !== 'string') return this.#respond(resource, body, 'FAIL')
+        this.#play(payload, 'MQTT')
+        followUp = () => this.#publishEvents(this.events)
+        break
+      case 'card/stop':
+        this.#playback = null
+        followUp = () => this.#publishEvents(this.events)
+        break
+      case 'card/pause':
+      case 'card/resume':
+        if (!this.#playback) return this.#respond(resource, body, 'FAIL')
+        this.#playback.playbackStatus = action === 'pause' ? 'paused' : 'playing'
+        followUp = () => this.#publishEvents(this.events)
+        break
+      case 'reboot/':
+        followUp = () => this.#reboot()
+        break
+      case 'bluetooth/on':
+      case 'bluetooth/off':
+        this.#status.bluetoothHp = action === 'on' ? 1 : 0
+        break
+      case 'bluetooth/delete-bonds':
+      case 'bluetooth/connect':
+      case 'bluetooth/disconnect':
+      case 'bluetooth/state':
+      case 'display/preview':
+        break
+      default:
+        return this.#respond(resource, body, 'FAIL')
+    }
+
+    this.#syncDevice()
+    await this.#respond(resource, body, 'OK')
+    if (followUp) await followUp()
+  }
+
+  /**
+   * Publish a command response
+   * @param {string} resource
+   * @param {string} body - Original request body
+   * @param {'OK' | 'FAIL'} result
+   */
+  async #respond (resource, body, result) {
+    /** @type {YotoResponseStatus} */
+    const status = { [resource]: result, req_body: body }
+    await this.#publish(getResponseTopic(this.deviceId), { status })
+  }
+
+  /**
+   * Start playing a card
+   * @param {YotoCardStartCommand} command
+   * @param {YotoSimulatedPlayback['source']} source
+   */
+  #play (command, source) {
+    const cardId = command.uri.split('/').pop() || command.uri
+    const card = this.#cards.get(cardId) ?? createMockCard({ cardId })
+
+    /** @type {YotoSimulatedTrack[]} */
+    const tracks = card.content.chapters.flatMap((chapter) => chapter.tracks.map((track) => ({
+      chapterKey: chapter.key,
+      chapterTitle: chapter.title,
+      trackKey: track.key,
+      trackTitle: track.title,
+      trackLength: track.duration
+    })))
+
+    const startIndex = tracks.findIndex((track) =>
+      (command.chapterKey === undefined || track.chapterKey === command.chapterKey) &&
+      (command.trackKey === undefined || track.trackKey === command.trackKey)
+    )
+
+    this.#playback = {
+      card,
+      tracks,
+      index: Math.max(0, startIndex),
+      position: command.secondsIn ?? 0,
+      playbackStatus: tracks.length > 0 ? 'playing' : 'stopped',
+      source,
+      cutOff: command.cutOff
+    }
+    this.#syncDevice()
+  }
+
+  /**
+   * Announce a shutdown and startup on the legacy topic, keeping the connection open.
+   */
+  async #reboot () {
+    this.#playback = null
+    this.#sleepTimerSeconds = 0
+    this.#syncDevice()
+    await this.#publishLegacyStatus('userShutdown')
+    this.#bootedAt = Date.now()
+    await this.#publishLegacyStatus('nA', { utcTime: 0 })
+  }
+
+  /**
+   * Advance the playback clock and sleep timer by one second.
+   */
+  async #tick () {
+    if (this.#sleepTimerSeconds > 0) {
+      this.#sleepTimerSeconds -= 1
+      if (this.#sleepTimerSeconds === 0) {
+        this.#playback = null
+        this.#syncDevice()
+        await this.#publishEvents(this.events)
+        return
+      }
+    }
+
+    const playback = this.#playback
+    if (!playback || playback.playbackStatus !== 'playing') return
+
+    playback.position += 1
+    const track = /** @type {YotoSimulatedTrack} */ (playback.tracks[playback.index])
+
+    if (playback.cutOff !== undefined && playback.position >= playback.cutOff) {
+      this.#playback = null
+    } else if (playback.position >= track.trackLength) {
+      if (playback.index + 1 < playback.tracks.length) {
+        playback.index += 1
+        playback.position = 0
+      } else {
+        this.#playback = null
+      }
+    }
+
+    this.#syncDevice()
+    if (this.#playback) {
+      await this.#publishEvents({ ...this.#trackEvents(this.#playback), playbackStatus: 'playing' })
+    } else {
+      await this.#publishEvents(this.events)
+    }
+  }
+
+  // ==========================================================================
+  // State helpers
+  // ==========================================================================
+
+  /**
+   * Full status held in the device config view, used as the player's hardware state
+   */
+  get #status () {
+    return this.#device.config.status
+  }
+
+  /**
+   * @returns {Pick<YotoEventsMessage, 'volume' | 'volumeMax'>}
+   */
+  #volumeEvents () {
+    return {
+      volume: toHardwareVolume(this.#status.userVolume),
+      volumeMax: toHardwareVolume(this.#status.volume)
+    }
+  }
+
+  /**
+   * @param {YotoSimulatedPlayback} playback
+   * @returns {YotoEventsMessage}
+   */
+  #trackEvents (playback) {
+    const track = playback.tracks[playback.index]
+    return {
+      cardId: playback.card.cardId,
+      ...(track && {
+        chapterKey: track.chapterKey,
+        chapterTitle: track.chapterTitle,
+        trackKey: track.trackKey,
+        trackTitle: track.trackTitle,
+        trackLength: track.trackLength
+      }),
+      position: playback.position
+    }
+  }
+
+  /**
+   * Mirror player state into the REST status views
+   */
+  #syncDevice () {
+    const full = this.#status
+    const status = this.#device.status
+    const playback = this.#playback
+    const cardInserted = playback ? (playback.source === 'card' ? 1 : 2) : 0
+    const now = new Date().toISOString()
+
+    full.activeCard = playback?.card.cardId ?? 'none'
+    full.cardInserted = cardInserted
+    full.playingStatus = playback?.playbackStatus === 'playing' ? 1 : 0
+    full.upTime = this.#upTime
+    full.updatedAt = now
+
+    status.activeCard = full.activeCard
+    status.cardInsertionState = cardInserted
+    status.userVolumePercentage = full.userVolume
+    status.systemVolumePercentage = full.volume
+    status.nightlightMode = full.nightlightMode
+    status.uptime = full.upTime
+    status.updatedAt = now
+  }
+
+  /**
+   * @param {boolean} online
+   */
+  #setOnline (online) {
+    this.#device.device.online = online
+    this.#device.config.online = online
+    this.#device.status.isOnline = online
+    this.#syncDevice()
+  }
+
+  /**
+   * Seconds since the last (simulated) power on
+   */
+  get #upTime () {
+    return Math.floor((Date.now() - this.#bootedAt) / 1000)
+  }
+
+  // ==========================================================================
+  // Publishing
+  // ==========================================================================
+
+  /**
+   * @param {YotoEventsMessage} events
+   */
+  async #publishEvents (events) {
+    const eventUtc = Math.floor(Date.now() / 1000)
+    await this.#publish(/** @type {string} */ (getEventsTopic(this.deviceId)[0]), { ...events, eventUtc })
+  }
+
+  /**
+   * Publish a legacy status message (the only source of lifecycle events)
+   * @param {string} shutDown - 'nA' while running, otherwise the shutdown reason
+   * @param {Partial<YotoLegacyStatus>} [overrides]
+   */
+  async #publishLegacyStatus (shutDown, overrides = {}) {
+    const full = this.#status
+    const status = this.#device.status
+
+    /** @type {YotoLegacyStatus} */
+    const legacy = {
+      statusVersion: 3,
+      fwVersion: full.fwVersion,
+      shutDown,
+      totalDisk: full.totalDisk,
+      productType: this.#options.productType,
+      wifiStrength: full.wifiStrength,
+      ssid: full.ssid,
+      rtcResetReasonPRO: 5,
+      rtcResetReasonAPP: 14,
+      rtcWakeupCause: 901,
+      espResetReason: 8,
+      sd_info: full.sd_info ?? '',
+      battery: full.battery ?? 0,
+      powerCaps: full.powerCaps ?? '',
+      batteryLevel: full.batteryLevel,
+      batteryTemp: 0,
+      batteryData: '0:0:0',
+      batteryLevelRaw: full.batteryLevelRaw,
+      free: full.free ?? 3885908,
+      freeDMA: full.freeDMA ?? 59254,
+      free32: full.free32 ?? 82098,
+      upTime: this.#upTime,
+      utcTime: Math.floor(Date.now() / 1000),
+      aliveTime: full.aliveTime ?? 0,
+      accelTemp: Number(status.temperatureCelcius) || 0,
+      batteryProfile: 'HPT-FD80X-2000-64',
+      freeDisk: full.freeDisk,
+      failReason: 0,
+      failData: 0,
+      shutdownTimeout: full.shutdownTimeout ?? 3600,
+      utcOffset: Number(full.utcOffset),
+      nfcErrs: '0.00%-0.00%',
+      dbatTimeout: full.dbatTimeout ?? 60,
+      charging: full.charging,
+      powerSrc: full.powerSrc,
+      activeCard: full.activeCard,
+      cardInserted: full.cardInserted,
+      playingStatus: full.playingStatus,
+      headphones: full.headphones,
+      wifiRestarts: full.wifiRestarts ?? 0,
+      qiOtp: full.qiOtp ?? 0,
+      buzzErrors: full.buzzErrors,
+      dnowBrightness: full.dnowBrightness ?? 100,
+      dayBright: full.dayBright ?? 100,
+      nightBright: full.nightBright ?? 1,
+      errorsLogged: full.errorsLogged,
+      twdt: full.twdt,
+      bluetoothHp: full.bluetoothHp,
+      nightlightMode: full.nightlightMode,
+      bgDownload: full.bgDownload,
+      bytesPS: full.bytesPS,
+      day: full.day,
+      temp: full.temp,
+      als: full.als,
+      volume: full.volume,
+      userVolume: full.userVolume,
+      timeFormat: full.timeFormat ?? '12',
+      chgStatLevel: full.chgStatLevel ?? 0,
+      missedLogs: full.missedLogs ?? 0,
+      nfcLock: full.nfcLock,
+      batteryFullPct: 80,
+      ...overrides
+    }
+
+    await this.#publish(/** @type {string} */ (getStatusTopic(this.deviceId)[1]), { status: legacy })
+  }
+
+  /**
+   * @param {string} topic
+   * @param {object} payload
+   */
+  async #publish (topic, payload) {
+    const mqttClient = this.#mqttClient
+    if (!mqttClient) {
+      throw new Error('Simulated player is not started')
+    }
+    await mqttClient.publishAsync(topic, JSON.stringify(payload))
+  }
+}
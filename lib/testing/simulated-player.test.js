@@ -0,0 +1,195 @@
+import test from 'node:test'
+import assert from 'node:assert'
+import { createServer } from 'node:net'
+import { once } from 'node:events'
+import { Aedes } from 'aedes'
+import { YotoSimulatedPlayer } from './simulated-player.js'
+import { YotoMockServer } from './mock-server.js'
+import { createTestClient } from './client.js'
+import { YotoDeviceModel } from '../yoto-device.js'
+
+/**
+ * @import { AddressInfo } from 'node:net'
+ * @import { EventEmitter } from 'node:events'
+ * @import { TestContext } from 'node:test'
+ */
+
+/**
+ * Wait for an event whose arguments satisfy a predicate.
+ * @param {EventEmitter} emitter
+ * @param {string} event
+ * @param {(...args: any[]) => boolean} [predicate]
+ * @param {number} [timeoutMs=2000]
+ * @returns {Promise<any[]>}
+ */
+function waitFor (emitter, event, predicate = () => true, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      emitter.off(event, listener)
+      reject(new Error(`Timed out waiting for '${event}'`))
+    }, timeoutMs)
+
+    /** @param {any[]} args */
+    const listener = (...args) => {
+      if (!predicate(...args)) return
+      clearTimeout(timer)
+      emitter.off(event, listener)
+      resolve(args)
+    }
+    emitter.on(event, listener)
+  })
+}
+
+test('YotoSimulatedPlayer', async (t) => {
+  const broker = await Aedes.createBroker()
+  const brokerServer = createServer(broker.handle)
+  brokerServer.listen(0, '127.0.0.1')
+  await once(brokerServer, 'listening')
+  const { port } = /** @type {AddressInfo} */ (brokerServer.address())
+  const brokerUrl = `mqtt://127.0.0.1:${port}`
+
+  const server = new YotoMockServer()
+  await server.start()
+
+  t.after(async () => {
+    await server.stop()
+    await new Promise((resolve) => broker.close(() => resolve(undefined)))
+    await new Promise((resolve) => brokerServer.close(() => resolve(undefined)))
+  })
+
+  // The mock server's REST API with the test broker
+  const environment = { apiUrl: server.url, loginUrl: server.url, brokerUrl }
+
+  /**
+   * Create a player and a connected YotoMqttClient for the same device.
+   * @param {TestContext} t
+   * @param {Partial<ConstructorParameters<typeof YotoSimulatedPlayer>[0]>} [options]
+   */
+  const setup = async (t, options = {}) => {
+    const device = server.addDevice()
+    const player = new YotoSimulatedPlayer({ brokerUrl, device, cards: server.cards, tickMs: 10, ...options })
+    const mqttClient = await createTestClient(server, { environment }).createMqttClient({
+      deviceId: device.device.deviceId,
+      mqttOptions: { reconnectPeriod: 0 }
+    })
+    await mqttClient.connect()
+    t.after(async () => {
+      await player.stop()
+      await mqttClient.disconnect()
+    })
+    return { device, player, mqttClient }
+  }
+
+  await t.test('should announce startup and shutdown on the legacy status topic', async (t) => {
+    const { device, player, mqttClient } = await setup(t)
+
+    const startup = waitFor(mqttClient, 'status-legacy')
+    await player.start()
+    const [, { status }] = await startup
+    assert.strictEqual(status.shutDown, 'nA')
+    assert.strictEqual(status.utcTime, 0)
+    assert.ok(status.upTime < 5)
+    assert.strictEqual(device.device.online, true)
+
+    const shutdown = waitFor(mqttClient, 'status-legacy')
+    await player.shutdown()
+    const [, shutdownMessage] = await shutdown
+    assert.strictEqual(shutdownMessage.status.shutDown, 'userShutdown')
+    assert.strictEqual(device.device.online, false)
+  })
+
+  await t.test('should answer volume commands with a response and events', async (t) => {
+    const { device, player, mqttClient } = await setup(t)
+    await player.start()
+
+    const response = waitFor(mqttClient, 'response')
+    const events = waitFor(mqttClient, 'events')
+    await mqttClient.setVolume(25)
+
+    const [, responseMessage] = await response
+    assert.strictEqual(responseMessage.status.volume, 'OK')
+    assert.strictEqual(responseMessage.status.req_body, JSON.stringify({ volume: 25 }))
+
+    const [, eventsMessage] = await events
+    assert.strictEqual(eventsMessage.volume, 4)
+    assert.strictEqual(eventsMessage.volumeMax, 8)
+    assert.strictEqual(device.status.userVolumePercentage, 25)
+  })
+
+  await t.test('should play a card and advance the position', async (t) => {
+    const { device, player, mqttClient } = await setup(t)
+    const card = server.addCard({ title: 'Bedtime' })
+    await player.start()
+
+    const playing = waitFor(mqttClient, 'events', (_topic, message) => message.playbackStatus === 'playing')
+    await mqttClient.startCard({ uri: `https://yoto.io/${card.cardId}`, secondsIn: 10 })
+    const [, started] = await playing
+    assert.strictEqual(started.cardId, card.cardId)
+    assert.strictEqual(started.chapterTitle, 'Chapter 1')
+    assert.strictEqual(started.source, 'MQTT')
+    assert.strictEqual(device.status.activeCard, card.cardId)
+
+    await waitFor(mqttClient, 'events', (_topic, message) => message.position >= 12)
+
+    const paused = waitFor(mqttClient, 'events', (_topic, message) => message.playbackStatus === 'paused')
+    await mqttClient.pauseCard()
+    await paused
+
+    const stopped = waitFor(mqttClient, 'events', (_topic, message) => message.playbackStatus === 'stopped')
+    await mqttClient.stopCard()
+    const [, stoppedMessage] = await stopped
+    assert.strictEqual(stoppedMessage.cardId, 'none')
+  })
+
+  await t.test('should publish status on request', async (t) => {
+    const { player, mqttClient } = await setup(t, { productType: 'mini' })
+    await player.start()
+
+    const status = waitFor(mqttClient, 'status')
+    await mqttClient.requestStatus()
+    const [, message] = await status
+    assert.strictEqual(message.status.productType, 'mini')
+    assert.strictEqual(message.status.userVolume, 43)
+  })
+
+  await t.test('should fail commands that do not apply to the current state', async (t) => {
+    const { player, mqttClient } = await setup(t)
+    await player.start()
+
+    const response = waitFor(mqttClient, 'response')
+    await mqttClient.pauseCard()
+    const [, message] = await response
+    assert.strictEqual(message.status.card, 'FAIL')
+  })
+
+  await t.test('should drive a YotoDeviceModel end to end', async (t) => {
+    const mockDevice = server.addDevice({ name: 'Kitchen', online: false })
+    const player = new YotoSimulatedPlayer({ brokerUrl, device: mockDevice, cards: server.cards, tickMs: 10 })
+    const model = new YotoDeviceModel(createTestClient(server, { environment }), mockDevice.device, {
+      yotoDeviceMqttOptions: { mqttOptions: { reconnectPeriod: 0 } }
+    })
+    t.after(async () => {
+      await player.stop()
+      await model.stop()
+    })
+
+    await model.start()
+
+    const online = waitFor(model, 'online', (metadata) => metadata.reason === 'startup')
+    await player.start()
+    await online
+
+    const card = server.addCard({ title: 'Songs' })
+    const playback = waitFor(model, 'playbackUpdate', (state) => state.cardId === card.cardId && state.playbackStatus === 'playing')
+    await model.startCard({ cardId: card.cardId })
+    await playback
+
+    const volume = waitFor(model, 'statusUpdate', (status) => status.volume === 6)
+    await model.setVolume(6)
+    await volume
+
+    const offline = waitFor(model, 'offline', (metadata) => metadata.reason === 'shutdown')
+    await player.shutdown()
+    await offline
+  })
+})
@@ -0,0 +1,165 @@
+/**
+ * @import { YotoStoredTokens, YotoTokenStoreRelease } from './token-store.js'
+ */
+
+import { mkdir, readFile, rename, rm, stat, utimes, writeFile } from 'node:fs/promises'
+import { randomUUID } from 'node:crypto'
+import { dirname, join } from 'node:path'
+import { sleep } from './abort.js'
+import { YotoTimeoutError } from './api-endpoints/helpers.js'
+
+const LOCK_RETRY_MS = 50
+
+/**
+ * Keeps tokens in a JSON file readable only by the current user. Saves write a temporary
+ * file and rename it into place, so a crash mid-save leaves the previous tokens intact.
+ * lock() takes a `<path>.lock` file, so processes sharing the file can take turns refreshing.
+ * The holder keeps touching the lock file, so only a lock left by a crashed process goes stale.
+ * Pass it as a YotoTokenStore.
+ */
+export class YotoFileTokenStore {
+  /** @type {string} */
+  #path
+  /** @type {number} */
+  #lockTimeoutMs
+  /** @type {number} */
+  #staleLockMs
+
+  /**
+   * @param {object} options
+   * @param {string} options.path - File to keep the tokens in. Its directory is created on first save.
+   * @param {number} [options.lockTimeoutMs=60000] - How long lock() waits before giving up
+   * @param {number} [options.staleLockMs=30000] - Age at which a lock file is assumed to belong to a crashed process and taken over
+   */
+  constructor ({ path, lockTimeoutMs = 60_000, staleLockMs = 30_000 }) {
+    this.#path = path
+    this.#lockTimeoutMs = lockTimeoutMs
+    this.#staleLockMs = staleLockMs
+  }
+
+  /**
+   * @returns {string}
+   */
+  get path () {
+    return this.#path
+  }
+
+  /**
+   * @returns {Promise<YotoStoredTokens | undefined>}
+   */
+  async load () {
+    /** @type {string} */
+    let contents
+    try {
+      contents = await readFile(this.#path, 'utf8')
+    } catch (err) {
+      if (/** @type {NodeJS.ErrnoException} */ (err).code === 'ENOENT') return undefined
+      throw err
+    }
+
+    const { clientId, accessToken, refreshToken, idToken } = JSON.parse(contents)
+    if (typeof clientId !== 'string' || typeof accessToken !== 'string' || typeof refreshToken !== 'string') {
+      throw new Error(`Token file ${this.#path} is missing clientId, accessToken or refreshToken`)
+    }
+    return { clientId, accessToken, refreshToken, ...(typeof idToken === 'string' && { idToken }) }
+  }
+
+  /**
+   * @param {YotoStoredTokens} tokens
+   */
+  async save ({ clientId, accessToken, refreshToken, idToken }) {
+    const directory = dirname(this.#path)
+    await mkdir(directory, { recursive: true })
+    const tempPath = join(directory, `.${randomUUID()}.tmp`)
+    try {
+      await writeFile(tempPath, JSON.stringify({ clientId, accessToken, refreshToken, idToken }, null, 2) + '\n', { mode: 0o600 })
+      await rename(tempPath, this.#path)
+    } catch (err) {
+      await rm(tempPath, { force: true })
+      throw err
+    }
+  }
+
+  async clear () {
+    await rm(this.#path, { force: true })
+  }
+
+  /**
+   * Create the lock file, waiting while another process holds it
+   * @returns {Promise<YotoTokenStoreRelease>}
+   * @throws {YotoTimeoutError} If the lock is still held after lockTimeoutMs
+   */
+  async lock () {
+    const lockPath = `${this.#path}.lock`
+    const owner = randomUUID()
+    const deadline = Date.now() + this.#lockTimeoutMs
+    await mkdir(dirname(this.#path), { recursive: true })
+
+    while (true) {
+      try {
+        await writeFile(lockPath, owner, { flag: 'wx', mode: 0o600 })
+        break
+      } catch (err) {
+        if (/** @type {NodeJS.ErrnoException} */ (err).code !== 'EEXIST') throw err
+      }
+
+      if (await this.#isStale(lockPath) && await this.#removeStaleLock(lockPath)) continue
+      if (Date.now() >= deadline) {
+        throw new YotoTimeoutError(this.#lockTimeoutMs, { waitingFor: `the token lock ${lockPath}` })
+      }
+      await sleep(LOCK_RETRY_MS)
+    }
+
+    // Touch the lock while it is held, so peers don't take a long refresh for a crash
+    const heartbeat = setInterval(() => {
+      const now = new Date()
+      utimes(lockPath, now, now).catch(() => {})
+    }, Math.max(this.#staleLockMs / 3, LOCK_RETRY_MS))
+    heartbeat.unref()
+
+    return async () => {
+      clearInterval(heartbeat)
+      // Leave the file alone if a peer took it over as stale
+      const holder = await readFile(lockPath, 'utf8').catch(() => undefined)
+      if (holder === owner) await rm(lockPath, { force: true })
+    }
+  }
+
+  /**
+   * Move a stale lock aside so the next create can succeed. Waiters take turns through a
+   * short-lived `<lock>.takeover` file and check the lock again once they have it, so a
+   * waiter that saw the stale lock late can't move a lock a peer has just created.
+   * @param {string} lockPath
+   * @returns {Promise<boolean>} Whether this call got to take over
+   */
+  async #removeStaleLock (lockPath) {
+    const takeoverPath = `${lockPath}.takeover`
+    try {
+      await writeFile(takeoverPath, '', { flag: 'wx', mode: 0o600 })
+    } catch (err) {
+      if (/** @type {NodeJS.ErrnoException} */ (err).code !== 'EEXIST') throw err
+      // Left behind only if a process crashed mid-takeover
+      if (await this.#isStale(takeoverPath)) await rm(takeoverPath, { force: true })
+      return false
+    }
+
+    try {
+      if (!await this.#isStale(lockPath)) return false
+      const asidePath = `${lockPath}.${randomUUID()}.stale`
+      await rename(lockPath, asidePath)
+      await rm(asidePath, { force: true })
+      return true
+    } finally {
+      await rm(takeoverPath, { force: true })
+    }
+  }
+
+  /**
+   * @param {string} path
+   * @returns {Promise<boolean>} Whether the file exists and has not been touched for staleLockMs
+   */
+  async #isStale (path) {
+    const touchedAt = await stat(path).then((stats) => stats.mtimeMs, () => undefined)
+    return touchedAt !== undefined && Date.now() - touchedAt > this.#staleLockMs
+  }
+}
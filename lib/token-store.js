@@ -0,0 +1,76 @@
+// ============================================================================
+// Token Store: Where RefreshableToken persists rotated tokens
+// ============================================================================
+
+/**
+ * The credential a token store keeps
+ * @typedef {Object} YotoStoredTokens
+ * @property {string} clientId - OAuth client ID the tokens were issued to
+ * @property {string} accessToken - OAuth access token (JWT)
+ * @property {string} refreshToken - OAuth refresh token
+ * @property {string} [idToken] - OpenID Connect ID token issued with the access token
+ */
+
+/**
+ * Releases a token store lock
+ * @typedef {() => Promise<void>} YotoTokenStoreRelease
+ */
+
+/**
+ * Persistence for one credential. save() runs after every refresh, before the new tokens are
+ * used, so a rotated refresh token is never lost. Writes should replace the whole credential at once.
+ * @typedef {Object} YotoTokenStore
+ * @property {() => YotoStoredTokens | undefined | Promise<YotoStoredTokens | undefined>} load - The saved tokens, or undefined when there are none
+ * @property {(tokens: YotoStoredTokens) => void | Promise<void>} save
+ * @property {() => void | Promise<void>} clear - Forget the saved tokens, e.g. on logout
+ * @property {() => Promise<YotoTokenStoreRelease>} [lock] - Wait for exclusive use of the credential among everyone sharing the store. Needed for coordinateRefresh.
+ */
+
+/**
+ * Keeps tokens in memory, for tests and for apps that persist elsewhere through onTokenRefresh
+ * @implements {YotoTokenStore}
+ */
+export class YotoMemoryTokenStore {
+  /** @type {YotoStoredTokens | undefined} */
+  #tokens
+  /** @type {Promise<void>} - Settles when the current lock holder releases */
+  #locked = Promise.resolve()
+
+  /**
+   * @param {YotoStoredTokens} [tokens] - Tokens to start with
+   */
+  constructor (tokens) {
+    this.#tokens = tokens && { ...tokens }
+  }
+
+  /**
+   * @returns {YotoStoredTokens | undefined}
+   */
+  load () {
+    return this.#tokens && { ...this.#tokens }
+  }
+
+  /**
+   * @param {YotoStoredTokens} tokens
+   */
+  save (tokens) {
+    this.#tokens = { ...tokens }
+  }
+
+  clear () {
+    this.#tokens = undefined
+  }
+
+  /**
+   * Exclusive within this process, for tokens sharing one store
+   * @returns {Promise<YotoTokenStoreRelease>}
+   */
+  async lock () {
+    const previous = this.#locked
+    /** @type {() => void} */
+    let release = () => {}
+    this.#locked = new Promise((resolve) => { release = resolve })
+    await previous
+    return async () => release()
+  }
+}
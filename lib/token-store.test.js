@@ -0,0 +1,313 @@
+import test from 'node:test'
+import assert from 'node:assert'
+import { mkdtemp, readdir, readFile, rm, stat, utimes, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { YotoMemoryTokenStore } from './token-store.js'
+import { YotoFileTokenStore } from './token-store-file.js'
+import { YotoClient } from './api-client.js'
+import { YotoTimeoutError, YotoTokenInvalidError } from './api-endpoints/helpers.js'
+import { YotoMockServer } from './testing/index.js'
+
+const tokens = { clientId: 'mock-client', accessToken: 'access-1', refreshToken: 'refresh-1' }
+
+test('YotoMemoryTokenStore', async (t) => {
+  await t.test('should save, load and clear tokens', () => {
+    const store = new YotoMemoryTokenStore()
+    assert.strictEqual(store.load(), undefined)
+
+    store.save(tokens)
+    assert.deepStrictEqual(store.load(), tokens)
+
+    store.clear()
+    assert.strictEqual(store.load(), undefined)
+  })
+})
+
+test('YotoFileTokenStore', async (t) => {
+  const directory = await mkdtemp(join(tmpdir(), 'yoto-tokens-'))
+  t.after(() => rm(directory, { recursive: true, force: true }))
+
+  await t.test('should load nothing before the first save', async () => {
+    const store = new YotoFileTokenStore({ path: join(directory, 'missing.json') })
+    assert.strictEqual(await store.load(), undefined)
+  })
+
+  await t.test('should save tokens to a private file and load them back', async () => {
+    const path = join(directory, 'nested', 'tokens.json')
+    const store = new YotoFileTokenStore({ path })
+
+    await store.save(tokens)
+    await store.save({ ...tokens, refreshToken: 'refresh-2' })
+
+    assert.deepStrictEqual(await store.load(), { ...tokens, refreshToken: 'refresh-2' })
+    assert.deepStrictEqual(JSON.parse(await readFile(path, 'utf8')), { ...tokens, refreshToken: 'refresh-2' })
+    assert.deepStrictEqual(await readdir(join(directory, 'nested')), ['tokens.json'], 'no temporary files are left behind')
+    if (process.platform !== 'win32') {
+      assert.strictEqual((await stat(path)).mode & 0o777, 0o600)
+    }
+  })
+
+  await t.test('should keep the ID token', async () => {
+    const store = new YotoFileTokenStore({ path: join(directory, 'id-token.json') })
+    await store.save({ ...tokens, idToken: 'id-1' })
+    assert.deepStrictEqual(await store.load(), { ...tokens, idToken: 'id-1' })
+  })
+
+  await t.test('should clear the file', async () => {
+    const store = new YotoFileTokenStore({ path: join(directory, 'cleared.json') })
+    await store.save(tokens)
+    await store.clear()
+    await store.clear()
+    assert.strictEqual(await store.load(), undefined)
+  })
+
+  await t.test('should reject a file without tokens', async () => {
+    const path = join(directory, 'broken.json')
+    await writeFile(path, JSON.stringify({ clientId: 'mock-client' }))
+    await assert.rejects(new YotoFileTokenStore({ path }).load(), /missing clientId, accessToken or refreshToken/)
+  })
+})
+
+test('YotoClient token store', async (t) => {
+  const server = new YotoMockServer()
+  await server.start()
+  t.after(() => server.stop())
+
+  const issue = () => {
+    const issued = server.issueTokens({ clientId: 'mock-client' })
+    return { clientId: 'mock-client', accessToken: issued.access_token, refreshToken: issued.refresh_token ?? '' }
+  }
+
+  await t.test('should save rotated tokens before onTokenRefresh runs', async () => {
+    const store = new YotoMemoryTokenStore()
+    /** @type {Array<string | undefined>} */
+    const savedWhenNotified = []
+    const client = new YotoClient({
+      ...issue(),
+      tokenStore: store,
+      onTokenRefresh: () => { savedWhenNotified.push(store.load()?.refreshToken) },
+      onRefreshStart: () => {},
+      environment: server.environment
+    })
+    t.after(() => client.token.stopAutoRefresh())
+
+    server.revokeAccessTokens()
+    await client.getDevices()
+
+    const saved = store.load()
+    assert.strictEqual(saved?.accessToken, client.token.accessToken)
+    assert.strictEqual(saved?.clientId, 'mock-client')
+    assert.deepStrictEqual(savedWhenNotified, [saved?.refreshToken])
+  })
+
+  await t.test('should create a client from the saved tokens', async () => {
+    const store = new YotoMemoryTokenStore(issue())
+    const client = await YotoClient.fromTokenStore({
+      tokenStore: store,
+      onRefreshStart: () => {},
+      environment: server.environment
+    })
+    t.after(() => client.token.stopAutoRefresh())
+
+    assert.strictEqual(client.token.accessToken, store.load()?.accessToken)
+    assert.strictEqual(client.token.tokenStore, store)
+    const { devices } = await client.getDevices()
+    assert.ok(Array.isArray(devices))
+  })
+
+  await t.test('should reject an empty store', async () => {
+    await assert.rejects(YotoClient.fromTokenStore({ tokenStore: new YotoMemoryTokenStore() }), YotoTokenInvalidError)
+  })
+
+  await t.test('should require onTokenRefresh or a token store', () => {
+    assert.throws(() => new YotoClient({ ...issue(), environment: server.environment }), /onTokenRefresh callback or tokenStore is required/)
+  })
+})
+
+test('YotoFileTokenStore lock', async (t) => {
+  const directory = await mkdtemp(join(tmpdir(), 'yoto-token-lock-'))
+  t.after(() => rm(directory, { recursive: true, force: true }))
+
+  await t.test('should let one holder in at a time', async () => {
+    const store = new YotoFileTokenStore({ path: join(directory, 'tokens.json') })
+    /** @type {string[]} */
+    const order = []
+
+    const release = await store.lock()
+    const waiting = store.lock().then((releaseSecond) => {
+      order.push('second')
+      return releaseSecond()
+    })
+    await new Promise((resolve) => setTimeout(resolve, 120))
+    order.push('first')
+    await release()
+    await waiting
+
+    assert.deepStrictEqual(order, ['first', 'second'])
+    assert.deepStrictEqual(await readdir(directory), [])
+  })
+
+  await t.test('should take over a stale lock', async () => {
+    const path = join(directory, 'stale.json')
+    await writeFile(`${path}.lock`, 'crashed-process')
+    const store = new YotoFileTokenStore({ path, staleLockMs: 0 })
+
+    const release = await store.lock()
+    await release()
+    assert.deepStrictEqual(await readdir(directory), [])
+  })
+
+  await t.test('should let only one waiter take over a stale lock', async () => {
+    const path = join(directory, 'contended.json')
+    await writeFile(`${path}.lock`, 'crashed-process')
+    await utimes(`${path}.lock`, 0, 0)
+
+    let holders = 0
+    let mostHolders = 0
+    /** @param {number} delay */
+    const takeTurn = async (delay) => {
+      await new Promise((resolve) => setTimeout(resolve, delay))
+      const release = await new YotoFileTokenStore({ path, staleLockMs: 1000 }).lock()
+      mostHolders = Math.max(mostHolders, ++holders)
+      await new Promise((resolve) => setTimeout(resolve, 50))
+      holders--
+      await release()
+    }
+    await Promise.all(Array.from({ length: 20 }, (_, index) => takeTurn(index / 2)))
+
+    assert.strictEqual(mostHolders, 1)
+    assert.deepStrictEqual(await readdir(directory), [])
+  })
+
+  await t.test('should keep a held lock from going stale', async () => {
+    const path = join(directory, 'held.json')
+    const release = await new YotoFileTokenStore({ path, staleLockMs: 150 }).lock()
+    t.after(release)
+    await new Promise((resolve) => setTimeout(resolve, 400))
+
+    const waiter = new YotoFileTokenStore({ path, staleLockMs: 150, lockTimeoutMs: 100 })
+    await assert.rejects(waiter.lock(), YotoTimeoutError)
+  })
+
+  await t.test('should give up after lockTimeoutMs', async (t) => {
+    const store = new YotoFileTokenStore({ path: join(directory, 'busy.json'), lockTimeoutMs: 100 })
+    const release = await store.lock()
+    t.after(release)
+    await assert.rejects(store.lock(), (err) => err instanceof YotoTimeoutError && err.timeoutMs === 100 &&
+      /Timed out after 100ms waiting for the token lock/.test(err.message))
+  })
+})
+
+test('Shared credentials', async (t) => {
+  const server = new YotoMockServer({ rotateRefreshTokens: true })
+  await server.start()
+  t.after(() => server.stop())
+
+  const directory = await mkdtemp(join(tmpdir(), 'yoto-shared-'))
+  t.after(() => rm(directory, { recursive: true, force: true }))
+
+  const countRefreshes = () => server.requests.filter((req) =>
+    req.path === '/oauth/token' && req.body?.get?.('grant_type') === 'refresh_token'
+  ).length
+
+  /**
+   * Two clients started from the same saved tokens, like two processes sharing a file
+   * @param {string} name
+   * @param {Partial<ConstructorParameters<typeof YotoClient>[0]>} [options]
+   */
+  const createPeers = async (name, options = {}) => {
+    const tokenStore = new YotoFileTokenStore({ path: join(directory, `${name}.json`) })
+    const issued = server.issueTokens({ clientId: 'mock-client' })
+    await tokenStore.save({ clientId: 'mock-client', accessToken: issued.access_token, refreshToken: issued.refresh_token ?? '' })
+
+    /** @type {Error[]} */
+    const invalid = []
+    const peers = await Promise.all([1, 2].map(() => YotoClient.fromTokenStore({
+      tokenStore,
+      onRefreshStart: () => {},
+      onInvalid: (error) => { invalid.push(error) },
+      environment: server.environment,
+      ...options
+    })))
+    for (const peer of peers) t.after(() => peer.token.stopAutoRefresh())
+    return { tokenStore, peers, invalid }
+  }
+
+  await t.test('should refresh once and let the peer adopt the new tokens', async () => {
+    const { tokenStore, peers: [first, second], invalid } = await createPeers('coordinated', { coordinateRefresh: true })
+    if (!first || !second) throw new Error('expected two peers')
+    server.revokeAccessTokens()
+    const refreshesBefore = countRefreshes()
+
+    await Promise.all([first.getDevices(), second.getDevices()])
+
+    assert.strictEqual(countRefreshes() - refreshesBefore, 1)
+    assert.deepStrictEqual(invalid, [])
+    assert.strictEqual(second.token.accessToken, first.token.accessToken)
+    assert.strictEqual((await tokenStore.load())?.accessToken, first.token.accessToken)
+  })
+
+  await t.test('should share the ID token through the store', async () => {
+    const { tokenStore, peers: [first, second] } = await createPeers('id-token', { coordinateRefresh: true })
+    if (!first || !second) throw new Error('expected two peers')
+    server.revokeAccessTokens()
+
+    await first.getDevices()
+    assert.ok(first.token.idToken)
+    assert.strictEqual((await tokenStore.load())?.idToken, first.token.idToken)
+
+    await second.token.refresh()
+    assert.strictEqual(second.token.accessToken, first.token.accessToken, 'the peer adopted instead of refreshing')
+    assert.strictEqual(second.token.idToken, first.token.idToken)
+  })
+
+  await t.test('should recover from invalid_grant when a peer rotated the refresh token', async () => {
+    const { peers: [first, second], invalid } = await createPeers('uncoordinated')
+    if (!first || !second) throw new Error('expected two peers')
+
+    server.revokeAccessTokens()
+    await first.getDevices()
+    // The second peer still holds the refresh token the first one just used up
+    await second.getDevices()
+
+    assert.deepStrictEqual(invalid, [])
+    assert.strictEqual(second.token.isValid(), true)
+    assert.strictEqual(second.token.accessToken, first.token.accessToken)
+  })
+
+  await t.test('should revoke the refresh token a peer saved', async () => {
+    const { tokenStore, peers: [first, second] } = await createPeers('revoke', { coordinateRefresh: true })
+    if (!first || !second) throw new Error('expected two peers')
+    server.revokeAccessTokens()
+    await first.getDevices()
+
+    // The second peer still holds the refresh token the first one rotated away
+    await second.token.revoke()
+
+    await assert.rejects(first.token.refresh(), YotoTokenInvalidError)
+    assert.strictEqual(await tokenStore.load(), undefined)
+  })
+
+  await t.test('should revoke and clear while holding the lock', async () => {
+    const { tokenStore, peers: [first] } = await createPeers('revoke-locked', { coordinateRefresh: true })
+    if (!first) throw new Error('expected a peer')
+
+    const release = await tokenStore.lock()
+    const revoking = first.token.revoke()
+    await new Promise((resolve) => setTimeout(resolve, 120))
+    assert.ok(await tokenStore.load(), 'the store is left alone while a peer holds the lock')
+
+    await release()
+    await revoking
+    assert.strictEqual(await tokenStore.load(), undefined)
+  })
+
+  await t.test('should need a store that can lock', () => {
+    assert.throws(() => new YotoClient({
+      ...tokens,
+      tokenStore: { load: () => undefined, save: () => {}, clear: () => {} },
+      coordinateRefresh: true
+    }), /coordinateRefresh needs a tokenStore with a lock\(\) method/)
+  })
+})
@@ -1,17 +1,55 @@
-import { EventEmitter } from 'node:events'
-import { jwtDecode } from 'jwt-decode'
-import { exchangeToken } from './api-endpoints/auth.js'
+/**
+ * @import { YotoEnvironment } from './environment.js'
+ * @import { YotoInterceptor, RequestOptions } from './api-endpoints/helpers.js'
+ * @import { YotoTokenStore, YotoTokenStoreRelease } from './token-store.js'
+ * @import { YotoTokenResponse } from './api-endpoints/auth.js'
+ */
+
+import { EventEmitter } from '#events'
+import { exchangeToken, revokeToken } from './api-endpoints/auth.js'
+import { YotoTokenInvalidError } from './api-endpoints/helpers.js'
+import { decodeExpiry, decodeJwt } from './jwt.js'
+import { YOTO_ENVIRONMENT } from './environment.js'
+import { withRequestSignal } from './abort.js'
+import { YotoClockSkew } from './clock-skew.js'
 
 const AUTO_REFRESH_RETRY_BASE_SECONDS = 5
 const AUTO_REFRESH_RETRY_MAX_SECONDS = 300
 
+/**
+ * OAuth error values that mean the refresh token itself is expired or revoked
+ */
+const INVALID_REFRESH_ERRORS = [
+  'invalid_grant',
+  'invalid_token',
+  'expired_token',
+  'token_expired',
+  'refresh_token_expired'
+]
+
+/**
+ * @param {any} error
+ * @returns {boolean}
+ */
+function isInvalidRefreshError (error) {
+  const errorCode = error?.jsonBody?.error
+  return Boolean(errorCode) && INVALID_REFRESH_ERRORS.includes(errorCode)
+}
+
 /**
  * @typedef {Object} RefreshableTokenOpts
  * @property {string} clientId - OAuth client ID
  * @property {string} refreshToken - OAuth refresh token
  * @property {string} accessToken - Initial OAuth access token (JWT)
- * @property {OnTokenRefreshHandler} onTokenRefresh - A function that will receive the refreshed token info and perisist it for future use
+ * @property {string} [idToken] - OpenID Connect ID token issued with the access token. Replaced when a refresh returns a new one.
+ * @property {OnTokenRefreshHandler} [onTokenRefresh] - A function that will receive the refreshed token info and perisist it for future use. Required unless tokenStore is set.
+ * @property {YotoTokenStore} [tokenStore] - Saves the refreshed tokens before onTokenRefresh runs. A rejected refresh token is retried with the store's, if a peer saved a different one.
+ * @property {boolean} [coordinateRefresh=false] - For credentials shared between processes: refresh while holding the store's lock, adopting a peer's newer tokens instead of refreshing again. Needs a tokenStore with lock().
  * @property {number} [bufferSeconds=30] - Seconds before expiration to consider token expired
+ * @property {YotoClockSkew} [clockSkew] - Estimates the server clock, which expiry is judged by. Share one between tokens on the same machine to pool measurements. Defaults to a new one per token.
+ * @property {YotoEnvironment} [environment] - Servers to refresh against (defaults to production)
+ * @property {YotoInterceptor[]} [interceptors] - Hooks run around refresh requests
+ * @property {RequestOptions} [requestOptions] - undici request options for refresh requests (e.g. a proxy dispatcher)
  */
 
 /**
@@ -39,19 +77,23 @@ const AUTO_REFRESH_RETRY_MAX_SECONDS = 300
  *   'refresh:start': [],
  *   'refresh:success': [RefreshSuccessEvent],
  *   'refresh:error': [Error],
- *   'invalid': [Error]
+ *   'invalid': [Error],
+ *   'revoked': []
  * }} RefreshableTokenEventMap
  */
 
 /**
  * A refreshable OAuth token that automatically refreshes when expired.
  * Handles in-flight refresh deduplication to prevent multiple concurrent refresh requests.
+ * Expiry is judged by the servers' clock, estimated from the responses to token and API requests,
+ * so a local clock that drifted doesn't cause expired tokens to be used or refreshes to loop.
  *
  * Events:
  * - 'refresh:start' - Emitted when token refresh begins
  * - 'refresh:success' - Emitted when token refresh succeeds, passes { clientId, updatedAccessToken, updatedRefreshToken, updatedExpiresAt, prevAccessToken, prevRefreshToken, prevExpiresAt }
  * - 'refresh:error' - Emitted when token refresh fails (transient errors), passes error
  * - 'invalid' - Emitted when refresh token is permanently invalid, passes error
+ * - 'revoked' - Emitted when revoke() has revoked the refresh token and cleared the token store
  *
  * @extends {EventEmitter<RefreshableTokenEventMap>}
  */
@@ -63,10 +105,14 @@ export class RefreshableToken extends EventEmitter {
   #refreshToken
   /** @type {string} */
   #accessToken
+  /** @type {string | undefined} */
+  #idToken
   /** @type {number} - Unix timestamp in seconds (from JWT exp claim) */
   #expiresAt
   /** @type {number} - Buffer time in seconds before expiration */
   #bufferSeconds
+  /** @type {YotoClockSkew} */
+  #clockSkew
   /** @type {boolean} */
   #invalid = false
   /** @type {Promise<RefreshSuccessEvent> | null} */
@@ -77,31 +123,43 @@ export class RefreshableToken extends EventEmitter {
   #autoRefreshTimeout = null
   /** @type {number} */
   #autoRefreshRetryAttempt = 0
-  /** @type {OnTokenRefreshHandler} */
+  /** @type {OnTokenRefreshHandler | undefined} */
   #onTokenRefresh
+  /** @type {YotoTokenStore | undefined} */
+  #tokenStore
+  /** @type {boolean} */
+  #coordinateRefresh
+  /** @type {YotoEnvironment} */
+  #environment
+  /** @type {YotoInterceptor[]} */
+  #interceptors
+  /** @type {RequestOptions | undefined} */
+  #requestOptions
 
   /**
    * @param {RefreshableTokenOpts} opts
    */
-  constructor ({ clientId, refreshToken, accessToken, bufferSeconds = 30, onTokenRefresh }) {
+  constructor ({ clientId, refreshToken, accessToken, idToken, bufferSeconds = 30, clockSkew = new YotoClockSkew(), onTokenRefresh, tokenStore, coordinateRefresh = false, environment = YOTO_ENVIRONMENT, interceptors = [], requestOptions }) {
     super()
     this.#clientId = clientId
     this.#refreshToken = refreshToken
     this.#accessToken = accessToken
+    this.#idToken = idToken
     this.#bufferSeconds = bufferSeconds
+    this.#clockSkew = clockSkew
     this.#onTokenRefresh = onTokenRefresh
+    this.#tokenStore = tokenStore
+    this.#coordinateRefresh = coordinateRefresh
 
-    // Decode the JWT to get expiration
-    try {
-      const decoded = jwtDecode(accessToken)
-      if (!decoded.exp) {
-        throw new Error('Access token does not contain expiration claim (exp)')
-      }
-      this.#expiresAt = decoded.exp
-    } catch (err) {
-      const error = /** @type {Error} */ (err)
-      throw new Error(`Failed to decode access token: ${error.message}`)
+    if (coordinateRefresh && !tokenStore?.lock) {
+      throw new Error('coordinateRefresh needs a tokenStore with a lock() method')
     }
+    this.#environment = environment
+    this.#interceptors = interceptors
+    this.#requestOptions = requestOptions
+
+    // Decode the JWT to get expiration
+    this.#expiresAt = decodeExpiry(accessToken)
 
     this.#scheduleAutoRefresh()
   }
@@ -109,18 +167,16 @@ export class RefreshableToken extends EventEmitter {
   /**
    * Get a valid access token, refreshing if necessary.
    * @returns {Promise<string>} Valid access token
-   * @throws {Error} If token is invalid or refresh fails
+   * @throws {YotoTokenInvalidError} If the refresh token has expired or been revoked
+   * @throws {Error} If refresh fails
    */
   async getAccessToken () {
     // Check if token has been marked invalid
     if (this.#invalid) {
-      throw new Error('Token is invalid. Refresh token has expired or been revoked.')
+      throw new YotoTokenInvalidError('Token is invalid. Refresh token has expired or been revoked.')
     }
 
-    const now = Math.floor(Date.now() / 1000)
-    const needsRefresh = now >= (this.#expiresAt - this.#bufferSeconds)
-
-    if (!needsRefresh) {
+    if (this.#isFresh()) {
       return this.#accessToken
     }
 
@@ -128,6 +184,29 @@ export class RefreshableToken extends EventEmitter {
     return updatedAccessToken
   }
 
+  /**
+   * Refresh because the API rejected an access token (e.g. a 401 after revocation or clock skew).
+   * If the token was already replaced since it was handed out, the current one is returned
+   * without another refresh, so a burst of rejected requests costs a single refresh.
+   * @param {string} rejectedAccessToken - The access token the API rejected
+   * @returns {Promise<string>} An access token to replay the request with
+   * @throws {YotoTokenInvalidError} If the refresh token has expired or been revoked
+   */
+  async refreshRejectedToken (rejectedAccessToken) {
+    if (this.#invalid) {
+      throw new YotoTokenInvalidError('Token is invalid. Refresh token has expired or been revoked.')
+    }
+
+    if (rejectedAccessToken !== this.#accessToken) {
+      return this.#inFlightRefresh
+        ? (await this.#inFlightRefresh).updatedAccessToken
+        : this.#accessToken
+    }
+
+    const { updatedAccessToken } = await this.#refreshAccessToken()
+    return updatedAccessToken
+  }
+
   /**
    * Refresh the access token using the refresh token.
    * Handles in-flight request deduplication.
@@ -151,37 +230,25 @@ export class RefreshableToken extends EventEmitter {
 
   /**
    * Perform the actual token refresh.
+   * With coordinateRefresh, the store's lock is held throughout, and tokens a peer saved
+   * since we last looked are adopted instead of refreshing again.
    * @returns {Promise<RefreshSuccessEvent>} New access token
    */
   async #performRefresh () {
     this.emit('refresh:start')
 
+    /** @type {YotoTokenStoreRelease | null} */
+    let release = null
     try {
+      release = this.#coordinateRefresh && this.#tokenStore?.lock ? await this.#tokenStore.lock() : null
+
       // Snapshot the current tokens
       const prevAccessToken = this.#accessToken
       const prevRefreshToken = this.#refreshToken
       const prevExpiresAt = this.#expiresAt
 
-      const tokens = await exchangeToken({
-        grantType: 'refresh_token',
-        refreshToken: this.#refreshToken,
-        clientId: this.#clientId
-      })
-
-      // Update the access token and expiration
-      this.#accessToken = tokens.access_token
-
-      // If we got a new refresh token, update it
-      if (tokens.refresh_token) {
-        this.#refreshToken = tokens.refresh_token
-      }
-
-      // Decode the new token to get expiration
-      const decoded = jwtDecode(tokens.access_token)
-      if (!decoded.exp) {
-        throw new Error('Refreshed access token does not contain expiration claim (exp)')
-      }
-      this.#expiresAt = decoded.exp
+      const adopted = release ? await this.#adoptStoredTokens() : false
+      const exchanged = adopted && this.#isFresh() ? false : await this.#exchangeRefreshToken()
 
       /* @type {RefreshSuccessEvent} */
       const eventPayload = {
@@ -194,7 +261,16 @@ export class RefreshableToken extends EventEmitter {
         prevExpiresAt,
       }
 
-      await this.#onTokenRefresh(eventPayload)
+      // Adopted tokens are already in the store
+      if (exchanged) {
+        await this.#tokenStore?.save({
+          clientId: this.#clientId,
+          accessToken: this.#accessToken,
+          refreshToken: this.#refreshToken,
+          ...(this.#idToken && { idToken: this.#idToken })
+        })
+      }
+      await this.#onTokenRefresh?.(eventPayload)
 
       this.emit('refresh:success', eventPayload)
 
@@ -205,23 +281,14 @@ export class RefreshableToken extends EventEmitter {
     } catch (err) {
       const error = /** @type {any} */ (err)
 
-      // Check for errors that indicate the refresh token is invalid
-      const invalidRefreshErrors = [
-        'invalid_grant',
-        'invalid_token',
-        'expired_token',
-        'token_expired',
-        'refresh_token_expired'
-      ]
-
       const errorCode = error.jsonBody?.error
-      if (errorCode && invalidRefreshErrors.includes(errorCode)) {
+      if (isInvalidRefreshError(error)) {
         // Mark this token as permanently invalid
         this.#invalid = true
         this.#clearAutoRefreshTimeout()
         const statusCode = error.statusCode ? ` (${error.statusCode})` : ''
         const errorDescription = error.jsonBody?.error_description
-        const invalidError = new Error(`Refresh token is invalid or expired${statusCode}: ${errorCode}${errorDescription ? ` - ${errorDescription}` : ''}`)
+        const invalidError = new YotoTokenInvalidError(`Refresh token is invalid or expired${statusCode}: ${errorCode}${errorDescription ? ` - ${errorDescription}` : ''}`, { cause: error })
         this.emit('invalid', invalidError)
         throw invalidError
       }
@@ -230,9 +297,104 @@ export class RefreshableToken extends EventEmitter {
       this.emit('refresh:error', error)
       this.#scheduleAutoRefreshRetry()
       throw error
+    } finally {
+      await release?.()
     }
   }
 
+  /**
+   * Exchange the refresh token for new tokens. When the refresh token is rejected but the store
+   * holds a different one, a peer sharing the credential rotated it first: adopt theirs and
+   * only exchange again if their access token is stale too.
+   * @returns {Promise<boolean>} Whether new tokens were issued, as opposed to adopted
+   */
+  async #exchangeRefreshToken () {
+    /** @type {YotoTokenResponse} */
+    let tokens
+    try {
+      tokens = await this.#requestTokens()
+    } catch (err) {
+      if (!isInvalidRefreshError(err) || !(await this.#adoptStoredTokens())) throw err
+      if (this.#isFresh()) return false
+      tokens = await this.#requestTokens()
+    }
+
+    // Decode the new token to get expiration
+    const expiresAt = decodeExpiry(tokens.access_token, 'refreshed access token')
+
+    // Update the access token and expiration
+    this.#accessToken = tokens.access_token
+    this.#expiresAt = expiresAt
+
+    // If we got a new refresh token, update it
+    if (tokens.refresh_token) {
+      this.#refreshToken = tokens.refresh_token
+    }
+    if (tokens.id_token) {
+      this.#idToken = tokens.id_token
+    }
+
+    return true
+  }
+
+  /**
+   * @returns {Promise<YotoTokenResponse>}
+   */
+  async #requestTokens () {
+    const sentAt = Date.now()
+    const tokens = await exchangeToken({
+      grantType: 'refresh_token',
+      refreshToken: this.#refreshToken,
+      clientId: this.#clientId,
+      environment: this.#environment,
+      interceptors: [...this.#interceptors, this.#clockSkew.interceptor],
+      ...(this.#requestOptions && { requestOptions: this.#requestOptions })
+    })
+
+    // A token issued just now says what time the login server thinks it is
+    const { iat } = decodeJwt(tokens.access_token, 'refreshed access token')
+    if (iat) this.#clockSkew.observe(iat * 1000, { sentAt, resolutionMs: 1000 })
+
+    return tokens
+  }
+
+  /**
+   * Switch to the store's tokens if a peer saved newer ones for the same client
+   * @returns {Promise<boolean>} Whether the tokens changed
+   */
+  async #adoptStoredTokens () {
+    const stored = await this.#tokenStore?.load()
+    if (!stored || stored.clientId !== this.#clientId || stored.refreshToken === this.#refreshToken) {
+      return false
+    }
+
+    const expiresAt = decodeExpiry(stored.accessToken, 'stored access token')
+
+    this.#accessToken = stored.accessToken
+    this.#refreshToken = stored.refreshToken
+    this.#expiresAt = expiresAt
+    if (stored.idToken) {
+      this.#idToken = stored.idToken
+    }
+    return true
+  }
+
+  /**
+   * Whether the current access token is outside the refresh buffer, ignoring #invalid
+   * @returns {boolean}
+   */
+  #isFresh () {
+    return this.#now() < (this.#expiresAt - this.#bufferSeconds)
+  }
+
+  /**
+   * Current time on the servers' clock, in the seconds JWT claims use
+   * @returns {number}
+   */
+  #now () {
+    return Math.floor(this.#clockSkew.now() / 1000)
+  }
+
   /**
    * Stop background token refresh scheduling.
    */
@@ -270,6 +432,38 @@ export class RefreshableToken extends EventEmitter {
     return this.#clientId
   }
 
+  /**
+   * Get the store refreshed tokens are saved to, if one is configured.
+   * @returns {YotoTokenStore | undefined}
+   */
+  get tokenStore () {
+    return this.#tokenStore
+  }
+
+  /**
+   * Get the environment this token refreshes against.
+   * @returns {YotoEnvironment}
+   */
+  get environment () {
+    return this.#environment
+  }
+
+  /**
+   * Get the clock skew estimate expiry is judged by. Its offsetMs is the measured skew.
+   * @returns {YotoClockSkew}
+   */
+  get clockSkew () {
+    return this.#clockSkew
+  }
+
+  /**
+   * Get the latest OpenID Connect ID token, if one was passed in or returned by a refresh.
+   * @returns {string | undefined}
+   */
+  get idToken () {
+    return this.#idToken
+  }
+
   /**
    * Get the latest access token value (synchronous).
    * Prefer getAccessToken() if you need a guaranteed-valid token in async contexts.
@@ -280,17 +474,17 @@ export class RefreshableToken extends EventEmitter {
   }
 
   /**
-   * Schedule the next refresh for when the token becomes stale (expiresAt - bufferSeconds).
-   * Uses an unref'd timer so it doesn't keep the process alive.
+   * Schedule the next refresh for when the token becomes stale (expiresAt - bufferSeconds),
+   * going by the servers' clock. Uses an unref'd timer so it doesn't keep the process alive.
+   * The clock skew estimate can move while the timer runs, so it is checked again when the timer fires.
    */
   #scheduleAutoRefresh () {
     if (!this.#autoRefreshEnabled || this.#invalid) {
       return
     }
 
-    const now = Math.floor(Date.now() / 1000)
     const refreshAt = this.#expiresAt - this.#bufferSeconds
-    const delayMs = Math.max(0, (refreshAt - now) * 1000)
+    const delayMs = Math.max(0, (refreshAt - this.#now()) * 1000)
 
     this.#clearAutoRefreshTimeout()
     this.#autoRefreshTimeout = setTimeout(() => {
@@ -299,6 +493,12 @@ export class RefreshableToken extends EventEmitter {
         return
       }
 
+      // Scheduled before the local clock was found to be ahead of the servers'
+      if (this.#now() < refreshAt) {
+        this.#scheduleAutoRefresh()
+        return
+      }
+
       this.#refreshAccessToken().catch(() => {
         // Errors are emitted by #performRefresh; retries are scheduled there as well.
       })
@@ -351,8 +551,7 @@ export class RefreshableToken extends EventEmitter {
       return false
     }
 
-    const now = Math.floor(Date.now() / 1000)
-    return now < (this.#expiresAt - this.#bufferSeconds)
+    return this.#isFresh()
   }
 
   /**
@@ -364,26 +563,65 @@ export class RefreshableToken extends EventEmitter {
   }
 
   /**
-   * Get the time remaining until token expiration.
+   * Get the time remaining until token expiration, going by the servers' clock.
    * @returns {number} Seconds until expiration (may be negative if expired)
    */
   getTimeRemaining () {
-    const now = Math.floor(Date.now() / 1000)
-    return this.#expiresAt - now
+    return this.#expiresAt - this.#now()
   }
 
   /**
    * Manually trigger a token refresh, regardless of expiration status.
    * Useful for proactive refresh or testing.
    * @returns {Promise<RefreshSuccessEvent>} Token information including clientId, accessToken, refreshToken, and expiresAt
-   * @throws {Error} If token is invalid or refresh fails
+   * @throws {YotoTokenInvalidError} If the refresh token has expired or been revoked
+   * @throws {Error} If refresh fails
    */
   async refresh () {
     // Check if token has been marked invalid
     if (this.#invalid) {
-      throw new Error('Token is invalid. Refresh token has expired or been revoked.')
+      throw new YotoTokenInvalidError('Token is invalid. Refresh token has expired or been revoked.')
     }
 
     return await this.#refreshAccessToken()
   }
+
+  /**
+   * Revoke the refresh token and stop using this token for good: auto refresh stops,
+   * later calls throw YotoTokenInvalidError and the token store is cleared.
+   * A refresh in flight is allowed to finish first, so the newest refresh token is the one revoked.
+   * With coordinateRefresh, the store's lock is held from the revoke through the clear, and a
+   * refresh token a peer saved since we last looked is the one revoked.
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the revoke request
+   * @returns {Promise<void>}
+   * @throws {YotoAPIError} If the server refuses to revoke. The token is left usable so the call can be retried.
+   */
+  async revoke ({ signal } = {}) {
+    await this.#inFlightRefresh?.catch(() => {})
+
+    const release = this.#coordinateRefresh && this.#tokenStore?.lock ? await this.#tokenStore.lock() : null
+    try {
+      if (release) await this.#adoptStoredTokens()
+
+      // A token already found invalid has nothing left to revoke
+      if (!this.#invalid) {
+        const requestOptions = withRequestSignal(this.#requestOptions, signal)
+        await revokeToken({
+          token: this.#refreshToken,
+          clientId: this.#clientId,
+          environment: this.#environment,
+          interceptors: [...this.#interceptors, this.#clockSkew.interceptor],
+          ...(requestOptions && { requestOptions })
+        })
+      }
+
+      this.#invalid = true
+      this.stopAutoRefresh()
+      await this.#tokenStore?.clear()
+    } finally {
+      await release?.()
+    }
+    this.emit('revoked')
+  }
 }
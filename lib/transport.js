@@ -0,0 +1,94 @@
+/**
+ * @import { Dispatcher } from 'undici'
+ * @import { RequestOptions } from './api-endpoints/helpers.js'
+ */
+
+// ============================================================================
+// Transport: The HTTP layer under sendRequest, undici on Node or WHATWG fetch
+// ============================================================================
+
+/**
+ * Sends one HTTP request. Resolves with an undici-style response for every status
+ * code, without following redirects, and rejects only when no response arrives.
+ * @typedef {(url: URL, options: RequestOptions) => Promise<Dispatcher.ResponseData>} YotoTransport
+ */
+
+/**
+ * @typedef {Object} YotoFetchTransportOptions
+ * @property {typeof globalThis.fetch} [fetch=globalThis.fetch] - fetch implementation to call, e.g. one bound to a Cloudflare service binding
+ */
+
+/**
+ * Send requests with undici, which is loaded on first use so other runtimes never import it
+ * @type {YotoTransport}
+ */
+export async function undiciTransport (url, options) {
+  const { request } = await import('#undici')
+  return /** @type {Dispatcher.ResponseData} */ (await request(url, options))
+}
+
+/**
+ * Send requests with WHATWG fetch, for Deno, Bun, Cloudflare Workers and browser extensions.
+ * Only method, headers, body and signal are used. A `dispatcher` is passed along for
+ * runtimes whose fetch is undici (Node), and other undici options are ignored.
+ *
+ * Redirects come back unfollowed like they do with undici. Browsers hide those responses,
+ * so getAFamilyImage cannot read the image URL there.
+ * @param {YotoFetchTransportOptions} [options]
+ * @returns {YotoTransport}
+ */
+export function createFetchTransport ({ fetch = globalThis.fetch } = {}) {
+  return async (url, { method = 'GET', headers, body, signal, dispatcher }) => {
+    // undici's option types are wider than fetch's, but the endpoints only send what fetch accepts
+    const init = /** @type {RequestInit} */ (/** @type {unknown} */ ({
+      method,
+      redirect: 'manual',
+      ...(headers && { headers }),
+      ...(body != null && { body }),
+      ...(signal instanceof AbortSignal && { signal }),
+      ...(dispatcher && { dispatcher })
+    }))
+    return toResponseData(await fetch(url, init))
+  }
+}
+
+/**
+ * undici on Node (and runtimes that report a Node version, like Bun), fetch everywhere else
+ * @type {YotoTransport}
+ */
+export const defaultTransport = globalThis.process?.versions?.node
+  ? undiciTransport
+  : createFetchTransport()
+
+/**
+ * Adapt a fetch Response to the response shape the endpoint functions consume
+ * @param {Response} response
+ * @returns {Dispatcher.ResponseData}
+ */
+function toResponseData (response) {
+  /** @type {Record<string, string | string[]>} */
+  const headers = {}
+  response.headers.forEach((value, name) => {
+    headers[name] = value
+  })
+  const cookies = response.headers.getSetCookie?.() ?? []
+  if (cookies.length > 0) headers['set-cookie'] = cookies
+
+  const body = {
+    text: () => response.text(),
+    json: () => response.json(),
+    arrayBuffer: () => response.arrayBuffer(),
+    blob: () => response.blob(),
+    bytes: async () => new Uint8Array(await response.arrayBuffer()),
+    dump: async () => { await response.body?.cancel() }
+  }
+
+  return /** @type {Dispatcher.ResponseData} */ (/** @type {unknown} */ ({
+    statusCode: response.status,
+    headers,
+    trailers: {},
+    opaque: null,
+    context: {},
+    body
+  }))
+}
@@ -0,0 +1,62 @@
+import test from 'node:test'
+import assert from 'node:assert'
+import { createFetchTransport, defaultTransport, undiciTransport } from './transport.js'
+import { defaultHeaders, YotoNotFoundError } from './api-endpoints/helpers.js'
+import { createTestClient, YotoMockServer } from './testing/index.js'
+
+test('createFetchTransport', async (t) => {
+  const server = new YotoMockServer()
+  await server.start()
+  t.after(() => server.stop())
+
+  /** @type {Array<{ url: string, init: RequestInit | undefined }>} */
+  const calls = []
+  const transport = createFetchTransport({
+    fetch: (input, init) => {
+      calls.push({ url: String(input), init })
+      return fetch(input, init)
+    }
+  })
+
+  await t.test('should run the endpoints and token refreshes on fetch', async () => {
+    const client = createTestClient(server, { transport })
+    const { device } = server.addDevice({ name: 'Kitchen' })
+    calls.length = 0
+
+    const { devices } = await client.getDevices()
+    assert.ok(devices.some(({ deviceId }) => deviceId === device.deviceId))
+    await client.token.refresh()
+
+    assert.deepStrictEqual(calls.map(({ url }) => new URL(url).pathname), ['/device-v2/devices/mine', '/oauth/token'])
+    assert.strictEqual(calls[1]?.init?.method, 'POST')
+  })
+
+  await t.test('should send binary bodies and leave redirects unfollowed', async () => {
+    const client = createTestClient(server, { transport })
+    const { imageId } = await client.uploadAFamilyImage({ imageData: Buffer.from('not really a png') })
+    const { imageUrl } = await client.getAFamilyImage({ imageId, size: '320x320' })
+    assert.match(imageUrl, new RegExp(`/family/${imageId}\\?width=320&height=320$`))
+  })
+
+  await t.test('should surface API errors the same way', async () => {
+    const client = createTestClient(server, { transport })
+    await assert.rejects(client.getDeviceStatus({ deviceId: 'missing' }), YotoNotFoundError)
+  })
+
+  await t.test('should let requestOptions pick the transport for one call', async () => {
+    const client = createTestClient(server, { transport })
+    calls.length = 0
+    await client.getDevices({ requestOptions: { transport: undiciTransport } })
+    assert.deepStrictEqual(calls, [])
+  })
+})
+
+test('defaultTransport', async (t) => {
+  await t.test('should be undici on Node', () => {
+    assert.strictEqual(defaultTransport, undiciTransport)
+  })
+
+  await t.test('should name the platform in the User-Agent without node:os', () => {
+    assert.match(defaultHeaders()['User-Agent'], /^yoto-nodejs-client\/[\d.]+ \((Linux|Darwin|Windows_NT|\w+)\)$/)
+  })
+})
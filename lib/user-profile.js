@@ -0,0 +1,62 @@
+import { YotoTokenMalformedError } from './api-endpoints/helpers.js'
+import { decodeJwt } from './jwt.js'
+
+// ============================================================================
+// User Profile: Who a token belongs to, from an ID token or the userinfo endpoint
+// ============================================================================
+
+/**
+ * Claim names that carry the Yoto family ID, bare or namespaced like `https://…/familyId`
+ */
+const FAMILY_ID_CLAIM = /(?:^|\/)family_?id$/i
+
+/**
+ * @typedef {Object} YotoUserProfile
+ * @property {string} userId - Stable user ID (the `sub` claim). Safe to use as an account key.
+ * @property {string} [email]
+ * @property {boolean} [emailVerified]
+ * @property {string} [name] - Display name, falling back to the nickname
+ * @property {string} [picture] - Avatar URL
+ * @property {string} [familyId] - Yoto family ID, when the claims include one
+ * @property {'idToken' | 'userinfo'} source - Where the claims came from
+ * @property {Record<string, unknown>} claims - Every claim, custom ones included
+ */
+
+/**
+ * Build a profile from OpenID Connect claims
+ * @param {Record<string, unknown>} claims
+ * @param {YotoUserProfile['source']} source
+ * @returns {YotoUserProfile}
+ * @throws {YotoTokenMalformedError} If the claims have no subject
+ */
+export function createUserProfile (claims, source) {
+  const { sub, email, email_verified: emailVerified, name, nickname, picture } = claims
+  if (typeof sub !== 'string' || !sub) {
+    throw new YotoTokenMalformedError('User claims do not contain a subject (sub)')
+  }
+
+  const familyId = Object.entries(claims).find(([key, value]) => FAMILY_ID_CLAIM.test(key) && typeof value === 'string')?.[1]
+  const displayName = typeof name === 'string' && name ? name : nickname
+
+  return {
+    userId: sub,
+    ...(typeof email === 'string' && { email }),
+    ...(typeof emailVerified === 'boolean' && { emailVerified }),
+    ...(typeof displayName === 'string' && { name: displayName }),
+    ...(typeof picture === 'string' && { picture }),
+    ...(typeof familyId === 'string' && { familyId }),
+    source,
+    claims
+  }
+}
+
+/**
+ * Read the profile from an ID token. The signature is not verified, so only use tokens
+ * received directly from the login server.
+ * @param {string} idToken - ID token (JWT) from a token response
+ * @returns {YotoUserProfile}
+ * @throws {YotoTokenMalformedError} If the token can't be decoded or has no subject
+ */
+export function decodeIdToken (idToken) {
+  return createUserProfile(decodeJwt(idToken, 'ID token'), 'idToken')
+}
@@ -0,0 +1,107 @@
+import test from 'node:test'
+import assert from 'node:assert'
+import { createUserProfile, decodeIdToken } from './user-profile.js'
+import { YotoClockSkew } from './clock-skew.js'
+import { YotoError, YotoTokenMalformedError } from './api-endpoints/helpers.js'
+import { createMockJwt, createTestClient, YotoMockServer } from './testing/index.js'
+
+test('createUserProfile', async (t) => {
+  await t.test('should map standard and family ID claims', () => {
+    const claims = {
+      sub: 'auth0|123',
+      email: 'parent@example.com',
+      email_verified: true,
+      nickname: 'parent',
+      picture: 'https://example.com/avatar.png',
+      'https://api.yotoplay.com/family_id': 'family-1'
+    }
+    assert.deepStrictEqual(createUserProfile(claims, 'userinfo'), {
+      userId: 'auth0|123',
+      email: 'parent@example.com',
+      emailVerified: true,
+      name: 'parent',
+      picture: 'https://example.com/avatar.png',
+      familyId: 'family-1',
+      source: 'userinfo',
+      claims
+    })
+  })
+
+  await t.test('should decode ID tokens and require a subject', () => {
+    const profile = decodeIdToken(createMockJwt({ sub: 'auth0|123', name: 'Parent', familyId: 'family-2' }))
+    assert.strictEqual(profile.userId, 'auth0|123')
+    assert.strictEqual(profile.name, 'Parent')
+    assert.strictEqual(profile.familyId, 'family-2')
+    assert.strictEqual(profile.source, 'idToken')
+    assert.throws(() => decodeIdToken(createMockJwt({ name: 'Nobody' })), (err) => {
+      assert.ok(err instanceof YotoTokenMalformedError)
+      assert.match(err.message, /do not contain a subject/)
+      return true
+    })
+    assert.throws(() => decodeIdToken('not-a-jwt'), YotoTokenMalformedError)
+  })
+})
+
+test('YotoClient getUserProfile', async (t) => {
+  const server = new YotoMockServer({ userId: 'mock-parent' })
+  await server.start()
+  t.after(() => server.stop())
+
+  const countUserinfoRequests = () => server.requests.filter((req) => req.path === '/userinfo').length
+
+  await t.test('should read an unexpired ID token without a request', async () => {
+    const before = countUserinfoRequests()
+    const profile = await createTestClient(server, { withIdToken: true }).getUserProfile()
+
+    assert.strictEqual(countUserinfoRequests(), before)
+    assert.strictEqual(profile.source, 'idToken')
+    assert.strictEqual(profile.userId, 'mock-parent')
+    assert.strictEqual(profile.email, 'mock-parent@example.com')
+    assert.strictEqual(profile.familyId, 'mock-family')
+  })
+
+  await t.test('should call the userinfo endpoint without an ID token', async () => {
+    const client = createTestClient(server)
+    const profile = await client.getUserProfile()
+
+    assert.strictEqual(profile.source, 'userinfo')
+    assert.strictEqual(profile.userId, 'mock-parent')
+    assert.strictEqual(profile.name, 'Mock User')
+    await assert.rejects(client.getUserProfile({ source: 'idToken' }), YotoError)
+  })
+
+  await t.test('should fall back to userinfo once the ID token expired', async () => {
+    const client = createTestClient(server, { withIdToken: true, expiresIn: 1 })
+    client.token.stopAutoRefresh()
+    await new Promise((resolve) => setTimeout(resolve, 1100))
+
+    const profile = await client.getUserProfile()
+    assert.strictEqual(profile.source, 'userinfo')
+  })
+
+  await t.test('should fall back to userinfo when the ID token is malformed', async () => {
+    const client = createTestClient(server, { idToken: 'not-a-jwt' })
+
+    const profile = await client.getUserProfile()
+    assert.strictEqual(profile.source, 'userinfo')
+    assert.strictEqual(profile.userId, 'mock-parent')
+    await assert.rejects(client.getUserProfile({ source: 'idToken' }), YotoTokenMalformedError)
+  })
+
+  await t.test('should judge the ID token expiry by the server clock', async () => {
+    const clockSkew = new YotoClockSkew()
+    const sentAt = Date.now()
+    clockSkew.observe(sentAt + 600_000, { sentAt, receivedAt: sentAt })
+
+    // Five minutes left by the local clock, but the servers are ten minutes ahead
+    const profile = await createTestClient(server, { withIdToken: true, expiresIn: 300, clockSkew }).getUserProfile()
+    assert.strictEqual(profile.source, 'userinfo')
+  })
+
+  await t.test('should keep the ID token from a refresh', async () => {
+    const client = createTestClient(server)
+    await client.token.refresh()
+    assert.ok(client.token.idToken)
+    assert.strictEqual((await client.getUserProfile()).source, 'idToken')
+  })
+})
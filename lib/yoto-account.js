@@ -247,6 +247,7 @@ export class YotoAccount extends EventEmitter {
   /** @type {YotoAccountOptions} */ #options
   /** @type {boolean} */ #running = false
   /** @type {boolean} */ #initialized = false
+  /** @type {AbortController} */ #lifecycle = new AbortController()
 
   /**
     * Create a Yoto account client
@@ -316,9 +317,12 @@ export class YotoAccount extends EventEmitter {
       return // Already running
     }
 
+    if (this.#lifecycle.signal.aborted) this.#lifecycle = new AbortController()
+    const { signal } = this.#lifecycle
+
     try {
       // Discover devices
-      const devicesResponse = await this.#client.getDevices()
+      const devicesResponse = await this.#client.getDevices({ signal })
 
       // Create and start device models
       for (const device of devicesResponse.devices) {
@@ -337,8 +341,9 @@ export class YotoAccount extends EventEmitter {
 
         // Start device (await one at a time)
         try {
-          await deviceModel.start()
+          await deviceModel.start({ signal })
         } catch (err) {
+          if (signal.aborted) throw err
           const error = /** @type {Error} */ (err)
           this.emit('error', {
             error,
@@ -364,6 +369,12 @@ export class YotoAccount extends EventEmitter {
         devices: Array.from(this.#devices.keys())
       })
     } catch (err) {
+      if (signal.aborted) {
+        // stop() was called mid-start: tear down the devices started so far
+        await this.#stopDevices()
+        throw signal.reason
+      }
+
       const error = /** @type {Error} */ (err)
       this.emit('error', {
         error,
@@ -377,39 +388,18 @@ export class YotoAccount extends EventEmitter {
   }
 
   /**
-   * Stop the account client - stops all device clients
+   * Stop the account client - aborts a start() or refresh in progress, stops all device clients
    * @returns {Promise<void>}
    */
   async stop () {
+    this.#lifecycle.abort()
+
     if (!this.#running) {
       return // Not running
     }
 
     try {
-      // Stop all devices
-      const stopPromises = []
-      for (const [deviceId, deviceModel] of this.#devices) {
-        this.#removeDeviceEventForwarding(deviceModel, deviceId)
-        stopPromises.push(
-          deviceModel.stop().catch((error) => {
-            this.emit('error', {
-              error,
-              context: {
-                source: deviceId,
-                deviceId,
-                operation: 'stop'
-              }
-            })
-          })
-        )
-      }
-
-      // Wait for all devices to stop (or fail gracefully)
-      await Promise.allSettled(stopPromises)
-
-      // Clear devices
-      this.#devices.clear()
-      this.#deviceEventHandlers.clear()
+      await this.#stopDevices()
 
       // Mark as stopped
       this.#running = false
@@ -446,9 +436,12 @@ export class YotoAccount extends EventEmitter {
       throw new Error('Account not started. Call start() first.')
     }
 
+    // stop() aborts the refresh while running
+    const signal = this.#running ? this.#lifecycle.signal : undefined
+
     try {
       // Get current devices from API
-      const devicesResponse = await this.#client.getDevices()
+      const devicesResponse = await this.#client.getDevices({ ...(signal && { signal }) })
       const currentDeviceIds = new Set(devicesResponse.devices.map(d => d.deviceId))
       const trackedDeviceIds = new Set(this.#devices.keys())
 
@@ -498,7 +491,11 @@ export class YotoAccount extends EventEmitter {
         this.#devices.set(device.deviceId, deviceModel)
 
         // Start device
-        await deviceModel.start().catch((error) => {
+        try {
+          await deviceModel.start({ ...(signal && { signal }) })
+        } catch (err) {
+          if (signal?.aborted) throw err
+          const error = /** @type {Error} */ (err)
           this.emit('error', {
             error,
             context: {
@@ -507,13 +504,16 @@ export class YotoAccount extends EventEmitter {
               operation: 'add'
             }
           })
-        })
+        }
 
         this.emit('deviceAdded', {
           deviceId: device.deviceId
         })
       }
     } catch (err) {
+      // stop() was called mid-refresh and stops the devices added so far
+      if (signal?.aborted) throw signal.reason
+
       const error = /** @type {Error} */ (err)
       this.emit('error', {
         error,
@@ -530,6 +530,36 @@ export class YotoAccount extends EventEmitter {
   // Private - Device Management
   // ==========================================================================
 
+  /**
+   * Stop and forget every tracked device, reporting failures as error events
+   * @returns {Promise<void>}
+   */
+  async #stopDevices () {
+    const stopPromises = []
+    for (const [deviceId, deviceModel] of this.#devices) {
+      this.#removeDeviceEventForwarding(deviceModel, deviceId)
+      stopPromises.push(
+        deviceModel.stop().catch((error) => {
+          this.emit('error', {
+            error,
+            context: {
+              source: deviceId,
+              deviceId,
+              operation: 'stop'
+            }
+          })
+        })
+      )
+    }
+
+    // Wait for all devices to stop (or fail gracefully)
+    await Promise.allSettled(stopPromises)
+
+    // Clear devices
+    this.#devices.clear()
+    this.#deviceEventHandlers.clear()
+  }
+
   /**
    * Set up error handling for a device model
    * @param {YotoDeviceModel} deviceModel - Device model instance
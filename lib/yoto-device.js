@@ -622,6 +622,7 @@ export class YotoDeviceModel extends EventEmitter {
   /** @type {QuickLRU<string, YotoCardCacheEntry>} */ #cardCache = new QuickLRU({ maxSize: CARD_CACHE_MAX_SIZE })
   /** @type {queueAsPromised<YotoCardCacheTask, YotoCardCacheEntry | null>} */ #cardCacheQueue = fastq.promise(this, this.#fetchCardCacheTask, CARD_CACHE_QUEUE_CONCURRENCY)
   /** @type {Set<string>} */ #cardCacheQueueTasks = new Set()
+  /** @type {AbortController} */ #lifecycle = new AbortController()
 
   /**
    * Create a Yoto device client
@@ -819,18 +820,24 @@ export class YotoDeviceModel extends EventEmitter {
 
   /**
    * Start the device client - fetches config, connects to MQTT, begins monitoring
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the start. stop() also aborts a start in progress.
    * @returns {Promise<void>}
    * @throws {Error} If start fails
    */
-  async start () {
+  async start ({ signal } = {}) {
     if (this.#state.running) {
       return // Already running
     }
 
+    if (this.#lifecycle.signal.aborted) this.#lifecycle = new AbortController()
+    const startSignal = signal ? AbortSignal.any([this.#lifecycle.signal, signal]) : this.#lifecycle.signal
+
     try {
       // Fetch device config (includes status and shortcuts)
       const configResponse = await this.#client.getDeviceConfig({
-        deviceId: this.#state.device.deviceId
+        deviceId: this.#state.device.deviceId,
+        signal: startSignal
       })
 
       // Update state with config data
@@ -848,7 +855,8 @@ export class YotoDeviceModel extends EventEmitter {
 
       // Fetch device status from status endpoint
       const statusResponse = await this.#client.getDeviceStatus({
-        deviceId: this.#state.device.deviceId
+        deviceId: this.#state.device.deviceId,
+        signal: startSignal
       })
 
       // Update status from dedicated status endpoint
@@ -863,7 +871,7 @@ export class YotoDeviceModel extends EventEmitter {
       this.#state.lastUpdate.config = Date.now()
 
       // Always initialize MQTT - it's the primary status source
-      await this.#initializeMqtt()
+      await this.#initializeMqtt(startSignal)
 
       // Start background HTTP polling - syncs config+status every 10 minutes
       this.#startBackgroundPolling()
@@ -882,6 +890,13 @@ export class YotoDeviceModel extends EventEmitter {
         running: this.running
       })
     } catch (err) {
+      if (startSignal.aborted) {
+        // Stopped on purpose: don't leave a half-connected MQTT client retrying in the background
+        this.#mqttClient?.mqttClient.end(true)
+        this.#mqttClient = null
+        throw startSignal.reason
+      }
+
       const error = /** @type {Error} */ (err)
       this.emit('error', error)
       throw error
@@ -889,10 +904,12 @@ export class YotoDeviceModel extends EventEmitter {
   }
 
   /**
-   * Stop the device client - disconnects MQTT, stops background polling
+   * Stop the device client - aborts in-flight requests, disconnects MQTT, stops background polling
    * @returns {Promise<void>}
    */
   async stop () {
+    this.#lifecycle.abort()
+
     if (!this.#state.running) {
       return // Not running
     }
@@ -1208,21 +1225,25 @@ export class YotoDeviceModel extends EventEmitter {
 
   /**
    * Initialize MQTT client and set up event handlers
+   * @param {AbortSignal} signal - Aborts creating and connecting the client
    */
-  async #initializeMqtt () {
+  async #initializeMqtt (signal) {
     try {
       // Create MQTT client
       this.#mqttClient = await this.#client.createMqttClient({
         deviceId: this.#state.device.deviceId,
-        ...this.#options.yotoDeviceMqttOptions
+        ...this.#options.yotoDeviceMqttOptions,
+        signal
       })
 
       // Set up MQTT event handlers
       this.#setupMqttHandlers()
 
       // Connect to MQTT
-      await this.#mqttClient.connect()
+      await this.#mqttClient.connect({ signal })
     } catch (err) {
+      if (signal.aborted) throw err
+
       const error = /** @type {Error} */ (err)
       this.emit('error', error)
       throw error
@@ -1428,9 +1449,12 @@ export class YotoDeviceModel extends EventEmitter {
    * Emits configUpdate and statusUpdate events, and offline event if device goes offline
    */
   async #backgroundPoll () {
+    const { signal } = this.#lifecycle
+
     try {
       const configResponse = await this.#client.getDeviceConfig({
-        deviceId: this.#state.device.deviceId
+        deviceId: this.#state.device.deviceId,
+        signal
       })
 
       // Update config and shortcuts
@@ -1441,7 +1465,8 @@ export class YotoDeviceModel extends EventEmitter {
 
       // Fetch and update status from status endpoint
       const statusResponse = await this.#client.getDeviceStatus({
-        deviceId: this.#state.device.deviceId
+        deviceId: this.#state.device.deviceId,
+        signal
       })
       this.#updateStatusFromStatusResponse(statusResponse)
 
@@ -1450,6 +1475,7 @@ export class YotoDeviceModel extends EventEmitter {
         this.#updateStatusFromFullStatus(configResponse.device.status)
       }
     } catch (err) {
+      if (signal.aborted) return
       // Log error but don't stop the timer - will retry on next interval
       const error = /** @type {Error} */ (err)
       this.emit('error', error)
@@ -3231,8 +3257,10 @@ export class YotoDeviceModel extends EventEmitter {
    * @returns {Promise<YotoCardCacheEntry | null>}
    */
   async #fetchCardCacheTask (task) {
+    const { signal } = this.#lifecycle
+
     try {
-      const response = await this.#client.getContent({ cardId: task.cardId })
+      const response = await this.#client.getContent({ cardId: task.cardId, signal })
       const entry = buildCardCacheEntry(response.card)
       this.#cardCache.set(task.cardId, entry)
 
@@ -3263,6 +3291,7 @@ export class YotoDeviceModel extends EventEmitter {
 
         if (ignoreForbiddenCard) return null
       }
+      if (signal.aborted) return null
 
       const error = err instanceof Error ? err : new Error(String(err))
       this.emit('error', error)
@@ -0,0 +1,276 @@
+/**
+ * Generate JSON Schemas from the JSDoc typedefs of the endpoint and MQTT modules:
+ * lib/schemas/yoto.schema.json bundles every typedef under `$defs`, and
+ * lib/schemas/<Typedef>.schema.json holds a self-contained schema for each one.
+ *
+ * Usage: node scripts/generate-schemas.js [--check]
+ *
+ * --check exits non-zero instead of writing when the committed files are out of date.
+ */
+
+/**
+ * @import { JsonSchema } from '../lib/schemas/standalone.js'
+ */
+
+import ts from 'typescript'
+import { readdir, readFile, rm, writeFile } from 'node:fs/promises'
+import { fileURLToPath, pathToFileURL } from 'node:url'
+import { dirname, join, relative } from 'node:path'
+import { standaloneSchema } from '../lib/schemas/standalone.js'
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..')
+
+/** Modules whose typedefs describe API and MQTT payloads */
+export const SCHEMA_SOURCES = [
+  'lib/api-endpoints/auth.js',
+  'lib/api-endpoints/content.js',
+  'lib/api-endpoints/devices.js',
+  'lib/api-endpoints/family-library-groups.js',
+  'lib/api-endpoints/family.js',
+  'lib/api-endpoints/icons.js',
+  'lib/api-endpoints/media.js',
+  'lib/mqtt/client.js',
+  'lib/mqtt/commands.js'
+]
+
+export const SCHEMA_DIRECTORY = join(root, 'lib/schemas')
+export const SCHEMA_PATH = join(SCHEMA_DIRECTORY, 'yoto.schema.json')
+
+/**
+ * Build the schema document: one `$defs` entry per typedef, named after it
+ * @returns {{ $schema: string, $comment: string, $defs: Record<string, JsonSchema> }}
+ */
+export function generateSchemas () {
+  const configPath = join(root, 'tsconfig.json')
+  const config = ts.getParsedCommandLineOfConfigFile(configPath, {}, {
+    ...ts.sys,
+    onUnRecoverableConfigFileDiagnostic: (diagnostic) => {
+      throw new Error(ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'))
+    }
+  })
+  if (!config) throw new Error(`Could not read ${configPath}`)
+
+  const files = SCHEMA_SOURCES.map((file) => join(root, file))
+  const program = ts.createProgram(files, config.options)
+  const checker = program.getTypeChecker()
+
+  /** @type {Map<ts.Type, string>} */
+  const names = new Map()
+  /** @type {Array<{ name: string, type: ts.Type, description: string }>} */
+  const typedefs = []
+
+  for (const file of files) {
+    const sourceFile = program.getSourceFile(file)
+    if (!sourceFile) throw new Error(`Missing source file ${file}`)
+
+    for (const tag of findTypedefTags(sourceFile)) {
+      const symbol = tag.name && checker.getSymbolAtLocation(tag.name)
+      // Event maps describe listener arguments, not data
+      if (!symbol || symbol.name.endsWith('EventMap')) continue
+      const type = checker.getDeclaredTypeOfSymbol(symbol)
+      if (type.getCallSignatures().length > 0) continue
+      if (names.has(type) || typedefs.some((typedef) => typedef.name === symbol.name)) continue
+
+      names.set(type, symbol.name)
+      typedefs.push({ name: symbol.name, type, description: commentText(tag.comment) })
+    }
+  }
+
+  /** @type {Record<string, JsonSchema>} */
+  const defs = {}
+  for (const { name, type, description } of typedefs.sort((a, b) => a.name.localeCompare(b.name))) {
+    defs[name] = {
+      title: name,
+      ...(description && { description }),
+      ...toSchema(checker, names, type, true)
+    }
+  }
+
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $comment: 'Generated by scripts/generate-schemas.js from the JSDoc typedefs. Do not edit by hand.',
+    $defs: defs
+  }
+}
+
+/**
+ * @param {ts.SourceFile} sourceFile
+ * @returns {ts.JSDocTypedefTag[]}
+ */
+function findTypedefTags (sourceFile) {
+  /** @type {ts.JSDocTypedefTag[]} */
+  const tags = []
+  /** @param {ts.Node} node */
+  const visit = (node) => {
+    if (ts.isJSDocTypedefTag(node)) tags.push(node)
+    for (const doc of /** @type {{ jsDoc?: ts.JSDoc[] }} */ (node).jsDoc ?? []) visit(doc)
+    ts.forEachChild(node, visit)
+  }
+  visit(sourceFile)
+  return tags
+}
+
+/**
+ * @param {string | ts.NodeArray<ts.JSDocComment> | undefined} comment
+ * @returns {string}
+ */
+function commentText (comment) {
+  const text = typeof comment === 'string' ? comment : ts.getTextOfJSDocComment(comment) ?? ''
+  return text.replace(/^-\s*/, '').trim()
+}
+
+/**
+ * @param {ts.TypeChecker} checker
+ * @param {Map<ts.Type, string>} names - Typedef types, referenced with $ref
+ * @param {ts.Type} type
+ * @param {boolean} [isRoot=false] - Expanding the typedef itself rather than a reference to it
+ * @returns {JsonSchema}
+ */
+function toSchema (checker, names, type, isRoot = false) {
+  const name = names.get(type)
+  if (name && !isRoot) return { $ref: `#/$defs/${name}` }
+
+  const { flags } = type
+  if (flags & (ts.TypeFlags.Any | ts.TypeFlags.Unknown)) return {}
+  if (flags & ts.TypeFlags.Boolean) return { type: 'boolean' }
+  if (flags & ts.TypeFlags.String) return { type: 'string' }
+  if (flags & ts.TypeFlags.Number) return { type: 'number' }
+  if (flags & ts.TypeFlags.Null) return { type: 'null' }
+  if (flags & ts.TypeFlags.BooleanLiteral) return { const: checker.typeToString(type) === 'true' }
+  if (type.isStringLiteral() || type.isNumberLiteral()) return { const: type.value }
+  if (type.isUnion()) return unionSchema(checker, names, type)
+
+  if (checker.isArrayType(type)) {
+    const [itemType] = checker.getTypeArguments(/** @type {ts.TypeReference} */ (type))
+    return { type: 'array', ...(itemType && { items: toSchema(checker, names, itemType) }) }
+  }
+  if (checker.isTupleType(type)) {
+    const items = checker.getTypeArguments(/** @type {ts.TypeReference} */ (type)).map((item) => toSchema(checker, names, item))
+    return { type: 'array', prefixItems: items, minItems: items.length, maxItems: items.length }
+  }
+
+  // Buffers, Dates, streams and other platform types have no JSON shape to check
+  const declaration = type.getSymbol()?.getDeclarations()?.[0]
+  if (declaration?.getSourceFile().isDeclarationFile) {
+    return type.getSymbol()?.getName() === 'Object' ? { type: 'object' } : {}
+  }
+
+  if (flags & ts.TypeFlags.Object || type.isIntersection()) return objectSchema(checker, names, type)
+  return {}
+}
+
+/**
+ * @param {ts.TypeChecker} checker
+ * @param {Map<ts.Type, string>} names
+ * @param {ts.UnionType} type
+ * @returns {JsonSchema}
+ */
+function unionSchema (checker, names, type) {
+  const members = type.types.filter((member) => !(member.flags & (ts.TypeFlags.Undefined | ts.TypeFlags.Void)))
+  const hasTrue = members.some((member) => member.flags & ts.TypeFlags.BooleanLiteral && checker.typeToString(member) === 'true')
+  const hasFalse = members.some((member) => member.flags & ts.TypeFlags.BooleanLiteral && checker.typeToString(member) === 'false')
+
+  /** @type {JsonSchema[]} */
+  const schemas = members
+    .filter((member) => !(hasTrue && hasFalse && member.flags & ts.TypeFlags.BooleanLiteral))
+    .map((member) => toSchema(checker, names, member))
+  if (hasTrue && hasFalse) schemas.push({ type: 'boolean' })
+
+  if (schemas.length === 1) return /** @type {JsonSchema} */ (schemas[0])
+  if (schemas.every((schema) => 'const' in schema)) return { enum: schemas.map((schema) => schema['const']) }
+  if (schemas.every((schema) => Object.keys(schema).length === 1 && typeof schema['type'] === 'string')) {
+    return { type: schemas.map((schema) => schema['type']) }
+  }
+  return { anyOf: schemas }
+}
+
+/**
+ * @param {ts.TypeChecker} checker
+ * @param {Map<ts.Type, string>} names
+ * @param {ts.Type} type
+ * @returns {JsonSchema}
+ */
+function objectSchema (checker, names, type) {
+  /** @type {Record<string, JsonSchema>} */
+  const properties = {}
+  /** @type {string[]} */
+  const required = []
+
+  for (const property of checker.getPropertiesOfType(type)) {
+    const propertyType = checker.getTypeOfSymbol(property)
+    if (propertyType.getCallSignatures().length > 0) continue
+
+    const description = ts.displayPartsToString(property.getDocumentationComment(checker)).replace(/^-\s*/, '').trim()
+    properties[property.name] = {
+      ...(description && { description }),
+      ...toSchema(checker, names, propertyType)
+    }
+    if (!(property.flags & ts.SymbolFlags.Optional)) required.push(property.name)
+  }
+
+  const [index] = checker.getIndexInfosOfType(type)
+  return {
+    type: 'object',
+    ...(Object.keys(properties).length > 0 && { properties }),
+    ...(required.length > 0 && { required }),
+    ...(index && { additionalProperties: toSchema(checker, names, index.type) })
+  }
+}
+
+/**
+ * Contents of every generated file, keyed by path
+ * @param {ReturnType<typeof generateSchemas>} document
+ * @returns {Map<string, string>}
+ */
+export function renderSchemaFiles (document) {
+  /** @param {JsonSchema} schema */
+  const render = (schema) => JSON.stringify(schema, null, 2) + '\n'
+
+  const files = new Map([[SCHEMA_PATH, render(document)]])
+  for (const name of Object.keys(document.$defs)) {
+    files.set(join(SCHEMA_DIRECTORY, `${name}.schema.json`), render({
+      $comment: document.$comment,
+      ...standaloneSchema(document.$defs, name)
+    }))
+  }
+  return files
+}
+
+/**
+ * Generated files in the schema directory, including stale ones
+ * @returns {Promise<string[]>}
+ */
+export async function listSchemaFiles () {
+  const entries = await readdir(SCHEMA_DIRECTORY).catch(() => [])
+  return entries.filter((entry) => entry.endsWith('.schema.json')).map((entry) => join(SCHEMA_DIRECTORY, entry))
+}
+
+/**
+ * @param {string[]} args
+ */
+async function main (args) {
+  const files = renderSchemaFiles(generateSchemas())
+  const stale = (await listSchemaFiles()).filter((path) => !files.has(path))
+
+  if (args.includes('--check')) {
+    /** @type {string[]} */
+    const outdated = [...stale]
+    for (const [path, contents] of files) {
+      const current = await readFile(path, 'utf8').catch(() => '')
+      if (current !== contents) outdated.push(path)
+    }
+    if (outdated.length > 0) {
+      console.error(`Out of date: ${outdated.map((path) => relative(process.cwd(), path)).join(', ')}. Run: node scripts/generate-schemas.js`)
+      process.exitCode = 1
+    }
+    return
+  }
+
+  for (const path of stale) await rm(path)
+  for (const [path, contents] of files) await writeFile(path, contents)
+  console.log(`Wrote ${files.size} schemas to ${relative(process.cwd(), SCHEMA_DIRECTORY)}`)
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  await main(process.argv.slice(2))
+}